@@ -11,90 +11,226 @@ const getApiData = url => new Promise((resolve, reject) => {
   resolve({ heading : 'This is async heading copy', bodyCopy : 'this is async body copy' })
 })
 
+const currency = (value, symbol = '$') => symbol + Number(value).toFixed(2)
+
 const paths = {
-  html: './test/html/**/*.html',
+  html: ['./test/html/**/*.html', '!./test/html/ssi/**', '!./test/html/strict/**', '!./test/html/cycle/**'],
   htmlBuild: './test/html-built',
 }
 
-function genericHtmlIncluder(path) {
+function genericHtmlIncluder(path, options = {}) {
   const jsonInput = { heading : 'hello world' };
   const rawJsonPlugins = { getApiData };
-  src(path)
-  .pipe(includer({ jsonInput, rawJsonPlugins }))
+  const filters = { currency };
+  return src(path)
+  .pipe(includer({ jsonInput, rawJsonPlugins, filters, ...options }))
   .pipe(dest(paths.htmlBuild))
 }
 
-exports.nested = function(cb) {
-  genericHtmlIncluder([
+exports.nested = function() {
+  return genericHtmlIncluder([
     './test/html/nestedTags.html',
     './test/html/wrappers/*.html',
     './test/html/components/*.html'
   ])
-  cb();
 }
 
-exports.simple = function(cb) {
-  genericHtmlIncluder([
+exports.simple = function() {
+  return genericHtmlIncluder([
     './test/html/simple.html',
     './test/html/wrappers/*.html',
     './test/html/components/*.html'
   ])
-  cb();
 }
 
-exports.clipping = function(cb) {
-  genericHtmlIncluder([
+exports.clipping = function() {
+  return genericHtmlIncluder([
     './test/html/clipping.html',
     './test/html/wrappers/*.html',
     './test/html/components/*.html'
   ])
-  cb();
 }
 
-exports.complex = function(cb) {
-  genericHtmlIncluder([
+exports.complex = function() {
+  return genericHtmlIncluder([
     './test/html/complex.html',
     './test/html/wrappers/*.html',
     './test/html/components/*.html'
   ])
-  cb();
 }
 
-exports.if = function(cb) {
-  genericHtmlIncluder([
+exports.if = function() {
+  return genericHtmlIncluder([
     './test/html/if.html',
     './test/html/wrappers/*.html',
     './test/html/components/*.html'
   ])
-  cb();
 }
 
-exports.each = function(cb) {
-  genericHtmlIncluder([
+exports.each = function() {
+  return genericHtmlIncluder([
     './test/html/each.html',
     './test/html/wrappers/*.html',
     './test/html/components/*.html'
   ])
-  cb();
 }
 
-exports.rawJsonFunction = function(cb) {
-  genericHtmlIncluder([
+exports.props = function() {
+  return genericHtmlIncluder([
+    './test/html/props.html',
+    './test/html/components/*.html',
+  ])
+}
+
+exports.insertBody = function() {
+  return genericHtmlIncluder([
+    './test/html/insert-body.html',
+    './test/html/components/*.html',
+  ])
+}
+
+// variables bound with #set, in the page and inside an each
+exports.set = function() {
+  return genericHtmlIncluder([
+    './test/html/set.html',
+    './test/html/components/*.html',
+  ])
+}
+
+exports.slots = function() {
+  return genericHtmlIncluder([
+    './test/html/slots.html',
+    './test/html/wrappers/*.html',
+    './test/html/components/*.html',
+  ])
+}
+
+// a page extending a layout, which extends another layout
+exports.extends = function() {
+  return genericHtmlIncluder([
+    './test/html/extends.html',
+    './test/html/wrappers/*.html',
+  ])
+}
+
+exports.nestedBlocks = function() {
+  return genericHtmlIncluder([
+    './test/html/nested-blocks.html',
+    './test/html/wrappers/*.html',
+  ])
+}
+
+exports.scopes = function() {
+  return genericHtmlIncluder([
+    './test/html/scopes.html',
+    './test/html/components/*.html',
+  ])
+}
+
+// a --> inside attribute values, and ordinary comments between tags
+exports.comments = function() {
+  return genericHtmlIncluder([
+    './test/html/comments.html',
+  ])
+}
+
+exports.jsonPath = function() {
+  return genericHtmlIncluder([
+    './test/html/json-path.html',
+  ])
+}
+
+exports.data = function() {
+  return genericHtmlIncluder([
+    './test/html/data.html',
+  ])
+}
+
+exports.filters = function() {
+  return genericHtmlIncluder([
+    './test/html/filters.html',
+  ])
+}
+
+exports.rawJsonSandbox = function() {
+  return genericHtmlIncluder([
+    './test/html/raw-json-sandbox.html',
+  ])
+}
+
+// the same loops, reading their rawJson without running any of it (the loop
+// over an async function is skipped with a warning)
+exports.rawJsonDataOnly = function() {
+  return genericHtmlIncluder([
+    './test/html/each.html',
+    './test/html/components/*.html',
+  ], { rawJsonMode : 'data-only' })
+}
+
+exports.rawJsonFunction = function() {
+  return genericHtmlIncluder([
     './test/html/raw-json-function.html',
     './test/html/components/*.html',
   ])
-  cb();
 }
 
-exports.rawJsonAsyncFunction = function(cb) {
-  genericHtmlIncluder([
+exports.rawJsonAsyncFunction = function() {
+  return genericHtmlIncluder([
     './test/html/raw-json-async-function.html',
     './test/html/components/*.html',
   ])
-  cb();
 }
 
-exports.default = function(cb) {
+// this build is meant to fail, with a PluginError listing both errors
+exports.strict = function() {
+  return genericHtmlIncluder([
+    './test/html/strict/*.html',
+  ], { strict : true })
+}
+
+// a component inserting itself with the data of each branch of a tree
+exports.recursive = function() {
+  return genericHtmlIncluder([
+    './test/html/recursive.html',
+    './test/html/components/*.html',
+  ])
+}
+
+// this build is meant to fail, reporting the files that insert each other (or
+// themselves with the same props)
+exports.cycle = function() {
+  return genericHtmlIncluder([
+    './test/html/cycle/*.html',
+  ])
+}
+
+// the same problems as warnings, printed as a line of json each
+exports.diagnostics = function() {
+  return genericHtmlIncluder([
+    './test/html/strict/*.html',
+  ], { reporter : 'json' })
+}
+
+exports.ssi = function() {
+  return genericHtmlIncluder([
+    './test/html/ssi/*.html',
+  ], {
+    insertPattern : 'include virtual',
+    filePathAttribute : 'file',
+    jsonPathAttribute : 'key',
+    jsonInput : {
+      cards : [
+        { title : 'Card 1', body : 'Body 1' },
+        { title : 'Card 2' },
+      ],
+      items : [ { name : 'one' }, { name : 'two' } ],
+      show : true,
+      footer : 'the footer',
+    },
+  })
+}
+
+exports.default = function() {
   let options = {
     jsonInput: {
       message : 'test message',
@@ -104,8 +240,7 @@ exports.default = function(cb) {
       getApiData,
     },
   };
-  src(paths.html)
+  return src(paths.html)
   .pipe(includer(options))
   .pipe(dest(paths.htmlBuild))
-  cb();
 }
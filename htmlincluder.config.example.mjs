@@ -95,6 +95,96 @@ export default {
       uppercase: (str) => str.toUpperCase(),
     },
 
+    /**
+     * How rawJson runs (plain data like { name: 'Tom' } is read without running)
+     * Default: 'sandbox' (a vm context that can only see json and plugins)
+     * 'eval' runs it like older versions, 'data-only' only uses plain data,
+     * 'off' doesn't use rawJson at all
+     */
+    rawJsonMode: 'sandbox',
+
+    /**
+     * Milliseconds a rawJson may run for before it fails, not counting time
+     * spent waiting on plugins, and each plugin call may take once it has
+     * started (0 for no limit)
+     * Default: 5000
+     */
+    rawJsonTimeout: 5000,
+
+    /**
+     * Run rawJson with the same code, and call a plugin with the same
+     * arguments, once a build, sharing the data
+     * Default: true
+     */
+    rawJsonCache: true,
+
+    /**
+     * The most plugin calls that run at a time (and, separately, the most
+     * plugins.memo(key, fn) calls)
+     * Default: 6
+     *
+     * Example usage in HTML:
+     * <!--#insert path="-widget.html" rawJson="(async ({ fetch, memo }) =>
+     *   memo('widget-data', () => fetch('https://api.example.com/data').then(r => r.json()))
+     * )(plugins)" -->
+     */
+    rawJsonConcurrency: 6,
+
+    /**
+     * Directory plugin and plugins.memo results are saved in, so repeated local builds
+     * don't load them again
+     * Default: null (nothing is saved)
+     */
+    rawJsonCacheDir: null,
+
+    /**
+     * Custom filters for #data and #jsonInsert (added to the built in ones)
+     * Called with the data and the filter's arguments
+     *
+     * Example usage in HTML:
+     * <!--#data jsonPath="price | currency:'€'" -->
+     */
+    filters: {
+      currency: (value, symbol = '$') => symbol + Number(value).toFixed(2),
+    },
+
+    /**
+     * Fail the build on rawJson errors, missing insert/wrap files and tags
+     * that are never closed (every error is reported together)
+     * Default: false
+     */
+    strict: false,
+
+    /**
+     * How problems found while building are printed
+     * Default: 'pretty'
+     * 'json' prints a line of json for each, 'silent' prints nothing, and a
+     * function is called with each diagnostic ({ code, severity, message,
+     * file, line, column, snippet })
+     */
+    reporter: 'pretty',
+
+    /**
+     * How deeply #insert and #wrap files can be nested in each other
+     * Default: 50
+     * A file inserting itself again with the same data always fails the build
+     */
+    maxIncludeDepth: 50,
+
+    /**
+     * What to do when a jsonPath points at nothing (and the tag has no default)
+     * Default: 'warn'
+     * 'render' renders the tag without the data, 'fail' stops the build
+     */
+    missingData: 'warn',
+
+    /**
+     * Html escape data printed by #data and #jsonInsert
+     * Default: true
+     * Use <!--#rawData --> or raw="true" for trusted html instead of turning this off
+     */
+    autoEscape: true,
+
     /**
      * Development/debugging options
      */
@@ -87,6 +87,14 @@ export default {
       uppercase: (str) => str.toUpperCase(),
     },
 
+    /**
+     * Custom filters for #data and #jsonInsert (added to the built in ones)
+     * Example: <!--#data jsonPath="price | currency:'€'" -->
+     */
+    filters: {
+      currency: (value, symbol = '$') => symbol + Number(value).toFixed(2),
+    },
+
     /**
      * Development/debugging options
      */
@@ -6,11 +6,14 @@
  * 2. The standalone core API - for use without Gulp
  */
 
+import { createRequire } from 'module';
+
 // Gulp plugin (CommonJS for backward compatibility)
+const require = createRequire(import.meta.url);
 const gulpPlugin = require('./index.js');
 
 // Core API exports (ESM)
-export { processDirectory, processSingleFile, processContent, loadDependencies, reset } from './src/core.mjs';
+export { createIncluder, processDirectory, processSingleFile, processContent, loadDependencies, reset } from './src/core.mjs';
 export { loadConfig, findConfig, createDefaultConfig, validateConfig } from './src/config-loader.mjs';
 
 // Default export is the gulp plugin for backward compatibility
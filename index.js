@@ -10,6 +10,10 @@ const includer = require('./lib/htmlincluder');
 // 					and #wrap (default= 'path')
 // options.jsonPathAttribute = the name used for the file pathing for #insert
 // 					, #wrap, #data, #jsonInsert (default= 'jsonPath')
+// options.strict            = rawJson errors, missing insert and wrap files and
+// 					tags that are never closed fail the build (default= false)
+// options.reporter          = prints each problem found: 'pretty', 'json',
+// 					'silent' or a function (default= 'pretty')
 //
 //
 // options.dev.limitIterations = the number of times processFileWithJsonInput will loop
@@ -21,15 +25,26 @@ module.exports = function (options) {
 	"use strict";
 	let that;
 
-	includer.initialize(options);
+	const instance = includer.create(options);
 
-	function htmlincluder() {
-		includer.buildFileResult(file => {
+	function htmlincluder(callback) {
+		instance.buildFileResult(file => {
 			const f = file.file;
 
 			f.contents = Buffer.from(file.content);
 			that.push(f);
-		});
+		})
+		.then(() => null, toPluginError)
+		// outside of the promise, so an error thrown by emitting an error isn't
+		// lost as an unhandled rejection
+		.then(error => setImmediate(callback, error));
+	}
+
+	// err.errors are the diagnostics of the build's errors
+	function toPluginError(err) {
+		const error = new PluginError("gulp-htmlincluder", err.message, { showProperties : false });
+		error.errors = err.errors || [];
+		return error;
 	}
 
 	function aggregateFiles(file, enc, callback) {
@@ -49,7 +64,7 @@ module.exports = function (options) {
 		}
 
 		if (file.isBuffer()) {
-			includer.hashFile(file);
+			instance.hashFile(file);
 		}
 
 		return callback();
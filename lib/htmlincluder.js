@@ -1,18 +1,18 @@
 /******/ (() => { // webpackBootstrap
 /******/ 	var __webpack_modules__ = ({
 
-/***/ "./node_modules/babel-polyfill/lib/index.js":
+/***/ "./node_modules/babel-polyfill/lib/index.js"
 /*!**************************************************!*\
   !*** ./node_modules/babel-polyfill/lib/index.js ***!
   \**************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
 
 __webpack_require__(/*! core-js/shim */ "./node_modules/core-js/shim.js");
 
-__webpack_require__(/*! regenerator-runtime/runtime */ "./node_modules/babel-polyfill/node_modules/regenerator-runtime/runtime.js");
+__webpack_require__(/*! regenerator-runtime/runtime */ "./node_modules/regenerator-runtime/runtime.js");
 
 __webpack_require__(/*! core-js/fn/regexp/escape */ "./node_modules/core-js/fn/regexp/escape.js");
 
@@ -37,3186 +37,2547 @@ define(String.prototype, "padRight", "".padEnd);
   [][key] && define(Array, key, Function.call.bind([][key]));
 });
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/babel-polyfill/node_modules/regenerator-runtime/runtime.js":
-/*!*********************************************************************************!*\
-  !*** ./node_modules/babel-polyfill/node_modules/regenerator-runtime/runtime.js ***!
-  \*********************************************************************************/
-/***/ (function(module) {
+/***/ "./node_modules/core-js/fn/regexp/escape.js"
+/*!**************************************************!*\
+  !*** ./node_modules/core-js/fn/regexp/escape.js ***!
+  \**************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/**
- * Copyright (c) 2014, Facebook, Inc.
- * All rights reserved.
- *
- * This source code is licensed under the BSD-style license found in the
- * https://raw.github.com/facebook/regenerator/master/LICENSE file. An
- * additional grant of patent rights can be found in the PATENTS file in
- * the same directory.
- */
+__webpack_require__(/*! ../../modules/core.regexp.escape */ "./node_modules/core-js/modules/core.regexp.escape.js");
+module.exports = __webpack_require__(/*! ../../modules/_core */ "./node_modules/core-js/modules/_core.js").RegExp.escape;
 
-!(function(global) {
-  "use strict";
 
-  var Op = Object.prototype;
-  var hasOwn = Op.hasOwnProperty;
-  var undefined; // More compressible than void 0.
-  var $Symbol = typeof Symbol === "function" ? Symbol : {};
-  var iteratorSymbol = $Symbol.iterator || "@@iterator";
-  var asyncIteratorSymbol = $Symbol.asyncIterator || "@@asyncIterator";
-  var toStringTagSymbol = $Symbol.toStringTag || "@@toStringTag";
+/***/ },
 
-  var inModule = "object" === "object";
-  var runtime = global.regeneratorRuntime;
-  if (runtime) {
-    if (inModule) {
-      // If regeneratorRuntime is defined globally and we're in a module,
-      // make the exports object identical to regeneratorRuntime.
-      module.exports = runtime;
-    }
-    // Don't bother evaluating the rest of this file if the runtime was
-    // already defined globally.
-    return;
-  }
+/***/ "./node_modules/core-js/modules/_a-function.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_a-function.js ***!
+  \*****************************************************/
+(module) {
 
-  // Define the runtime globally (as expected by generated code) as either
-  // module.exports (if we're in a module) or a new, empty object.
-  runtime = global.regeneratorRuntime = inModule ? module.exports : {};
+module.exports = function (it) {
+  if (typeof it != 'function') throw TypeError(it + ' is not a function!');
+  return it;
+};
 
-  function wrap(innerFn, outerFn, self, tryLocsList) {
-    // If outerFn provided and outerFn.prototype is a Generator, then outerFn.prototype instanceof Generator.
-    var protoGenerator = outerFn && outerFn.prototype instanceof Generator ? outerFn : Generator;
-    var generator = Object.create(protoGenerator.prototype);
-    var context = new Context(tryLocsList || []);
 
-    // The ._invoke method unifies the implementations of the .next,
-    // .throw, and .return methods.
-    generator._invoke = makeInvokeMethod(innerFn, self, context);
+/***/ },
 
-    return generator;
-  }
-  runtime.wrap = wrap;
+/***/ "./node_modules/core-js/modules/_a-number-value.js"
+/*!*********************************************************!*\
+  !*** ./node_modules/core-js/modules/_a-number-value.js ***!
+  \*********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  // Try/catch helper to minimize deoptimizations. Returns a completion
-  // record like context.tryEntries[i].completion. This interface could
-  // have been (and was previously) designed to take a closure to be
-  // invoked without arguments, but in all the cases we care about we
-  // already have an existing method we want to call, so there's no need
-  // to create a new function object. We can even get away with assuming
-  // the method takes exactly one argument, since that happens to be true
-  // in every case, so we don't have to touch the arguments object. The
-  // only additional allocation required is the completion record, which
-  // has a stable shape and so hopefully should be cheap to allocate.
-  function tryCatch(fn, obj, arg) {
-    try {
-      return { type: "normal", arg: fn.call(obj, arg) };
-    } catch (err) {
-      return { type: "throw", arg: err };
-    }
-  }
+var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
+module.exports = function (it, msg) {
+  if (typeof it != 'number' && cof(it) != 'Number') throw TypeError(msg);
+  return +it;
+};
 
-  var GenStateSuspendedStart = "suspendedStart";
-  var GenStateSuspendedYield = "suspendedYield";
-  var GenStateExecuting = "executing";
-  var GenStateCompleted = "completed";
 
-  // Returning this object from the innerFn has the same effect as
-  // breaking out of the dispatch switch statement.
-  var ContinueSentinel = {};
+/***/ },
 
-  // Dummy constructor functions that we use as the .constructor and
-  // .constructor.prototype properties for functions that return Generator
-  // objects. For full spec compliance, you may wish to configure your
-  // minifier not to mangle the names of these two functions.
-  function Generator() {}
-  function GeneratorFunction() {}
-  function GeneratorFunctionPrototype() {}
+/***/ "./node_modules/core-js/modules/_add-to-unscopables.js"
+/*!*************************************************************!*\
+  !*** ./node_modules/core-js/modules/_add-to-unscopables.js ***!
+  \*************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  // This is a polyfill for %IteratorPrototype% for environments that
-  // don't natively support it.
-  var IteratorPrototype = {};
-  IteratorPrototype[iteratorSymbol] = function () {
-    return this;
-  };
+// 22.1.3.31 Array.prototype[@@unscopables]
+var UNSCOPABLES = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('unscopables');
+var ArrayProto = Array.prototype;
+if (ArrayProto[UNSCOPABLES] == undefined) __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js")(ArrayProto, UNSCOPABLES, {});
+module.exports = function (key) {
+  ArrayProto[UNSCOPABLES][key] = true;
+};
 
-  var getProto = Object.getPrototypeOf;
-  var NativeIteratorPrototype = getProto && getProto(getProto(values([])));
-  if (NativeIteratorPrototype &&
-      NativeIteratorPrototype !== Op &&
-      hasOwn.call(NativeIteratorPrototype, iteratorSymbol)) {
-    // This environment has a native %IteratorPrototype%; use it instead
-    // of the polyfill.
-    IteratorPrototype = NativeIteratorPrototype;
-  }
 
-  var Gp = GeneratorFunctionPrototype.prototype =
-    Generator.prototype = Object.create(IteratorPrototype);
-  GeneratorFunction.prototype = Gp.constructor = GeneratorFunctionPrototype;
-  GeneratorFunctionPrototype.constructor = GeneratorFunction;
-  GeneratorFunctionPrototype[toStringTagSymbol] =
-    GeneratorFunction.displayName = "GeneratorFunction";
+/***/ },
 
-  // Helper for defining the .next, .throw, and .return methods of the
-  // Iterator interface in terms of a single ._invoke method.
-  function defineIteratorMethods(prototype) {
-    ["next", "throw", "return"].forEach(function(method) {
-      prototype[method] = function(arg) {
-        return this._invoke(method, arg);
-      };
-    });
-  }
+/***/ "./node_modules/core-js/modules/_advance-string-index.js"
+/*!***************************************************************!*\
+  !*** ./node_modules/core-js/modules/_advance-string-index.js ***!
+  \***************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  runtime.isGeneratorFunction = function(genFun) {
-    var ctor = typeof genFun === "function" && genFun.constructor;
-    return ctor
-      ? ctor === GeneratorFunction ||
-        // For the native GeneratorFunction constructor, the best we can
-        // do is to check its .name property.
-        (ctor.displayName || ctor.name) === "GeneratorFunction"
-      : false;
-  };
+"use strict";
 
-  runtime.mark = function(genFun) {
-    if (Object.setPrototypeOf) {
-      Object.setPrototypeOf(genFun, GeneratorFunctionPrototype);
-    } else {
-      genFun.__proto__ = GeneratorFunctionPrototype;
-      if (!(toStringTagSymbol in genFun)) {
-        genFun[toStringTagSymbol] = "GeneratorFunction";
-      }
-    }
-    genFun.prototype = Object.create(Gp);
-    return genFun;
-  };
+var at = __webpack_require__(/*! ./_string-at */ "./node_modules/core-js/modules/_string-at.js")(true);
 
-  // Within the body of any async function, `await x` is transformed to
-  // `yield regeneratorRuntime.awrap(x)`, so that the runtime can test
-  // `hasOwn.call(value, "__await")` to determine if the yielded value is
-  // meant to be awaited.
-  runtime.awrap = function(arg) {
-    return { __await: arg };
-  };
+ // `AdvanceStringIndex` abstract operation
+// https://tc39.github.io/ecma262/#sec-advancestringindex
+module.exports = function (S, index, unicode) {
+  return index + (unicode ? at(S, index).length : 1);
+};
 
-  function AsyncIterator(generator) {
-    function invoke(method, arg, resolve, reject) {
-      var record = tryCatch(generator[method], generator, arg);
-      if (record.type === "throw") {
-        reject(record.arg);
-      } else {
-        var result = record.arg;
-        var value = result.value;
-        if (value &&
-            typeof value === "object" &&
-            hasOwn.call(value, "__await")) {
-          return Promise.resolve(value.__await).then(function(value) {
-            invoke("next", value, resolve, reject);
-          }, function(err) {
-            invoke("throw", err, resolve, reject);
-          });
-        }
 
-        return Promise.resolve(value).then(function(unwrapped) {
-          // When a yielded Promise is resolved, its final value becomes
-          // the .value of the Promise<{value,done}> result for the
-          // current iteration. If the Promise is rejected, however, the
-          // result for this iteration will be rejected with the same
-          // reason. Note that rejections of yielded Promises are not
-          // thrown back into the generator function, as is the case
-          // when an awaited Promise is rejected. This difference in
-          // behavior between yield and await is important, because it
-          // allows the consumer to decide what to do with the yielded
-          // rejection (swallow it and continue, manually .throw it back
-          // into the generator, abandon iteration, whatever). With
-          // await, by contrast, there is no opportunity to examine the
-          // rejection reason outside the generator function, so the
-          // only option is to throw it from the await expression, and
-          // let the generator function handle the exception.
-          result.value = unwrapped;
-          resolve(result);
-        }, reject);
-      }
-    }
+/***/ },
 
-    if (typeof global.process === "object" && global.process.domain) {
-      invoke = global.process.domain.bind(invoke);
-    }
+/***/ "./node_modules/core-js/modules/_an-instance.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_an-instance.js ***!
+  \******************************************************/
+(module) {
 
-    var previousPromise;
+module.exports = function (it, Constructor, name, forbiddenField) {
+  if (!(it instanceof Constructor) || (forbiddenField !== undefined && forbiddenField in it)) {
+    throw TypeError(name + ': incorrect invocation!');
+  } return it;
+};
 
-    function enqueue(method, arg) {
-      function callInvokeWithMethodAndArg() {
-        return new Promise(function(resolve, reject) {
-          invoke(method, arg, resolve, reject);
-        });
-      }
 
-      return previousPromise =
-        // If enqueue has been called before, then we want to wait until
-        // all previous Promises have been resolved before calling invoke,
-        // so that results are always delivered in the correct order. If
-        // enqueue has not been called before, then it is important to
-        // call invoke immediately, without waiting on a callback to fire,
-        // so that the async generator function has the opportunity to do
-        // any necessary setup in a predictable way. This predictability
-        // is why the Promise constructor synchronously invokes its
-        // executor callback, and why async functions synchronously
-        // execute code before the first await. Since we implement simple
-        // async functions in terms of async generators, it is especially
-        // important to get this right, even though it requires care.
-        previousPromise ? previousPromise.then(
-          callInvokeWithMethodAndArg,
-          // Avoid propagating failures to Promises returned by later
-          // invocations of the iterator.
-          callInvokeWithMethodAndArg
-        ) : callInvokeWithMethodAndArg();
-    }
+/***/ },
 
-    // Define the unified helper method that is used to implement .next,
-    // .throw, and .return (see defineIteratorMethods).
-    this._invoke = enqueue;
-  }
+/***/ "./node_modules/core-js/modules/_an-object.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_an-object.js ***!
+  \****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  defineIteratorMethods(AsyncIterator.prototype);
-  AsyncIterator.prototype[asyncIteratorSymbol] = function () {
-    return this;
-  };
-  runtime.AsyncIterator = AsyncIterator;
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+module.exports = function (it) {
+  if (!isObject(it)) throw TypeError(it + ' is not an object!');
+  return it;
+};
 
-  // Note that simple async functions are implemented on top of
-  // AsyncIterator objects; they just return a Promise for the value of
-  // the final result produced by the iterator.
-  runtime.async = function(innerFn, outerFn, self, tryLocsList) {
-    var iter = new AsyncIterator(
-      wrap(innerFn, outerFn, self, tryLocsList)
-    );
 
-    return runtime.isGeneratorFunction(outerFn)
-      ? iter // If outerFn is a generator, return the full iterator.
-      : iter.next().then(function(result) {
-          return result.done ? result.value : iter.next();
-        });
-  };
+/***/ },
 
-  function makeInvokeMethod(innerFn, self, context) {
-    var state = GenStateSuspendedStart;
+/***/ "./node_modules/core-js/modules/_array-copy-within.js"
+/*!************************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-copy-within.js ***!
+  \************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-    return function invoke(method, arg) {
-      if (state === GenStateExecuting) {
-        throw new Error("Generator is already running");
-      }
+"use strict";
+// 22.1.3.3 Array.prototype.copyWithin(target, start, end = this.length)
 
-      if (state === GenStateCompleted) {
-        if (method === "throw") {
-          throw arg;
-        }
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
 
-        // Be forgiving, per 25.3.3.3.3 of the spec:
-        // https://people.mozilla.org/~jorendorff/es6-draft.html#sec-generatorresume
-        return doneResult();
-      }
+module.exports = [].copyWithin || function copyWithin(target /* = 0 */, start /* = 0, end = @length */) {
+  var O = toObject(this);
+  var len = toLength(O.length);
+  var to = toAbsoluteIndex(target, len);
+  var from = toAbsoluteIndex(start, len);
+  var end = arguments.length > 2 ? arguments[2] : undefined;
+  var count = Math.min((end === undefined ? len : toAbsoluteIndex(end, len)) - from, len - to);
+  var inc = 1;
+  if (from < to && to < from + count) {
+    inc = -1;
+    from += count - 1;
+    to += count - 1;
+  }
+  while (count-- > 0) {
+    if (from in O) O[to] = O[from];
+    else delete O[to];
+    to += inc;
+    from += inc;
+  } return O;
+};
 
-      context.method = method;
-      context.arg = arg;
 
-      while (true) {
-        var delegate = context.delegate;
-        if (delegate) {
-          var delegateResult = maybeInvokeDelegate(delegate, context);
-          if (delegateResult) {
-            if (delegateResult === ContinueSentinel) continue;
-            return delegateResult;
-          }
-        }
+/***/ },
 
-        if (context.method === "next") {
-          // Setting context._sent for legacy support of Babel's
-          // function.sent implementation.
-          context.sent = context._sent = context.arg;
+/***/ "./node_modules/core-js/modules/_array-fill.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-fill.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-        } else if (context.method === "throw") {
-          if (state === GenStateSuspendedStart) {
-            state = GenStateCompleted;
-            throw context.arg;
-          }
+"use strict";
+// 22.1.3.6 Array.prototype.fill(value, start = 0, end = this.length)
 
-          context.dispatchException(context.arg);
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+module.exports = function fill(value /* , start = 0, end = @length */) {
+  var O = toObject(this);
+  var length = toLength(O.length);
+  var aLen = arguments.length;
+  var index = toAbsoluteIndex(aLen > 1 ? arguments[1] : undefined, length);
+  var end = aLen > 2 ? arguments[2] : undefined;
+  var endPos = end === undefined ? length : toAbsoluteIndex(end, length);
+  while (endPos > index) O[index++] = value;
+  return O;
+};
 
-        } else if (context.method === "return") {
-          context.abrupt("return", context.arg);
-        }
 
-        state = GenStateExecuting;
+/***/ },
 
-        var record = tryCatch(innerFn, self, context);
-        if (record.type === "normal") {
-          // If an exception is thrown from innerFn, we leave state ===
-          // GenStateExecuting and loop back for another invocation.
-          state = context.done
-            ? GenStateCompleted
-            : GenStateSuspendedYield;
+/***/ "./node_modules/core-js/modules/_array-from-iterable.js"
+/*!**************************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-from-iterable.js ***!
+  \**************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-          if (record.arg === ContinueSentinel) {
-            continue;
-          }
+var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
 
-          return {
-            value: record.arg,
-            done: context.done
-          };
+module.exports = function (iter, ITERATOR) {
+  var result = [];
+  forOf(iter, false, result.push, result, ITERATOR);
+  return result;
+};
 
-        } else if (record.type === "throw") {
-          state = GenStateCompleted;
-          // Dispatch the exception by looping back around to the
-          // context.dispatchException(context.arg) call above.
-          context.method = "throw";
-          context.arg = record.arg;
-        }
-      }
-    };
-  }
 
-  // Call delegate.iterator[context.method](context.arg) and handle the
-  // result, either by returning a { value, done } result from the
-  // delegate iterator, or by modifying context.method and context.arg,
-  // setting context.delegate to null, and returning the ContinueSentinel.
-  function maybeInvokeDelegate(delegate, context) {
-    var method = delegate.iterator[context.method];
-    if (method === undefined) {
-      // A .throw or .return when the delegate iterator has no .throw
-      // method always terminates the yield* loop.
-      context.delegate = null;
+/***/ },
 
-      if (context.method === "throw") {
-        if (delegate.iterator.return) {
-          // If the delegate iterator has a return method, give it a
-          // chance to clean up.
-          context.method = "return";
-          context.arg = undefined;
-          maybeInvokeDelegate(delegate, context);
+/***/ "./node_modules/core-js/modules/_array-includes.js"
+/*!*********************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-includes.js ***!
+  \*********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-          if (context.method === "throw") {
-            // If maybeInvokeDelegate(context) changed context.method from
-            // "return" to "throw", let that override the TypeError below.
-            return ContinueSentinel;
-          }
-        }
+// false -> Array#indexOf
+// true  -> Array#includes
+var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
+module.exports = function (IS_INCLUDES) {
+  return function ($this, el, fromIndex) {
+    var O = toIObject($this);
+    var length = toLength(O.length);
+    var index = toAbsoluteIndex(fromIndex, length);
+    var value;
+    // Array#includes uses SameValueZero equality algorithm
+    // eslint-disable-next-line no-self-compare
+    if (IS_INCLUDES && el != el) while (length > index) {
+      value = O[index++];
+      // eslint-disable-next-line no-self-compare
+      if (value != value) return true;
+    // Array#indexOf ignores holes, Array#includes - not
+    } else for (;length > index; index++) if (IS_INCLUDES || index in O) {
+      if (O[index] === el) return IS_INCLUDES || index || 0;
+    } return !IS_INCLUDES && -1;
+  };
+};
 
-        context.method = "throw";
-        context.arg = new TypeError(
-          "The iterator does not provide a 'throw' method");
-      }
 
-      return ContinueSentinel;
-    }
+/***/ },
 
-    var record = tryCatch(method, delegate.iterator, context.arg);
+/***/ "./node_modules/core-js/modules/_array-methods.js"
+/*!********************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-methods.js ***!
+  \********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-    if (record.type === "throw") {
-      context.method = "throw";
-      context.arg = record.arg;
-      context.delegate = null;
-      return ContinueSentinel;
+// 0 -> Array#forEach
+// 1 -> Array#map
+// 2 -> Array#filter
+// 3 -> Array#some
+// 4 -> Array#every
+// 5 -> Array#find
+// 6 -> Array#findIndex
+var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
+var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var asc = __webpack_require__(/*! ./_array-species-create */ "./node_modules/core-js/modules/_array-species-create.js");
+module.exports = function (TYPE, $create) {
+  var IS_MAP = TYPE == 1;
+  var IS_FILTER = TYPE == 2;
+  var IS_SOME = TYPE == 3;
+  var IS_EVERY = TYPE == 4;
+  var IS_FIND_INDEX = TYPE == 6;
+  var NO_HOLES = TYPE == 5 || IS_FIND_INDEX;
+  var create = $create || asc;
+  return function ($this, callbackfn, that) {
+    var O = toObject($this);
+    var self = IObject(O);
+    var f = ctx(callbackfn, that, 3);
+    var length = toLength(self.length);
+    var index = 0;
+    var result = IS_MAP ? create($this, length) : IS_FILTER ? create($this, 0) : undefined;
+    var val, res;
+    for (;length > index; index++) if (NO_HOLES || index in self) {
+      val = self[index];
+      res = f(val, index, O);
+      if (TYPE) {
+        if (IS_MAP) result[index] = res;   // map
+        else if (res) switch (TYPE) {
+          case 3: return true;             // some
+          case 5: return val;              // find
+          case 6: return index;            // findIndex
+          case 2: result.push(val);        // filter
+        } else if (IS_EVERY) return false; // every
+      }
     }
+    return IS_FIND_INDEX ? -1 : IS_SOME || IS_EVERY ? IS_EVERY : result;
+  };
+};
 
-    var info = record.arg;
-
-    if (! info) {
-      context.method = "throw";
-      context.arg = new TypeError("iterator result is not an object");
-      context.delegate = null;
-      return ContinueSentinel;
-    }
 
-    if (info.done) {
-      // Assign the result of the finished delegate to the temporary
-      // variable specified by delegate.resultName (see delegateYield).
-      context[delegate.resultName] = info.value;
+/***/ },
 
-      // Resume execution at the desired location (see delegateYield).
-      context.next = delegate.nextLoc;
+/***/ "./node_modules/core-js/modules/_array-reduce.js"
+/*!*******************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-reduce.js ***!
+  \*******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-      // If context.method was "throw" but the delegate handled the
-      // exception, let the outer generator proceed normally. If
-      // context.method was "next", forget context.arg since it has been
-      // "consumed" by the delegate iterator. If context.method was
-      // "return", allow the original .return call to continue in the
-      // outer generator.
-      if (context.method !== "return") {
-        context.method = "next";
-        context.arg = undefined;
-      }
+var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
 
-    } else {
-      // Re-yield the result returned by the delegate method.
-      return info;
+module.exports = function (that, callbackfn, aLen, memo, isRight) {
+  aFunction(callbackfn);
+  var O = toObject(that);
+  var self = IObject(O);
+  var length = toLength(O.length);
+  var index = isRight ? length - 1 : 0;
+  var i = isRight ? -1 : 1;
+  if (aLen < 2) for (;;) {
+    if (index in self) {
+      memo = self[index];
+      index += i;
+      break;
+    }
+    index += i;
+    if (isRight ? index < 0 : length <= index) {
+      throw TypeError('Reduce of empty array with no initial value');
     }
-
-    // The delegate iterator is finished, so forget it and continue with
-    // the outer generator.
-    context.delegate = null;
-    return ContinueSentinel;
   }
+  for (;isRight ? index >= 0 : length > index; index += i) if (index in self) {
+    memo = callbackfn(memo, self[index], index, O);
+  }
+  return memo;
+};
 
-  // Define Generator.prototype.{next,throw,return} in terms of the
-  // unified ._invoke helper method.
-  defineIteratorMethods(Gp);
-
-  Gp[toStringTagSymbol] = "Generator";
 
-  // A Generator should always return itself as the iterator object when the
-  // @@iterator function is called on it. Some browsers' implementations of the
-  // iterator prototype chain incorrectly implement this, causing the Generator
-  // object to not be returned from this call. This ensures that doesn't happen.
-  // See https://github.com/facebook/regenerator/issues/274 for more details.
-  Gp[iteratorSymbol] = function() {
-    return this;
-  };
+/***/ },
 
-  Gp.toString = function() {
-    return "[object Generator]";
-  };
+/***/ "./node_modules/core-js/modules/_array-species-constructor.js"
+/*!********************************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-species-constructor.js ***!
+  \********************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  function pushTryEntry(locs) {
-    var entry = { tryLoc: locs[0] };
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var isArray = __webpack_require__(/*! ./_is-array */ "./node_modules/core-js/modules/_is-array.js");
+var SPECIES = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('species');
 
-    if (1 in locs) {
-      entry.catchLoc = locs[1];
+module.exports = function (original) {
+  var C;
+  if (isArray(original)) {
+    C = original.constructor;
+    // cross-realm fallback
+    if (typeof C == 'function' && (C === Array || isArray(C.prototype))) C = undefined;
+    if (isObject(C)) {
+      C = C[SPECIES];
+      if (C === null) C = undefined;
     }
+  } return C === undefined ? Array : C;
+};
 
-    if (2 in locs) {
-      entry.finallyLoc = locs[2];
-      entry.afterLoc = locs[3];
-    }
 
-    this.tryEntries.push(entry);
-  }
+/***/ },
 
-  function resetTryEntry(entry) {
-    var record = entry.completion || {};
-    record.type = "normal";
-    delete record.arg;
-    entry.completion = record;
-  }
+/***/ "./node_modules/core-js/modules/_array-species-create.js"
+/*!***************************************************************!*\
+  !*** ./node_modules/core-js/modules/_array-species-create.js ***!
+  \***************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  function Context(tryLocsList) {
-    // The root entry object (effectively a try statement without a catch
-    // or a finally block) gives us a place to store values thrown from
-    // locations where there is no enclosing try statement.
-    this.tryEntries = [{ tryLoc: "root" }];
-    tryLocsList.forEach(pushTryEntry, this);
-    this.reset(true);
-  }
+// 9.4.2.3 ArraySpeciesCreate(originalArray, length)
+var speciesConstructor = __webpack_require__(/*! ./_array-species-constructor */ "./node_modules/core-js/modules/_array-species-constructor.js");
 
-  runtime.keys = function(object) {
-    var keys = [];
-    for (var key in object) {
-      keys.push(key);
-    }
-    keys.reverse();
+module.exports = function (original, length) {
+  return new (speciesConstructor(original))(length);
+};
 
-    // Rather than returning an object with a next method, we keep
-    // things simple and return the next function itself.
-    return function next() {
-      while (keys.length) {
-        var key = keys.pop();
-        if (key in object) {
-          next.value = key;
-          next.done = false;
-          return next;
-        }
-      }
 
-      // To avoid creating an additional object, we just hang the .value
-      // and .done properties off the next function object itself. This
-      // also ensures that the minifier will not anonymize the function.
-      next.done = true;
-      return next;
-    };
-  };
+/***/ },
 
-  function values(iterable) {
-    if (iterable) {
-      var iteratorMethod = iterable[iteratorSymbol];
-      if (iteratorMethod) {
-        return iteratorMethod.call(iterable);
-      }
+/***/ "./node_modules/core-js/modules/_bind.js"
+/*!***********************************************!*\
+  !*** ./node_modules/core-js/modules/_bind.js ***!
+  \***********************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-      if (typeof iterable.next === "function") {
-        return iterable;
-      }
+"use strict";
 
-      if (!isNaN(iterable.length)) {
-        var i = -1, next = function next() {
-          while (++i < iterable.length) {
-            if (hasOwn.call(iterable, i)) {
-              next.value = iterable[i];
-              next.done = false;
-              return next;
-            }
-          }
+var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var invoke = __webpack_require__(/*! ./_invoke */ "./node_modules/core-js/modules/_invoke.js");
+var arraySlice = [].slice;
+var factories = {};
 
-          next.value = undefined;
-          next.done = true;
+var construct = function (F, len, args) {
+  if (!(len in factories)) {
+    for (var n = [], i = 0; i < len; i++) n[i] = 'a[' + i + ']';
+    // eslint-disable-next-line no-new-func
+    factories[len] = Function('F,a', 'return new F(' + n.join(',') + ')');
+  } return factories[len](F, args);
+};
 
-          return next;
-        };
+module.exports = Function.bind || function bind(that /* , ...args */) {
+  var fn = aFunction(this);
+  var partArgs = arraySlice.call(arguments, 1);
+  var bound = function (/* args... */) {
+    var args = partArgs.concat(arraySlice.call(arguments));
+    return this instanceof bound ? construct(fn, args.length, args) : invoke(fn, args, that);
+  };
+  if (isObject(fn.prototype)) bound.prototype = fn.prototype;
+  return bound;
+};
 
-        return next.next = next;
-      }
-    }
 
-    // Return an iterator with no values.
-    return { next: doneResult };
-  }
-  runtime.values = values;
+/***/ },
 
-  function doneResult() {
-    return { value: undefined, done: true };
-  }
+/***/ "./node_modules/core-js/modules/_classof.js"
+/*!**************************************************!*\
+  !*** ./node_modules/core-js/modules/_classof.js ***!
+  \**************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  Context.prototype = {
-    constructor: Context,
+// getting tag from 19.1.3.6 Object.prototype.toString()
+var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
+var TAG = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('toStringTag');
+// ES3 wrong here
+var ARG = cof(function () { return arguments; }()) == 'Arguments';
 
-    reset: function(skipTempReset) {
-      this.prev = 0;
-      this.next = 0;
-      // Resetting context._sent for legacy support of Babel's
-      // function.sent implementation.
-      this.sent = this._sent = undefined;
-      this.done = false;
-      this.delegate = null;
+// fallback for IE11 Script Access Denied error
+var tryGet = function (it, key) {
+  try {
+    return it[key];
+  } catch (e) { /* empty */ }
+};
 
-      this.method = "next";
-      this.arg = undefined;
+module.exports = function (it) {
+  var O, T, B;
+  return it === undefined ? 'Undefined' : it === null ? 'Null'
+    // @@toStringTag case
+    : typeof (T = tryGet(O = Object(it), TAG)) == 'string' ? T
+    // builtinTag case
+    : ARG ? cof(O)
+    // ES3 arguments fallback
+    : (B = cof(O)) == 'Object' && typeof O.callee == 'function' ? 'Arguments' : B;
+};
 
-      this.tryEntries.forEach(resetTryEntry);
 
-      if (!skipTempReset) {
-        for (var name in this) {
-          // Not sure about the optimal order of these conditions:
-          if (name.charAt(0) === "t" &&
-              hasOwn.call(this, name) &&
-              !isNaN(+name.slice(1))) {
-            this[name] = undefined;
-          }
-        }
-      }
-    },
+/***/ },
 
-    stop: function() {
-      this.done = true;
+/***/ "./node_modules/core-js/modules/_cof.js"
+/*!**********************************************!*\
+  !*** ./node_modules/core-js/modules/_cof.js ***!
+  \**********************************************/
+(module) {
 
-      var rootEntry = this.tryEntries[0];
-      var rootRecord = rootEntry.completion;
-      if (rootRecord.type === "throw") {
-        throw rootRecord.arg;
-      }
+var toString = {}.toString;
 
-      return this.rval;
-    },
-
-    dispatchException: function(exception) {
-      if (this.done) {
-        throw exception;
-      }
-
-      var context = this;
-      function handle(loc, caught) {
-        record.type = "throw";
-        record.arg = exception;
-        context.next = loc;
-
-        if (caught) {
-          // If the dispatched exception was caught by a catch block,
-          // then let that catch block handle the exception normally.
-          context.method = "next";
-          context.arg = undefined;
-        }
-
-        return !! caught;
-      }
+module.exports = function (it) {
+  return toString.call(it).slice(8, -1);
+};
 
-      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
-        var entry = this.tryEntries[i];
-        var record = entry.completion;
 
-        if (entry.tryLoc === "root") {
-          // Exception thrown outside of any try block that could handle
-          // it, so set the completion value of the entire function to
-          // throw the exception.
-          return handle("end");
-        }
+/***/ },
 
-        if (entry.tryLoc <= this.prev) {
-          var hasCatch = hasOwn.call(entry, "catchLoc");
-          var hasFinally = hasOwn.call(entry, "finallyLoc");
+/***/ "./node_modules/core-js/modules/_collection-strong.js"
+/*!************************************************************!*\
+  !*** ./node_modules/core-js/modules/_collection-strong.js ***!
+  \************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-          if (hasCatch && hasFinally) {
-            if (this.prev < entry.catchLoc) {
-              return handle(entry.catchLoc, true);
-            } else if (this.prev < entry.finallyLoc) {
-              return handle(entry.finallyLoc);
-            }
+"use strict";
 
-          } else if (hasCatch) {
-            if (this.prev < entry.catchLoc) {
-              return handle(entry.catchLoc, true);
-            }
+var dP = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
+var create = __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js");
+var redefineAll = __webpack_require__(/*! ./_redefine-all */ "./node_modules/core-js/modules/_redefine-all.js");
+var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
+var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
+var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
+var $iterDefine = __webpack_require__(/*! ./_iter-define */ "./node_modules/core-js/modules/_iter-define.js");
+var step = __webpack_require__(/*! ./_iter-step */ "./node_modules/core-js/modules/_iter-step.js");
+var setSpecies = __webpack_require__(/*! ./_set-species */ "./node_modules/core-js/modules/_set-species.js");
+var DESCRIPTORS = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js");
+var fastKey = (__webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").fastKey);
+var validate = __webpack_require__(/*! ./_validate-collection */ "./node_modules/core-js/modules/_validate-collection.js");
+var SIZE = DESCRIPTORS ? '_s' : 'size';
 
-          } else if (hasFinally) {
-            if (this.prev < entry.finallyLoc) {
-              return handle(entry.finallyLoc);
-            }
+var getEntry = function (that, key) {
+  // fast case
+  var index = fastKey(key);
+  var entry;
+  if (index !== 'F') return that._i[index];
+  // frozen object case
+  for (entry = that._f; entry; entry = entry.n) {
+    if (entry.k == key) return entry;
+  }
+};
 
-          } else {
-            throw new Error("try statement without catch or finally");
-          }
+module.exports = {
+  getConstructor: function (wrapper, NAME, IS_MAP, ADDER) {
+    var C = wrapper(function (that, iterable) {
+      anInstance(that, C, NAME, '_i');
+      that._t = NAME;         // collection type
+      that._i = create(null); // index
+      that._f = undefined;    // first entry
+      that._l = undefined;    // last entry
+      that[SIZE] = 0;         // size
+      if (iterable != undefined) forOf(iterable, IS_MAP, that[ADDER], that);
+    });
+    redefineAll(C.prototype, {
+      // 23.1.3.1 Map.prototype.clear()
+      // 23.2.3.2 Set.prototype.clear()
+      clear: function clear() {
+        for (var that = validate(this, NAME), data = that._i, entry = that._f; entry; entry = entry.n) {
+          entry.r = true;
+          if (entry.p) entry.p = entry.p.n = undefined;
+          delete data[entry.i];
         }
-      }
-    },
-
-    abrupt: function(type, arg) {
-      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
-        var entry = this.tryEntries[i];
-        if (entry.tryLoc <= this.prev &&
-            hasOwn.call(entry, "finallyLoc") &&
-            this.prev < entry.finallyLoc) {
-          var finallyEntry = entry;
-          break;
+        that._f = that._l = undefined;
+        that[SIZE] = 0;
+      },
+      // 23.1.3.3 Map.prototype.delete(key)
+      // 23.2.3.4 Set.prototype.delete(value)
+      'delete': function (key) {
+        var that = validate(this, NAME);
+        var entry = getEntry(that, key);
+        if (entry) {
+          var next = entry.n;
+          var prev = entry.p;
+          delete that._i[entry.i];
+          entry.r = true;
+          if (prev) prev.n = next;
+          if (next) next.p = prev;
+          if (that._f == entry) that._f = next;
+          if (that._l == entry) that._l = prev;
+          that[SIZE]--;
+        } return !!entry;
+      },
+      // 23.2.3.6 Set.prototype.forEach(callbackfn, thisArg = undefined)
+      // 23.1.3.5 Map.prototype.forEach(callbackfn, thisArg = undefined)
+      forEach: function forEach(callbackfn /* , that = undefined */) {
+        validate(this, NAME);
+        var f = ctx(callbackfn, arguments.length > 1 ? arguments[1] : undefined, 3);
+        var entry;
+        while (entry = entry ? entry.n : this._f) {
+          f(entry.v, entry.k, this);
+          // revert to the last existing entry
+          while (entry && entry.r) entry = entry.p;
         }
+      },
+      // 23.1.3.7 Map.prototype.has(key)
+      // 23.2.3.7 Set.prototype.has(value)
+      has: function has(key) {
+        return !!getEntry(validate(this, NAME), key);
       }
-
-      if (finallyEntry &&
-          (type === "break" ||
-           type === "continue") &&
-          finallyEntry.tryLoc <= arg &&
-          arg <= finallyEntry.finallyLoc) {
-        // Ignore the finally entry if control is not jumping to a
-        // location outside the try/catch block.
-        finallyEntry = null;
+    });
+    if (DESCRIPTORS) dP(C.prototype, 'size', {
+      get: function () {
+        return validate(this, NAME)[SIZE];
+      }
+    });
+    return C;
+  },
+  def: function (that, key, value) {
+    var entry = getEntry(that, key);
+    var prev, index;
+    // change existing entry
+    if (entry) {
+      entry.v = value;
+    // create new entry
+    } else {
+      that._l = entry = {
+        i: index = fastKey(key, true), // <- index
+        k: key,                        // <- key
+        v: value,                      // <- value
+        p: prev = that._l,             // <- previous entry
+        n: undefined,                  // <- next entry
+        r: false                       // <- removed
+      };
+      if (!that._f) that._f = entry;
+      if (prev) prev.n = entry;
+      that[SIZE]++;
+      // add to index
+      if (index !== 'F') that._i[index] = entry;
+    } return that;
+  },
+  getEntry: getEntry,
+  setStrong: function (C, NAME, IS_MAP) {
+    // add .keys, .values, .entries, [@@iterator]
+    // 23.1.3.4, 23.1.3.8, 23.1.3.11, 23.1.3.12, 23.2.3.5, 23.2.3.8, 23.2.3.10, 23.2.3.11
+    $iterDefine(C, NAME, function (iterated, kind) {
+      this._t = validate(iterated, NAME); // target
+      this._k = kind;                     // kind
+      this._l = undefined;                // previous
+    }, function () {
+      var that = this;
+      var kind = that._k;
+      var entry = that._l;
+      // revert to the last existing entry
+      while (entry && entry.r) entry = entry.p;
+      // get next entry
+      if (!that._t || !(that._l = entry = entry ? entry.n : that._t._f)) {
+        // or finish the iteration
+        that._t = undefined;
+        return step(1);
       }
+      // return step by kind
+      if (kind == 'keys') return step(0, entry.k);
+      if (kind == 'values') return step(0, entry.v);
+      return step(0, [entry.k, entry.v]);
+    }, IS_MAP ? 'entries' : 'values', !IS_MAP, true);
 
-      var record = finallyEntry ? finallyEntry.completion : {};
-      record.type = type;
-      record.arg = arg;
+    // add [@@species], 23.1.2.2, 23.2.2.2
+    setSpecies(NAME);
+  }
+};
 
-      if (finallyEntry) {
-        this.method = "next";
-        this.next = finallyEntry.finallyLoc;
-        return ContinueSentinel;
-      }
 
-      return this.complete(record);
-    },
+/***/ },
 
-    complete: function(record, afterLoc) {
-      if (record.type === "throw") {
-        throw record.arg;
-      }
+/***/ "./node_modules/core-js/modules/_collection-to-json.js"
+/*!*************************************************************!*\
+  !*** ./node_modules/core-js/modules/_collection-to-json.js ***!
+  \*************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-      if (record.type === "break" ||
-          record.type === "continue") {
-        this.next = record.arg;
-      } else if (record.type === "return") {
-        this.rval = this.arg = record.arg;
-        this.method = "return";
-        this.next = "end";
-      } else if (record.type === "normal" && afterLoc) {
-        this.next = afterLoc;
-      }
+// https://github.com/DavidBruant/Map-Set.prototype.toJSON
+var classof = __webpack_require__(/*! ./_classof */ "./node_modules/core-js/modules/_classof.js");
+var from = __webpack_require__(/*! ./_array-from-iterable */ "./node_modules/core-js/modules/_array-from-iterable.js");
+module.exports = function (NAME) {
+  return function toJSON() {
+    if (classof(this) != NAME) throw TypeError(NAME + "#toJSON isn't generic");
+    return from(this);
+  };
+};
 
-      return ContinueSentinel;
-    },
 
-    finish: function(finallyLoc) {
-      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
-        var entry = this.tryEntries[i];
-        if (entry.finallyLoc === finallyLoc) {
-          this.complete(entry.completion, entry.afterLoc);
-          resetTryEntry(entry);
-          return ContinueSentinel;
-        }
-      }
-    },
+/***/ },
 
-    "catch": function(tryLoc) {
-      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
-        var entry = this.tryEntries[i];
-        if (entry.tryLoc === tryLoc) {
-          var record = entry.completion;
-          if (record.type === "throw") {
-            var thrown = record.arg;
-            resetTryEntry(entry);
-          }
-          return thrown;
-        }
-      }
+/***/ "./node_modules/core-js/modules/_collection-weak.js"
+/*!**********************************************************!*\
+  !*** ./node_modules/core-js/modules/_collection-weak.js ***!
+  \**********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-      // The context.catch method must only be called with a location
-      // argument that corresponds to a known catch block.
-      throw new Error("illegal catch attempt");
-    },
+"use strict";
 
-    delegateYield: function(iterable, resultName, nextLoc) {
-      this.delegate = {
-        iterator: values(iterable),
-        resultName: resultName,
-        nextLoc: nextLoc
-      };
+var redefineAll = __webpack_require__(/*! ./_redefine-all */ "./node_modules/core-js/modules/_redefine-all.js");
+var getWeak = (__webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").getWeak);
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
+var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
+var createArrayMethod = __webpack_require__(/*! ./_array-methods */ "./node_modules/core-js/modules/_array-methods.js");
+var $has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
+var validate = __webpack_require__(/*! ./_validate-collection */ "./node_modules/core-js/modules/_validate-collection.js");
+var arrayFind = createArrayMethod(5);
+var arrayFindIndex = createArrayMethod(6);
+var id = 0;
 
-      if (this.method === "next") {
-        // Deliberately forget the last sent value so that we don't
-        // accidentally pass it on to the delegate.
-        this.arg = undefined;
+// fallback for uncaught frozen keys
+var uncaughtFrozenStore = function (that) {
+  return that._l || (that._l = new UncaughtFrozenStore());
+};
+var UncaughtFrozenStore = function () {
+  this.a = [];
+};
+var findUncaughtFrozen = function (store, key) {
+  return arrayFind(store.a, function (it) {
+    return it[0] === key;
+  });
+};
+UncaughtFrozenStore.prototype = {
+  get: function (key) {
+    var entry = findUncaughtFrozen(this, key);
+    if (entry) return entry[1];
+  },
+  has: function (key) {
+    return !!findUncaughtFrozen(this, key);
+  },
+  set: function (key, value) {
+    var entry = findUncaughtFrozen(this, key);
+    if (entry) entry[1] = value;
+    else this.a.push([key, value]);
+  },
+  'delete': function (key) {
+    var index = arrayFindIndex(this.a, function (it) {
+      return it[0] === key;
+    });
+    if (~index) this.a.splice(index, 1);
+    return !!~index;
+  }
+};
+
+module.exports = {
+  getConstructor: function (wrapper, NAME, IS_MAP, ADDER) {
+    var C = wrapper(function (that, iterable) {
+      anInstance(that, C, NAME, '_i');
+      that._t = NAME;      // collection type
+      that._i = id++;      // collection id
+      that._l = undefined; // leak store for uncaught frozen objects
+      if (iterable != undefined) forOf(iterable, IS_MAP, that[ADDER], that);
+    });
+    redefineAll(C.prototype, {
+      // 23.3.3.2 WeakMap.prototype.delete(key)
+      // 23.4.3.3 WeakSet.prototype.delete(value)
+      'delete': function (key) {
+        if (!isObject(key)) return false;
+        var data = getWeak(key);
+        if (data === true) return uncaughtFrozenStore(validate(this, NAME))['delete'](key);
+        return data && $has(data, this._i) && delete data[this._i];
+      },
+      // 23.3.3.4 WeakMap.prototype.has(key)
+      // 23.4.3.4 WeakSet.prototype.has(value)
+      has: function has(key) {
+        if (!isObject(key)) return false;
+        var data = getWeak(key);
+        if (data === true) return uncaughtFrozenStore(validate(this, NAME)).has(key);
+        return data && $has(data, this._i);
       }
+    });
+    return C;
+  },
+  def: function (that, key, value) {
+    var data = getWeak(anObject(key), true);
+    if (data === true) uncaughtFrozenStore(that).set(key, value);
+    else data[that._i] = value;
+    return that;
+  },
+  ufstore: uncaughtFrozenStore
+};
 
-      return ContinueSentinel;
-    }
-  };
-})(
-  // Among the various tricks for obtaining a reference to the global
-  // object, this seems to be the most reliable technique that does not
-  // use indirect eval (which violates Content Security Policy).
-  typeof global === "object" ? global :
-  typeof window === "object" ? window :
-  typeof self === "object" ? self : this
-);
 
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_collection.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_collection.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ }),
+"use strict";
 
-/***/ "./node_modules/core-js/fn/regexp/escape.js":
-/*!**************************************************!*\
-  !*** ./node_modules/core-js/fn/regexp/escape.js ***!
-  \**************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
+var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
+var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
+var redefineAll = __webpack_require__(/*! ./_redefine-all */ "./node_modules/core-js/modules/_redefine-all.js");
+var meta = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js");
+var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
+var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
+var $iterDetect = __webpack_require__(/*! ./_iter-detect */ "./node_modules/core-js/modules/_iter-detect.js");
+var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
+var inheritIfRequired = __webpack_require__(/*! ./_inherit-if-required */ "./node_modules/core-js/modules/_inherit-if-required.js");
 
-__webpack_require__(/*! ../../modules/core.regexp.escape */ "./node_modules/core-js/modules/core.regexp.escape.js");
-module.exports = __webpack_require__(/*! ../../modules/_core */ "./node_modules/core-js/modules/_core.js").RegExp.escape;
+module.exports = function (NAME, wrapper, methods, common, IS_MAP, IS_WEAK) {
+  var Base = global[NAME];
+  var C = Base;
+  var ADDER = IS_MAP ? 'set' : 'add';
+  var proto = C && C.prototype;
+  var O = {};
+  var fixMethod = function (KEY) {
+    var fn = proto[KEY];
+    redefine(proto, KEY,
+      KEY == 'delete' ? function (a) {
+        return IS_WEAK && !isObject(a) ? false : fn.call(this, a === 0 ? 0 : a);
+      } : KEY == 'has' ? function has(a) {
+        return IS_WEAK && !isObject(a) ? false : fn.call(this, a === 0 ? 0 : a);
+      } : KEY == 'get' ? function get(a) {
+        return IS_WEAK && !isObject(a) ? undefined : fn.call(this, a === 0 ? 0 : a);
+      } : KEY == 'add' ? function add(a) { fn.call(this, a === 0 ? 0 : a); return this; }
+        : function set(a, b) { fn.call(this, a === 0 ? 0 : a, b); return this; }
+    );
+  };
+  if (typeof C != 'function' || !(IS_WEAK || proto.forEach && !fails(function () {
+    new C().entries().next();
+  }))) {
+    // create collection constructor
+    C = common.getConstructor(wrapper, NAME, IS_MAP, ADDER);
+    redefineAll(C.prototype, methods);
+    meta.NEED = true;
+  } else {
+    var instance = new C();
+    // early implementations not supports chaining
+    var HASNT_CHAINING = instance[ADDER](IS_WEAK ? {} : -0, 1) != instance;
+    // V8 ~  Chromium 40- weak-collections throws on primitives, but should return false
+    var THROWS_ON_PRIMITIVES = fails(function () { instance.has(1); });
+    // most early implementations doesn't supports iterables, most modern - not close it correctly
+    var ACCEPT_ITERABLES = $iterDetect(function (iter) { new C(iter); }); // eslint-disable-line no-new
+    // for early implementations -0 and +0 not the same
+    var BUGGY_ZERO = !IS_WEAK && fails(function () {
+      // V8 ~ Chromium 42- fails only with 5+ elements
+      var $instance = new C();
+      var index = 5;
+      while (index--) $instance[ADDER](index, index);
+      return !$instance.has(-0);
+    });
+    if (!ACCEPT_ITERABLES) {
+      C = wrapper(function (target, iterable) {
+        anInstance(target, C, NAME);
+        var that = inheritIfRequired(new Base(), target, C);
+        if (iterable != undefined) forOf(iterable, IS_MAP, that[ADDER], that);
+        return that;
+      });
+      C.prototype = proto;
+      proto.constructor = C;
+    }
+    if (THROWS_ON_PRIMITIVES || BUGGY_ZERO) {
+      fixMethod('delete');
+      fixMethod('has');
+      IS_MAP && fixMethod('get');
+    }
+    if (BUGGY_ZERO || HASNT_CHAINING) fixMethod(ADDER);
+    // weak collections should not contains .clear method
+    if (IS_WEAK && proto.clear) delete proto.clear;
+  }
 
+  setToStringTag(C, NAME);
 
-/***/ }),
+  O[NAME] = C;
+  $export($export.G + $export.W + $export.F * (C != Base), O);
 
-/***/ "./node_modules/core-js/modules/_a-function.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_a-function.js ***!
-  \*****************************************************/
-/***/ ((module) => {
+  if (!IS_WEAK) common.setStrong(C, NAME, IS_MAP);
 
-module.exports = function (it) {
-  if (typeof it != 'function') throw TypeError(it + ' is not a function!');
-  return it;
+  return C;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_a-number-value.js":
-/*!*********************************************************!*\
-  !*** ./node_modules/core-js/modules/_a-number-value.js ***!
-  \*********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_core.js"
+/*!***********************************************!*\
+  !*** ./node_modules/core-js/modules/_core.js ***!
+  \***********************************************/
+(module) {
 
-var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
-module.exports = function (it, msg) {
-  if (typeof it != 'number' && cof(it) != 'Number') throw TypeError(msg);
-  return +it;
-};
+var core = module.exports = { version: '2.6.12' };
+if (typeof __e == 'number') __e = core; // eslint-disable-line no-undef
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_add-to-unscopables.js":
-/*!*************************************************************!*\
-  !*** ./node_modules/core-js/modules/_add-to-unscopables.js ***!
-  \*************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_create-property.js"
+/*!**********************************************************!*\
+  !*** ./node_modules/core-js/modules/_create-property.js ***!
+  \**********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// 22.1.3.31 Array.prototype[@@unscopables]
-var UNSCOPABLES = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('unscopables');
-var ArrayProto = Array.prototype;
-if (ArrayProto[UNSCOPABLES] == undefined) __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js")(ArrayProto, UNSCOPABLES, {});
-module.exports = function (key) {
-  ArrayProto[UNSCOPABLES][key] = true;
-};
+"use strict";
 
+var $defineProperty = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
+var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
 
-/***/ }),
+module.exports = function (object, index, value) {
+  if (index in object) $defineProperty.f(object, index, createDesc(0, value));
+  else object[index] = value;
+};
 
-/***/ "./node_modules/core-js/modules/_an-instance.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_an-instance.js ***!
-  \******************************************************/
-/***/ ((module) => {
 
-module.exports = function (it, Constructor, name, forbiddenField) {
-  if (!(it instanceof Constructor) || (forbiddenField !== undefined && forbiddenField in it)) {
-    throw TypeError(name + ': incorrect invocation!');
-  } return it;
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_ctx.js"
+/*!**********************************************!*\
+  !*** ./node_modules/core-js/modules/_ctx.js ***!
+  \**********************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
+
+// optional / simple context binding
+var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
+module.exports = function (fn, that, length) {
+  aFunction(fn);
+  if (that === undefined) return fn;
+  switch (length) {
+    case 1: return function (a) {
+      return fn.call(that, a);
+    };
+    case 2: return function (a, b) {
+      return fn.call(that, a, b);
+    };
+    case 3: return function (a, b, c) {
+      return fn.call(that, a, b, c);
+    };
+  }
+  return function (/* ...args */) {
+    return fn.apply(that, arguments);
+  };
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_an-object.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_an-object.js ***!
-  \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_date-to-iso-string.js"
+/*!*************************************************************!*\
+  !*** ./node_modules/core-js/modules/_date-to-iso-string.js ***!
+  \*************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-module.exports = function (it) {
-  if (!isObject(it)) throw TypeError(it + ' is not an object!');
-  return it;
+"use strict";
+
+// 20.3.4.36 / 15.9.5.43 Date.prototype.toISOString()
+var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
+var getTime = Date.prototype.getTime;
+var $toISOString = Date.prototype.toISOString;
+
+var lz = function (num) {
+  return num > 9 ? num : '0' + num;
 };
 
+// PhantomJS / old WebKit has a broken implementations
+module.exports = (fails(function () {
+  return $toISOString.call(new Date(-5e13 - 1)) != '0385-07-25T07:06:39.999Z';
+}) || !fails(function () {
+  $toISOString.call(new Date(NaN));
+})) ? function toISOString() {
+  if (!isFinite(getTime.call(this))) throw RangeError('Invalid time value');
+  var d = this;
+  var y = d.getUTCFullYear();
+  var m = d.getUTCMilliseconds();
+  var s = y < 0 ? '-' : y > 9999 ? '+' : '';
+  return s + ('00000' + Math.abs(y)).slice(s ? -6 : -4) +
+    '-' + lz(d.getUTCMonth() + 1) + '-' + lz(d.getUTCDate()) +
+    'T' + lz(d.getUTCHours()) + ':' + lz(d.getUTCMinutes()) +
+    ':' + lz(d.getUTCSeconds()) + '.' + (m > 99 ? m : '0' + lz(m)) + 'Z';
+} : $toISOString;
+
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_array-copy-within.js":
+/***/ "./node_modules/core-js/modules/_date-to-primitive.js"
 /*!************************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-copy-within.js ***!
+  !*** ./node_modules/core-js/modules/_date-to-primitive.js ***!
   \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
-// 22.1.3.3 Array.prototype.copyWithin(target, start, end = this.length)
 
-var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
-var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
+var NUMBER = 'number';
 
-module.exports = [].copyWithin || function copyWithin(target /* = 0 */, start /* = 0, end = @length */) {
-  var O = toObject(this);
-  var len = toLength(O.length);
-  var to = toAbsoluteIndex(target, len);
-  var from = toAbsoluteIndex(start, len);
-  var end = arguments.length > 2 ? arguments[2] : undefined;
-  var count = Math.min((end === undefined ? len : toAbsoluteIndex(end, len)) - from, len - to);
-  var inc = 1;
-  if (from < to && to < from + count) {
-    inc = -1;
-    from += count - 1;
-    to += count - 1;
-  }
-  while (count-- > 0) {
-    if (from in O) O[to] = O[from];
-    else delete O[to];
-    to += inc;
-    from += inc;
-  } return O;
+module.exports = function (hint) {
+  if (hint !== 'string' && hint !== NUMBER && hint !== 'default') throw TypeError('Incorrect hint');
+  return toPrimitive(anObject(this), hint != NUMBER);
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_array-fill.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-fill.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-"use strict";
-// 22.1.3.6 Array.prototype.fill(value, start = 0, end = this.length)
+/***/ "./node_modules/core-js/modules/_defined.js"
+/*!**************************************************!*\
+  !*** ./node_modules/core-js/modules/_defined.js ***!
+  \**************************************************/
+(module) {
 
-var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
-var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
-module.exports = function fill(value /* , start = 0, end = @length */) {
-  var O = toObject(this);
-  var length = toLength(O.length);
-  var aLen = arguments.length;
-  var index = toAbsoluteIndex(aLen > 1 ? arguments[1] : undefined, length);
-  var end = aLen > 2 ? arguments[2] : undefined;
-  var endPos = end === undefined ? length : toAbsoluteIndex(end, length);
-  while (endPos > index) O[index++] = value;
-  return O;
+// 7.2.1 RequireObjectCoercible(argument)
+module.exports = function (it) {
+  if (it == undefined) throw TypeError("Can't call method on  " + it);
+  return it;
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_array-from-iterable.js":
-/*!**************************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-from-iterable.js ***!
-  \**************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
+/***/ "./node_modules/core-js/modules/_descriptors.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_descriptors.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-module.exports = function (iter, ITERATOR) {
-  var result = [];
-  forOf(iter, false, result.push, result, ITERATOR);
-  return result;
-};
+// Thank's IE8 for his funny defineProperty
+module.exports = !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
+  return Object.defineProperty({}, 'a', { get: function () { return 7; } }).a != 7;
+});
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_array-includes.js":
-/*!*********************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-includes.js ***!
-  \*********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_dom-create.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_dom-create.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// false -> Array#indexOf
-// true  -> Array#includes
-var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
-var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
-module.exports = function (IS_INCLUDES) {
-  return function ($this, el, fromIndex) {
-    var O = toIObject($this);
-    var length = toLength(O.length);
-    var index = toAbsoluteIndex(fromIndex, length);
-    var value;
-    // Array#includes uses SameValueZero equality algorithm
-    // eslint-disable-next-line no-self-compare
-    if (IS_INCLUDES && el != el) while (length > index) {
-      value = O[index++];
-      // eslint-disable-next-line no-self-compare
-      if (value != value) return true;
-    // Array#indexOf ignores holes, Array#includes - not
-    } else for (;length > index; index++) if (IS_INCLUDES || index in O) {
-      if (O[index] === el) return IS_INCLUDES || index || 0;
-    } return !IS_INCLUDES && -1;
-  };
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var document = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").document);
+// typeof document.createElement is 'object' in old IE
+var is = isObject(document) && isObject(document.createElement);
+module.exports = function (it) {
+  return is ? document.createElement(it) : {};
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_array-methods.js":
+/***/ "./node_modules/core-js/modules/_enum-bug-keys.js"
 /*!********************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-methods.js ***!
+  !*** ./node_modules/core-js/modules/_enum-bug-keys.js ***!
   \********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module) {
 
-// 0 -> Array#forEach
-// 1 -> Array#map
-// 2 -> Array#filter
-// 3 -> Array#some
-// 4 -> Array#every
-// 5 -> Array#find
-// 6 -> Array#findIndex
-var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
-var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
-var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
-var asc = __webpack_require__(/*! ./_array-species-create */ "./node_modules/core-js/modules/_array-species-create.js");
-module.exports = function (TYPE, $create) {
-  var IS_MAP = TYPE == 1;
-  var IS_FILTER = TYPE == 2;
-  var IS_SOME = TYPE == 3;
-  var IS_EVERY = TYPE == 4;
-  var IS_FIND_INDEX = TYPE == 6;
-  var NO_HOLES = TYPE == 5 || IS_FIND_INDEX;
-  var create = $create || asc;
-  return function ($this, callbackfn, that) {
-    var O = toObject($this);
-    var self = IObject(O);
-    var f = ctx(callbackfn, that, 3);
-    var length = toLength(self.length);
-    var index = 0;
-    var result = IS_MAP ? create($this, length) : IS_FILTER ? create($this, 0) : undefined;
-    var val, res;
-    for (;length > index; index++) if (NO_HOLES || index in self) {
-      val = self[index];
-      res = f(val, index, O);
-      if (TYPE) {
-        if (IS_MAP) result[index] = res;   // map
-        else if (res) switch (TYPE) {
-          case 3: return true;             // some
-          case 5: return val;              // find
-          case 6: return index;            // findIndex
-          case 2: result.push(val);        // filter
-        } else if (IS_EVERY) return false; // every
-      }
-    }
-    return IS_FIND_INDEX ? -1 : IS_SOME || IS_EVERY ? IS_EVERY : result;
-  };
+// IE 8- don't enum bug keys
+module.exports = (
+  'constructor,hasOwnProperty,isPrototypeOf,propertyIsEnumerable,toLocaleString,toString,valueOf'
+).split(',');
+
+
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_enum-keys.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_enum-keys.js ***!
+  \****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
+
+// all enumerable object keys, includes symbols
+var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
+var gOPS = __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js");
+var pIE = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js");
+module.exports = function (it) {
+  var result = getKeys(it);
+  var getSymbols = gOPS.f;
+  if (getSymbols) {
+    var symbols = getSymbols(it);
+    var isEnum = pIE.f;
+    var i = 0;
+    var key;
+    while (symbols.length > i) if (isEnum.call(it, key = symbols[i++])) result.push(key);
+  } return result;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_array-reduce.js":
-/*!*******************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-reduce.js ***!
-  \*******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_export.js"
+/*!*************************************************!*\
+  !*** ./node_modules/core-js/modules/_export.js ***!
+  \*************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
-var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
-var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
+var core = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js");
+var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
+var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
+var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
+var PROTOTYPE = 'prototype';
 
-module.exports = function (that, callbackfn, aLen, memo, isRight) {
-  aFunction(callbackfn);
-  var O = toObject(that);
-  var self = IObject(O);
-  var length = toLength(O.length);
-  var index = isRight ? length - 1 : 0;
-  var i = isRight ? -1 : 1;
-  if (aLen < 2) for (;;) {
-    if (index in self) {
-      memo = self[index];
-      index += i;
-      break;
-    }
-    index += i;
-    if (isRight ? index < 0 : length <= index) {
-      throw TypeError('Reduce of empty array with no initial value');
-    }
-  }
-  for (;isRight ? index >= 0 : length > index; index += i) if (index in self) {
-    memo = callbackfn(memo, self[index], index, O);
+var $export = function (type, name, source) {
+  var IS_FORCED = type & $export.F;
+  var IS_GLOBAL = type & $export.G;
+  var IS_STATIC = type & $export.S;
+  var IS_PROTO = type & $export.P;
+  var IS_BIND = type & $export.B;
+  var target = IS_GLOBAL ? global : IS_STATIC ? global[name] || (global[name] = {}) : (global[name] || {})[PROTOTYPE];
+  var exports = IS_GLOBAL ? core : core[name] || (core[name] = {});
+  var expProto = exports[PROTOTYPE] || (exports[PROTOTYPE] = {});
+  var key, own, out, exp;
+  if (IS_GLOBAL) source = name;
+  for (key in source) {
+    // contains in native
+    own = !IS_FORCED && target && target[key] !== undefined;
+    // export native or passed
+    out = (own ? target : source)[key];
+    // bind timers to global for call from export context
+    exp = IS_BIND && own ? ctx(out, global) : IS_PROTO && typeof out == 'function' ? ctx(Function.call, out) : out;
+    // extend global
+    if (target) redefine(target, key, out, type & $export.U);
+    // export
+    if (exports[key] != out) hide(exports, key, exp);
+    if (IS_PROTO && expProto[key] != out) expProto[key] = out;
   }
-  return memo;
 };
+global.core = core;
+// type bitmap
+$export.F = 1;   // forced
+$export.G = 2;   // global
+$export.S = 4;   // static
+$export.P = 8;   // proto
+$export.B = 16;  // bind
+$export.W = 32;  // wrap
+$export.U = 64;  // safe
+$export.R = 128; // real proto method for `library`
+module.exports = $export;
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_array-species-constructor.js":
-/*!********************************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-species-constructor.js ***!
-  \********************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var isArray = __webpack_require__(/*! ./_is-array */ "./node_modules/core-js/modules/_is-array.js");
-var SPECIES = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('species');
+/***/ "./node_modules/core-js/modules/_fails-is-regexp.js"
+/*!**********************************************************!*\
+  !*** ./node_modules/core-js/modules/_fails-is-regexp.js ***!
+  \**********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-module.exports = function (original) {
-  var C;
-  if (isArray(original)) {
-    C = original.constructor;
-    // cross-realm fallback
-    if (typeof C == 'function' && (C === Array || isArray(C.prototype))) C = undefined;
-    if (isObject(C)) {
-      C = C[SPECIES];
-      if (C === null) C = undefined;
-    }
-  } return C === undefined ? Array : C;
+var MATCH = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('match');
+module.exports = function (KEY) {
+  var re = /./;
+  try {
+    '/./'[KEY](re);
+  } catch (e) {
+    try {
+      re[MATCH] = false;
+      return !'/./'[KEY](re);
+    } catch (f) { /* empty */ }
+  } return true;
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_array-species-create.js":
-/*!***************************************************************!*\
-  !*** ./node_modules/core-js/modules/_array-species-create.js ***!
-  \***************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-// 9.4.2.3 ArraySpeciesCreate(originalArray, length)
-var speciesConstructor = __webpack_require__(/*! ./_array-species-constructor */ "./node_modules/core-js/modules/_array-species-constructor.js");
+/***/ "./node_modules/core-js/modules/_fails.js"
+/*!************************************************!*\
+  !*** ./node_modules/core-js/modules/_fails.js ***!
+  \************************************************/
+(module) {
 
-module.exports = function (original, length) {
-  return new (speciesConstructor(original))(length);
+module.exports = function (exec) {
+  try {
+    return !!exec();
+  } catch (e) {
+    return true;
+  }
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_bind.js":
-/*!***********************************************!*\
-  !*** ./node_modules/core-js/modules/_bind.js ***!
-  \***********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_fix-re-wks.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_fix-re-wks.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
-var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var invoke = __webpack_require__(/*! ./_invoke */ "./node_modules/core-js/modules/_invoke.js");
-var arraySlice = [].slice;
-var factories = {};
+__webpack_require__(/*! ./es6.regexp.exec */ "./node_modules/core-js/modules/es6.regexp.exec.js");
+var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
+var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
+var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
+var defined = __webpack_require__(/*! ./_defined */ "./node_modules/core-js/modules/_defined.js");
+var wks = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js");
+var regexpExec = __webpack_require__(/*! ./_regexp-exec */ "./node_modules/core-js/modules/_regexp-exec.js");
 
-var construct = function (F, len, args) {
-  if (!(len in factories)) {
-    for (var n = [], i = 0; i < len; i++) n[i] = 'a[' + i + ']';
-    // eslint-disable-next-line no-new-func
-    factories[len] = Function('F,a', 'return new F(' + n.join(',') + ')');
-  } return factories[len](F, args);
-};
+var SPECIES = wks('species');
 
-module.exports = Function.bind || function bind(that /* , ...args */) {
-  var fn = aFunction(this);
-  var partArgs = arraySlice.call(arguments, 1);
-  var bound = function (/* args... */) {
-    var args = partArgs.concat(arraySlice.call(arguments));
-    return this instanceof bound ? construct(fn, args.length, args) : invoke(fn, args, that);
+var REPLACE_SUPPORTS_NAMED_GROUPS = !fails(function () {
+  // #replace needs built-in support for named groups.
+  // #match works fine because it just return the exec results, even if it has
+  // a "grops" property.
+  var re = /./;
+  re.exec = function () {
+    var result = [];
+    result.groups = { a: '7' };
+    return result;
   };
-  if (isObject(fn.prototype)) bound.prototype = fn.prototype;
-  return bound;
-};
+  return ''.replace(re, '$<a>') !== '7';
+});
 
+var SPLIT_WORKS_WITH_OVERWRITTEN_EXEC = (function () {
+  // Chrome 51 has a buggy "split" implementation when RegExp#exec !== nativeExec
+  var re = /(?:)/;
+  var originalExec = re.exec;
+  re.exec = function () { return originalExec.apply(this, arguments); };
+  var result = 'ab'.split(re);
+  return result.length === 2 && result[0] === 'a' && result[1] === 'b';
+})();
 
-/***/ }),
+module.exports = function (KEY, length, exec) {
+  var SYMBOL = wks(KEY);
 
-/***/ "./node_modules/core-js/modules/_classof.js":
-/*!**************************************************!*\
-  !*** ./node_modules/core-js/modules/_classof.js ***!
-  \**************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+  var DELEGATES_TO_SYMBOL = !fails(function () {
+    // String methods call symbol-named RegEp methods
+    var O = {};
+    O[SYMBOL] = function () { return 7; };
+    return ''[KEY](O) != 7;
+  });
 
-// getting tag from 19.1.3.6 Object.prototype.toString()
-var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
-var TAG = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('toStringTag');
-// ES3 wrong here
-var ARG = cof(function () { return arguments; }()) == 'Arguments';
+  var DELEGATES_TO_EXEC = DELEGATES_TO_SYMBOL ? !fails(function () {
+    // Symbol-named RegExp methods call .exec
+    var execCalled = false;
+    var re = /a/;
+    re.exec = function () { execCalled = true; return null; };
+    if (KEY === 'split') {
+      // RegExp[@@split] doesn't call the regex's exec method, but first creates
+      // a new one. We need to return the patched regex when creating the new one.
+      re.constructor = {};
+      re.constructor[SPECIES] = function () { return re; };
+    }
+    re[SYMBOL]('');
+    return !execCalled;
+  }) : undefined;
 
-// fallback for IE11 Script Access Denied error
-var tryGet = function (it, key) {
-  try {
-    return it[key];
-  } catch (e) { /* empty */ }
-};
+  if (
+    !DELEGATES_TO_SYMBOL ||
+    !DELEGATES_TO_EXEC ||
+    (KEY === 'replace' && !REPLACE_SUPPORTS_NAMED_GROUPS) ||
+    (KEY === 'split' && !SPLIT_WORKS_WITH_OVERWRITTEN_EXEC)
+  ) {
+    var nativeRegExpMethod = /./[SYMBOL];
+    var fns = exec(
+      defined,
+      SYMBOL,
+      ''[KEY],
+      function maybeCallNative(nativeMethod, regexp, str, arg2, forceStringMethod) {
+        if (regexp.exec === regexpExec) {
+          if (DELEGATES_TO_SYMBOL && !forceStringMethod) {
+            // The native String method already delegates to @@method (this
+            // polyfilled function), leasing to infinite recursion.
+            // We avoid it by directly calling the native @@method method.
+            return { done: true, value: nativeRegExpMethod.call(regexp, str, arg2) };
+          }
+          return { done: true, value: nativeMethod.call(str, regexp, arg2) };
+        }
+        return { done: false };
+      }
+    );
+    var strfn = fns[0];
+    var rxfn = fns[1];
 
-module.exports = function (it) {
-  var O, T, B;
-  return it === undefined ? 'Undefined' : it === null ? 'Null'
-    // @@toStringTag case
-    : typeof (T = tryGet(O = Object(it), TAG)) == 'string' ? T
-    // builtinTag case
-    : ARG ? cof(O)
-    // ES3 arguments fallback
-    : (B = cof(O)) == 'Object' && typeof O.callee == 'function' ? 'Arguments' : B;
+    redefine(String.prototype, KEY, strfn);
+    hide(RegExp.prototype, SYMBOL, length == 2
+      // 21.2.5.8 RegExp.prototype[@@replace](string, replaceValue)
+      // 21.2.5.11 RegExp.prototype[@@split](string, limit)
+      ? function (string, arg) { return rxfn.call(string, this, arg); }
+      // 21.2.5.6 RegExp.prototype[@@match](string)
+      // 21.2.5.9 RegExp.prototype[@@search](string)
+      : function (string) { return rxfn.call(string, this); }
+    );
+  }
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_cof.js":
-/*!**********************************************!*\
-  !*** ./node_modules/core-js/modules/_cof.js ***!
-  \**********************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_flags.js"
+/*!************************************************!*\
+  !*** ./node_modules/core-js/modules/_flags.js ***!
+  \************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var toString = {}.toString;
+"use strict";
 
-module.exports = function (it) {
-  return toString.call(it).slice(8, -1);
+// 21.2.5.3 get RegExp.prototype.flags
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+module.exports = function () {
+  var that = anObject(this);
+  var result = '';
+  if (that.global) result += 'g';
+  if (that.ignoreCase) result += 'i';
+  if (that.multiline) result += 'm';
+  if (that.unicode) result += 'u';
+  if (that.sticky) result += 'y';
+  return result;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_collection-strong.js":
-/*!************************************************************!*\
-  !*** ./node_modules/core-js/modules/_collection-strong.js ***!
-  \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_flatten-into-array.js"
+/*!*************************************************************!*\
+  !*** ./node_modules/core-js/modules/_flatten-into-array.js ***!
+  \*************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
-var create = __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js");
-var redefineAll = __webpack_require__(/*! ./_redefine-all */ "./node_modules/core-js/modules/_redefine-all.js");
+// https://tc39.github.io/proposal-flatMap/#sec-FlattenIntoArray
+var isArray = __webpack_require__(/*! ./_is-array */ "./node_modules/core-js/modules/_is-array.js");
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
 var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
-var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
-var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
-var $iterDefine = __webpack_require__(/*! ./_iter-define */ "./node_modules/core-js/modules/_iter-define.js");
-var step = __webpack_require__(/*! ./_iter-step */ "./node_modules/core-js/modules/_iter-step.js");
-var setSpecies = __webpack_require__(/*! ./_set-species */ "./node_modules/core-js/modules/_set-species.js");
-var DESCRIPTORS = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js");
-var fastKey = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").fastKey;
-var validate = __webpack_require__(/*! ./_validate-collection */ "./node_modules/core-js/modules/_validate-collection.js");
-var SIZE = DESCRIPTORS ? '_s' : 'size';
+var IS_CONCAT_SPREADABLE = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('isConcatSpreadable');
 
-var getEntry = function (that, key) {
-  // fast case
-  var index = fastKey(key);
-  var entry;
-  if (index !== 'F') return that._i[index];
-  // frozen object case
-  for (entry = that._f; entry; entry = entry.n) {
-    if (entry.k == key) return entry;
-  }
-};
+function flattenIntoArray(target, original, source, sourceLen, start, depth, mapper, thisArg) {
+  var targetIndex = start;
+  var sourceIndex = 0;
+  var mapFn = mapper ? ctx(mapper, thisArg, 3) : false;
+  var element, spreadable;
 
-module.exports = {
-  getConstructor: function (wrapper, NAME, IS_MAP, ADDER) {
-    var C = wrapper(function (that, iterable) {
-      anInstance(that, C, NAME, '_i');
-      that._t = NAME;         // collection type
-      that._i = create(null); // index
-      that._f = undefined;    // first entry
-      that._l = undefined;    // last entry
-      that[SIZE] = 0;         // size
-      if (iterable != undefined) forOf(iterable, IS_MAP, that[ADDER], that);
-    });
-    redefineAll(C.prototype, {
-      // 23.1.3.1 Map.prototype.clear()
-      // 23.2.3.2 Set.prototype.clear()
-      clear: function clear() {
-        for (var that = validate(this, NAME), data = that._i, entry = that._f; entry; entry = entry.n) {
-          entry.r = true;
-          if (entry.p) entry.p = entry.p.n = undefined;
-          delete data[entry.i];
-        }
-        that._f = that._l = undefined;
-        that[SIZE] = 0;
-      },
-      // 23.1.3.3 Map.prototype.delete(key)
-      // 23.2.3.4 Set.prototype.delete(value)
-      'delete': function (key) {
-        var that = validate(this, NAME);
-        var entry = getEntry(that, key);
-        if (entry) {
-          var next = entry.n;
-          var prev = entry.p;
-          delete that._i[entry.i];
-          entry.r = true;
-          if (prev) prev.n = next;
-          if (next) next.p = prev;
-          if (that._f == entry) that._f = next;
-          if (that._l == entry) that._l = prev;
-          that[SIZE]--;
-        } return !!entry;
-      },
-      // 23.2.3.6 Set.prototype.forEach(callbackfn, thisArg = undefined)
-      // 23.1.3.5 Map.prototype.forEach(callbackfn, thisArg = undefined)
-      forEach: function forEach(callbackfn /* , that = undefined */) {
-        validate(this, NAME);
-        var f = ctx(callbackfn, arguments.length > 1 ? arguments[1] : undefined, 3);
-        var entry;
-        while (entry = entry ? entry.n : this._f) {
-          f(entry.v, entry.k, this);
-          // revert to the last existing entry
-          while (entry && entry.r) entry = entry.p;
-        }
-      },
-      // 23.1.3.7 Map.prototype.has(key)
-      // 23.2.3.7 Set.prototype.has(value)
-      has: function has(key) {
-        return !!getEntry(validate(this, NAME), key);
-      }
-    });
-    if (DESCRIPTORS) dP(C.prototype, 'size', {
-      get: function () {
-        return validate(this, NAME)[SIZE];
+  while (sourceIndex < sourceLen) {
+    if (sourceIndex in source) {
+      element = mapFn ? mapFn(source[sourceIndex], sourceIndex, original) : source[sourceIndex];
+
+      spreadable = false;
+      if (isObject(element)) {
+        spreadable = element[IS_CONCAT_SPREADABLE];
+        spreadable = spreadable !== undefined ? !!spreadable : isArray(element);
       }
-    });
-    return C;
-  },
-  def: function (that, key, value) {
-    var entry = getEntry(that, key);
-    var prev, index;
-    // change existing entry
-    if (entry) {
-      entry.v = value;
-    // create new entry
-    } else {
-      that._l = entry = {
-        i: index = fastKey(key, true), // <- index
-        k: key,                        // <- key
-        v: value,                      // <- value
-        p: prev = that._l,             // <- previous entry
-        n: undefined,                  // <- next entry
-        r: false                       // <- removed
-      };
-      if (!that._f) that._f = entry;
-      if (prev) prev.n = entry;
-      that[SIZE]++;
-      // add to index
-      if (index !== 'F') that._i[index] = entry;
-    } return that;
-  },
-  getEntry: getEntry,
-  setStrong: function (C, NAME, IS_MAP) {
-    // add .keys, .values, .entries, [@@iterator]
-    // 23.1.3.4, 23.1.3.8, 23.1.3.11, 23.1.3.12, 23.2.3.5, 23.2.3.8, 23.2.3.10, 23.2.3.11
-    $iterDefine(C, NAME, function (iterated, kind) {
-      this._t = validate(iterated, NAME); // target
-      this._k = kind;                     // kind
-      this._l = undefined;                // previous
-    }, function () {
-      var that = this;
-      var kind = that._k;
-      var entry = that._l;
-      // revert to the last existing entry
-      while (entry && entry.r) entry = entry.p;
-      // get next entry
-      if (!that._t || !(that._l = entry = entry ? entry.n : that._t._f)) {
-        // or finish the iteration
-        that._t = undefined;
-        return step(1);
+
+      if (spreadable && depth > 0) {
+        targetIndex = flattenIntoArray(target, original, element, toLength(element.length), targetIndex, depth - 1) - 1;
+      } else {
+        if (targetIndex >= 0x1fffffffffffff) throw TypeError();
+        target[targetIndex] = element;
       }
-      // return step by kind
-      if (kind == 'keys') return step(0, entry.k);
-      if (kind == 'values') return step(0, entry.v);
-      return step(0, [entry.k, entry.v]);
-    }, IS_MAP ? 'entries' : 'values', !IS_MAP, true);
 
-    // add [@@species], 23.1.2.2, 23.2.2.2
-    setSpecies(NAME);
+      targetIndex++;
+    }
+    sourceIndex++;
+  }
+  return targetIndex;
+}
+
+module.exports = flattenIntoArray;
+
+
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_for-of.js"
+/*!*************************************************!*\
+  !*** ./node_modules/core-js/modules/_for-of.js ***!
+  \*************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
+
+var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
+var call = __webpack_require__(/*! ./_iter-call */ "./node_modules/core-js/modules/_iter-call.js");
+var isArrayIter = __webpack_require__(/*! ./_is-array-iter */ "./node_modules/core-js/modules/_is-array-iter.js");
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var getIterFn = __webpack_require__(/*! ./core.get-iterator-method */ "./node_modules/core-js/modules/core.get-iterator-method.js");
+var BREAK = {};
+var RETURN = {};
+var exports = module.exports = function (iterable, entries, fn, that, ITERATOR) {
+  var iterFn = ITERATOR ? function () { return iterable; } : getIterFn(iterable);
+  var f = ctx(fn, that, entries ? 2 : 1);
+  var index = 0;
+  var length, step, iterator, result;
+  if (typeof iterFn != 'function') throw TypeError(iterable + ' is not iterable!');
+  // fast case for arrays with default iterator
+  if (isArrayIter(iterFn)) for (length = toLength(iterable.length); length > index; index++) {
+    result = entries ? f(anObject(step = iterable[index])[0], step[1]) : f(iterable[index]);
+    if (result === BREAK || result === RETURN) return result;
+  } else for (iterator = iterFn.call(iterable); !(step = iterator.next()).done;) {
+    result = call(iterator, f, step.value, entries);
+    if (result === BREAK || result === RETURN) return result;
   }
 };
+exports.BREAK = BREAK;
+exports.RETURN = RETURN;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_collection-to-json.js":
+/***/ "./node_modules/core-js/modules/_function-to-string.js"
 /*!*************************************************************!*\
-  !*** ./node_modules/core-js/modules/_collection-to-json.js ***!
+  !*** ./node_modules/core-js/modules/_function-to-string.js ***!
   \*************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// https://github.com/DavidBruant/Map-Set.prototype.toJSON
-var classof = __webpack_require__(/*! ./_classof */ "./node_modules/core-js/modules/_classof.js");
-var from = __webpack_require__(/*! ./_array-from-iterable */ "./node_modules/core-js/modules/_array-from-iterable.js");
-module.exports = function (NAME) {
-  return function toJSON() {
-    if (classof(this) != NAME) throw TypeError(NAME + "#toJSON isn't generic");
-    return from(this);
-  };
-};
+module.exports = __webpack_require__(/*! ./_shared */ "./node_modules/core-js/modules/_shared.js")('native-function-to-string', Function.toString);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_collection-weak.js":
-/*!**********************************************************!*\
-  !*** ./node_modules/core-js/modules/_collection-weak.js ***!
-  \**********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_global.js"
+/*!*************************************************!*\
+  !*** ./node_modules/core-js/modules/_global.js ***!
+  \*************************************************/
+(module) {
 
-"use strict";
+// https://github.com/zloirock/core-js/issues/86#issuecomment-115759028
+var global = module.exports = typeof window != 'undefined' && window.Math == Math
+  ? window : typeof self != 'undefined' && self.Math == Math ? self
+  // eslint-disable-next-line no-new-func
+  : Function('return this')();
+if (typeof __g == 'number') __g = global; // eslint-disable-line no-undef
 
-var redefineAll = __webpack_require__(/*! ./_redefine-all */ "./node_modules/core-js/modules/_redefine-all.js");
-var getWeak = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").getWeak;
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
-var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
-var createArrayMethod = __webpack_require__(/*! ./_array-methods */ "./node_modules/core-js/modules/_array-methods.js");
-var $has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
-var validate = __webpack_require__(/*! ./_validate-collection */ "./node_modules/core-js/modules/_validate-collection.js");
-var arrayFind = createArrayMethod(5);
-var arrayFindIndex = createArrayMethod(6);
-var id = 0;
 
-// fallback for uncaught frozen keys
-var uncaughtFrozenStore = function (that) {
-  return that._l || (that._l = new UncaughtFrozenStore());
-};
-var UncaughtFrozenStore = function () {
-  this.a = [];
-};
-var findUncaughtFrozen = function (store, key) {
-  return arrayFind(store.a, function (it) {
-    return it[0] === key;
-  });
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_has.js"
+/*!**********************************************!*\
+  !*** ./node_modules/core-js/modules/_has.js ***!
+  \**********************************************/
+(module) {
+
+var hasOwnProperty = {}.hasOwnProperty;
+module.exports = function (it, key) {
+  return hasOwnProperty.call(it, key);
 };
-UncaughtFrozenStore.prototype = {
-  get: function (key) {
-    var entry = findUncaughtFrozen(this, key);
-    if (entry) return entry[1];
-  },
-  has: function (key) {
-    return !!findUncaughtFrozen(this, key);
-  },
-  set: function (key, value) {
-    var entry = findUncaughtFrozen(this, key);
-    if (entry) entry[1] = value;
-    else this.a.push([key, value]);
-  },
-  'delete': function (key) {
-    var index = arrayFindIndex(this.a, function (it) {
-      return it[0] === key;
-    });
-    if (~index) this.a.splice(index, 1);
-    return !!~index;
-  }
-};
-
-module.exports = {
-  getConstructor: function (wrapper, NAME, IS_MAP, ADDER) {
-    var C = wrapper(function (that, iterable) {
-      anInstance(that, C, NAME, '_i');
-      that._t = NAME;      // collection type
-      that._i = id++;      // collection id
-      that._l = undefined; // leak store for uncaught frozen objects
-      if (iterable != undefined) forOf(iterable, IS_MAP, that[ADDER], that);
-    });
-    redefineAll(C.prototype, {
-      // 23.3.3.2 WeakMap.prototype.delete(key)
-      // 23.4.3.3 WeakSet.prototype.delete(value)
-      'delete': function (key) {
-        if (!isObject(key)) return false;
-        var data = getWeak(key);
-        if (data === true) return uncaughtFrozenStore(validate(this, NAME))['delete'](key);
-        return data && $has(data, this._i) && delete data[this._i];
-      },
-      // 23.3.3.4 WeakMap.prototype.has(key)
-      // 23.4.3.4 WeakSet.prototype.has(value)
-      has: function has(key) {
-        if (!isObject(key)) return false;
-        var data = getWeak(key);
-        if (data === true) return uncaughtFrozenStore(validate(this, NAME)).has(key);
-        return data && $has(data, this._i);
-      }
-    });
-    return C;
-  },
-  def: function (that, key, value) {
-    var data = getWeak(anObject(key), true);
-    if (data === true) uncaughtFrozenStore(that).set(key, value);
-    else data[that._i] = value;
-    return that;
-  },
-  ufstore: uncaughtFrozenStore
+
+
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_hide.js"
+/*!***********************************************!*\
+  !*** ./node_modules/core-js/modules/_hide.js ***!
+  \***********************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
+
+var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
+var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
+module.exports = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? function (object, key, value) {
+  return dP.f(object, key, createDesc(1, value));
+} : function (object, key, value) {
+  object[key] = value;
+  return object;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_collection.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_collection.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_html.js"
+/*!***********************************************!*\
+  !*** ./node_modules/core-js/modules/_html.js ***!
+  \***********************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-"use strict";
+var document = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").document);
+module.exports = document && document.documentElement;
 
-var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
-var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
-var redefineAll = __webpack_require__(/*! ./_redefine-all */ "./node_modules/core-js/modules/_redefine-all.js");
-var meta = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js");
-var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
-var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
-var $iterDetect = __webpack_require__(/*! ./_iter-detect */ "./node_modules/core-js/modules/_iter-detect.js");
-var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
-var inheritIfRequired = __webpack_require__(/*! ./_inherit-if-required */ "./node_modules/core-js/modules/_inherit-if-required.js");
 
-module.exports = function (NAME, wrapper, methods, common, IS_MAP, IS_WEAK) {
-  var Base = global[NAME];
-  var C = Base;
-  var ADDER = IS_MAP ? 'set' : 'add';
-  var proto = C && C.prototype;
-  var O = {};
-  var fixMethod = function (KEY) {
-    var fn = proto[KEY];
-    redefine(proto, KEY,
-      KEY == 'delete' ? function (a) {
-        return IS_WEAK && !isObject(a) ? false : fn.call(this, a === 0 ? 0 : a);
-      } : KEY == 'has' ? function has(a) {
-        return IS_WEAK && !isObject(a) ? false : fn.call(this, a === 0 ? 0 : a);
-      } : KEY == 'get' ? function get(a) {
-        return IS_WEAK && !isObject(a) ? undefined : fn.call(this, a === 0 ? 0 : a);
-      } : KEY == 'add' ? function add(a) { fn.call(this, a === 0 ? 0 : a); return this; }
-        : function set(a, b) { fn.call(this, a === 0 ? 0 : a, b); return this; }
-    );
-  };
-  if (typeof C != 'function' || !(IS_WEAK || proto.forEach && !fails(function () {
-    new C().entries().next();
-  }))) {
-    // create collection constructor
-    C = common.getConstructor(wrapper, NAME, IS_MAP, ADDER);
-    redefineAll(C.prototype, methods);
-    meta.NEED = true;
-  } else {
-    var instance = new C();
-    // early implementations not supports chaining
-    var HASNT_CHAINING = instance[ADDER](IS_WEAK ? {} : -0, 1) != instance;
-    // V8 ~  Chromium 40- weak-collections throws on primitives, but should return false
-    var THROWS_ON_PRIMITIVES = fails(function () { instance.has(1); });
-    // most early implementations doesn't supports iterables, most modern - not close it correctly
-    var ACCEPT_ITERABLES = $iterDetect(function (iter) { new C(iter); }); // eslint-disable-line no-new
-    // for early implementations -0 and +0 not the same
-    var BUGGY_ZERO = !IS_WEAK && fails(function () {
-      // V8 ~ Chromium 42- fails only with 5+ elements
-      var $instance = new C();
-      var index = 5;
-      while (index--) $instance[ADDER](index, index);
-      return !$instance.has(-0);
-    });
-    if (!ACCEPT_ITERABLES) {
-      C = wrapper(function (target, iterable) {
-        anInstance(target, C, NAME);
-        var that = inheritIfRequired(new Base(), target, C);
-        if (iterable != undefined) forOf(iterable, IS_MAP, that[ADDER], that);
-        return that;
-      });
-      C.prototype = proto;
-      proto.constructor = C;
-    }
-    if (THROWS_ON_PRIMITIVES || BUGGY_ZERO) {
-      fixMethod('delete');
-      fixMethod('has');
-      IS_MAP && fixMethod('get');
-    }
-    if (BUGGY_ZERO || HASNT_CHAINING) fixMethod(ADDER);
-    // weak collections should not contains .clear method
-    if (IS_WEAK && proto.clear) delete proto.clear;
-  }
+/***/ },
 
-  setToStringTag(C, NAME);
+/***/ "./node_modules/core-js/modules/_ie8-dom-define.js"
+/*!*********************************************************!*\
+  !*** ./node_modules/core-js/modules/_ie8-dom-define.js ***!
+  \*********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  O[NAME] = C;
-  $export($export.G + $export.W + $export.F * (C != Base), O);
+module.exports = !__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") && !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
+  return Object.defineProperty(__webpack_require__(/*! ./_dom-create */ "./node_modules/core-js/modules/_dom-create.js")('div'), 'a', { get: function () { return 7; } }).a != 7;
+});
 
-  if (!IS_WEAK) common.setStrong(C, NAME, IS_MAP);
 
-  return C;
-};
+/***/ },
 
+/***/ "./node_modules/core-js/modules/_inherit-if-required.js"
+/*!**************************************************************!*\
+  !*** ./node_modules/core-js/modules/_inherit-if-required.js ***!
+  \**************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ }),
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var setPrototypeOf = (__webpack_require__(/*! ./_set-proto */ "./node_modules/core-js/modules/_set-proto.js").set);
+module.exports = function (that, target, C) {
+  var S = target.constructor;
+  var P;
+  if (S !== C && typeof S == 'function' && (P = S.prototype) !== C.prototype && isObject(P) && setPrototypeOf) {
+    setPrototypeOf(that, P);
+  } return that;
+};
 
-/***/ "./node_modules/core-js/modules/_core.js":
-/*!***********************************************!*\
-  !*** ./node_modules/core-js/modules/_core.js ***!
-  \***********************************************/
-/***/ ((module) => {
 
-var core = module.exports = { version: '2.5.3' };
-if (typeof __e == 'number') __e = core; // eslint-disable-line no-undef
+/***/ },
 
+/***/ "./node_modules/core-js/modules/_invoke.js"
+/*!*************************************************!*\
+  !*** ./node_modules/core-js/modules/_invoke.js ***!
+  \*************************************************/
+(module) {
 
-/***/ }),
+// fast apply, http://jsperf.lnkit.com/fast-apply/5
+module.exports = function (fn, args, that) {
+  var un = that === undefined;
+  switch (args.length) {
+    case 0: return un ? fn()
+                      : fn.call(that);
+    case 1: return un ? fn(args[0])
+                      : fn.call(that, args[0]);
+    case 2: return un ? fn(args[0], args[1])
+                      : fn.call(that, args[0], args[1]);
+    case 3: return un ? fn(args[0], args[1], args[2])
+                      : fn.call(that, args[0], args[1], args[2]);
+    case 4: return un ? fn(args[0], args[1], args[2], args[3])
+                      : fn.call(that, args[0], args[1], args[2], args[3]);
+  } return fn.apply(that, args);
+};
 
-/***/ "./node_modules/core-js/modules/_create-property.js":
-/*!**********************************************************!*\
-  !*** ./node_modules/core-js/modules/_create-property.js ***!
-  \**********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
 
-"use strict";
+/***/ },
 
-var $defineProperty = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
-var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
+/***/ "./node_modules/core-js/modules/_iobject.js"
+/*!**************************************************!*\
+  !*** ./node_modules/core-js/modules/_iobject.js ***!
+  \**************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-module.exports = function (object, index, value) {
-  if (index in object) $defineProperty.f(object, index, createDesc(0, value));
-  else object[index] = value;
+// fallback for non-array-like ES3 and non-enumerable old V8 strings
+var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
+// eslint-disable-next-line no-prototype-builtins
+module.exports = Object('z').propertyIsEnumerable(0) ? Object : function (it) {
+  return cof(it) == 'String' ? it.split('') : Object(it);
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_ctx.js":
-/*!**********************************************!*\
-  !*** ./node_modules/core-js/modules/_ctx.js ***!
-  \**********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-// optional / simple context binding
-var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
-module.exports = function (fn, that, length) {
-  aFunction(fn);
-  if (that === undefined) return fn;
-  switch (length) {
-    case 1: return function (a) {
-      return fn.call(that, a);
-    };
-    case 2: return function (a, b) {
-      return fn.call(that, a, b);
-    };
-    case 3: return function (a, b, c) {
-      return fn.call(that, a, b, c);
-    };
-  }
-  return function (/* ...args */) {
-    return fn.apply(that, arguments);
-  };
-};
+/***/ "./node_modules/core-js/modules/_is-array-iter.js"
+/*!********************************************************!*\
+  !*** ./node_modules/core-js/modules/_is-array-iter.js ***!
+  \********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
+// check on default Array iterator
+var Iterators = __webpack_require__(/*! ./_iterators */ "./node_modules/core-js/modules/_iterators.js");
+var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
+var ArrayProto = Array.prototype;
 
-/***/ }),
+module.exports = function (it) {
+  return it !== undefined && (Iterators.Array === it || ArrayProto[ITERATOR] === it);
+};
 
-/***/ "./node_modules/core-js/modules/_date-to-iso-string.js":
-/*!*************************************************************!*\
-  !*** ./node_modules/core-js/modules/_date-to-iso-string.js ***!
-  \*************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
 
-"use strict";
+/***/ },
 
-// 20.3.4.36 / 15.9.5.43 Date.prototype.toISOString()
-var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
-var getTime = Date.prototype.getTime;
-var $toISOString = Date.prototype.toISOString;
+/***/ "./node_modules/core-js/modules/_is-array.js"
+/*!***************************************************!*\
+  !*** ./node_modules/core-js/modules/_is-array.js ***!
+  \***************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var lz = function (num) {
-  return num > 9 ? num : '0' + num;
+// 7.2.2 IsArray(argument)
+var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
+module.exports = Array.isArray || function isArray(arg) {
+  return cof(arg) == 'Array';
 };
 
-// PhantomJS / old WebKit has a broken implementations
-module.exports = (fails(function () {
-  return $toISOString.call(new Date(-5e13 - 1)) != '0385-07-25T07:06:39.999Z';
-}) || !fails(function () {
-  $toISOString.call(new Date(NaN));
-})) ? function toISOString() {
-  if (!isFinite(getTime.call(this))) throw RangeError('Invalid time value');
-  var d = this;
-  var y = d.getUTCFullYear();
-  var m = d.getUTCMilliseconds();
-  var s = y < 0 ? '-' : y > 9999 ? '+' : '';
-  return s + ('00000' + Math.abs(y)).slice(s ? -6 : -4) +
-    '-' + lz(d.getUTCMonth() + 1) + '-' + lz(d.getUTCDate()) +
-    'T' + lz(d.getUTCHours()) + ':' + lz(d.getUTCMinutes()) +
-    ':' + lz(d.getUTCSeconds()) + '.' + (m > 99 ? m : '0' + lz(m)) + 'Z';
-} : $toISOString;
 
+/***/ },
 
-/***/ }),
+/***/ "./node_modules/core-js/modules/_is-integer.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_is-integer.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ "./node_modules/core-js/modules/_date-to-primitive.js":
-/*!************************************************************!*\
-  !*** ./node_modules/core-js/modules/_date-to-primitive.js ***!
-  \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+// 20.1.2.3 Number.isInteger(number)
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var floor = Math.floor;
+module.exports = function isInteger(it) {
+  return !isObject(it) && isFinite(it) && floor(it) === it;
+};
 
-"use strict";
 
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
-var NUMBER = 'number';
+/***/ },
 
-module.exports = function (hint) {
-  if (hint !== 'string' && hint !== NUMBER && hint !== 'default') throw TypeError('Incorrect hint');
-  return toPrimitive(anObject(this), hint != NUMBER);
+/***/ "./node_modules/core-js/modules/_is-object.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_is-object.js ***!
+  \****************************************************/
+(module) {
+
+module.exports = function (it) {
+  return typeof it === 'object' ? it !== null : typeof it === 'function';
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_defined.js":
-/*!**************************************************!*\
-  !*** ./node_modules/core-js/modules/_defined.js ***!
-  \**************************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_is-regexp.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_is-regexp.js ***!
+  \****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// 7.2.1 RequireObjectCoercible(argument)
+// 7.2.8 IsRegExp(argument)
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
+var MATCH = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('match');
 module.exports = function (it) {
-  if (it == undefined) throw TypeError("Can't call method on  " + it);
-  return it;
+  var isRegExp;
+  return isObject(it) && ((isRegExp = it[MATCH]) !== undefined ? !!isRegExp : cof(it) == 'RegExp');
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_descriptors.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_descriptors.js ***!
-  \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// Thank's IE8 for his funny defineProperty
-module.exports = !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
-  return Object.defineProperty({}, 'a', { get: function () { return 7; } }).a != 7;
-});
+/***/ },
 
+/***/ "./node_modules/core-js/modules/_iter-call.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_iter-call.js ***!
+  \****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_dom-create.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_dom-create.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var document = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").document;
-// typeof document.createElement is 'object' in old IE
-var is = isObject(document) && isObject(document.createElement);
-module.exports = function (it) {
-  return is ? document.createElement(it) : {};
+// call something on iterator step with safe closing on error
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+module.exports = function (iterator, fn, value, entries) {
+  try {
+    return entries ? fn(anObject(value)[0], value[1]) : fn(value);
+  // 7.4.6 IteratorClose(iterator, completion)
+  } catch (e) {
+    var ret = iterator['return'];
+    if (ret !== undefined) anObject(ret.call(iterator));
+    throw e;
+  }
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_enum-bug-keys.js":
-/*!********************************************************!*\
-  !*** ./node_modules/core-js/modules/_enum-bug-keys.js ***!
-  \********************************************************/
-/***/ ((module) => {
-
-// IE 8- don't enum bug keys
-module.exports = (
-  'constructor,hasOwnProperty,isPrototypeOf,propertyIsEnumerable,toLocaleString,toString,valueOf'
-).split(',');
+/***/ "./node_modules/core-js/modules/_iter-create.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_iter-create.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
+"use strict";
 
-/***/ }),
+var create = __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js");
+var descriptor = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
+var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
+var IteratorPrototype = {};
 
-/***/ "./node_modules/core-js/modules/_enum-keys.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_enum-keys.js ***!
-  \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+// 25.1.2.1.1 %IteratorPrototype%[@@iterator]()
+__webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js")(IteratorPrototype, __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator'), function () { return this; });
 
-// all enumerable object keys, includes symbols
-var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
-var gOPS = __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js");
-var pIE = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js");
-module.exports = function (it) {
-  var result = getKeys(it);
-  var getSymbols = gOPS.f;
-  if (getSymbols) {
-    var symbols = getSymbols(it);
-    var isEnum = pIE.f;
-    var i = 0;
-    var key;
-    while (symbols.length > i) if (isEnum.call(it, key = symbols[i++])) result.push(key);
-  } return result;
+module.exports = function (Constructor, NAME, next) {
+  Constructor.prototype = create(IteratorPrototype, { next: descriptor(1, next) });
+  setToStringTag(Constructor, NAME + ' Iterator');
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_export.js":
-/*!*************************************************!*\
-  !*** ./node_modules/core-js/modules/_export.js ***!
-  \*************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_iter-define.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_iter-define.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
-var core = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js");
-var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
+"use strict";
+
+var LIBRARY = __webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js");
+var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
-var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
-var PROTOTYPE = 'prototype';
+var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
+var Iterators = __webpack_require__(/*! ./_iterators */ "./node_modules/core-js/modules/_iterators.js");
+var $iterCreate = __webpack_require__(/*! ./_iter-create */ "./node_modules/core-js/modules/_iter-create.js");
+var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
+var getPrototypeOf = __webpack_require__(/*! ./_object-gpo */ "./node_modules/core-js/modules/_object-gpo.js");
+var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
+var BUGGY = !([].keys && 'next' in [].keys()); // Safari has buggy iterators w/o `next`
+var FF_ITERATOR = '@@iterator';
+var KEYS = 'keys';
+var VALUES = 'values';
 
-var $export = function (type, name, source) {
-  var IS_FORCED = type & $export.F;
-  var IS_GLOBAL = type & $export.G;
-  var IS_STATIC = type & $export.S;
-  var IS_PROTO = type & $export.P;
-  var IS_BIND = type & $export.B;
-  var target = IS_GLOBAL ? global : IS_STATIC ? global[name] || (global[name] = {}) : (global[name] || {})[PROTOTYPE];
-  var exports = IS_GLOBAL ? core : core[name] || (core[name] = {});
-  var expProto = exports[PROTOTYPE] || (exports[PROTOTYPE] = {});
-  var key, own, out, exp;
-  if (IS_GLOBAL) source = name;
-  for (key in source) {
-    // contains in native
-    own = !IS_FORCED && target && target[key] !== undefined;
-    // export native or passed
-    out = (own ? target : source)[key];
-    // bind timers to global for call from export context
-    exp = IS_BIND && own ? ctx(out, global) : IS_PROTO && typeof out == 'function' ? ctx(Function.call, out) : out;
-    // extend global
-    if (target) redefine(target, key, out, type & $export.U);
-    // export
-    if (exports[key] != out) hide(exports, key, exp);
-    if (IS_PROTO && expProto[key] != out) expProto[key] = out;
+var returnThis = function () { return this; };
+
+module.exports = function (Base, NAME, Constructor, next, DEFAULT, IS_SET, FORCED) {
+  $iterCreate(Constructor, NAME, next);
+  var getMethod = function (kind) {
+    if (!BUGGY && kind in proto) return proto[kind];
+    switch (kind) {
+      case KEYS: return function keys() { return new Constructor(this, kind); };
+      case VALUES: return function values() { return new Constructor(this, kind); };
+    } return function entries() { return new Constructor(this, kind); };
+  };
+  var TAG = NAME + ' Iterator';
+  var DEF_VALUES = DEFAULT == VALUES;
+  var VALUES_BUG = false;
+  var proto = Base.prototype;
+  var $native = proto[ITERATOR] || proto[FF_ITERATOR] || DEFAULT && proto[DEFAULT];
+  var $default = $native || getMethod(DEFAULT);
+  var $entries = DEFAULT ? !DEF_VALUES ? $default : getMethod('entries') : undefined;
+  var $anyNative = NAME == 'Array' ? proto.entries || $native : $native;
+  var methods, key, IteratorPrototype;
+  // Fix native
+  if ($anyNative) {
+    IteratorPrototype = getPrototypeOf($anyNative.call(new Base()));
+    if (IteratorPrototype !== Object.prototype && IteratorPrototype.next) {
+      // Set @@toStringTag to native iterators
+      setToStringTag(IteratorPrototype, TAG, true);
+      // fix for some old engines
+      if (!LIBRARY && typeof IteratorPrototype[ITERATOR] != 'function') hide(IteratorPrototype, ITERATOR, returnThis);
+    }
+  }
+  // fix Array#{values, @@iterator}.name in V8 / FF
+  if (DEF_VALUES && $native && $native.name !== VALUES) {
+    VALUES_BUG = true;
+    $default = function values() { return $native.call(this); };
+  }
+  // Define iterator
+  if ((!LIBRARY || FORCED) && (BUGGY || VALUES_BUG || !proto[ITERATOR])) {
+    hide(proto, ITERATOR, $default);
+  }
+  // Plug for library
+  Iterators[NAME] = $default;
+  Iterators[TAG] = returnThis;
+  if (DEFAULT) {
+    methods = {
+      values: DEF_VALUES ? $default : getMethod(VALUES),
+      keys: IS_SET ? $default : getMethod(KEYS),
+      entries: $entries
+    };
+    if (FORCED) for (key in methods) {
+      if (!(key in proto)) redefine(proto, key, methods[key]);
+    } else $export($export.P + $export.F * (BUGGY || VALUES_BUG), NAME, methods);
   }
+  return methods;
 };
-global.core = core;
-// type bitmap
-$export.F = 1;   // forced
-$export.G = 2;   // global
-$export.S = 4;   // static
-$export.P = 8;   // proto
-$export.B = 16;  // bind
-$export.W = 32;  // wrap
-$export.U = 64;  // safe
-$export.R = 128; // real proto method for `library`
-module.exports = $export;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_fails-is-regexp.js":
-/*!**********************************************************!*\
-  !*** ./node_modules/core-js/modules/_fails-is-regexp.js ***!
-  \**********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_iter-detect.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_iter-detect.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var MATCH = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('match');
-module.exports = function (KEY) {
-  var re = /./;
+var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
+var SAFE_CLOSING = false;
+
+try {
+  var riter = [7][ITERATOR]();
+  riter['return'] = function () { SAFE_CLOSING = true; };
+  // eslint-disable-next-line no-throw-literal
+  Array.from(riter, function () { throw 2; });
+} catch (e) { /* empty */ }
+
+module.exports = function (exec, skipClosing) {
+  if (!skipClosing && !SAFE_CLOSING) return false;
+  var safe = false;
   try {
-    '/./'[KEY](re);
-  } catch (e) {
-    try {
-      re[MATCH] = false;
-      return !'/./'[KEY](re);
-    } catch (f) { /* empty */ }
-  } return true;
+    var arr = [7];
+    var iter = arr[ITERATOR]();
+    iter.next = function () { return { done: safe = true }; };
+    arr[ITERATOR] = function () { return iter; };
+    exec(arr);
+  } catch (e) { /* empty */ }
+  return safe;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_fails.js":
-/*!************************************************!*\
-  !*** ./node_modules/core-js/modules/_fails.js ***!
-  \************************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_iter-step.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_iter-step.js ***!
+  \****************************************************/
+(module) {
 
-module.exports = function (exec) {
-  try {
-    return !!exec();
-  } catch (e) {
-    return true;
-  }
+module.exports = function (done, value) {
+  return { value: value, done: !!done };
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_fix-re-wks.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_fix-re-wks.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_iterators.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_iterators.js ***!
+  \****************************************************/
+(module) {
 
-"use strict";
+module.exports = {};
 
-var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
-var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
-var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
-var defined = __webpack_require__(/*! ./_defined */ "./node_modules/core-js/modules/_defined.js");
-var wks = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js");
-
-module.exports = function (KEY, length, exec) {
-  var SYMBOL = wks(KEY);
-  var fns = exec(defined, SYMBOL, ''[KEY]);
-  var strfn = fns[0];
-  var rxfn = fns[1];
-  if (fails(function () {
-    var O = {};
-    O[SYMBOL] = function () { return 7; };
-    return ''[KEY](O) != 7;
-  })) {
-    redefine(String.prototype, KEY, strfn);
-    hide(RegExp.prototype, SYMBOL, length == 2
-      // 21.2.5.8 RegExp.prototype[@@replace](string, replaceValue)
-      // 21.2.5.11 RegExp.prototype[@@split](string, limit)
-      ? function (string, arg) { return rxfn.call(string, this, arg); }
-      // 21.2.5.6 RegExp.prototype[@@match](string)
-      // 21.2.5.9 RegExp.prototype[@@search](string)
-      : function (string) { return rxfn.call(string, this); }
-    );
-  }
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_flags.js":
-/*!************************************************!*\
-  !*** ./node_modules/core-js/modules/_flags.js ***!
-  \************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
 
-"use strict";
+/***/ },
 
-// 21.2.5.3 get RegExp.prototype.flags
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-module.exports = function () {
-  var that = anObject(this);
-  var result = '';
-  if (that.global) result += 'g';
-  if (that.ignoreCase) result += 'i';
-  if (that.multiline) result += 'm';
-  if (that.unicode) result += 'u';
-  if (that.sticky) result += 'y';
-  return result;
-};
+/***/ "./node_modules/core-js/modules/_library.js"
+/*!**************************************************!*\
+  !*** ./node_modules/core-js/modules/_library.js ***!
+  \**************************************************/
+(module) {
 
+module.exports = false;
 
-/***/ }),
 
-/***/ "./node_modules/core-js/modules/_flatten-into-array.js":
-/*!*************************************************************!*\
-  !*** ./node_modules/core-js/modules/_flatten-into-array.js ***!
-  \*************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-"use strict";
+/***/ "./node_modules/core-js/modules/_math-expm1.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_math-expm1.js ***!
+  \*****************************************************/
+(module) {
 
-// https://tc39.github.io/proposal-flatMap/#sec-FlattenIntoArray
-var isArray = __webpack_require__(/*! ./_is-array */ "./node_modules/core-js/modules/_is-array.js");
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
-var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
-var IS_CONCAT_SPREADABLE = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('isConcatSpreadable');
+// 20.2.2.14 Math.expm1(x)
+var $expm1 = Math.expm1;
+module.exports = (!$expm1
+  // Old FF bug
+  || $expm1(10) > 22025.465794806719 || $expm1(10) < 22025.4657948067165168
+  // Tor Browser bug
+  || $expm1(-2e-17) != -2e-17
+) ? function expm1(x) {
+  return (x = +x) == 0 ? x : x > -1e-6 && x < 1e-6 ? x + x * x / 2 : Math.exp(x) - 1;
+} : $expm1;
 
-function flattenIntoArray(target, original, source, sourceLen, start, depth, mapper, thisArg) {
-  var targetIndex = start;
-  var sourceIndex = 0;
-  var mapFn = mapper ? ctx(mapper, thisArg, 3) : false;
-  var element, spreadable;
 
-  while (sourceIndex < sourceLen) {
-    if (sourceIndex in source) {
-      element = mapFn ? mapFn(source[sourceIndex], sourceIndex, original) : source[sourceIndex];
+/***/ },
 
-      spreadable = false;
-      if (isObject(element)) {
-        spreadable = element[IS_CONCAT_SPREADABLE];
-        spreadable = spreadable !== undefined ? !!spreadable : isArray(element);
-      }
+/***/ "./node_modules/core-js/modules/_math-fround.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_math-fround.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-      if (spreadable && depth > 0) {
-        targetIndex = flattenIntoArray(target, original, element, toLength(element.length), targetIndex, depth - 1) - 1;
-      } else {
-        if (targetIndex >= 0x1fffffffffffff) throw TypeError();
-        target[targetIndex] = element;
-      }
+// 20.2.2.16 Math.fround(x)
+var sign = __webpack_require__(/*! ./_math-sign */ "./node_modules/core-js/modules/_math-sign.js");
+var pow = Math.pow;
+var EPSILON = pow(2, -52);
+var EPSILON32 = pow(2, -23);
+var MAX32 = pow(2, 127) * (2 - EPSILON32);
+var MIN32 = pow(2, -126);
 
-      targetIndex++;
-    }
-    sourceIndex++;
-  }
-  return targetIndex;
-}
+var roundTiesToEven = function (n) {
+  return n + 1 / EPSILON - 1 / EPSILON;
+};
 
-module.exports = flattenIntoArray;
+module.exports = Math.fround || function fround(x) {
+  var $abs = Math.abs(x);
+  var $sign = sign(x);
+  var a, result;
+  if ($abs < MIN32) return $sign * roundTiesToEven($abs / MIN32 / EPSILON32) * MIN32 * EPSILON32;
+  a = (1 + EPSILON32 / EPSILON) * $abs;
+  result = a - (a - $abs);
+  // eslint-disable-next-line no-self-compare
+  if (result > MAX32 || result != result) return $sign * Infinity;
+  return $sign * result;
+};
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_for-of.js":
-/*!*************************************************!*\
-  !*** ./node_modules/core-js/modules/_for-of.js ***!
-  \*************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_math-log1p.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_math-log1p.js ***!
+  \*****************************************************/
+(module) {
 
-var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
-var call = __webpack_require__(/*! ./_iter-call */ "./node_modules/core-js/modules/_iter-call.js");
-var isArrayIter = __webpack_require__(/*! ./_is-array-iter */ "./node_modules/core-js/modules/_is-array-iter.js");
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
-var getIterFn = __webpack_require__(/*! ./core.get-iterator-method */ "./node_modules/core-js/modules/core.get-iterator-method.js");
-var BREAK = {};
-var RETURN = {};
-var exports = module.exports = function (iterable, entries, fn, that, ITERATOR) {
-  var iterFn = ITERATOR ? function () { return iterable; } : getIterFn(iterable);
-  var f = ctx(fn, that, entries ? 2 : 1);
-  var index = 0;
-  var length, step, iterator, result;
-  if (typeof iterFn != 'function') throw TypeError(iterable + ' is not iterable!');
-  // fast case for arrays with default iterator
-  if (isArrayIter(iterFn)) for (length = toLength(iterable.length); length > index; index++) {
-    result = entries ? f(anObject(step = iterable[index])[0], step[1]) : f(iterable[index]);
-    if (result === BREAK || result === RETURN) return result;
-  } else for (iterator = iterFn.call(iterable); !(step = iterator.next()).done;) {
-    result = call(iterator, f, step.value, entries);
-    if (result === BREAK || result === RETURN) return result;
-  }
+// 20.2.2.20 Math.log1p(x)
+module.exports = Math.log1p || function log1p(x) {
+  return (x = +x) > -1e-8 && x < 1e-8 ? x - x * x / 2 : Math.log(1 + x);
 };
-exports.BREAK = BREAK;
-exports.RETURN = RETURN;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_global.js":
-/*!*************************************************!*\
-  !*** ./node_modules/core-js/modules/_global.js ***!
-  \*************************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_math-scale.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_math-scale.js ***!
+  \*****************************************************/
+(module) {
 
-// https://github.com/zloirock/core-js/issues/86#issuecomment-115759028
-var global = module.exports = typeof window != 'undefined' && window.Math == Math
-  ? window : typeof self != 'undefined' && self.Math == Math ? self
-  // eslint-disable-next-line no-new-func
-  : Function('return this')();
-if (typeof __g == 'number') __g = global; // eslint-disable-line no-undef
+// https://rwaldron.github.io/proposal-math-extensions/
+module.exports = Math.scale || function scale(x, inLow, inHigh, outLow, outHigh) {
+  if (
+    arguments.length === 0
+      // eslint-disable-next-line no-self-compare
+      || x != x
+      // eslint-disable-next-line no-self-compare
+      || inLow != inLow
+      // eslint-disable-next-line no-self-compare
+      || inHigh != inHigh
+      // eslint-disable-next-line no-self-compare
+      || outLow != outLow
+      // eslint-disable-next-line no-self-compare
+      || outHigh != outHigh
+  ) return NaN;
+  if (x === Infinity || x === -Infinity) return x;
+  return (x - inLow) * (outHigh - outLow) / (inHigh - inLow) + outLow;
+};
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_has.js":
-/*!**********************************************!*\
-  !*** ./node_modules/core-js/modules/_has.js ***!
-  \**********************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_math-sign.js"
+/*!****************************************************!*\
+  !*** ./node_modules/core-js/modules/_math-sign.js ***!
+  \****************************************************/
+(module) {
 
-var hasOwnProperty = {}.hasOwnProperty;
-module.exports = function (it, key) {
-  return hasOwnProperty.call(it, key);
+// 20.2.2.28 Math.sign(x)
+module.exports = Math.sign || function sign(x) {
+  // eslint-disable-next-line no-self-compare
+  return (x = +x) == 0 || x != x ? x : x < 0 ? -1 : 1;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_hide.js":
+/***/ "./node_modules/core-js/modules/_meta.js"
 /*!***********************************************!*\
-  !*** ./node_modules/core-js/modules/_hide.js ***!
+  !*** ./node_modules/core-js/modules/_meta.js ***!
   \***********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
-var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
-module.exports = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? function (object, key, value) {
-  return dP.f(object, key, createDesc(1, value));
-} : function (object, key, value) {
-  object[key] = value;
-  return object;
+var META = __webpack_require__(/*! ./_uid */ "./node_modules/core-js/modules/_uid.js")('meta');
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
+var setDesc = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
+var id = 0;
+var isExtensible = Object.isExtensible || function () {
+  return true;
+};
+var FREEZE = !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
+  return isExtensible(Object.preventExtensions({}));
+});
+var setMeta = function (it) {
+  setDesc(it, META, { value: {
+    i: 'O' + ++id, // object ID
+    w: {}          // weak collections IDs
+  } });
+};
+var fastKey = function (it, create) {
+  // return primitive with prefix
+  if (!isObject(it)) return typeof it == 'symbol' ? it : (typeof it == 'string' ? 'S' : 'P') + it;
+  if (!has(it, META)) {
+    // can't set metadata to uncaught frozen object
+    if (!isExtensible(it)) return 'F';
+    // not necessary to add metadata
+    if (!create) return 'E';
+    // add missing metadata
+    setMeta(it);
+  // return object ID
+  } return it[META].i;
+};
+var getWeak = function (it, create) {
+  if (!has(it, META)) {
+    // can't set metadata to uncaught frozen object
+    if (!isExtensible(it)) return true;
+    // not necessary to add metadata
+    if (!create) return false;
+    // add missing metadata
+    setMeta(it);
+  // return hash weak collections IDs
+  } return it[META].w;
+};
+// add metadata on freeze-family methods calling
+var onFreeze = function (it) {
+  if (FREEZE && meta.NEED && isExtensible(it) && !has(it, META)) setMeta(it);
+  return it;
+};
+var meta = module.exports = {
+  KEY: META,
+  NEED: false,
+  fastKey: fastKey,
+  getWeak: getWeak,
+  onFreeze: onFreeze
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_html.js":
-/*!***********************************************!*\
-  !*** ./node_modules/core-js/modules/_html.js ***!
-  \***********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-var document = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").document;
-module.exports = document && document.documentElement;
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_ie8-dom-define.js":
-/*!*********************************************************!*\
-  !*** ./node_modules/core-js/modules/_ie8-dom-define.js ***!
-  \*********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-module.exports = !__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") && !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
-  return Object.defineProperty(__webpack_require__(/*! ./_dom-create */ "./node_modules/core-js/modules/_dom-create.js")('div'), 'a', { get: function () { return 7; } }).a != 7;
-});
-
-
-/***/ }),
+/***/ "./node_modules/core-js/modules/_metadata.js"
+/*!***************************************************!*\
+  !*** ./node_modules/core-js/modules/_metadata.js ***!
+  \***************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ "./node_modules/core-js/modules/_inherit-if-required.js":
-/*!**************************************************************!*\
-  !*** ./node_modules/core-js/modules/_inherit-if-required.js ***!
-  \**************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+var Map = __webpack_require__(/*! ./es6.map */ "./node_modules/core-js/modules/es6.map.js");
+var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
+var shared = __webpack_require__(/*! ./_shared */ "./node_modules/core-js/modules/_shared.js")('metadata');
+var store = shared.store || (shared.store = new (__webpack_require__(/*! ./es6.weak-map */ "./node_modules/core-js/modules/es6.weak-map.js"))());
 
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var setPrototypeOf = __webpack_require__(/*! ./_set-proto */ "./node_modules/core-js/modules/_set-proto.js").set;
-module.exports = function (that, target, C) {
-  var S = target.constructor;
-  var P;
-  if (S !== C && typeof S == 'function' && (P = S.prototype) !== C.prototype && isObject(P) && setPrototypeOf) {
-    setPrototypeOf(that, P);
-  } return that;
+var getOrCreateMetadataMap = function (target, targetKey, create) {
+  var targetMetadata = store.get(target);
+  if (!targetMetadata) {
+    if (!create) return undefined;
+    store.set(target, targetMetadata = new Map());
+  }
+  var keyMetadata = targetMetadata.get(targetKey);
+  if (!keyMetadata) {
+    if (!create) return undefined;
+    targetMetadata.set(targetKey, keyMetadata = new Map());
+  } return keyMetadata;
 };
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_invoke.js":
-/*!*************************************************!*\
-  !*** ./node_modules/core-js/modules/_invoke.js ***!
-  \*************************************************/
-/***/ ((module) => {
-
-// fast apply, http://jsperf.lnkit.com/fast-apply/5
-module.exports = function (fn, args, that) {
-  var un = that === undefined;
-  switch (args.length) {
-    case 0: return un ? fn()
-                      : fn.call(that);
-    case 1: return un ? fn(args[0])
-                      : fn.call(that, args[0]);
-    case 2: return un ? fn(args[0], args[1])
-                      : fn.call(that, args[0], args[1]);
-    case 3: return un ? fn(args[0], args[1], args[2])
-                      : fn.call(that, args[0], args[1], args[2]);
-    case 4: return un ? fn(args[0], args[1], args[2], args[3])
-                      : fn.call(that, args[0], args[1], args[2], args[3]);
-  } return fn.apply(that, args);
+var ordinaryHasOwnMetadata = function (MetadataKey, O, P) {
+  var metadataMap = getOrCreateMetadataMap(O, P, false);
+  return metadataMap === undefined ? false : metadataMap.has(MetadataKey);
 };
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_iobject.js":
-/*!**************************************************!*\
-  !*** ./node_modules/core-js/modules/_iobject.js ***!
-  \**************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// fallback for non-array-like ES3 and non-enumerable old V8 strings
-var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
-// eslint-disable-next-line no-prototype-builtins
-module.exports = Object('z').propertyIsEnumerable(0) ? Object : function (it) {
-  return cof(it) == 'String' ? it.split('') : Object(it);
+var ordinaryGetOwnMetadata = function (MetadataKey, O, P) {
+  var metadataMap = getOrCreateMetadataMap(O, P, false);
+  return metadataMap === undefined ? undefined : metadataMap.get(MetadataKey);
 };
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_is-array-iter.js":
-/*!********************************************************!*\
-  !*** ./node_modules/core-js/modules/_is-array-iter.js ***!
-  \********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// check on default Array iterator
-var Iterators = __webpack_require__(/*! ./_iterators */ "./node_modules/core-js/modules/_iterators.js");
-var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
-var ArrayProto = Array.prototype;
-
-module.exports = function (it) {
-  return it !== undefined && (Iterators.Array === it || ArrayProto[ITERATOR] === it);
+var ordinaryDefineOwnMetadata = function (MetadataKey, MetadataValue, O, P) {
+  getOrCreateMetadataMap(O, P, true).set(MetadataKey, MetadataValue);
 };
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_is-array.js":
-/*!***************************************************!*\
-  !*** ./node_modules/core-js/modules/_is-array.js ***!
-  \***************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// 7.2.2 IsArray(argument)
-var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
-module.exports = Array.isArray || function isArray(arg) {
-  return cof(arg) == 'Array';
+var ordinaryOwnMetadataKeys = function (target, targetKey) {
+  var metadataMap = getOrCreateMetadataMap(target, targetKey, false);
+  var keys = [];
+  if (metadataMap) metadataMap.forEach(function (_, key) { keys.push(key); });
+  return keys;
+};
+var toMetaKey = function (it) {
+  return it === undefined || typeof it == 'symbol' ? it : String(it);
+};
+var exp = function (O) {
+  $export($export.S, 'Reflect', O);
 };
 
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_is-integer.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_is-integer.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// 20.1.2.3 Number.isInteger(number)
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var floor = Math.floor;
-module.exports = function isInteger(it) {
-  return !isObject(it) && isFinite(it) && floor(it) === it;
+module.exports = {
+  store: store,
+  map: getOrCreateMetadataMap,
+  has: ordinaryHasOwnMetadata,
+  get: ordinaryGetOwnMetadata,
+  set: ordinaryDefineOwnMetadata,
+  keys: ordinaryOwnMetadataKeys,
+  key: toMetaKey,
+  exp: exp
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_is-object.js":
+/***/ "./node_modules/core-js/modules/_microtask.js"
 /*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_is-object.js ***!
+  !*** ./node_modules/core-js/modules/_microtask.js ***!
   \****************************************************/
-/***/ ((module) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
-module.exports = function (it) {
-  return typeof it === 'object' ? it !== null : typeof it === 'function';
-};
+var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
+var macrotask = (__webpack_require__(/*! ./_task */ "./node_modules/core-js/modules/_task.js").set);
+var Observer = global.MutationObserver || global.WebKitMutationObserver;
+var process = global.process;
+var Promise = global.Promise;
+var isNode = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js")(process) == 'process';
 
+module.exports = function () {
+  var head, last, notify;
 
-/***/ }),
+  var flush = function () {
+    var parent, fn;
+    if (isNode && (parent = process.domain)) parent.exit();
+    while (head) {
+      fn = head.fn;
+      head = head.next;
+      try {
+        fn();
+      } catch (e) {
+        if (head) notify();
+        else last = undefined;
+        throw e;
+      }
+    } last = undefined;
+    if (parent) parent.enter();
+  };
 
-/***/ "./node_modules/core-js/modules/_is-regexp.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_is-regexp.js ***!
-  \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+  // Node.js
+  if (isNode) {
+    notify = function () {
+      process.nextTick(flush);
+    };
+  // browsers with MutationObserver, except iOS Safari - https://github.com/zloirock/core-js/issues/339
+  } else if (Observer && !(global.navigator && global.navigator.standalone)) {
+    var toggle = true;
+    var node = document.createTextNode('');
+    new Observer(flush).observe(node, { characterData: true }); // eslint-disable-line no-new
+    notify = function () {
+      node.data = toggle = !toggle;
+    };
+  // environments with maybe non-completely correct, but existent Promise
+  } else if (Promise && Promise.resolve) {
+    // Promise.resolve without an argument throws an error in LG WebOS 2
+    var promise = Promise.resolve(undefined);
+    notify = function () {
+      promise.then(flush);
+    };
+  // for other environments - macrotask based on:
+  // - setImmediate
+  // - MessageChannel
+  // - window.postMessag
+  // - onreadystatechange
+  // - setTimeout
+  } else {
+    notify = function () {
+      // strange IE + webpack dev server bug - use .call(global)
+      macrotask.call(global, flush);
+    };
+  }
 
-// 7.2.8 IsRegExp(argument)
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js");
-var MATCH = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('match');
-module.exports = function (it) {
-  var isRegExp;
-  return isObject(it) && ((isRegExp = it[MATCH]) !== undefined ? !!isRegExp : cof(it) == 'RegExp');
+  return function (fn) {
+    var task = { fn: fn, next: undefined };
+    if (last) last.next = task;
+    if (!head) {
+      head = task;
+      notify();
+    } last = task;
+  };
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_iter-call.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_iter-call.js ***!
-  \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_new-promise-capability.js"
+/*!*****************************************************************!*\
+  !*** ./node_modules/core-js/modules/_new-promise-capability.js ***!
+  \*****************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// call something on iterator step with safe closing on error
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-module.exports = function (iterator, fn, value, entries) {
-  try {
-    return entries ? fn(anObject(value)[0], value[1]) : fn(value);
-  // 7.4.6 IteratorClose(iterator, completion)
-  } catch (e) {
-    var ret = iterator['return'];
-    if (ret !== undefined) anObject(ret.call(iterator));
-    throw e;
-  }
+"use strict";
+
+// 25.4.1.5 NewPromiseCapability(C)
+var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
+
+function PromiseCapability(C) {
+  var resolve, reject;
+  this.promise = new C(function ($$resolve, $$reject) {
+    if (resolve !== undefined || reject !== undefined) throw TypeError('Bad Promise constructor');
+    resolve = $$resolve;
+    reject = $$reject;
+  });
+  this.resolve = aFunction(resolve);
+  this.reject = aFunction(reject);
+}
+
+module.exports.f = function (C) {
+  return new PromiseCapability(C);
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_iter-create.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_iter-create.js ***!
-  \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_object-assign.js"
+/*!********************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-assign.js ***!
+  \********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
-var create = __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js");
-var descriptor = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
-var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
-var IteratorPrototype = {};
-
-// 25.1.2.1.1 %IteratorPrototype%[@@iterator]()
-__webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js")(IteratorPrototype, __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator'), function () { return this; });
-
-module.exports = function (Constructor, NAME, next) {
-  Constructor.prototype = create(IteratorPrototype, { next: descriptor(1, next) });
-  setToStringTag(Constructor, NAME + ' Iterator');
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_iter-define.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_iter-define.js ***!
-  \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-"use strict";
-
-var LIBRARY = __webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js");
-var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
-var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
-var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
-var Iterators = __webpack_require__(/*! ./_iterators */ "./node_modules/core-js/modules/_iterators.js");
-var $iterCreate = __webpack_require__(/*! ./_iter-create */ "./node_modules/core-js/modules/_iter-create.js");
-var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
-var getPrototypeOf = __webpack_require__(/*! ./_object-gpo */ "./node_modules/core-js/modules/_object-gpo.js");
-var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
-var BUGGY = !([].keys && 'next' in [].keys()); // Safari has buggy iterators w/o `next`
-var FF_ITERATOR = '@@iterator';
-var KEYS = 'keys';
-var VALUES = 'values';
-
-var returnThis = function () { return this; };
+// 19.1.2.1 Object.assign(target, source, ...)
+var DESCRIPTORS = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js");
+var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
+var gOPS = __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js");
+var pIE = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js");
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
+var $assign = Object.assign;
 
-module.exports = function (Base, NAME, Constructor, next, DEFAULT, IS_SET, FORCED) {
-  $iterCreate(Constructor, NAME, next);
-  var getMethod = function (kind) {
-    if (!BUGGY && kind in proto) return proto[kind];
-    switch (kind) {
-      case KEYS: return function keys() { return new Constructor(this, kind); };
-      case VALUES: return function values() { return new Constructor(this, kind); };
-    } return function entries() { return new Constructor(this, kind); };
-  };
-  var TAG = NAME + ' Iterator';
-  var DEF_VALUES = DEFAULT == VALUES;
-  var VALUES_BUG = false;
-  var proto = Base.prototype;
-  var $native = proto[ITERATOR] || proto[FF_ITERATOR] || DEFAULT && proto[DEFAULT];
-  var $default = (!BUGGY && $native) || getMethod(DEFAULT);
-  var $entries = DEFAULT ? !DEF_VALUES ? $default : getMethod('entries') : undefined;
-  var $anyNative = NAME == 'Array' ? proto.entries || $native : $native;
-  var methods, key, IteratorPrototype;
-  // Fix native
-  if ($anyNative) {
-    IteratorPrototype = getPrototypeOf($anyNative.call(new Base()));
-    if (IteratorPrototype !== Object.prototype && IteratorPrototype.next) {
-      // Set @@toStringTag to native iterators
-      setToStringTag(IteratorPrototype, TAG, true);
-      // fix for some old engines
-      if (!LIBRARY && !has(IteratorPrototype, ITERATOR)) hide(IteratorPrototype, ITERATOR, returnThis);
+// should work with symbols and should have deterministic property order (V8 bug)
+module.exports = !$assign || __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
+  var A = {};
+  var B = {};
+  // eslint-disable-next-line no-undef
+  var S = Symbol();
+  var K = 'abcdefghijklmnopqrst';
+  A[S] = 7;
+  K.split('').forEach(function (k) { B[k] = k; });
+  return $assign({}, A)[S] != 7 || Object.keys($assign({}, B)).join('') != K;
+}) ? function assign(target, source) { // eslint-disable-line no-unused-vars
+  var T = toObject(target);
+  var aLen = arguments.length;
+  var index = 1;
+  var getSymbols = gOPS.f;
+  var isEnum = pIE.f;
+  while (aLen > index) {
+    var S = IObject(arguments[index++]);
+    var keys = getSymbols ? getKeys(S).concat(getSymbols(S)) : getKeys(S);
+    var length = keys.length;
+    var j = 0;
+    var key;
+    while (length > j) {
+      key = keys[j++];
+      if (!DESCRIPTORS || isEnum.call(S, key)) T[key] = S[key];
     }
-  }
-  // fix Array#{values, @@iterator}.name in V8 / FF
-  if (DEF_VALUES && $native && $native.name !== VALUES) {
-    VALUES_BUG = true;
-    $default = function values() { return $native.call(this); };
-  }
-  // Define iterator
-  if ((!LIBRARY || FORCED) && (BUGGY || VALUES_BUG || !proto[ITERATOR])) {
-    hide(proto, ITERATOR, $default);
-  }
-  // Plug for library
-  Iterators[NAME] = $default;
-  Iterators[TAG] = returnThis;
-  if (DEFAULT) {
-    methods = {
-      values: DEF_VALUES ? $default : getMethod(VALUES),
-      keys: IS_SET ? $default : getMethod(KEYS),
-      entries: $entries
-    };
-    if (FORCED) for (key in methods) {
-      if (!(key in proto)) redefine(proto, key, methods[key]);
-    } else $export($export.P + $export.F * (BUGGY || VALUES_BUG), NAME, methods);
-  }
-  return methods;
-};
+  } return T;
+} : $assign;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_iter-detect.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_iter-detect.js ***!
-  \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_object-create.js"
+/*!********************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-create.js ***!
+  \********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
-var SAFE_CLOSING = false;
+// 19.1.2.2 / 15.2.3.5 Object.create(O [, Properties])
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var dPs = __webpack_require__(/*! ./_object-dps */ "./node_modules/core-js/modules/_object-dps.js");
+var enumBugKeys = __webpack_require__(/*! ./_enum-bug-keys */ "./node_modules/core-js/modules/_enum-bug-keys.js");
+var IE_PROTO = __webpack_require__(/*! ./_shared-key */ "./node_modules/core-js/modules/_shared-key.js")('IE_PROTO');
+var Empty = function () { /* empty */ };
+var PROTOTYPE = 'prototype';
 
-try {
-  var riter = [7][ITERATOR]();
-  riter['return'] = function () { SAFE_CLOSING = true; };
-  // eslint-disable-next-line no-throw-literal
-  Array.from(riter, function () { throw 2; });
-} catch (e) { /* empty */ }
+// Create object with fake `null` prototype: use iframe Object with cleared prototype
+var createDict = function () {
+  // Thrash, waste and sodomy: IE GC bug
+  var iframe = __webpack_require__(/*! ./_dom-create */ "./node_modules/core-js/modules/_dom-create.js")('iframe');
+  var i = enumBugKeys.length;
+  var lt = '<';
+  var gt = '>';
+  var iframeDocument;
+  iframe.style.display = 'none';
+  (__webpack_require__(/*! ./_html */ "./node_modules/core-js/modules/_html.js").appendChild)(iframe);
+  iframe.src = 'javascript:'; // eslint-disable-line no-script-url
+  // createDict = iframe.contentWindow.Object;
+  // html.removeChild(iframe);
+  iframeDocument = iframe.contentWindow.document;
+  iframeDocument.open();
+  iframeDocument.write(lt + 'script' + gt + 'document.F=Object' + lt + '/script' + gt);
+  iframeDocument.close();
+  createDict = iframeDocument.F;
+  while (i--) delete createDict[PROTOTYPE][enumBugKeys[i]];
+  return createDict();
+};
 
-module.exports = function (exec, skipClosing) {
-  if (!skipClosing && !SAFE_CLOSING) return false;
-  var safe = false;
-  try {
-    var arr = [7];
-    var iter = arr[ITERATOR]();
-    iter.next = function () { return { done: safe = true }; };
-    arr[ITERATOR] = function () { return iter; };
-    exec(arr);
-  } catch (e) { /* empty */ }
-  return safe;
+module.exports = Object.create || function create(O, Properties) {
+  var result;
+  if (O !== null) {
+    Empty[PROTOTYPE] = anObject(O);
+    result = new Empty();
+    Empty[PROTOTYPE] = null;
+    // add "__proto__" for Object.getPrototypeOf polyfill
+    result[IE_PROTO] = O;
+  } else result = createDict();
+  return Properties === undefined ? result : dPs(result, Properties);
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_iter-step.js":
+/***/ "./node_modules/core-js/modules/_object-dp.js"
 /*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_iter-step.js ***!
+  !*** ./node_modules/core-js/modules/_object-dp.js ***!
   \****************************************************/
-/***/ ((module) => {
-
-module.exports = function (done, value) {
-  return { value: value, done: !!done };
-};
+(__unused_webpack_module, exports, __webpack_require__) {
 
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var IE8_DOM_DEFINE = __webpack_require__(/*! ./_ie8-dom-define */ "./node_modules/core-js/modules/_ie8-dom-define.js");
+var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
+var dP = Object.defineProperty;
 
-/***/ }),
+exports.f = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? Object.defineProperty : function defineProperty(O, P, Attributes) {
+  anObject(O);
+  P = toPrimitive(P, true);
+  anObject(Attributes);
+  if (IE8_DOM_DEFINE) try {
+    return dP(O, P, Attributes);
+  } catch (e) { /* empty */ }
+  if ('get' in Attributes || 'set' in Attributes) throw TypeError('Accessors not supported!');
+  if ('value' in Attributes) O[P] = Attributes.value;
+  return O;
+};
 
-/***/ "./node_modules/core-js/modules/_iterators.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_iterators.js ***!
-  \****************************************************/
-/***/ ((module) => {
 
-module.exports = {};
+/***/ },
 
+/***/ "./node_modules/core-js/modules/_object-dps.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-dps.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ }),
+var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
 
-/***/ "./node_modules/core-js/modules/_library.js":
-/*!**************************************************!*\
-  !*** ./node_modules/core-js/modules/_library.js ***!
-  \**************************************************/
-/***/ ((module) => {
+module.exports = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? Object.defineProperties : function defineProperties(O, Properties) {
+  anObject(O);
+  var keys = getKeys(Properties);
+  var length = keys.length;
+  var i = 0;
+  var P;
+  while (length > i) dP.f(O, P = keys[i++], Properties[P]);
+  return O;
+};
 
-module.exports = false;
 
+/***/ },
 
-/***/ }),
+/***/ "./node_modules/core-js/modules/_object-forced-pam.js"
+/*!************************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-forced-pam.js ***!
+  \************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ "./node_modules/core-js/modules/_math-expm1.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_math-expm1.js ***!
-  \*****************************************************/
-/***/ ((module) => {
+"use strict";
 
-// 20.2.2.14 Math.expm1(x)
-var $expm1 = Math.expm1;
-module.exports = (!$expm1
-  // Old FF bug
-  || $expm1(10) > 22025.465794806719 || $expm1(10) < 22025.4657948067165168
-  // Tor Browser bug
-  || $expm1(-2e-17) != -2e-17
-) ? function expm1(x) {
-  return (x = +x) == 0 ? x : x > -1e-6 && x < 1e-6 ? x + x * x / 2 : Math.exp(x) - 1;
-} : $expm1;
+// Forced replacement prototype accessors methods
+module.exports = __webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js") || !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
+  var K = Math.random();
+  // In FF throws only define methods
+  // eslint-disable-next-line no-undef, no-useless-call
+  __defineSetter__.call(null, K, function () { /* empty */ });
+  delete __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js")[K];
+});
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_math-fround.js":
+/***/ "./node_modules/core-js/modules/_object-gopd.js"
 /*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_math-fround.js ***!
+  !*** ./node_modules/core-js/modules/_object-gopd.js ***!
   \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, exports, __webpack_require__) {
 
-// 20.2.2.16 Math.fround(x)
-var sign = __webpack_require__(/*! ./_math-sign */ "./node_modules/core-js/modules/_math-sign.js");
-var pow = Math.pow;
-var EPSILON = pow(2, -52);
-var EPSILON32 = pow(2, -23);
-var MAX32 = pow(2, 127) * (2 - EPSILON32);
-var MIN32 = pow(2, -126);
+var pIE = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js");
+var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
+var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
+var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
+var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
+var IE8_DOM_DEFINE = __webpack_require__(/*! ./_ie8-dom-define */ "./node_modules/core-js/modules/_ie8-dom-define.js");
+var gOPD = Object.getOwnPropertyDescriptor;
 
-var roundTiesToEven = function (n) {
-  return n + 1 / EPSILON - 1 / EPSILON;
+exports.f = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? gOPD : function getOwnPropertyDescriptor(O, P) {
+  O = toIObject(O);
+  P = toPrimitive(P, true);
+  if (IE8_DOM_DEFINE) try {
+    return gOPD(O, P);
+  } catch (e) { /* empty */ }
+  if (has(O, P)) return createDesc(!pIE.f.call(O, P), O[P]);
 };
 
-module.exports = Math.fround || function fround(x) {
-  var $abs = Math.abs(x);
-  var $sign = sign(x);
-  var a, result;
-  if ($abs < MIN32) return $sign * roundTiesToEven($abs / MIN32 / EPSILON32) * MIN32 * EPSILON32;
-  a = (1 + EPSILON32 / EPSILON) * $abs;
-  result = a - (a - $abs);
-  // eslint-disable-next-line no-self-compare
-  if (result > MAX32 || result != result) return $sign * Infinity;
-  return $sign * result;
-};
 
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_object-gopn-ext.js"
+/*!**********************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-gopn-ext.js ***!
+  \**********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-/***/ }),
+// fallback for IE11 buggy Object.getOwnPropertyNames with iframe and window
+var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
+var gOPN = (__webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f);
+var toString = {}.toString;
 
-/***/ "./node_modules/core-js/modules/_math-log1p.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_math-log1p.js ***!
-  \*****************************************************/
-/***/ ((module) => {
+var windowNames = typeof window == 'object' && window && Object.getOwnPropertyNames
+  ? Object.getOwnPropertyNames(window) : [];
 
-// 20.2.2.20 Math.log1p(x)
-module.exports = Math.log1p || function log1p(x) {
-  return (x = +x) > -1e-8 && x < 1e-8 ? x - x * x / 2 : Math.log(1 + x);
+var getWindowNames = function (it) {
+  try {
+    return gOPN(it);
+  } catch (e) {
+    return windowNames.slice();
+  }
 };
 
+module.exports.f = function getOwnPropertyNames(it) {
+  return windowNames && toString.call(it) == '[object Window]' ? getWindowNames(it) : gOPN(toIObject(it));
+};
 
-/***/ }),
 
-/***/ "./node_modules/core-js/modules/_math-scale.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_math-scale.js ***!
-  \*****************************************************/
-/***/ ((module) => {
+/***/ },
 
-// https://rwaldron.github.io/proposal-math-extensions/
-module.exports = Math.scale || function scale(x, inLow, inHigh, outLow, outHigh) {
-  if (
-    arguments.length === 0
-      // eslint-disable-next-line no-self-compare
-      || x != x
-      // eslint-disable-next-line no-self-compare
-      || inLow != inLow
-      // eslint-disable-next-line no-self-compare
-      || inHigh != inHigh
-      // eslint-disable-next-line no-self-compare
-      || outLow != outLow
-      // eslint-disable-next-line no-self-compare
-      || outHigh != outHigh
-  ) return NaN;
-  if (x === Infinity || x === -Infinity) return x;
-  return (x - inLow) * (outHigh - outLow) / (inHigh - inLow) + outLow;
+/***/ "./node_modules/core-js/modules/_object-gopn.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-gopn.js ***!
+  \******************************************************/
+(__unused_webpack_module, exports, __webpack_require__) {
+
+// 19.1.2.7 / 15.2.3.4 Object.getOwnPropertyNames(O)
+var $keys = __webpack_require__(/*! ./_object-keys-internal */ "./node_modules/core-js/modules/_object-keys-internal.js");
+var hiddenKeys = (__webpack_require__(/*! ./_enum-bug-keys */ "./node_modules/core-js/modules/_enum-bug-keys.js").concat)('length', 'prototype');
+
+exports.f = Object.getOwnPropertyNames || function getOwnPropertyNames(O) {
+  return $keys(O, hiddenKeys);
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_math-sign.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_math-sign.js ***!
-  \****************************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_object-gops.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-gops.js ***!
+  \******************************************************/
+(__unused_webpack_module, exports) {
 
-// 20.2.2.28 Math.sign(x)
-module.exports = Math.sign || function sign(x) {
-  // eslint-disable-next-line no-self-compare
-  return (x = +x) == 0 || x != x ? x : x < 0 ? -1 : 1;
-};
+exports.f = Object.getOwnPropertySymbols;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_meta.js":
-/*!***********************************************!*\
-  !*** ./node_modules/core-js/modules/_meta.js ***!
-  \***********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_object-gpo.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-gpo.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var META = __webpack_require__(/*! ./_uid */ "./node_modules/core-js/modules/_uid.js")('meta');
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+// 19.1.2.9 / 15.2.3.2 Object.getPrototypeOf(O)
 var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
-var setDesc = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
-var id = 0;
-var isExtensible = Object.isExtensible || function () {
-  return true;
-};
-var FREEZE = !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
-  return isExtensible(Object.preventExtensions({}));
-});
-var setMeta = function (it) {
-  setDesc(it, META, { value: {
-    i: 'O' + ++id, // object ID
-    w: {}          // weak collections IDs
-  } });
-};
-var fastKey = function (it, create) {
-  // return primitive with prefix
-  if (!isObject(it)) return typeof it == 'symbol' ? it : (typeof it == 'string' ? 'S' : 'P') + it;
-  if (!has(it, META)) {
-    // can't set metadata to uncaught frozen object
-    if (!isExtensible(it)) return 'F';
-    // not necessary to add metadata
-    if (!create) return 'E';
-    // add missing metadata
-    setMeta(it);
-  // return object ID
-  } return it[META].i;
-};
-var getWeak = function (it, create) {
-  if (!has(it, META)) {
-    // can't set metadata to uncaught frozen object
-    if (!isExtensible(it)) return true;
-    // not necessary to add metadata
-    if (!create) return false;
-    // add missing metadata
-    setMeta(it);
-  // return hash weak collections IDs
-  } return it[META].w;
-};
-// add metadata on freeze-family methods calling
-var onFreeze = function (it) {
-  if (FREEZE && meta.NEED && isExtensible(it) && !has(it, META)) setMeta(it);
-  return it;
-};
-var meta = module.exports = {
-  KEY: META,
-  NEED: false,
-  fastKey: fastKey,
-  getWeak: getWeak,
-  onFreeze: onFreeze
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var IE_PROTO = __webpack_require__(/*! ./_shared-key */ "./node_modules/core-js/modules/_shared-key.js")('IE_PROTO');
+var ObjectProto = Object.prototype;
+
+module.exports = Object.getPrototypeOf || function (O) {
+  O = toObject(O);
+  if (has(O, IE_PROTO)) return O[IE_PROTO];
+  if (typeof O.constructor == 'function' && O instanceof O.constructor) {
+    return O.constructor.prototype;
+  } return O instanceof Object ? ObjectProto : null;
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_metadata.js":
-/*!***************************************************!*\
-  !*** ./node_modules/core-js/modules/_metadata.js ***!
-  \***************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_object-keys-internal.js"
+/*!***************************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-keys-internal.js ***!
+  \***************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var Map = __webpack_require__(/*! ./es6.map */ "./node_modules/core-js/modules/es6.map.js");
-var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-var shared = __webpack_require__(/*! ./_shared */ "./node_modules/core-js/modules/_shared.js")('metadata');
-var store = shared.store || (shared.store = new (__webpack_require__(/*! ./es6.weak-map */ "./node_modules/core-js/modules/es6.weak-map.js"))());
+var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
+var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
+var arrayIndexOf = __webpack_require__(/*! ./_array-includes */ "./node_modules/core-js/modules/_array-includes.js")(false);
+var IE_PROTO = __webpack_require__(/*! ./_shared-key */ "./node_modules/core-js/modules/_shared-key.js")('IE_PROTO');
 
-var getOrCreateMetadataMap = function (target, targetKey, create) {
-  var targetMetadata = store.get(target);
-  if (!targetMetadata) {
-    if (!create) return undefined;
-    store.set(target, targetMetadata = new Map());
+module.exports = function (object, names) {
+  var O = toIObject(object);
+  var i = 0;
+  var result = [];
+  var key;
+  for (key in O) if (key != IE_PROTO) has(O, key) && result.push(key);
+  // Don't enum bug & hidden keys
+  while (names.length > i) if (has(O, key = names[i++])) {
+    ~arrayIndexOf(result, key) || result.push(key);
   }
-  var keyMetadata = targetMetadata.get(targetKey);
-  if (!keyMetadata) {
-    if (!create) return undefined;
-    targetMetadata.set(targetKey, keyMetadata = new Map());
-  } return keyMetadata;
-};
-var ordinaryHasOwnMetadata = function (MetadataKey, O, P) {
-  var metadataMap = getOrCreateMetadataMap(O, P, false);
-  return metadataMap === undefined ? false : metadataMap.has(MetadataKey);
-};
-var ordinaryGetOwnMetadata = function (MetadataKey, O, P) {
-  var metadataMap = getOrCreateMetadataMap(O, P, false);
-  return metadataMap === undefined ? undefined : metadataMap.get(MetadataKey);
-};
-var ordinaryDefineOwnMetadata = function (MetadataKey, MetadataValue, O, P) {
-  getOrCreateMetadataMap(O, P, true).set(MetadataKey, MetadataValue);
-};
-var ordinaryOwnMetadataKeys = function (target, targetKey) {
-  var metadataMap = getOrCreateMetadataMap(target, targetKey, false);
-  var keys = [];
-  if (metadataMap) metadataMap.forEach(function (_, key) { keys.push(key); });
-  return keys;
-};
-var toMetaKey = function (it) {
-  return it === undefined || typeof it == 'symbol' ? it : String(it);
-};
-var exp = function (O) {
-  $export($export.S, 'Reflect', O);
+  return result;
 };
 
-module.exports = {
-  store: store,
-  map: getOrCreateMetadataMap,
-  has: ordinaryHasOwnMetadata,
-  get: ordinaryGetOwnMetadata,
-  set: ordinaryDefineOwnMetadata,
-  keys: ordinaryOwnMetadataKeys,
-  key: toMetaKey,
-  exp: exp
+
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_object-keys.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-keys.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
+
+// 19.1.2.14 / 15.2.3.14 Object.keys(O)
+var $keys = __webpack_require__(/*! ./_object-keys-internal */ "./node_modules/core-js/modules/_object-keys-internal.js");
+var enumBugKeys = __webpack_require__(/*! ./_enum-bug-keys */ "./node_modules/core-js/modules/_enum-bug-keys.js");
+
+module.exports = Object.keys || function keys(O) {
+  return $keys(O, enumBugKeys);
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_microtask.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_microtask.js ***!
-  \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_object-pie.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-pie.js ***!
+  \*****************************************************/
+(__unused_webpack_module, exports) {
 
-var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
-var macrotask = __webpack_require__(/*! ./_task */ "./node_modules/core-js/modules/_task.js").set;
-var Observer = global.MutationObserver || global.WebKitMutationObserver;
-var process = global.process;
-var Promise = global.Promise;
-var isNode = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js")(process) == 'process';
+exports.f = {}.propertyIsEnumerable;
 
-module.exports = function () {
-  var head, last, notify;
 
-  var flush = function () {
-    var parent, fn;
-    if (isNode && (parent = process.domain)) parent.exit();
-    while (head) {
-      fn = head.fn;
-      head = head.next;
-      try {
-        fn();
-      } catch (e) {
-        if (head) notify();
-        else last = undefined;
-        throw e;
-      }
-    } last = undefined;
-    if (parent) parent.enter();
-  };
+/***/ },
 
-  // Node.js
-  if (isNode) {
-    notify = function () {
-      process.nextTick(flush);
-    };
-  // browsers with MutationObserver, except iOS Safari - https://github.com/zloirock/core-js/issues/339
-  } else if (Observer && !(global.navigator && global.navigator.standalone)) {
-    var toggle = true;
-    var node = document.createTextNode('');
-    new Observer(flush).observe(node, { characterData: true }); // eslint-disable-line no-new
-    notify = function () {
-      node.data = toggle = !toggle;
-    };
-  // environments with maybe non-completely correct, but existent Promise
-  } else if (Promise && Promise.resolve) {
-    var promise = Promise.resolve();
-    notify = function () {
-      promise.then(flush);
-    };
-  // for other environments - macrotask based on:
-  // - setImmediate
-  // - MessageChannel
-  // - window.postMessag
-  // - onreadystatechange
-  // - setTimeout
-  } else {
-    notify = function () {
-      // strange IE + webpack dev server bug - use .call(global)
-      macrotask.call(global, flush);
-    };
-  }
+/***/ "./node_modules/core-js/modules/_object-sap.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-sap.js ***!
+  \*****************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-  return function (fn) {
-    var task = { fn: fn, next: undefined };
-    if (last) last.next = task;
-    if (!head) {
-      head = task;
-      notify();
-    } last = task;
-  };
+// most Object methods by ES6 should accept primitives
+var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
+var core = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js");
+var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
+module.exports = function (KEY, exec) {
+  var fn = (core.Object || {})[KEY] || Object[KEY];
+  var exp = {};
+  exp[KEY] = exec(fn);
+  $export($export.S + $export.F * fails(function () { fn(1); }), 'Object', exp);
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_new-promise-capability.js":
-/*!*****************************************************************!*\
-  !*** ./node_modules/core-js/modules/_new-promise-capability.js ***!
-  \*****************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-"use strict";
-
-// 25.4.1.5 NewPromiseCapability(C)
-var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
+/***/ },
 
-function PromiseCapability(C) {
-  var resolve, reject;
-  this.promise = new C(function ($$resolve, $$reject) {
-    if (resolve !== undefined || reject !== undefined) throw TypeError('Bad Promise constructor');
-    resolve = $$resolve;
-    reject = $$reject;
-  });
-  this.resolve = aFunction(resolve);
-  this.reject = aFunction(reject);
-}
+/***/ "./node_modules/core-js/modules/_object-to-array.js"
+/*!**********************************************************!*\
+  !*** ./node_modules/core-js/modules/_object-to-array.js ***!
+  \**********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-module.exports.f = function (C) {
-  return new PromiseCapability(C);
+var DESCRIPTORS = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js");
+var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
+var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
+var isEnum = (__webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js").f);
+module.exports = function (isEntries) {
+  return function (it) {
+    var O = toIObject(it);
+    var keys = getKeys(O);
+    var length = keys.length;
+    var i = 0;
+    var result = [];
+    var key;
+    while (length > i) {
+      key = keys[i++];
+      if (!DESCRIPTORS || isEnum.call(O, key)) {
+        result.push(isEntries ? [key, O[key]] : O[key]);
+      }
+    }
+    return result;
+  };
 };
 
 
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-assign.js":
-/*!********************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-assign.js ***!
-  \********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-"use strict";
+/***/ "./node_modules/core-js/modules/_own-keys.js"
+/*!***************************************************!*\
+  !*** ./node_modules/core-js/modules/_own-keys.js ***!
+  \***************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// 19.1.2.1 Object.assign(target, source, ...)
-var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
+// all object keys, includes non-enumerable and symbols
+var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js");
 var gOPS = __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js");
-var pIE = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js");
-var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
-var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
-var $assign = Object.assign;
-
-// should work with symbols and should have deterministic property order (V8 bug)
-module.exports = !$assign || __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
-  var A = {};
-  var B = {};
-  // eslint-disable-next-line no-undef
-  var S = Symbol();
-  var K = 'abcdefghijklmnopqrst';
-  A[S] = 7;
-  K.split('').forEach(function (k) { B[k] = k; });
-  return $assign({}, A)[S] != 7 || Object.keys($assign({}, B)).join('') != K;
-}) ? function assign(target, source) { // eslint-disable-line no-unused-vars
-  var T = toObject(target);
-  var aLen = arguments.length;
-  var index = 1;
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var Reflect = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Reflect);
+module.exports = Reflect && Reflect.ownKeys || function ownKeys(it) {
+  var keys = gOPN.f(anObject(it));
   var getSymbols = gOPS.f;
-  var isEnum = pIE.f;
-  while (aLen > index) {
-    var S = IObject(arguments[index++]);
-    var keys = getSymbols ? getKeys(S).concat(getSymbols(S)) : getKeys(S);
-    var length = keys.length;
-    var j = 0;
-    var key;
-    while (length > j) if (isEnum.call(S, key = keys[j++])) T[key] = S[key];
-  } return T;
-} : $assign;
-
+  return getSymbols ? keys.concat(getSymbols(it)) : keys;
+};
 
-/***/ }),
 
-/***/ "./node_modules/core-js/modules/_object-create.js":
-/*!********************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-create.js ***!
-  \********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-// 19.1.2.2 / 15.2.3.5 Object.create(O [, Properties])
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var dPs = __webpack_require__(/*! ./_object-dps */ "./node_modules/core-js/modules/_object-dps.js");
-var enumBugKeys = __webpack_require__(/*! ./_enum-bug-keys */ "./node_modules/core-js/modules/_enum-bug-keys.js");
-var IE_PROTO = __webpack_require__(/*! ./_shared-key */ "./node_modules/core-js/modules/_shared-key.js")('IE_PROTO');
-var Empty = function () { /* empty */ };
-var PROTOTYPE = 'prototype';
+/***/ "./node_modules/core-js/modules/_parse-float.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_parse-float.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-// Create object with fake `null` prototype: use iframe Object with cleared prototype
-var createDict = function () {
-  // Thrash, waste and sodomy: IE GC bug
-  var iframe = __webpack_require__(/*! ./_dom-create */ "./node_modules/core-js/modules/_dom-create.js")('iframe');
-  var i = enumBugKeys.length;
-  var lt = '<';
-  var gt = '>';
-  var iframeDocument;
-  iframe.style.display = 'none';
-  __webpack_require__(/*! ./_html */ "./node_modules/core-js/modules/_html.js").appendChild(iframe);
-  iframe.src = 'javascript:'; // eslint-disable-line no-script-url
-  // createDict = iframe.contentWindow.Object;
-  // html.removeChild(iframe);
-  iframeDocument = iframe.contentWindow.document;
-  iframeDocument.open();
-  iframeDocument.write(lt + 'script' + gt + 'document.F=Object' + lt + '/script' + gt);
-  iframeDocument.close();
-  createDict = iframeDocument.F;
-  while (i--) delete createDict[PROTOTYPE][enumBugKeys[i]];
-  return createDict();
-};
+var $parseFloat = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").parseFloat);
+var $trim = (__webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_string-trim.js").trim);
 
-module.exports = Object.create || function create(O, Properties) {
-  var result;
-  if (O !== null) {
-    Empty[PROTOTYPE] = anObject(O);
-    result = new Empty();
-    Empty[PROTOTYPE] = null;
-    // add "__proto__" for Object.getPrototypeOf polyfill
-    result[IE_PROTO] = O;
-  } else result = createDict();
-  return Properties === undefined ? result : dPs(result, Properties);
-};
+module.exports = 1 / $parseFloat(__webpack_require__(/*! ./_string-ws */ "./node_modules/core-js/modules/_string-ws.js") + '-0') !== -Infinity ? function parseFloat(str) {
+  var string = $trim(String(str), 3);
+  var result = $parseFloat(string);
+  return result === 0 && string.charAt(0) == '-' ? -0 : result;
+} : $parseFloat;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_object-dp.js":
+/***/ "./node_modules/core-js/modules/_parse-int.js"
 /*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-dp.js ***!
+  !*** ./node_modules/core-js/modules/_parse-int.js ***!
   \****************************************************/
-/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
-
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var IE8_DOM_DEFINE = __webpack_require__(/*! ./_ie8-dom-define */ "./node_modules/core-js/modules/_ie8-dom-define.js");
-var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
-var dP = Object.defineProperty;
+(module, __unused_webpack_exports, __webpack_require__) {
 
-exports.f = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? Object.defineProperty : function defineProperty(O, P, Attributes) {
-  anObject(O);
-  P = toPrimitive(P, true);
-  anObject(Attributes);
-  if (IE8_DOM_DEFINE) try {
-    return dP(O, P, Attributes);
-  } catch (e) { /* empty */ }
-  if ('get' in Attributes || 'set' in Attributes) throw TypeError('Accessors not supported!');
-  if ('value' in Attributes) O[P] = Attributes.value;
-  return O;
-};
+var $parseInt = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").parseInt);
+var $trim = (__webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_string-trim.js").trim);
+var ws = __webpack_require__(/*! ./_string-ws */ "./node_modules/core-js/modules/_string-ws.js");
+var hex = /^[-+]?0[xX]/;
 
+module.exports = $parseInt(ws + '08') !== 8 || $parseInt(ws + '0x16') !== 22 ? function parseInt(str, radix) {
+  var string = $trim(String(str), 3);
+  return $parseInt(string, (radix >>> 0) || (hex.test(string) ? 16 : 10));
+} : $parseInt;
 
-/***/ }),
 
-/***/ "./node_modules/core-js/modules/_object-dps.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-dps.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ },
 
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
+/***/ "./node_modules/core-js/modules/_perform.js"
+/*!**************************************************!*\
+  !*** ./node_modules/core-js/modules/_perform.js ***!
+  \**************************************************/
+(module) {
 
-module.exports = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? Object.defineProperties : function defineProperties(O, Properties) {
-  anObject(O);
-  var keys = getKeys(Properties);
-  var length = keys.length;
-  var i = 0;
-  var P;
-  while (length > i) dP.f(O, P = keys[i++], Properties[P]);
-  return O;
+module.exports = function (exec) {
+  try {
+    return { e: false, v: exec() };
+  } catch (e) {
+    return { e: true, v: e };
+  }
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_object-forced-pam.js":
-/*!************************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-forced-pam.js ***!
-  \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+/***/ "./node_modules/core-js/modules/_promise-resolve.js"
+/*!**********************************************************!*\
+  !*** ./node_modules/core-js/modules/_promise-resolve.js ***!
+  \**********************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-"use strict";
-
-// Forced replacement prototype accessors methods
-module.exports = __webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js") || !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
-  var K = Math.random();
-  // In FF throws only define methods
-  // eslint-disable-next-line no-undef, no-useless-call
-  __defineSetter__.call(null, K, function () { /* empty */ });
-  delete __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js")[K];
-});
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-gopd.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-gopd.js ***!
-  \******************************************************/
-/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
-
-var pIE = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js");
-var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
-var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
-var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
-var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
-var IE8_DOM_DEFINE = __webpack_require__(/*! ./_ie8-dom-define */ "./node_modules/core-js/modules/_ie8-dom-define.js");
-var gOPD = Object.getOwnPropertyDescriptor;
-
-exports.f = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") ? gOPD : function getOwnPropertyDescriptor(O, P) {
-  O = toIObject(O);
-  P = toPrimitive(P, true);
-  if (IE8_DOM_DEFINE) try {
-    return gOPD(O, P);
-  } catch (e) { /* empty */ }
-  if (has(O, P)) return createDesc(!pIE.f.call(O, P), O[P]);
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-gopn-ext.js":
-/*!**********************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-gopn-ext.js ***!
-  \**********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// fallback for IE11 buggy Object.getOwnPropertyNames with iframe and window
-var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
-var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f;
-var toString = {}.toString;
-
-var windowNames = typeof window == 'object' && window && Object.getOwnPropertyNames
-  ? Object.getOwnPropertyNames(window) : [];
-
-var getWindowNames = function (it) {
-  try {
-    return gOPN(it);
-  } catch (e) {
-    return windowNames.slice();
-  }
-};
-
-module.exports.f = function getOwnPropertyNames(it) {
-  return windowNames && toString.call(it) == '[object Window]' ? getWindowNames(it) : gOPN(toIObject(it));
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-gopn.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-gopn.js ***!
-  \******************************************************/
-/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
-
-// 19.1.2.7 / 15.2.3.4 Object.getOwnPropertyNames(O)
-var $keys = __webpack_require__(/*! ./_object-keys-internal */ "./node_modules/core-js/modules/_object-keys-internal.js");
-var hiddenKeys = __webpack_require__(/*! ./_enum-bug-keys */ "./node_modules/core-js/modules/_enum-bug-keys.js").concat('length', 'prototype');
-
-exports.f = Object.getOwnPropertyNames || function getOwnPropertyNames(O) {
-  return $keys(O, hiddenKeys);
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-gops.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-gops.js ***!
-  \******************************************************/
-/***/ ((__unused_webpack_module, exports) => {
-
-exports.f = Object.getOwnPropertySymbols;
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-gpo.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-gpo.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// 19.1.2.9 / 15.2.3.2 Object.getPrototypeOf(O)
-var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
-var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
-var IE_PROTO = __webpack_require__(/*! ./_shared-key */ "./node_modules/core-js/modules/_shared-key.js")('IE_PROTO');
-var ObjectProto = Object.prototype;
-
-module.exports = Object.getPrototypeOf || function (O) {
-  O = toObject(O);
-  if (has(O, IE_PROTO)) return O[IE_PROTO];
-  if (typeof O.constructor == 'function' && O instanceof O.constructor) {
-    return O.constructor.prototype;
-  } return O instanceof Object ? ObjectProto : null;
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-keys-internal.js":
-/*!***************************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-keys-internal.js ***!
-  \***************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
-var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
-var arrayIndexOf = __webpack_require__(/*! ./_array-includes */ "./node_modules/core-js/modules/_array-includes.js")(false);
-var IE_PROTO = __webpack_require__(/*! ./_shared-key */ "./node_modules/core-js/modules/_shared-key.js")('IE_PROTO');
-
-module.exports = function (object, names) {
-  var O = toIObject(object);
-  var i = 0;
-  var result = [];
-  var key;
-  for (key in O) if (key != IE_PROTO) has(O, key) && result.push(key);
-  // Don't enum bug & hidden keys
-  while (names.length > i) if (has(O, key = names[i++])) {
-    ~arrayIndexOf(result, key) || result.push(key);
-  }
-  return result;
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-keys.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-keys.js ***!
-  \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// 19.1.2.14 / 15.2.3.14 Object.keys(O)
-var $keys = __webpack_require__(/*! ./_object-keys-internal */ "./node_modules/core-js/modules/_object-keys-internal.js");
-var enumBugKeys = __webpack_require__(/*! ./_enum-bug-keys */ "./node_modules/core-js/modules/_enum-bug-keys.js");
-
-module.exports = Object.keys || function keys(O) {
-  return $keys(O, enumBugKeys);
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-pie.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-pie.js ***!
-  \*****************************************************/
-/***/ ((__unused_webpack_module, exports) => {
-
-exports.f = {}.propertyIsEnumerable;
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-sap.js":
-/*!*****************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-sap.js ***!
-  \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// most Object methods by ES6 should accept primitives
-var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-var core = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js");
-var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
-module.exports = function (KEY, exec) {
-  var fn = (core.Object || {})[KEY] || Object[KEY];
-  var exp = {};
-  exp[KEY] = exec(fn);
-  $export($export.S + $export.F * fails(function () { fn(1); }), 'Object', exp);
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_object-to-array.js":
-/*!**********************************************************!*\
-  !*** ./node_modules/core-js/modules/_object-to-array.js ***!
-  \**********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
-var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
-var isEnum = __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js").f;
-module.exports = function (isEntries) {
-  return function (it) {
-    var O = toIObject(it);
-    var keys = getKeys(O);
-    var length = keys.length;
-    var i = 0;
-    var result = [];
-    var key;
-    while (length > i) if (isEnum.call(O, key = keys[i++])) {
-      result.push(isEntries ? [key, O[key]] : O[key]);
-    } return result;
-  };
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_own-keys.js":
-/*!***************************************************!*\
-  !*** ./node_modules/core-js/modules/_own-keys.js ***!
-  \***************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-// all object keys, includes non-enumerable and symbols
-var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js");
-var gOPS = __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js");
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var Reflect = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Reflect;
-module.exports = Reflect && Reflect.ownKeys || function ownKeys(it) {
-  var keys = gOPN.f(anObject(it));
-  var getSymbols = gOPS.f;
-  return getSymbols ? keys.concat(getSymbols(it)) : keys;
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_parse-float.js":
-/*!******************************************************!*\
-  !*** ./node_modules/core-js/modules/_parse-float.js ***!
-  \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-var $parseFloat = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").parseFloat;
-var $trim = __webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_string-trim.js").trim;
-
-module.exports = 1 / $parseFloat(__webpack_require__(/*! ./_string-ws */ "./node_modules/core-js/modules/_string-ws.js") + '-0') !== -Infinity ? function parseFloat(str) {
-  var string = $trim(String(str), 3);
-  var result = $parseFloat(string);
-  return result === 0 && string.charAt(0) == '-' ? -0 : result;
-} : $parseFloat;
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_parse-int.js":
-/*!****************************************************!*\
-  !*** ./node_modules/core-js/modules/_parse-int.js ***!
-  \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-var $parseInt = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").parseInt;
-var $trim = __webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_string-trim.js").trim;
-var ws = __webpack_require__(/*! ./_string-ws */ "./node_modules/core-js/modules/_string-ws.js");
-var hex = /^[-+]?0[xX]/;
-
-module.exports = $parseInt(ws + '08') !== 8 || $parseInt(ws + '0x16') !== 22 ? function parseInt(str, radix) {
-  var string = $trim(String(str), 3);
-  return $parseInt(string, (radix >>> 0) || (hex.test(string) ? 16 : 10));
-} : $parseInt;
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_perform.js":
-/*!**************************************************!*\
-  !*** ./node_modules/core-js/modules/_perform.js ***!
-  \**************************************************/
-/***/ ((module) => {
-
-module.exports = function (exec) {
-  try {
-    return { e: false, v: exec() };
-  } catch (e) {
-    return { e: true, v: e };
-  }
-};
-
-
-/***/ }),
-
-/***/ "./node_modules/core-js/modules/_promise-resolve.js":
-/*!**********************************************************!*\
-  !*** ./node_modules/core-js/modules/_promise-resolve.js ***!
-  \**********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
-
-var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var newPromiseCapability = __webpack_require__(/*! ./_new-promise-capability */ "./node_modules/core-js/modules/_new-promise-capability.js");
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var newPromiseCapability = __webpack_require__(/*! ./_new-promise-capability */ "./node_modules/core-js/modules/_new-promise-capability.js");
 
 module.exports = function (C, x) {
   anObject(C);
@@ -3228,13 +2589,13 @@ module.exports = function (C, x) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_property-desc.js":
+/***/ "./node_modules/core-js/modules/_property-desc.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/_property-desc.js ***!
   \********************************************************/
-/***/ ((module) => {
+(module) {
 
 module.exports = function (bitmap, value) {
   return {
@@ -3246,13 +2607,13 @@ module.exports = function (bitmap, value) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_redefine-all.js":
+/***/ "./node_modules/core-js/modules/_redefine-all.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/_redefine-all.js ***!
   \*******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
 module.exports = function (target, src, safe) {
@@ -3261,23 +2622,23 @@ module.exports = function (target, src, safe) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_redefine.js":
+/***/ "./node_modules/core-js/modules/_redefine.js"
 /*!***************************************************!*\
   !*** ./node_modules/core-js/modules/_redefine.js ***!
   \***************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
 var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
 var SRC = __webpack_require__(/*! ./_uid */ "./node_modules/core-js/modules/_uid.js")('src');
+var $toString = __webpack_require__(/*! ./_function-to-string */ "./node_modules/core-js/modules/_function-to-string.js");
 var TO_STRING = 'toString';
-var $toString = Function[TO_STRING];
 var TPL = ('' + $toString).split(TO_STRING);
 
-__webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js").inspectSource = function (it) {
+(__webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js").inspectSource) = function (it) {
   return $toString.call(it);
 };
 
@@ -3302,31 +2663,132 @@ __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js").in
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_replacer.js":
-/*!***************************************************!*\
-  !*** ./node_modules/core-js/modules/_replacer.js ***!
-  \***************************************************/
-/***/ ((module) => {
+/***/ "./node_modules/core-js/modules/_regexp-exec-abstract.js"
+/*!***************************************************************!*\
+  !*** ./node_modules/core-js/modules/_regexp-exec-abstract.js ***!
+  \***************************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
 
-module.exports = function (regExp, replace) {
-  var replacer = replace === Object(replace) ? function (part) {
-    return replace[part];
-  } : replace;
-  return function (it) {
+"use strict";
+
+
+var classof = __webpack_require__(/*! ./_classof */ "./node_modules/core-js/modules/_classof.js");
+var builtinExec = RegExp.prototype.exec;
+
+ // `RegExpExec` abstract operation
+// https://tc39.github.io/ecma262/#sec-regexpexec
+module.exports = function (R, S) {
+  var exec = R.exec;
+  if (typeof exec === 'function') {
+    var result = exec.call(R, S);
+    if (typeof result !== 'object') {
+      throw new TypeError('RegExp exec method returned something other than an Object or null');
+    }
+    return result;
+  }
+  if (classof(R) !== 'RegExp') {
+    throw new TypeError('RegExp#exec called on incompatible receiver');
+  }
+  return builtinExec.call(R, S);
+};
+
+
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_regexp-exec.js"
+/*!******************************************************!*\
+  !*** ./node_modules/core-js/modules/_regexp-exec.js ***!
+  \******************************************************/
+(module, __unused_webpack_exports, __webpack_require__) {
+
+"use strict";
+
+
+var regexpFlags = __webpack_require__(/*! ./_flags */ "./node_modules/core-js/modules/_flags.js");
+
+var nativeExec = RegExp.prototype.exec;
+// This always refers to the native implementation, because the
+// String#replace polyfill uses ./fix-regexp-well-known-symbol-logic.js,
+// which loads this file before patching the method.
+var nativeReplace = String.prototype.replace;
+
+var patchedExec = nativeExec;
+
+var LAST_INDEX = 'lastIndex';
+
+var UPDATES_LAST_INDEX_WRONG = (function () {
+  var re1 = /a/,
+      re2 = /b*/g;
+  nativeExec.call(re1, 'a');
+  nativeExec.call(re2, 'a');
+  return re1[LAST_INDEX] !== 0 || re2[LAST_INDEX] !== 0;
+})();
+
+// nonparticipating capturing group, copied from es5-shim's String#split patch.
+var NPCG_INCLUDED = /()??/.exec('')[1] !== undefined;
+
+var PATCH = UPDATES_LAST_INDEX_WRONG || NPCG_INCLUDED;
+
+if (PATCH) {
+  patchedExec = function exec(str) {
+    var re = this;
+    var lastIndex, reCopy, match, i;
+
+    if (NPCG_INCLUDED) {
+      reCopy = new RegExp('^' + re.source + '$(?!\\s)', regexpFlags.call(re));
+    }
+    if (UPDATES_LAST_INDEX_WRONG) lastIndex = re[LAST_INDEX];
+
+    match = nativeExec.call(re, str);
+
+    if (UPDATES_LAST_INDEX_WRONG && match) {
+      re[LAST_INDEX] = re.global ? match.index + match[0].length : lastIndex;
+    }
+    if (NPCG_INCLUDED && match && match.length > 1) {
+      // Fix browsers whose `exec` methods don't consistently return `undefined`
+      // for NPCG, like IE8. NOTE: This doesn' work for /(.?)?/
+      // eslint-disable-next-line no-loop-func
+      nativeReplace.call(match[0], reCopy, function () {
+        for (i = 1; i < arguments.length - 2; i++) {
+          if (arguments[i] === undefined) match[i] = undefined;
+        }
+      });
+    }
+
+    return match;
+  };
+}
+
+module.exports = patchedExec;
+
+
+/***/ },
+
+/***/ "./node_modules/core-js/modules/_replacer.js"
+/*!***************************************************!*\
+  !*** ./node_modules/core-js/modules/_replacer.js ***!
+  \***************************************************/
+(module) {
+
+module.exports = function (regExp, replace) {
+  var replacer = replace === Object(replace) ? function (part) {
+    return replace[part];
+  } : replace;
+  return function (it) {
     return String(it).replace(regExp, replacer);
   };
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_same-value.js":
+/***/ "./node_modules/core-js/modules/_same-value.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_same-value.js ***!
   \*****************************************************/
-/***/ ((module) => {
+(module) {
 
 // 7.2.9 SameValue(x, y)
 module.exports = Object.is || function is(x, y) {
@@ -3335,13 +2797,13 @@ module.exports = Object.is || function is(x, y) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_set-collection-from.js":
+/***/ "./node_modules/core-js/modules/_set-collection-from.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/_set-collection-from.js ***!
   \**************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -3374,13 +2836,13 @@ module.exports = function (COLLECTION) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_set-collection-of.js":
+/***/ "./node_modules/core-js/modules/_set-collection-of.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/_set-collection-of.js ***!
   \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -3397,13 +2859,13 @@ module.exports = function (COLLECTION) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_set-proto.js":
+/***/ "./node_modules/core-js/modules/_set-proto.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/_set-proto.js ***!
   \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // Works with __proto__ only. Old v8 can't work with null proto objects.
 /* eslint-disable no-proto */
@@ -3417,7 +2879,7 @@ module.exports = {
   set: Object.setPrototypeOf || ('__proto__' in {} ? // eslint-disable-line
     function (test, buggy, set) {
       try {
-        set = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js")(Function.call, __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f(Object.prototype, '__proto__').set, 2);
+        set = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js")(Function.call, (__webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f)(Object.prototype, '__proto__').set, 2);
         set(test, []);
         buggy = !(test instanceof Array);
       } catch (e) { buggy = true; }
@@ -3432,13 +2894,13 @@ module.exports = {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_set-species.js":
+/***/ "./node_modules/core-js/modules/_set-species.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/_set-species.js ***!
   \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -3456,15 +2918,15 @@ module.exports = function (KEY) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_set-to-string-tag.js":
+/***/ "./node_modules/core-js/modules/_set-to-string-tag.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/_set-to-string-tag.js ***!
   \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
-var def = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
+var def = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
 var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has.js");
 var TAG = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('toStringTag');
 
@@ -3473,13 +2935,13 @@ module.exports = function (it, tag, stat) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_shared-key.js":
+/***/ "./node_modules/core-js/modules/_shared-key.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_shared-key.js ***!
   \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var shared = __webpack_require__(/*! ./_shared */ "./node_modules/core-js/modules/_shared.js")('keys');
 var uid = __webpack_require__(/*! ./_uid */ "./node_modules/core-js/modules/_uid.js");
@@ -3488,29 +2950,35 @@ module.exports = function (key) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_shared.js":
+/***/ "./node_modules/core-js/modules/_shared.js"
 /*!*************************************************!*\
   !*** ./node_modules/core-js/modules/_shared.js ***!
   \*************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
+var core = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js");
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var SHARED = '__core-js_shared__';
 var store = global[SHARED] || (global[SHARED] = {});
-module.exports = function (key) {
-  return store[key] || (store[key] = {});
-};
+
+(module.exports = function (key, value) {
+  return store[key] || (store[key] = value !== undefined ? value : {});
+})('versions', []).push({
+  version: core.version,
+  mode: __webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js") ? 'pure' : 'global',
+  copyright: '© 2020 Denis Pushkarev (zloirock.ru)'
+});
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_species-constructor.js":
+/***/ "./node_modules/core-js/modules/_species-constructor.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/_species-constructor.js ***!
   \**************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // 7.3.20 SpeciesConstructor(O, defaultConstructor)
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -3523,13 +2991,13 @@ module.exports = function (O, D) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_strict-method.js":
+/***/ "./node_modules/core-js/modules/_strict-method.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/_strict-method.js ***!
   \********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -3543,13 +3011,13 @@ module.exports = function (method, arg) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-at.js":
+/***/ "./node_modules/core-js/modules/_string-at.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/_string-at.js ***!
   \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var toInteger = __webpack_require__(/*! ./_to-integer */ "./node_modules/core-js/modules/_to-integer.js");
 var defined = __webpack_require__(/*! ./_defined */ "./node_modules/core-js/modules/_defined.js");
@@ -3570,13 +3038,13 @@ module.exports = function (TO_STRING) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-context.js":
+/***/ "./node_modules/core-js/modules/_string-context.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/_string-context.js ***!
   \*********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // helper for String#{startsWith, endsWith, includes}
 var isRegExp = __webpack_require__(/*! ./_is-regexp */ "./node_modules/core-js/modules/_is-regexp.js");
@@ -3588,13 +3056,13 @@ module.exports = function (that, searchString, NAME) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-html.js":
+/***/ "./node_modules/core-js/modules/_string-html.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/_string-html.js ***!
   \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
@@ -3617,13 +3085,13 @@ module.exports = function (NAME, exec) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-pad.js":
+/***/ "./node_modules/core-js/modules/_string-pad.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_string-pad.js ***!
   \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/tc39/proposal-string-pad-start-end
 var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
@@ -3643,13 +3111,13 @@ module.exports = function (that, maxLength, fillString, left) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-repeat.js":
+/***/ "./node_modules/core-js/modules/_string-repeat.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/_string-repeat.js ***!
   \********************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -3666,13 +3134,13 @@ module.exports = function repeat(count) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-trim.js":
+/***/ "./node_modules/core-js/modules/_string-trim.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/_string-trim.js ***!
   \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var defined = __webpack_require__(/*! ./_defined */ "./node_modules/core-js/modules/_defined.js");
@@ -3706,25 +3174,25 @@ var trim = exporter.trim = function (string, TYPE) {
 module.exports = exporter;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_string-ws.js":
+/***/ "./node_modules/core-js/modules/_string-ws.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/_string-ws.js ***!
   \****************************************************/
-/***/ ((module) => {
+(module) {
 
 module.exports = '\x09\x0A\x0B\x0C\x0D\x20\xA0\u1680\u180E\u2000\u2001\u2002\u2003' +
   '\u2004\u2005\u2006\u2007\u2008\u2009\u200A\u202F\u205F\u3000\u2028\u2029\uFEFF';
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_task.js":
+/***/ "./node_modules/core-js/modules/_task.js"
 /*!***********************************************!*\
   !*** ./node_modules/core-js/modules/_task.js ***!
   \***********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var ctx = __webpack_require__(/*! ./_ctx */ "./node_modules/core-js/modules/_ctx.js");
 var invoke = __webpack_require__(/*! ./_invoke */ "./node_modules/core-js/modules/_invoke.js");
@@ -3812,13 +3280,13 @@ module.exports = {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-absolute-index.js":
+/***/ "./node_modules/core-js/modules/_to-absolute-index.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/_to-absolute-index.js ***!
   \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var toInteger = __webpack_require__(/*! ./_to-integer */ "./node_modules/core-js/modules/_to-integer.js");
 var max = Math.max;
@@ -3829,13 +3297,13 @@ module.exports = function (index, length) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-index.js":
+/***/ "./node_modules/core-js/modules/_to-index.js"
 /*!***************************************************!*\
   !*** ./node_modules/core-js/modules/_to-index.js ***!
   \***************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/ecma262/#sec-toindex
 var toInteger = __webpack_require__(/*! ./_to-integer */ "./node_modules/core-js/modules/_to-integer.js");
@@ -3849,13 +3317,13 @@ module.exports = function (it) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-integer.js":
+/***/ "./node_modules/core-js/modules/_to-integer.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_to-integer.js ***!
   \*****************************************************/
-/***/ ((module) => {
+(module) {
 
 // 7.1.4 ToInteger
 var ceil = Math.ceil;
@@ -3865,13 +3333,13 @@ module.exports = function (it) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-iobject.js":
+/***/ "./node_modules/core-js/modules/_to-iobject.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_to-iobject.js ***!
   \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // to indexed object, toObject with fallback for non-array-like ES3 strings
 var IObject = __webpack_require__(/*! ./_iobject */ "./node_modules/core-js/modules/_iobject.js");
@@ -3881,13 +3349,13 @@ module.exports = function (it) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-length.js":
+/***/ "./node_modules/core-js/modules/_to-length.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/_to-length.js ***!
   \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // 7.1.15 ToLength
 var toInteger = __webpack_require__(/*! ./_to-integer */ "./node_modules/core-js/modules/_to-integer.js");
@@ -3897,13 +3365,13 @@ module.exports = function (it) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-object.js":
+/***/ "./node_modules/core-js/modules/_to-object.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/_to-object.js ***!
   \****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // 7.1.13 ToObject(argument)
 var defined = __webpack_require__(/*! ./_defined */ "./node_modules/core-js/modules/_defined.js");
@@ -3912,13 +3380,13 @@ module.exports = function (it) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_to-primitive.js":
+/***/ "./node_modules/core-js/modules/_to-primitive.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/_to-primitive.js ***!
   \*******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 // 7.1.1 ToPrimitive(input [, PreferredType])
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
@@ -3934,13 +3402,13 @@ module.exports = function (it, S) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_typed-array.js":
+/***/ "./node_modules/core-js/modules/_typed-array.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/_typed-array.js ***!
   \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -3968,7 +3436,7 @@ if (__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_d
   var isArrayIter = __webpack_require__(/*! ./_is-array-iter */ "./node_modules/core-js/modules/_is-array-iter.js");
   var create = __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js");
   var getPrototypeOf = __webpack_require__(/*! ./_object-gpo */ "./node_modules/core-js/modules/_object-gpo.js");
-  var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f;
+  var gOPN = (__webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f);
   var getIterFn = __webpack_require__(/*! ./core.get-iterator-method */ "./node_modules/core-js/modules/core.get-iterator-method.js");
   var uid = __webpack_require__(/*! ./_uid */ "./node_modules/core-js/modules/_uid.js");
   var wks = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js");
@@ -4425,13 +3893,13 @@ if (__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_d
 } else module.exports = function () { /* empty */ };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_typed-buffer.js":
+/***/ "./node_modules/core-js/modules/_typed-buffer.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/_typed-buffer.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+(__unused_webpack_module, exports, __webpack_require__) {
 
 "use strict";
 
@@ -4446,8 +3914,8 @@ var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-
 var toInteger = __webpack_require__(/*! ./_to-integer */ "./node_modules/core-js/modules/_to-integer.js");
 var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
 var toIndex = __webpack_require__(/*! ./_to-index */ "./node_modules/core-js/modules/_to-index.js");
-var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f;
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
+var gOPN = (__webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f);
+var dP = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
 var arrayFill = __webpack_require__(/*! ./_array-fill */ "./node_modules/core-js/modules/_array-fill.js");
 var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
 var ARRAY_BUFFER = 'ArrayBuffer';
@@ -4712,13 +4180,13 @@ exports[ARRAY_BUFFER] = $ArrayBuffer;
 exports[DATA_VIEW] = $DataView;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_typed.js":
+/***/ "./node_modules/core-js/modules/_typed.js"
 /*!************************************************!*\
   !*** ./node_modules/core-js/modules/_typed.js ***!
   \************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var hide = __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js");
@@ -4750,13 +4218,13 @@ module.exports = {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_uid.js":
+/***/ "./node_modules/core-js/modules/_uid.js"
 /*!**********************************************!*\
   !*** ./node_modules/core-js/modules/_uid.js ***!
   \**********************************************/
-/***/ ((module) => {
+(module) {
 
 var id = 0;
 var px = Math.random();
@@ -4765,13 +4233,13 @@ module.exports = function (key) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_user-agent.js":
+/***/ "./node_modules/core-js/modules/_user-agent.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_user-agent.js ***!
   \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var navigator = global.navigator;
@@ -4779,13 +4247,13 @@ var navigator = global.navigator;
 module.exports = navigator && navigator.userAgent || '';
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_validate-collection.js":
+/***/ "./node_modules/core-js/modules/_validate-collection.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/_validate-collection.js ***!
   \**************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
 module.exports = function (it, TYPE) {
@@ -4794,47 +4262,47 @@ module.exports = function (it, TYPE) {
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_wks-define.js":
+/***/ "./node_modules/core-js/modules/_wks-define.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/_wks-define.js ***!
   \*****************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var core = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js");
 var LIBRARY = __webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js");
 var wksExt = __webpack_require__(/*! ./_wks-ext */ "./node_modules/core-js/modules/_wks-ext.js");
-var defineProperty = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
+var defineProperty = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
 module.exports = function (name) {
   var $Symbol = core.Symbol || (core.Symbol = LIBRARY ? {} : global.Symbol || {});
   if (name.charAt(0) != '_' && !(name in $Symbol)) defineProperty($Symbol, name, { value: wksExt.f(name) });
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_wks-ext.js":
+/***/ "./node_modules/core-js/modules/_wks-ext.js"
 /*!**************************************************!*\
   !*** ./node_modules/core-js/modules/_wks-ext.js ***!
   \**************************************************/
-/***/ ((__unused_webpack_module, exports, __webpack_require__) => {
+(__unused_webpack_module, exports, __webpack_require__) {
 
 exports.f = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js");
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/_wks.js":
+/***/ "./node_modules/core-js/modules/_wks.js"
 /*!**********************************************!*\
   !*** ./node_modules/core-js/modules/_wks.js ***!
   \**********************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var store = __webpack_require__(/*! ./_shared */ "./node_modules/core-js/modules/_shared.js")('wks');
 var uid = __webpack_require__(/*! ./_uid */ "./node_modules/core-js/modules/_uid.js");
-var Symbol = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Symbol;
+var Symbol = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Symbol);
 var USE_SYMBOL = typeof Symbol == 'function';
 
 var $exports = module.exports = function (name) {
@@ -4845,31 +4313,31 @@ var $exports = module.exports = function (name) {
 $exports.store = store;
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/core.get-iterator-method.js":
+/***/ "./node_modules/core-js/modules/core.get-iterator-method.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/core.get-iterator-method.js ***!
   \******************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 var classof = __webpack_require__(/*! ./_classof */ "./node_modules/core-js/modules/_classof.js");
 var ITERATOR = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('iterator');
 var Iterators = __webpack_require__(/*! ./_iterators */ "./node_modules/core-js/modules/_iterators.js");
-module.exports = __webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js").getIteratorMethod = function (it) {
+module.exports = (__webpack_require__(/*! ./_core */ "./node_modules/core-js/modules/_core.js").getIteratorMethod) = function (it) {
   if (it != undefined) return it[ITERATOR]
     || it['@@iterator']
     || Iterators[classof(it)];
 };
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/core.regexp.escape.js":
+/***/ "./node_modules/core-js/modules/core.regexp.escape.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/core.regexp.escape.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/benjamingr/RexExp.escape
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -4878,13 +4346,13 @@ var $re = __webpack_require__(/*! ./_replacer */ "./node_modules/core-js/modules
 $export($export.S, 'RegExp', { escape: function escape(it) { return $re(it); } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.copy-within.js":
+/***/ "./node_modules/core-js/modules/es6.array.copy-within.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.copy-within.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 22.1.3.3 Array.prototype.copyWithin(target, start, end = this.length)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -4894,13 +4362,13 @@ $export($export.P, 'Array', { copyWithin: __webpack_require__(/*! ./_array-copy-
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")('copyWithin');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.every.js":
+/***/ "./node_modules/core-js/modules/es6.array.every.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.every.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -4915,13 +4383,13 @@ $export($export.P + $export.F * !__webpack_require__(/*! ./_strict-method */ "./
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.fill.js":
+/***/ "./node_modules/core-js/modules/es6.array.fill.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.fill.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 22.1.3.6 Array.prototype.fill(value, start = 0, end = this.length)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -4931,13 +4399,13 @@ $export($export.P, 'Array', { fill: __webpack_require__(/*! ./_array-fill */ "./
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")('fill');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.filter.js":
+/***/ "./node_modules/core-js/modules/es6.array.filter.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.filter.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -4952,13 +4420,13 @@ $export($export.P + $export.F * !__webpack_require__(/*! ./_strict-method */ "./
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.find-index.js":
+/***/ "./node_modules/core-js/modules/es6.array.find-index.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.find-index.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -4977,13 +4445,13 @@ $export($export.P + $export.F * forced, 'Array', {
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")(KEY);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.find.js":
+/***/ "./node_modules/core-js/modules/es6.array.find.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.find.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5002,13 +4470,13 @@ $export($export.P + $export.F * forced, 'Array', {
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")(KEY);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.for-each.js":
+/***/ "./node_modules/core-js/modules/es6.array.for-each.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.for-each.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5024,13 +4492,13 @@ $export($export.P + $export.F * !STRICT, 'Array', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.from.js":
+/***/ "./node_modules/core-js/modules/es6.array.from.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.from.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5072,13 +4540,13 @@ $export($export.S + $export.F * !__webpack_require__(/*! ./_iter-detect */ "./no
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.index-of.js":
+/***/ "./node_modules/core-js/modules/es6.array.index-of.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.index-of.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5098,13 +4566,13 @@ $export($export.P + $export.F * (NEGATIVE_ZERO || !__webpack_require__(/*! ./_st
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.is-array.js":
+/***/ "./node_modules/core-js/modules/es6.array.is-array.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.is-array.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 22.1.2.2 / 15.4.3.2 Array.isArray(arg)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5112,13 +4580,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Array', { isArray: __webpack_require__(/*! ./_is-array */ "./node_modules/core-js/modules/_is-array.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.iterator.js":
+/***/ "./node_modules/core-js/modules/es6.array.iterator.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.iterator.js ***!
   \************************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5157,13 +4625,13 @@ addToUnscopables('values');
 addToUnscopables('entries');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.join.js":
+/***/ "./node_modules/core-js/modules/es6.array.join.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.join.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5180,13 +4648,13 @@ $export($export.P + $export.F * (__webpack_require__(/*! ./_iobject */ "./node_m
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.last-index-of.js":
+/***/ "./node_modules/core-js/modules/es6.array.last-index-of.js"
 /*!*****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.last-index-of.js ***!
   \*****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5213,13 +4681,13 @@ $export($export.P + $export.F * (NEGATIVE_ZERO || !__webpack_require__(/*! ./_st
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.map.js":
+/***/ "./node_modules/core-js/modules/es6.array.map.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.map.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5234,13 +4702,13 @@ $export($export.P + $export.F * !__webpack_require__(/*! ./_strict-method */ "./
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.of.js":
+/***/ "./node_modules/core-js/modules/es6.array.of.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.of.js ***!
   \******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5264,13 +4732,13 @@ $export($export.S + $export.F * __webpack_require__(/*! ./_fails */ "./node_modu
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.reduce-right.js":
+/***/ "./node_modules/core-js/modules/es6.array.reduce-right.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.reduce-right.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5285,13 +4753,13 @@ $export($export.P + $export.F * !__webpack_require__(/*! ./_strict-method */ "./
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.reduce.js":
+/***/ "./node_modules/core-js/modules/es6.array.reduce.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.reduce.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5306,13 +4774,13 @@ $export($export.P + $export.F * !__webpack_require__(/*! ./_strict-method */ "./
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.slice.js":
+/***/ "./node_modules/core-js/modules/es6.array.slice.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.slice.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5345,13 +4813,13 @@ $export($export.P + $export.F * __webpack_require__(/*! ./_fails */ "./node_modu
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.some.js":
+/***/ "./node_modules/core-js/modules/es6.array.some.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.some.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5366,13 +4834,13 @@ $export($export.P + $export.F * !__webpack_require__(/*! ./_strict-method */ "./
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.sort.js":
+/***/ "./node_modules/core-js/modules/es6.array.sort.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.sort.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5400,24 +4868,24 @@ $export($export.P + $export.F * (fails(function () {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.array.species.js":
+/***/ "./node_modules/core-js/modules/es6.array.species.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.array.species.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_set-species */ "./node_modules/core-js/modules/_set-species.js")('Array');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.date.now.js":
+/***/ "./node_modules/core-js/modules/es6.date.now.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.date.now.js ***!
   \******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.3.3.1 / 15.9.4.4 Date.now()
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5425,13 +4893,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Date', { now: function () { return new Date().getTime(); } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.date.to-iso-string.js":
+/***/ "./node_modules/core-js/modules/es6.date.to-iso-string.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.date.to-iso-string.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.3.4.36 / 15.9.5.43 Date.prototype.toISOString()
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5443,13 +4911,13 @@ $export($export.P + $export.F * (Date.prototype.toISOString !== toISOString), 'D
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.date.to-json.js":
+/***/ "./node_modules/core-js/modules/es6.date.to-json.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.date.to-json.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5470,13 +4938,13 @@ $export($export.P + $export.F * __webpack_require__(/*! ./_fails */ "./node_modu
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.date.to-primitive.js":
+/***/ "./node_modules/core-js/modules/es6.date.to-primitive.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.date.to-primitive.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var TO_PRIMITIVE = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('toPrimitive');
 var proto = Date.prototype;
@@ -5484,13 +4952,13 @@ var proto = Date.prototype;
 if (!(TO_PRIMITIVE in proto)) __webpack_require__(/*! ./_hide */ "./node_modules/core-js/modules/_hide.js")(proto, TO_PRIMITIVE, __webpack_require__(/*! ./_date-to-primitive */ "./node_modules/core-js/modules/_date-to-primitive.js"));
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.date.to-string.js":
+/***/ "./node_modules/core-js/modules/es6.date.to-string.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.date.to-string.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var DateProto = Date.prototype;
 var INVALID_DATE = 'Invalid Date';
@@ -5506,13 +4974,13 @@ if (new Date(NaN) + '' != INVALID_DATE) {
 }
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.function.bind.js":
+/***/ "./node_modules/core-js/modules/es6.function.bind.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.function.bind.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.2.3.2 / 15.3.4.5 Function.prototype.bind(thisArg, args...)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5520,13 +4988,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.P, 'Function', { bind: __webpack_require__(/*! ./_bind */ "./node_modules/core-js/modules/_bind.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.function.has-instance.js":
+/***/ "./node_modules/core-js/modules/es6.function.has-instance.js"
 /*!*******************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.function.has-instance.js ***!
   \*******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5535,7 +5003,7 @@ var getPrototypeOf = __webpack_require__(/*! ./_object-gpo */ "./node_modules/co
 var HAS_INSTANCE = __webpack_require__(/*! ./_wks */ "./node_modules/core-js/modules/_wks.js")('hasInstance');
 var FunctionProto = Function.prototype;
 // 19.2.3.6 Function.prototype[@@hasInstance](V)
-if (!(HAS_INSTANCE in FunctionProto)) __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f(FunctionProto, HAS_INSTANCE, { value: function (O) {
+if (!(HAS_INSTANCE in FunctionProto)) (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f)(FunctionProto, HAS_INSTANCE, { value: function (O) {
   if (typeof this != 'function' || !isObject(O)) return false;
   if (!isObject(this.prototype)) return O instanceof this;
   // for environment w/o native `@@hasInstance` logic enough `instanceof`, but add this:
@@ -5544,15 +5012,15 @@ if (!(HAS_INSTANCE in FunctionProto)) __webpack_require__(/*! ./_object-dp */ ".
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.function.name.js":
+/***/ "./node_modules/core-js/modules/es6.function.name.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.function.name.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
+var dP = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
 var FProto = Function.prototype;
 var nameRE = /^\s*function ([^ (]*)/;
 var NAME = 'name';
@@ -5570,13 +5038,13 @@ NAME in FProto || __webpack_require__(/*! ./_descriptors */ "./node_modules/core
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.map.js":
+/***/ "./node_modules/core-js/modules/es6.map.js"
 /*!*************************************************!*\
   !*** ./node_modules/core-js/modules/es6.map.js ***!
   \*************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5600,13 +5068,13 @@ module.exports = __webpack_require__(/*! ./_collection */ "./node_modules/core-j
 }, strong, true);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.acosh.js":
+/***/ "./node_modules/core-js/modules/es6.math.acosh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.acosh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.3 Math.acosh(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5628,13 +5096,13 @@ $export($export.S + $export.F * !($acosh
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.asinh.js":
+/***/ "./node_modules/core-js/modules/es6.math.asinh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.asinh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.5 Math.asinh(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5648,13 +5116,13 @@ function asinh(x) {
 $export($export.S + $export.F * !($asinh && 1 / $asinh(0) > 0), 'Math', { asinh: asinh });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.atanh.js":
+/***/ "./node_modules/core-js/modules/es6.math.atanh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.atanh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.7 Math.atanh(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5668,13 +5136,13 @@ $export($export.S + $export.F * !($atanh && 1 / $atanh(-0) < 0), 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.cbrt.js":
+/***/ "./node_modules/core-js/modules/es6.math.cbrt.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.cbrt.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.9 Math.cbrt(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5687,13 +5155,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.clz32.js":
+/***/ "./node_modules/core-js/modules/es6.math.clz32.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.clz32.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.11 Math.clz32(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5705,13 +5173,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.cosh.js":
+/***/ "./node_modules/core-js/modules/es6.math.cosh.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.cosh.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.12 Math.cosh(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5724,13 +5192,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.expm1.js":
+/***/ "./node_modules/core-js/modules/es6.math.expm1.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.expm1.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.14 Math.expm1(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5739,13 +5207,13 @@ var $expm1 = __webpack_require__(/*! ./_math-expm1 */ "./node_modules/core-js/mo
 $export($export.S + $export.F * ($expm1 != Math.expm1), 'Math', { expm1: $expm1 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.fround.js":
+/***/ "./node_modules/core-js/modules/es6.math.fround.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.fround.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.16 Math.fround(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5753,13 +5221,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Math', { fround: __webpack_require__(/*! ./_math-fround */ "./node_modules/core-js/modules/_math-fround.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.hypot.js":
+/***/ "./node_modules/core-js/modules/es6.math.hypot.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.hypot.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.17 Math.hypot([value1[, value2[, … ]]])
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5788,13 +5256,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.imul.js":
+/***/ "./node_modules/core-js/modules/es6.math.imul.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.imul.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.18 Math.imul(x, y)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5815,13 +5283,13 @@ $export($export.S + $export.F * __webpack_require__(/*! ./_fails */ "./node_modu
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.log10.js":
+/***/ "./node_modules/core-js/modules/es6.math.log10.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.log10.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.21 Math.log10(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5833,13 +5301,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.log1p.js":
+/***/ "./node_modules/core-js/modules/es6.math.log1p.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.log1p.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.20 Math.log1p(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5847,13 +5315,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Math', { log1p: __webpack_require__(/*! ./_math-log1p */ "./node_modules/core-js/modules/_math-log1p.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.log2.js":
+/***/ "./node_modules/core-js/modules/es6.math.log2.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.log2.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.22 Math.log2(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5865,13 +5333,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.sign.js":
+/***/ "./node_modules/core-js/modules/es6.math.sign.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.sign.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.28 Math.sign(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5879,13 +5347,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Math', { sign: __webpack_require__(/*! ./_math-sign */ "./node_modules/core-js/modules/_math-sign.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.sinh.js":
+/***/ "./node_modules/core-js/modules/es6.math.sinh.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.sinh.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.30 Math.sinh(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5904,13 +5372,13 @@ $export($export.S + $export.F * __webpack_require__(/*! ./_fails */ "./node_modu
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.tanh.js":
+/***/ "./node_modules/core-js/modules/es6.math.tanh.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.tanh.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.33 Math.tanh(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5926,13 +5394,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.math.trunc.js":
+/***/ "./node_modules/core-js/modules/es6.math.trunc.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.math.trunc.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.2.2.34 Math.trunc(x)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -5944,13 +5412,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.constructor.js":
+/***/ "./node_modules/core-js/modules/es6.number.constructor.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.constructor.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -5960,10 +5428,10 @@ var cof = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof
 var inheritIfRequired = __webpack_require__(/*! ./_inherit-if-required */ "./node_modules/core-js/modules/_inherit-if-required.js");
 var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
 var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
-var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f;
-var gOPD = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f;
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
-var $trim = __webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_string-trim.js").trim;
+var gOPN = (__webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f);
+var gOPD = (__webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f);
+var dP = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
+var $trim = (__webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_string-trim.js").trim);
 var NUMBER = 'Number';
 var $Number = global[NUMBER];
 var Base = $Number;
@@ -6024,13 +5492,13 @@ if (!$Number(' 0o1') || !$Number('0b1') || $Number('+0x1')) {
 }
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.epsilon.js":
+/***/ "./node_modules/core-js/modules/es6.number.epsilon.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.epsilon.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.1 Number.EPSILON
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6038,17 +5506,17 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Number', { EPSILON: Math.pow(2, -52) });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.is-finite.js":
+/***/ "./node_modules/core-js/modules/es6.number.is-finite.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.is-finite.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.2 Number.isFinite(number)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-var _isFinite = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").isFinite;
+var _isFinite = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").isFinite);
 
 $export($export.S, 'Number', {
   isFinite: function isFinite(it) {
@@ -6057,13 +5525,13 @@ $export($export.S, 'Number', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.is-integer.js":
+/***/ "./node_modules/core-js/modules/es6.number.is-integer.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.is-integer.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.3 Number.isInteger(number)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6071,13 +5539,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Number', { isInteger: __webpack_require__(/*! ./_is-integer */ "./node_modules/core-js/modules/_is-integer.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.is-nan.js":
+/***/ "./node_modules/core-js/modules/es6.number.is-nan.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.is-nan.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.4 Number.isNaN(number)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6090,13 +5558,13 @@ $export($export.S, 'Number', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.is-safe-integer.js":
+/***/ "./node_modules/core-js/modules/es6.number.is-safe-integer.js"
 /*!********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.is-safe-integer.js ***!
   \********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.5 Number.isSafeInteger(number)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6110,13 +5578,13 @@ $export($export.S, 'Number', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.max-safe-integer.js":
+/***/ "./node_modules/core-js/modules/es6.number.max-safe-integer.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.max-safe-integer.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.6 Number.MAX_SAFE_INTEGER
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6124,13 +5592,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Number', { MAX_SAFE_INTEGER: 0x1fffffffffffff });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.min-safe-integer.js":
+/***/ "./node_modules/core-js/modules/es6.number.min-safe-integer.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.min-safe-integer.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 20.1.2.10 Number.MIN_SAFE_INTEGER
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6138,13 +5606,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Number', { MIN_SAFE_INTEGER: -0x1fffffffffffff });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.parse-float.js":
+/***/ "./node_modules/core-js/modules/es6.number.parse-float.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.parse-float.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var $parseFloat = __webpack_require__(/*! ./_parse-float */ "./node_modules/core-js/modules/_parse-float.js");
@@ -6152,13 +5620,13 @@ var $parseFloat = __webpack_require__(/*! ./_parse-float */ "./node_modules/core
 $export($export.S + $export.F * (Number.parseFloat != $parseFloat), 'Number', { parseFloat: $parseFloat });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.parse-int.js":
+/***/ "./node_modules/core-js/modules/es6.number.parse-int.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.parse-int.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var $parseInt = __webpack_require__(/*! ./_parse-int */ "./node_modules/core-js/modules/_parse-int.js");
@@ -6166,13 +5634,13 @@ var $parseInt = __webpack_require__(/*! ./_parse-int */ "./node_modules/core-js/
 $export($export.S + $export.F * (Number.parseInt != $parseInt), 'Number', { parseInt: $parseInt });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.to-fixed.js":
+/***/ "./node_modules/core-js/modules/es6.number.to-fixed.js"
 /*!*************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.to-fixed.js ***!
   \*************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -6291,13 +5759,13 @@ $export($export.P + $export.F * (!!$toFixed && (
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.number.to-precision.js":
+/***/ "./node_modules/core-js/modules/es6.number.to-precision.js"
 /*!*****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.number.to-precision.js ***!
   \*****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -6320,13 +5788,13 @@ $export($export.P + $export.F * ($fails(function () {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.assign.js":
+/***/ "./node_modules/core-js/modules/es6.object.assign.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.assign.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.3.1 Object.assign(target, source)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6334,56 +5802,56 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S + $export.F, 'Object', { assign: __webpack_require__(/*! ./_object-assign */ "./node_modules/core-js/modules/_object-assign.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.create.js":
+/***/ "./node_modules/core-js/modules/es6.object.create.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.create.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 // 19.1.2.2 / 15.2.3.5 Object.create(O [, Properties])
 $export($export.S, 'Object', { create: __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.define-properties.js":
+/***/ "./node_modules/core-js/modules/es6.object.define-properties.js"
 /*!**********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.define-properties.js ***!
   \**********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 // 19.1.2.3 / 15.2.3.7 Object.defineProperties(O, Properties)
 $export($export.S + $export.F * !__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js"), 'Object', { defineProperties: __webpack_require__(/*! ./_object-dps */ "./node_modules/core-js/modules/_object-dps.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.define-property.js":
+/***/ "./node_modules/core-js/modules/es6.object.define-property.js"
 /*!********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.define-property.js ***!
   \********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 // 19.1.2.4 / 15.2.3.6 Object.defineProperty(O, P, Attributes)
-$export($export.S + $export.F * !__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js"), 'Object', { defineProperty: __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f });
+$export($export.S + $export.F * !__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js"), 'Object', { defineProperty: (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f) });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.freeze.js":
+/***/ "./node_modules/core-js/modules/es6.object.freeze.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.freeze.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.5 Object.freeze(O)
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var meta = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").onFreeze;
+var meta = (__webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").onFreeze);
 
 __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object-sap.js")('freeze', function ($freeze) {
   return function freeze(it) {
@@ -6392,17 +5860,17 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.get-own-property-descriptor.js":
+/***/ "./node_modules/core-js/modules/es6.object.get-own-property-descriptor.js"
 /*!********************************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.get-own-property-descriptor.js ***!
   \********************************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.6 Object.getOwnPropertyDescriptor(O, P)
 var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
-var $getOwnPropertyDescriptor = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f;
+var $getOwnPropertyDescriptor = (__webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f);
 
 __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object-sap.js")('getOwnPropertyDescriptor', function () {
   return function getOwnPropertyDescriptor(it, key) {
@@ -6411,27 +5879,27 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.get-own-property-names.js":
+/***/ "./node_modules/core-js/modules/es6.object.get-own-property-names.js"
 /*!***************************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.get-own-property-names.js ***!
   \***************************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.7 Object.getOwnPropertyNames(O)
 __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object-sap.js")('getOwnPropertyNames', function () {
-  return __webpack_require__(/*! ./_object-gopn-ext */ "./node_modules/core-js/modules/_object-gopn-ext.js").f;
+  return (__webpack_require__(/*! ./_object-gopn-ext */ "./node_modules/core-js/modules/_object-gopn-ext.js").f);
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.get-prototype-of.js":
+/***/ "./node_modules/core-js/modules/es6.object.get-prototype-of.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.get-prototype-of.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.9 Object.getPrototypeOf(O)
 var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
@@ -6444,13 +5912,13 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.is-extensible.js":
+/***/ "./node_modules/core-js/modules/es6.object.is-extensible.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.is-extensible.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.11 Object.isExtensible(O)
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
@@ -6462,13 +5930,13 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.is-frozen.js":
+/***/ "./node_modules/core-js/modules/es6.object.is-frozen.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.is-frozen.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.12 Object.isFrozen(O)
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
@@ -6480,13 +5948,13 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.is-sealed.js":
+/***/ "./node_modules/core-js/modules/es6.object.is-sealed.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.is-sealed.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.13 Object.isSealed(O)
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
@@ -6498,26 +5966,26 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.is.js":
+/***/ "./node_modules/core-js/modules/es6.object.is.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.is.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.3.10 Object.is(value1, value2)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 $export($export.S, 'Object', { is: __webpack_require__(/*! ./_same-value */ "./node_modules/core-js/modules/_same-value.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.keys.js":
+/***/ "./node_modules/core-js/modules/es6.object.keys.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.keys.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.14 Object.keys(O)
 var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
@@ -6530,17 +5998,17 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.prevent-extensions.js":
+/***/ "./node_modules/core-js/modules/es6.object.prevent-extensions.js"
 /*!***********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.prevent-extensions.js ***!
   \***********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.15 Object.preventExtensions(O)
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var meta = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").onFreeze;
+var meta = (__webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").onFreeze);
 
 __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object-sap.js")('preventExtensions', function ($preventExtensions) {
   return function preventExtensions(it) {
@@ -6549,17 +6017,17 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.seal.js":
+/***/ "./node_modules/core-js/modules/es6.object.seal.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.seal.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.2.17 Object.seal(O)
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var meta = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").onFreeze;
+var meta = (__webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").onFreeze);
 
 __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object-sap.js")('seal', function ($seal) {
   return function seal(it) {
@@ -6568,26 +6036,26 @@ __webpack_require__(/*! ./_object-sap */ "./node_modules/core-js/modules/_object
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.set-prototype-of.js":
+/***/ "./node_modules/core-js/modules/es6.object.set-prototype-of.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.set-prototype-of.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 19.1.3.19 Object.setPrototypeOf(O, proto)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-$export($export.S, 'Object', { setPrototypeOf: __webpack_require__(/*! ./_set-proto */ "./node_modules/core-js/modules/_set-proto.js").set });
+$export($export.S, 'Object', { setPrototypeOf: (__webpack_require__(/*! ./_set-proto */ "./node_modules/core-js/modules/_set-proto.js").set) });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.object.to-string.js":
+/***/ "./node_modules/core-js/modules/es6.object.to-string.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.object.to-string.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -6602,13 +6070,13 @@ if (test + '' != '[object z]') {
 }
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.parse-float.js":
+/***/ "./node_modules/core-js/modules/es6.parse-float.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.parse-float.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var $parseFloat = __webpack_require__(/*! ./_parse-float */ "./node_modules/core-js/modules/_parse-float.js");
@@ -6616,13 +6084,13 @@ var $parseFloat = __webpack_require__(/*! ./_parse-float */ "./node_modules/core
 $export($export.G + $export.F * (parseFloat != $parseFloat), { parseFloat: $parseFloat });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.parse-int.js":
+/***/ "./node_modules/core-js/modules/es6.parse-int.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.parse-int.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var $parseInt = __webpack_require__(/*! ./_parse-int */ "./node_modules/core-js/modules/_parse-int.js");
@@ -6630,13 +6098,13 @@ var $parseInt = __webpack_require__(/*! ./_parse-int */ "./node_modules/core-js/
 $export($export.G + $export.F * (parseInt != $parseInt), { parseInt: $parseInt });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.promise.js":
+/***/ "./node_modules/core-js/modules/es6.promise.js"
 /*!*****************************************************!*\
   !*** ./node_modules/core-js/modules/es6.promise.js ***!
   \*****************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -6650,14 +6118,17 @@ var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js
 var anInstance = __webpack_require__(/*! ./_an-instance */ "./node_modules/core-js/modules/_an-instance.js");
 var forOf = __webpack_require__(/*! ./_for-of */ "./node_modules/core-js/modules/_for-of.js");
 var speciesConstructor = __webpack_require__(/*! ./_species-constructor */ "./node_modules/core-js/modules/_species-constructor.js");
-var task = __webpack_require__(/*! ./_task */ "./node_modules/core-js/modules/_task.js").set;
+var task = (__webpack_require__(/*! ./_task */ "./node_modules/core-js/modules/_task.js").set);
 var microtask = __webpack_require__(/*! ./_microtask */ "./node_modules/core-js/modules/_microtask.js")();
 var newPromiseCapabilityModule = __webpack_require__(/*! ./_new-promise-capability */ "./node_modules/core-js/modules/_new-promise-capability.js");
 var perform = __webpack_require__(/*! ./_perform */ "./node_modules/core-js/modules/_perform.js");
+var userAgent = __webpack_require__(/*! ./_user-agent */ "./node_modules/core-js/modules/_user-agent.js");
 var promiseResolve = __webpack_require__(/*! ./_promise-resolve */ "./node_modules/core-js/modules/_promise-resolve.js");
 var PROMISE = 'Promise';
 var TypeError = global.TypeError;
 var process = global.process;
+var versions = process && process.versions;
+var v8 = versions && versions.v8 || '';
 var $Promise = global[PROMISE];
 var isNode = classof(process) == 'process';
 var empty = function () { /* empty */ };
@@ -6672,7 +6143,13 @@ var USE_NATIVE = !!function () {
       exec(empty, empty);
     };
     // unhandled rejections tracking support, NodeJS Promise without it fails @@species test
-    return (isNode || typeof PromiseRejectionEvent == 'function') && promise.then(empty) instanceof FakePromise;
+    return (isNode || typeof PromiseRejectionEvent == 'function')
+      && promise.then(empty) instanceof FakePromise
+      // v8 6.6 (Node 10 and Chrome 66) have a bug with resolving custom thenables
+      // https://bugs.chromium.org/p/chromium/issues/detail?id=830565
+      // we can't detect it synchronously, so just check versions
+      && v8.indexOf('6.6') !== 0
+      && userAgent.indexOf('Chrome/66') === -1;
   } catch (e) { /* empty */ }
 }();
 
@@ -6694,7 +6171,7 @@ var notify = function (promise, isReject) {
       var resolve = reaction.resolve;
       var reject = reaction.reject;
       var domain = reaction.domain;
-      var result, then;
+      var result, then, exited;
       try {
         if (handler) {
           if (!ok) {
@@ -6704,8 +6181,11 @@ var notify = function (promise, isReject) {
           if (handler === true) result = value;
           else {
             if (domain) domain.enter();
-            result = handler(value);
-            if (domain) domain.exit();
+            result = handler(value); // may throw
+            if (domain) {
+              domain.exit();
+              exited = true;
+            }
           }
           if (result === reaction.promise) {
             reject(TypeError('Promise-chain cycle'));
@@ -6714,6 +6194,7 @@ var notify = function (promise, isReject) {
           } else resolve(result);
         } else reject(value);
       } catch (e) {
+        if (domain && !exited) domain.exit();
         reject(e);
       }
     };
@@ -6914,19 +6395,19 @@ $export($export.S + $export.F * !(USE_NATIVE && __webpack_require__(/*! ./_iter-
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.apply.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.apply.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.apply.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.1 Reflect.apply(target, thisArgument, argumentsList)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var aFunction = __webpack_require__(/*! ./_a-function */ "./node_modules/core-js/modules/_a-function.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
-var rApply = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Reflect || {}).apply;
+var rApply = ((__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Reflect) || {}).apply;
 var fApply = Function.apply;
 // MS Edge argumentsList argument is optional
 $export($export.S + $export.F * !__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js")(function () {
@@ -6940,13 +6421,13 @@ $export($export.S + $export.F * !__webpack_require__(/*! ./_fails */ "./node_mod
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.construct.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.construct.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.construct.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.2 Reflect.construct(target, argumentsList [, newTarget])
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -6956,7 +6437,7 @@ var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/m
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
 var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
 var bind = __webpack_require__(/*! ./_bind */ "./node_modules/core-js/modules/_bind.js");
-var rConstruct = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Reflect || {}).construct;
+var rConstruct = ((__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").Reflect) || {}).construct;
 
 // MS Edge supports only 2 arguments and argumentsList argument is optional
 // FF Nightly sets third argument as `new.target`, but does not create `this` from it
@@ -6997,13 +6478,13 @@ $export($export.S + $export.F * (NEW_TARGET_BUG || ARGS_BUG), 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.define-property.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.define-property.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.define-property.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.3 Reflect.defineProperty(target, propertyKey, attributes)
 var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
@@ -7030,17 +6511,17 @@ $export($export.S + $export.F * __webpack_require__(/*! ./_fails */ "./node_modu
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.delete-property.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.delete-property.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.delete-property.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.4 Reflect.deleteProperty(target, propertyKey)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-var gOPD = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f;
+var gOPD = (__webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f);
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
 
 $export($export.S, 'Reflect', {
@@ -7051,13 +6532,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.enumerate.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.enumerate.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.enumerate.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7088,13 +6569,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.get-own-property-descriptor.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.get-own-property-descriptor.js"
 /*!*********************************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.get-own-property-descriptor.js ***!
   \*********************************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.7 Reflect.getOwnPropertyDescriptor(target, propertyKey)
 var gOPD = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js");
@@ -7108,13 +6589,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.get-prototype-of.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.get-prototype-of.js"
 /*!**********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.get-prototype-of.js ***!
   \**********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.8 Reflect.getPrototypeOf(target)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -7128,13 +6609,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.get.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.get.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.get.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.6 Reflect.get(target, propertyKey [, receiver])
 var gOPD = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js");
@@ -7159,13 +6640,13 @@ function get(target, propertyKey /* , receiver */) {
 $export($export.S, 'Reflect', { get: get });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.has.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.has.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.has.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.9 Reflect.has(target, propertyKey)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -7177,13 +6658,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.is-extensible.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.is-extensible.js"
 /*!*******************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.is-extensible.js ***!
   \*******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.10 Reflect.isExtensible(target)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -7198,13 +6679,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.own-keys.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.own-keys.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.own-keys.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.11 Reflect.ownKeys(target)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -7212,13 +6693,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Reflect', { ownKeys: __webpack_require__(/*! ./_own-keys */ "./node_modules/core-js/modules/_own-keys.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.prevent-extensions.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.prevent-extensions.js"
 /*!************************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.prevent-extensions.js ***!
   \************************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.12 Reflect.preventExtensions(target)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -7238,13 +6719,13 @@ $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.set-prototype-of.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.set-prototype-of.js"
 /*!**********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.set-prototype-of.js ***!
   \**********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.14 Reflect.setPrototypeOf(target, proto)
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -7263,13 +6744,13 @@ if (setProto) $export($export.S, 'Reflect', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.reflect.set.js":
+/***/ "./node_modules/core-js/modules/es6.reflect.set.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.reflect.set.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 26.1.13 Reflect.set(target, propertyKey, V [, receiver])
 var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
@@ -7293,9 +6774,11 @@ function set(target, propertyKey, V /* , receiver */) {
   }
   if (has(ownDesc, 'value')) {
     if (ownDesc.writable === false || !isObject(receiver)) return false;
-    existingDescriptor = gOPD.f(receiver, propertyKey) || createDesc(0);
-    existingDescriptor.value = V;
-    dP.f(receiver, propertyKey, existingDescriptor);
+    if (existingDescriptor = gOPD.f(receiver, propertyKey)) {
+      if (existingDescriptor.get || existingDescriptor.set || existingDescriptor.writable === false) return false;
+      existingDescriptor.value = V;
+      dP.f(receiver, propertyKey, existingDescriptor);
+    } else dP.f(receiver, propertyKey, createDesc(0, V));
     return true;
   }
   return ownDesc.set === undefined ? false : (ownDesc.set.call(receiver, V), true);
@@ -7304,18 +6787,18 @@ function set(target, propertyKey, V /* , receiver */) {
 $export($export.S, 'Reflect', { set: set });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.regexp.constructor.js":
+/***/ "./node_modules/core-js/modules/es6.regexp.constructor.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.constructor.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var inheritIfRequired = __webpack_require__(/*! ./_inherit-if-required */ "./node_modules/core-js/modules/_inherit-if-required.js");
-var dP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f;
-var gOPN = __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f;
+var dP = (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f);
+var gOPN = (__webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f);
 var isRegExp = __webpack_require__(/*! ./_is-regexp */ "./node_modules/core-js/modules/_is-regexp.js");
 var $flags = __webpack_require__(/*! ./_flags */ "./node_modules/core-js/modules/_flags.js");
 var $RegExp = global.RegExp;
@@ -7357,100 +6840,295 @@ if (__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_d
 __webpack_require__(/*! ./_set-species */ "./node_modules/core-js/modules/_set-species.js")('RegExp');
 
 
-/***/ }),
+/***/ },
+
+/***/ "./node_modules/core-js/modules/es6.regexp.exec.js"
+/*!*********************************************************!*\
+  !*** ./node_modules/core-js/modules/es6.regexp.exec.js ***!
+  \*********************************************************/
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
+
+"use strict";
+
+var regexpExec = __webpack_require__(/*! ./_regexp-exec */ "./node_modules/core-js/modules/_regexp-exec.js");
+__webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js")({
+  target: 'RegExp',
+  proto: true,
+  forced: regexpExec !== /./.exec
+}, {
+  exec: regexpExec
+});
+
 
-/***/ "./node_modules/core-js/modules/es6.regexp.flags.js":
+/***/ },
+
+/***/ "./node_modules/core-js/modules/es6.regexp.flags.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.flags.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // 21.2.5.3 get RegExp.prototype.flags()
-if (__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") && /./g.flags != 'g') __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f(RegExp.prototype, 'flags', {
+if (__webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") && /./g.flags != 'g') (__webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js").f)(RegExp.prototype, 'flags', {
   configurable: true,
   get: __webpack_require__(/*! ./_flags */ "./node_modules/core-js/modules/_flags.js")
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.regexp.match.js":
+/***/ "./node_modules/core-js/modules/es6.regexp.match.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.match.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
+
+"use strict";
+
+
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var advanceStringIndex = __webpack_require__(/*! ./_advance-string-index */ "./node_modules/core-js/modules/_advance-string-index.js");
+var regExpExec = __webpack_require__(/*! ./_regexp-exec-abstract */ "./node_modules/core-js/modules/_regexp-exec-abstract.js");
 
 // @@match logic
-__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('match', 1, function (defined, MATCH, $match) {
-  // 21.1.3.11 String.prototype.match(regexp)
-  return [function match(regexp) {
-    'use strict';
-    var O = defined(this);
-    var fn = regexp == undefined ? undefined : regexp[MATCH];
-    return fn !== undefined ? fn.call(regexp, O) : new RegExp(regexp)[MATCH](String(O));
-  }, $match];
+__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('match', 1, function (defined, MATCH, $match, maybeCallNative) {
+  return [
+    // `String.prototype.match` method
+    // https://tc39.github.io/ecma262/#sec-string.prototype.match
+    function match(regexp) {
+      var O = defined(this);
+      var fn = regexp == undefined ? undefined : regexp[MATCH];
+      return fn !== undefined ? fn.call(regexp, O) : new RegExp(regexp)[MATCH](String(O));
+    },
+    // `RegExp.prototype[@@match]` method
+    // https://tc39.github.io/ecma262/#sec-regexp.prototype-@@match
+    function (regexp) {
+      var res = maybeCallNative($match, regexp, this);
+      if (res.done) return res.value;
+      var rx = anObject(regexp);
+      var S = String(this);
+      if (!rx.global) return regExpExec(rx, S);
+      var fullUnicode = rx.unicode;
+      rx.lastIndex = 0;
+      var A = [];
+      var n = 0;
+      var result;
+      while ((result = regExpExec(rx, S)) !== null) {
+        var matchStr = String(result[0]);
+        A[n] = matchStr;
+        if (matchStr === '') rx.lastIndex = advanceStringIndex(S, toLength(rx.lastIndex), fullUnicode);
+        n++;
+      }
+      return n === 0 ? null : A;
+    }
+  ];
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.regexp.replace.js":
+/***/ "./node_modules/core-js/modules/es6.regexp.replace.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.replace.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
+
+"use strict";
+
+
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var toInteger = __webpack_require__(/*! ./_to-integer */ "./node_modules/core-js/modules/_to-integer.js");
+var advanceStringIndex = __webpack_require__(/*! ./_advance-string-index */ "./node_modules/core-js/modules/_advance-string-index.js");
+var regExpExec = __webpack_require__(/*! ./_regexp-exec-abstract */ "./node_modules/core-js/modules/_regexp-exec-abstract.js");
+var max = Math.max;
+var min = Math.min;
+var floor = Math.floor;
+var SUBSTITUTION_SYMBOLS = /\$([$&`']|\d\d?|<[^>]*>)/g;
+var SUBSTITUTION_SYMBOLS_NO_NAMED = /\$([$&`']|\d\d?)/g;
+
+var maybeToString = function (it) {
+  return it === undefined ? it : String(it);
+};
 
 // @@replace logic
-__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('replace', 2, function (defined, REPLACE, $replace) {
-  // 21.1.3.14 String.prototype.replace(searchValue, replaceValue)
-  return [function replace(searchValue, replaceValue) {
-    'use strict';
-    var O = defined(this);
-    var fn = searchValue == undefined ? undefined : searchValue[REPLACE];
-    return fn !== undefined
-      ? fn.call(searchValue, O, replaceValue)
-      : $replace.call(String(O), searchValue, replaceValue);
-  }, $replace];
+__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('replace', 2, function (defined, REPLACE, $replace, maybeCallNative) {
+  return [
+    // `String.prototype.replace` method
+    // https://tc39.github.io/ecma262/#sec-string.prototype.replace
+    function replace(searchValue, replaceValue) {
+      var O = defined(this);
+      var fn = searchValue == undefined ? undefined : searchValue[REPLACE];
+      return fn !== undefined
+        ? fn.call(searchValue, O, replaceValue)
+        : $replace.call(String(O), searchValue, replaceValue);
+    },
+    // `RegExp.prototype[@@replace]` method
+    // https://tc39.github.io/ecma262/#sec-regexp.prototype-@@replace
+    function (regexp, replaceValue) {
+      var res = maybeCallNative($replace, regexp, this, replaceValue);
+      if (res.done) return res.value;
+
+      var rx = anObject(regexp);
+      var S = String(this);
+      var functionalReplace = typeof replaceValue === 'function';
+      if (!functionalReplace) replaceValue = String(replaceValue);
+      var global = rx.global;
+      if (global) {
+        var fullUnicode = rx.unicode;
+        rx.lastIndex = 0;
+      }
+      var results = [];
+      while (true) {
+        var result = regExpExec(rx, S);
+        if (result === null) break;
+        results.push(result);
+        if (!global) break;
+        var matchStr = String(result[0]);
+        if (matchStr === '') rx.lastIndex = advanceStringIndex(S, toLength(rx.lastIndex), fullUnicode);
+      }
+      var accumulatedResult = '';
+      var nextSourcePosition = 0;
+      for (var i = 0; i < results.length; i++) {
+        result = results[i];
+        var matched = String(result[0]);
+        var position = max(min(toInteger(result.index), S.length), 0);
+        var captures = [];
+        // NOTE: This is equivalent to
+        //   captures = result.slice(1).map(maybeToString)
+        // but for some reason `nativeSlice.call(result, 1, result.length)` (called in
+        // the slice polyfill when slicing native arrays) "doesn't work" in safari 9 and
+        // causes a crash (https://pastebin.com/N21QzeQA) when trying to debug it.
+        for (var j = 1; j < result.length; j++) captures.push(maybeToString(result[j]));
+        var namedCaptures = result.groups;
+        if (functionalReplace) {
+          var replacerArgs = [matched].concat(captures, position, S);
+          if (namedCaptures !== undefined) replacerArgs.push(namedCaptures);
+          var replacement = String(replaceValue.apply(undefined, replacerArgs));
+        } else {
+          replacement = getSubstitution(matched, S, position, captures, namedCaptures, replaceValue);
+        }
+        if (position >= nextSourcePosition) {
+          accumulatedResult += S.slice(nextSourcePosition, position) + replacement;
+          nextSourcePosition = position + matched.length;
+        }
+      }
+      return accumulatedResult + S.slice(nextSourcePosition);
+    }
+  ];
+
+    // https://tc39.github.io/ecma262/#sec-getsubstitution
+  function getSubstitution(matched, str, position, captures, namedCaptures, replacement) {
+    var tailPos = position + matched.length;
+    var m = captures.length;
+    var symbols = SUBSTITUTION_SYMBOLS_NO_NAMED;
+    if (namedCaptures !== undefined) {
+      namedCaptures = toObject(namedCaptures);
+      symbols = SUBSTITUTION_SYMBOLS;
+    }
+    return $replace.call(replacement, symbols, function (match, ch) {
+      var capture;
+      switch (ch.charAt(0)) {
+        case '$': return '$';
+        case '&': return matched;
+        case '`': return str.slice(0, position);
+        case "'": return str.slice(tailPos);
+        case '<':
+          capture = namedCaptures[ch.slice(1, -1)];
+          break;
+        default: // \d\d?
+          var n = +ch;
+          if (n === 0) return match;
+          if (n > m) {
+            var f = floor(n / 10);
+            if (f === 0) return match;
+            if (f <= m) return captures[f - 1] === undefined ? ch.charAt(1) : captures[f - 1] + ch.charAt(1);
+            return match;
+          }
+          capture = captures[n - 1];
+      }
+      return capture === undefined ? '' : capture;
+    });
+  }
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.regexp.search.js":
+/***/ "./node_modules/core-js/modules/es6.regexp.search.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.search.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
+
+"use strict";
+
+
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var sameValue = __webpack_require__(/*! ./_same-value */ "./node_modules/core-js/modules/_same-value.js");
+var regExpExec = __webpack_require__(/*! ./_regexp-exec-abstract */ "./node_modules/core-js/modules/_regexp-exec-abstract.js");
 
 // @@search logic
-__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('search', 1, function (defined, SEARCH, $search) {
-  // 21.1.3.15 String.prototype.search(regexp)
-  return [function search(regexp) {
-    'use strict';
-    var O = defined(this);
-    var fn = regexp == undefined ? undefined : regexp[SEARCH];
-    return fn !== undefined ? fn.call(regexp, O) : new RegExp(regexp)[SEARCH](String(O));
-  }, $search];
+__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('search', 1, function (defined, SEARCH, $search, maybeCallNative) {
+  return [
+    // `String.prototype.search` method
+    // https://tc39.github.io/ecma262/#sec-string.prototype.search
+    function search(regexp) {
+      var O = defined(this);
+      var fn = regexp == undefined ? undefined : regexp[SEARCH];
+      return fn !== undefined ? fn.call(regexp, O) : new RegExp(regexp)[SEARCH](String(O));
+    },
+    // `RegExp.prototype[@@search]` method
+    // https://tc39.github.io/ecma262/#sec-regexp.prototype-@@search
+    function (regexp) {
+      var res = maybeCallNative($search, regexp, this);
+      if (res.done) return res.value;
+      var rx = anObject(regexp);
+      var S = String(this);
+      var previousLastIndex = rx.lastIndex;
+      if (!sameValue(previousLastIndex, 0)) rx.lastIndex = 0;
+      var result = regExpExec(rx, S);
+      if (!sameValue(rx.lastIndex, previousLastIndex)) rx.lastIndex = previousLastIndex;
+      return result === null ? -1 : result.index;
+    }
+  ];
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.regexp.split.js":
+/***/ "./node_modules/core-js/modules/es6.regexp.split.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.split.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
+
+"use strict";
+
+
+var isRegExp = __webpack_require__(/*! ./_is-regexp */ "./node_modules/core-js/modules/_is-regexp.js");
+var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
+var speciesConstructor = __webpack_require__(/*! ./_species-constructor */ "./node_modules/core-js/modules/_species-constructor.js");
+var advanceStringIndex = __webpack_require__(/*! ./_advance-string-index */ "./node_modules/core-js/modules/_advance-string-index.js");
+var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
+var callRegExpExec = __webpack_require__(/*! ./_regexp-exec-abstract */ "./node_modules/core-js/modules/_regexp-exec-abstract.js");
+var regexpExec = __webpack_require__(/*! ./_regexp-exec */ "./node_modules/core-js/modules/_regexp-exec.js");
+var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
+var $min = Math.min;
+var $push = [].push;
+var $SPLIT = 'split';
+var LENGTH = 'length';
+var LAST_INDEX = 'lastIndex';
+var MAX_UINT32 = 0xffffffff;
+
+// babel-minify transpiles RegExp('x', 'y') -> /x/y and it causes SyntaxError
+var SUPPORTS_Y = !fails(function () { RegExp(MAX_UINT32, 'y'); });
 
 // @@split logic
-__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('split', 2, function (defined, SPLIT, $split) {
-  'use strict';
-  var isRegExp = __webpack_require__(/*! ./_is-regexp */ "./node_modules/core-js/modules/_is-regexp.js");
-  var _split = $split;
-  var $push = [].push;
-  var $SPLIT = 'split';
-  var LENGTH = 'length';
-  var LAST_INDEX = 'lastIndex';
+__webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re-wks.js")('split', 2, function (defined, SPLIT, $split, maybeCallNative) {
+  var internalSplit;
   if (
     'abbc'[$SPLIT](/(b)*/)[1] == 'c' ||
     'test'[$SPLIT](/(?:)/, -1)[LENGTH] != 4 ||
@@ -7459,35 +7137,26 @@ __webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re
     '.'[$SPLIT](/()()/)[LENGTH] > 1 ||
     ''[$SPLIT](/.?/)[LENGTH]
   ) {
-    var NPCG = /()??/.exec('')[1] === undefined; // nonparticipating capturing group
     // based on es5-shim implementation, need to rework it
-    $split = function (separator, limit) {
+    internalSplit = function (separator, limit) {
       var string = String(this);
       if (separator === undefined && limit === 0) return [];
       // If `separator` is not a regex, use native split
-      if (!isRegExp(separator)) return _split.call(string, separator, limit);
+      if (!isRegExp(separator)) return $split.call(string, separator, limit);
       var output = [];
       var flags = (separator.ignoreCase ? 'i' : '') +
                   (separator.multiline ? 'm' : '') +
                   (separator.unicode ? 'u' : '') +
                   (separator.sticky ? 'y' : '');
       var lastLastIndex = 0;
-      var splitLimit = limit === undefined ? 4294967295 : limit >>> 0;
+      var splitLimit = limit === undefined ? MAX_UINT32 : limit >>> 0;
       // Make `global` and avoid `lastIndex` issues by working with a copy
       var separatorCopy = new RegExp(separator.source, flags + 'g');
-      var separator2, match, lastIndex, lastLength, i;
-      // Doesn't need flags gy, but they don't hurt
-      if (!NPCG) separator2 = new RegExp('^' + separatorCopy.source + '$(?!\\s)', flags);
-      while (match = separatorCopy.exec(string)) {
-        // `separatorCopy.lastIndex` is not reliable cross-browser
-        lastIndex = match.index + match[0][LENGTH];
+      var match, lastIndex, lastLength;
+      while (match = regexpExec.call(separatorCopy, string)) {
+        lastIndex = separatorCopy[LAST_INDEX];
         if (lastIndex > lastLastIndex) {
           output.push(string.slice(lastLastIndex, match.index));
-          // Fix browsers whose `exec` methods don't consistently return `undefined` for NPCG
-          // eslint-disable-next-line no-loop-func
-          if (!NPCG && match[LENGTH] > 1) match[0].replace(separator2, function () {
-            for (i = 1; i < arguments[LENGTH] - 2; i++) if (arguments[i] === undefined) match[i] = undefined;
-          });
           if (match[LENGTH] > 1 && match.index < string[LENGTH]) $push.apply(output, match.slice(1));
           lastLength = match[0][LENGTH];
           lastLastIndex = lastIndex;
@@ -7502,26 +7171,84 @@ __webpack_require__(/*! ./_fix-re-wks */ "./node_modules/core-js/modules/_fix-re
     };
   // Chakra, V8
   } else if ('0'[$SPLIT](undefined, 0)[LENGTH]) {
-    $split = function (separator, limit) {
-      return separator === undefined && limit === 0 ? [] : _split.call(this, separator, limit);
+    internalSplit = function (separator, limit) {
+      return separator === undefined && limit === 0 ? [] : $split.call(this, separator, limit);
     };
+  } else {
+    internalSplit = $split;
   }
-  // 21.1.3.17 String.prototype.split(separator, limit)
-  return [function split(separator, limit) {
-    var O = defined(this);
-    var fn = separator == undefined ? undefined : separator[SPLIT];
-    return fn !== undefined ? fn.call(separator, O, limit) : $split.call(String(O), separator, limit);
-  }, $split];
+
+  return [
+    // `String.prototype.split` method
+    // https://tc39.github.io/ecma262/#sec-string.prototype.split
+    function split(separator, limit) {
+      var O = defined(this);
+      var splitter = separator == undefined ? undefined : separator[SPLIT];
+      return splitter !== undefined
+        ? splitter.call(separator, O, limit)
+        : internalSplit.call(String(O), separator, limit);
+    },
+    // `RegExp.prototype[@@split]` method
+    // https://tc39.github.io/ecma262/#sec-regexp.prototype-@@split
+    //
+    // NOTE: This cannot be properly polyfilled in engines that don't support
+    // the 'y' flag.
+    function (regexp, limit) {
+      var res = maybeCallNative(internalSplit, regexp, this, limit, internalSplit !== $split);
+      if (res.done) return res.value;
+
+      var rx = anObject(regexp);
+      var S = String(this);
+      var C = speciesConstructor(rx, RegExp);
+
+      var unicodeMatching = rx.unicode;
+      var flags = (rx.ignoreCase ? 'i' : '') +
+                  (rx.multiline ? 'm' : '') +
+                  (rx.unicode ? 'u' : '') +
+                  (SUPPORTS_Y ? 'y' : 'g');
+
+      // ^(? + rx + ) is needed, in combination with some S slicing, to
+      // simulate the 'y' flag.
+      var splitter = new C(SUPPORTS_Y ? rx : '^(?:' + rx.source + ')', flags);
+      var lim = limit === undefined ? MAX_UINT32 : limit >>> 0;
+      if (lim === 0) return [];
+      if (S.length === 0) return callRegExpExec(splitter, S) === null ? [S] : [];
+      var p = 0;
+      var q = 0;
+      var A = [];
+      while (q < S.length) {
+        splitter.lastIndex = SUPPORTS_Y ? q : 0;
+        var z = callRegExpExec(splitter, SUPPORTS_Y ? S : S.slice(q));
+        var e;
+        if (
+          z === null ||
+          (e = $min(toLength(splitter.lastIndex + (SUPPORTS_Y ? 0 : q)), S.length)) === p
+        ) {
+          q = advanceStringIndex(S, q, unicodeMatching);
+        } else {
+          A.push(S.slice(p, q));
+          if (A.length === lim) return A;
+          for (var i = 1; i <= z.length - 1; i++) {
+            A.push(z[i]);
+            if (A.length === lim) return A;
+          }
+          q = p = e;
+        }
+      }
+      A.push(S.slice(p));
+      return A;
+    }
+  ];
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.regexp.to-string.js":
+/***/ "./node_modules/core-js/modules/es6.regexp.to-string.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.regexp.to-string.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7551,13 +7278,13 @@ if (__webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.j
 }
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.set.js":
+/***/ "./node_modules/core-js/modules/es6.set.js"
 /*!*************************************************!*\
   !*** ./node_modules/core-js/modules/es6.set.js ***!
   \*************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7576,13 +7303,13 @@ module.exports = __webpack_require__(/*! ./_collection */ "./node_modules/core-j
 }, strong);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.anchor.js":
+/***/ "./node_modules/core-js/modules/es6.string.anchor.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.anchor.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7594,13 +7321,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.big.js":
+/***/ "./node_modules/core-js/modules/es6.string.big.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.big.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7612,13 +7339,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.blink.js":
+/***/ "./node_modules/core-js/modules/es6.string.blink.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.blink.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7630,13 +7357,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.bold.js":
+/***/ "./node_modules/core-js/modules/es6.string.bold.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.bold.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7648,13 +7375,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.code-point-at.js":
+/***/ "./node_modules/core-js/modules/es6.string.code-point-at.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.code-point-at.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7668,13 +7395,13 @@ $export($export.P, 'String', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.ends-with.js":
+/***/ "./node_modules/core-js/modules/es6.string.ends-with.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.ends-with.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 // 21.1.3.6 String.prototype.endsWith(searchString [, endPosition])
@@ -7699,13 +7426,13 @@ $export($export.P + $export.F * __webpack_require__(/*! ./_fails-is-regexp */ ".
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.fixed.js":
+/***/ "./node_modules/core-js/modules/es6.string.fixed.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.fixed.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7717,13 +7444,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.fontcolor.js":
+/***/ "./node_modules/core-js/modules/es6.string.fontcolor.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.fontcolor.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7735,13 +7462,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.fontsize.js":
+/***/ "./node_modules/core-js/modules/es6.string.fontsize.js"
 /*!*************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.fontsize.js ***!
   \*************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7753,13 +7480,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.from-code-point.js":
+/***/ "./node_modules/core-js/modules/es6.string.from-code-point.js"
 /*!********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.from-code-point.js ***!
   \********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
@@ -7786,13 +7513,13 @@ $export($export.S + $export.F * (!!$fromCodePoint && $fromCodePoint.length != 1)
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.includes.js":
+/***/ "./node_modules/core-js/modules/es6.string.includes.js"
 /*!*************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.includes.js ***!
   \*************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 // 21.1.3.7 String.prototype.includes(searchString, position = 0)
@@ -7809,13 +7536,13 @@ $export($export.P + $export.F * __webpack_require__(/*! ./_fails-is-regexp */ ".
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.italics.js":
+/***/ "./node_modules/core-js/modules/es6.string.italics.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.italics.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7827,13 +7554,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.iterator.js":
+/***/ "./node_modules/core-js/modules/es6.string.iterator.js"
 /*!*************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.iterator.js ***!
   \*************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7855,13 +7582,13 @@ __webpack_require__(/*! ./_iter-define */ "./node_modules/core-js/modules/_iter-
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.link.js":
+/***/ "./node_modules/core-js/modules/es6.string.link.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.link.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7873,13 +7600,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.raw.js":
+/***/ "./node_modules/core-js/modules/es6.string.raw.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.raw.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
@@ -7901,13 +7628,13 @@ $export($export.S, 'String', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.repeat.js":
+/***/ "./node_modules/core-js/modules/es6.string.repeat.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.repeat.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 
@@ -7917,13 +7644,13 @@ $export($export.P, 'String', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.small.js":
+/***/ "./node_modules/core-js/modules/es6.string.small.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.small.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7935,13 +7662,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.starts-with.js":
+/***/ "./node_modules/core-js/modules/es6.string.starts-with.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.starts-with.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 // 21.1.3.18 String.prototype.startsWith(searchString [, position ])
@@ -7964,13 +7691,13 @@ $export($export.P + $export.F * __webpack_require__(/*! ./_fails-is-regexp */ ".
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.strike.js":
+/***/ "./node_modules/core-js/modules/es6.string.strike.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.strike.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -7982,13 +7709,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.sub.js":
+/***/ "./node_modules/core-js/modules/es6.string.sub.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.sub.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8000,13 +7727,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.sup.js":
+/***/ "./node_modules/core-js/modules/es6.string.sup.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.sup.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8018,13 +7745,13 @@ __webpack_require__(/*! ./_string-html */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.string.trim.js":
+/***/ "./node_modules/core-js/modules/es6.string.trim.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es6.string.trim.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8036,13 +7763,13 @@ __webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_strin
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.symbol.js":
+/***/ "./node_modules/core-js/modules/es6.symbol.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/es6.symbol.js ***!
   \****************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8052,7 +7779,7 @@ var has = __webpack_require__(/*! ./_has */ "./node_modules/core-js/modules/_has
 var DESCRIPTORS = __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js");
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
-var META = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").KEY;
+var META = (__webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js").KEY);
 var $fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
 var shared = __webpack_require__(/*! ./_shared */ "./node_modules/core-js/modules/_shared.js");
 var setToStringTag = __webpack_require__(/*! ./_set-to-string-tag */ "./node_modules/core-js/modules/_set-to-string-tag.js");
@@ -8064,12 +7791,14 @@ var enumKeys = __webpack_require__(/*! ./_enum-keys */ "./node_modules/core-js/m
 var isArray = __webpack_require__(/*! ./_is-array */ "./node_modules/core-js/modules/_is-array.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
+var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
 var toIObject = __webpack_require__(/*! ./_to-iobject */ "./node_modules/core-js/modules/_to-iobject.js");
 var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
 var createDesc = __webpack_require__(/*! ./_property-desc */ "./node_modules/core-js/modules/_property-desc.js");
 var _create = __webpack_require__(/*! ./_object-create */ "./node_modules/core-js/modules/_object-create.js");
 var gOPNExt = __webpack_require__(/*! ./_object-gopn-ext */ "./node_modules/core-js/modules/_object-gopn-ext.js");
 var $GOPD = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js");
+var $GOPS = __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js");
 var $DP = __webpack_require__(/*! ./_object-dp */ "./node_modules/core-js/modules/_object-dp.js");
 var $keys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
 var gOPD = $GOPD.f;
@@ -8086,7 +7815,7 @@ var SymbolRegistry = shared('symbol-registry');
 var AllSymbols = shared('symbols');
 var OPSymbols = shared('op-symbols');
 var ObjectProto = Object[PROTOTYPE];
-var USE_NATIVE = typeof $Symbol == 'function';
+var USE_NATIVE = typeof $Symbol == 'function' && !!$GOPS.f;
 var QObject = global.QObject;
 // Don't use setters in Qt Script, https://github.com/zloirock/core-js/issues/173
 var setter = !QObject || !QObject[PROTOTYPE] || !QObject[PROTOTYPE].findChild;
@@ -8194,9 +7923,9 @@ if (!USE_NATIVE) {
 
   $GOPD.f = $getOwnPropertyDescriptor;
   $DP.f = $defineProperty;
-  __webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f = gOPNExt.f = $getOwnPropertyNames;
-  __webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js").f = $propertyIsEnumerable;
-  __webpack_require__(/*! ./_object-gops */ "./node_modules/core-js/modules/_object-gops.js").f = $getOwnPropertySymbols;
+  (__webpack_require__(/*! ./_object-gopn */ "./node_modules/core-js/modules/_object-gopn.js").f) = gOPNExt.f = $getOwnPropertyNames;
+  (__webpack_require__(/*! ./_object-pie */ "./node_modules/core-js/modules/_object-pie.js").f) = $propertyIsEnumerable;
+  $GOPS.f = $getOwnPropertySymbols;
 
   if (DESCRIPTORS && !__webpack_require__(/*! ./_library */ "./node_modules/core-js/modules/_library.js")) {
     redefine(ObjectProto, 'propertyIsEnumerable', $propertyIsEnumerable, true);
@@ -8247,6 +7976,16 @@ $export($export.S + $export.F * !USE_NATIVE, 'Object', {
   getOwnPropertySymbols: $getOwnPropertySymbols
 });
 
+// Chrome 38 and 39 `Object.getOwnPropertySymbols` fails on primitives
+// https://bugs.chromium.org/p/v8/issues/detail?id=3443
+var FAILS_ON_PRIMITIVES = $fails(function () { $GOPS.f(1); });
+
+$export($export.S + $export.F * FAILS_ON_PRIMITIVES, 'Object', {
+  getOwnPropertySymbols: function getOwnPropertySymbols(it) {
+    return $GOPS.f(toObject(it));
+  }
+});
+
 // 24.3.2 JSON.stringify(value [, replacer [, space]])
 $JSON && $export($export.S + $export.F * (!USE_NATIVE || $fails(function () {
   var S = $Symbol();
@@ -8281,13 +8020,13 @@ setToStringTag(Math, 'Math', true);
 setToStringTag(global.JSON, 'JSON', true);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.array-buffer.js":
+/***/ "./node_modules/core-js/modules/es6.typed.array-buffer.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.array-buffer.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8298,7 +8037,7 @@ var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/m
 var toAbsoluteIndex = __webpack_require__(/*! ./_to-absolute-index */ "./node_modules/core-js/modules/_to-absolute-index.js");
 var toLength = __webpack_require__(/*! ./_to-length */ "./node_modules/core-js/modules/_to-length.js");
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var ArrayBuffer = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").ArrayBuffer;
+var ArrayBuffer = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").ArrayBuffer);
 var speciesConstructor = __webpack_require__(/*! ./_species-constructor */ "./node_modules/core-js/modules/_species-constructor.js");
 var $ArrayBuffer = buffer.ArrayBuffer;
 var $DataView = buffer.DataView;
@@ -8324,12 +8063,12 @@ $export($export.P + $export.U + $export.F * __webpack_require__(/*! ./_fails */
     if ($slice !== undefined && end === undefined) return $slice.call(anObject(this), start); // FF fix
     var len = anObject(this).byteLength;
     var first = toAbsoluteIndex(start, len);
-    var final = toAbsoluteIndex(end === undefined ? len : end, len);
-    var result = new (speciesConstructor(this, $ArrayBuffer))(toLength(final - first));
+    var fin = toAbsoluteIndex(end === undefined ? len : end, len);
+    var result = new (speciesConstructor(this, $ArrayBuffer))(toLength(fin - first));
     var viewS = new $DataView(this);
     var viewT = new $DataView(result);
     var index = 0;
-    while (first < final) {
+    while (first < fin) {
       viewT.setUint8(index++, viewS.getUint8(first++));
     } return result;
   }
@@ -8338,27 +8077,27 @@ $export($export.P + $export.U + $export.F * __webpack_require__(/*! ./_fails */
 __webpack_require__(/*! ./_set-species */ "./node_modules/core-js/modules/_set-species.js")(ARRAY_BUFFER);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.data-view.js":
+/***/ "./node_modules/core-js/modules/es6.typed.data-view.js"
 /*!*************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.data-view.js ***!
   \*************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
-$export($export.G + $export.W + $export.F * !__webpack_require__(/*! ./_typed */ "./node_modules/core-js/modules/_typed.js").ABV, {
-  DataView: __webpack_require__(/*! ./_typed-buffer */ "./node_modules/core-js/modules/_typed-buffer.js").DataView
+$export($export.G + $export.W + $export.F * !(__webpack_require__(/*! ./_typed */ "./node_modules/core-js/modules/_typed.js").ABV), {
+  DataView: (__webpack_require__(/*! ./_typed-buffer */ "./node_modules/core-js/modules/_typed-buffer.js").DataView)
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.float32-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.float32-array.js"
 /*!*****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.float32-array.js ***!
   \*****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Float32', 4, function (init) {
   return function Float32Array(data, byteOffset, length) {
@@ -8367,13 +8106,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.float64-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.float64-array.js"
 /*!*****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.float64-array.js ***!
   \*****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Float64', 8, function (init) {
   return function Float64Array(data, byteOffset, length) {
@@ -8382,13 +8121,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.int16-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.int16-array.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.int16-array.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Int16', 2, function (init) {
   return function Int16Array(data, byteOffset, length) {
@@ -8397,13 +8136,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.int32-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.int32-array.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.int32-array.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Int32', 4, function (init) {
   return function Int32Array(data, byteOffset, length) {
@@ -8412,13 +8151,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.int8-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.int8-array.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.int8-array.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Int8', 1, function (init) {
   return function Int8Array(data, byteOffset, length) {
@@ -8427,13 +8166,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.uint16-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.uint16-array.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.uint16-array.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Uint16', 2, function (init) {
   return function Uint16Array(data, byteOffset, length) {
@@ -8442,13 +8181,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.uint32-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.uint32-array.js"
 /*!****************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.uint32-array.js ***!
   \****************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Uint32', 4, function (init) {
   return function Uint32Array(data, byteOffset, length) {
@@ -8457,13 +8196,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.uint8-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.uint8-array.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.uint8-array.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Uint8', 1, function (init) {
   return function Uint8Array(data, byteOffset, length) {
@@ -8472,13 +8211,13 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.typed.uint8-clamped-array.js":
+/***/ "./node_modules/core-js/modules/es6.typed.uint8-clamped-array.js"
 /*!***********************************************************************!*\
   !*** ./node_modules/core-js/modules/es6.typed.uint8-clamped-array.js ***!
   \***********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed-array.js")('Uint8', 1, function (init) {
   return function Uint8ClampedArray(data, byteOffset, length) {
@@ -8487,29 +8226,30 @@ __webpack_require__(/*! ./_typed-array */ "./node_modules/core-js/modules/_typed
 }, true);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.weak-map.js":
+/***/ "./node_modules/core-js/modules/es6.weak-map.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.weak-map.js ***!
   \******************************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
+var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
 var each = __webpack_require__(/*! ./_array-methods */ "./node_modules/core-js/modules/_array-methods.js")(0);
 var redefine = __webpack_require__(/*! ./_redefine */ "./node_modules/core-js/modules/_redefine.js");
 var meta = __webpack_require__(/*! ./_meta */ "./node_modules/core-js/modules/_meta.js");
 var assign = __webpack_require__(/*! ./_object-assign */ "./node_modules/core-js/modules/_object-assign.js");
 var weak = __webpack_require__(/*! ./_collection-weak */ "./node_modules/core-js/modules/_collection-weak.js");
 var isObject = __webpack_require__(/*! ./_is-object */ "./node_modules/core-js/modules/_is-object.js");
-var fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
 var validate = __webpack_require__(/*! ./_validate-collection */ "./node_modules/core-js/modules/_validate-collection.js");
+var NATIVE_WEAK_MAP = __webpack_require__(/*! ./_validate-collection */ "./node_modules/core-js/modules/_validate-collection.js");
+var IS_IE11 = !global.ActiveXObject && 'ActiveXObject' in global;
 var WEAK_MAP = 'WeakMap';
 var getWeak = meta.getWeak;
 var isExtensible = Object.isExtensible;
 var uncaughtFrozenStore = weak.ufstore;
-var tmp = {};
 var InternalMap;
 
 var wrapper = function (get) {
@@ -8537,7 +8277,7 @@ var methods = {
 var $WeakMap = module.exports = __webpack_require__(/*! ./_collection */ "./node_modules/core-js/modules/_collection.js")(WEAK_MAP, wrapper, methods, weak, true, true);
 
 // IE11 WeakMap frozen keys fix
-if (fails(function () { return new $WeakMap().set((Object.freeze || Object)(tmp), 7).get(tmp) != 7; })) {
+if (NATIVE_WEAK_MAP && IS_IE11) {
   InternalMap = weak.getConstructor(wrapper, WEAK_MAP);
   assign(InternalMap.prototype, methods);
   meta.NEED = true;
@@ -8557,13 +8297,13 @@ if (fails(function () { return new $WeakMap().set((Object.freeze || Object)(tmp)
 }
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es6.weak-set.js":
+/***/ "./node_modules/core-js/modules/es6.weak-set.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/es6.weak-set.js ***!
   \******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8582,13 +8322,13 @@ __webpack_require__(/*! ./_collection */ "./node_modules/core-js/modules/_collec
 }, weak, false, true);
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.array.flat-map.js":
+/***/ "./node_modules/core-js/modules/es7.array.flat-map.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.array.flat-map.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8615,13 +8355,13 @@ $export($export.P, 'Array', {
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")('flatMap');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.array.flatten.js":
+/***/ "./node_modules/core-js/modules/es7.array.flatten.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.array.flatten.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8647,13 +8387,13 @@ $export($export.P, 'Array', {
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")('flatten');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.array.includes.js":
+/***/ "./node_modules/core-js/modules/es7.array.includes.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.array.includes.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -8670,18 +8410,18 @@ $export($export.P, 'Array', {
 __webpack_require__(/*! ./_add-to-unscopables */ "./node_modules/core-js/modules/_add-to-unscopables.js")('includes');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.asap.js":
+/***/ "./node_modules/core-js/modules/es7.asap.js"
 /*!**************************************************!*\
   !*** ./node_modules/core-js/modules/es7.asap.js ***!
   \**************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/rwaldron/tc39-notes/blob/master/es6/2014-09/sept-25.md#510-globalasap-for-enqueuing-a-microtask
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var microtask = __webpack_require__(/*! ./_microtask */ "./node_modules/core-js/modules/_microtask.js")();
-var process = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").process;
+var process = (__webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js").process);
 var isNode = __webpack_require__(/*! ./_cof */ "./node_modules/core-js/modules/_cof.js")(process) == 'process';
 
 $export($export.G, {
@@ -8692,13 +8432,13 @@ $export($export.G, {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.error.is-error.js":
+/***/ "./node_modules/core-js/modules/es7.error.is-error.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.error.is-error.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/ljharb/proposal-is-error
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8711,13 +8451,13 @@ $export($export.S, 'Error', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.global.js":
+/***/ "./node_modules/core-js/modules/es7.global.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/es7.global.js ***!
   \****************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/tc39/proposal-global
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8725,37 +8465,37 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.G, { global: __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.map.from.js":
+/***/ "./node_modules/core-js/modules/es7.map.from.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/es7.map.from.js ***!
   \******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-map.from
 __webpack_require__(/*! ./_set-collection-from */ "./node_modules/core-js/modules/_set-collection-from.js")('Map');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.map.of.js":
+/***/ "./node_modules/core-js/modules/es7.map.of.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/es7.map.of.js ***!
   \****************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-map.of
 __webpack_require__(/*! ./_set-collection-of */ "./node_modules/core-js/modules/_set-collection-of.js")('Map');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.map.to-json.js":
+/***/ "./node_modules/core-js/modules/es7.map.to-json.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.map.to-json.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/DavidBruant/Map-Set.prototype.toJSON
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8763,13 +8503,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.P + $export.R, 'Map', { toJSON: __webpack_require__(/*! ./_collection-to-json */ "./node_modules/core-js/modules/_collection-to-json.js")('Map') });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.clamp.js":
+/***/ "./node_modules/core-js/modules/es7.math.clamp.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.clamp.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8781,13 +8521,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.deg-per-rad.js":
+/***/ "./node_modules/core-js/modules/es7.math.deg-per-rad.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.deg-per-rad.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8795,13 +8535,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Math', { DEG_PER_RAD: Math.PI / 180 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.degrees.js":
+/***/ "./node_modules/core-js/modules/es7.math.degrees.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.degrees.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8814,13 +8554,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.fscale.js":
+/***/ "./node_modules/core-js/modules/es7.math.fscale.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.fscale.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8834,13 +8574,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.iaddh.js":
+/***/ "./node_modules/core-js/modules/es7.math.iaddh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.iaddh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://gist.github.com/BrendanEich/4294d5c212a6d2254703
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8855,13 +8595,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.imulh.js":
+/***/ "./node_modules/core-js/modules/es7.math.imulh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.imulh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://gist.github.com/BrendanEich/4294d5c212a6d2254703
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8881,13 +8621,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.isubh.js":
+/***/ "./node_modules/core-js/modules/es7.math.isubh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.isubh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://gist.github.com/BrendanEich/4294d5c212a6d2254703
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8902,13 +8642,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.rad-per-deg.js":
+/***/ "./node_modules/core-js/modules/es7.math.rad-per-deg.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.rad-per-deg.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8916,13 +8656,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Math', { RAD_PER_DEG: 180 / Math.PI });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.radians.js":
+/***/ "./node_modules/core-js/modules/es7.math.radians.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.radians.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8935,13 +8675,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.scale.js":
+/***/ "./node_modules/core-js/modules/es7.math.scale.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.scale.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://rwaldron.github.io/proposal-math-extensions/
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8949,13 +8689,13 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'Math', { scale: __webpack_require__(/*! ./_math-scale */ "./node_modules/core-js/modules/_math-scale.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.signbit.js":
+/***/ "./node_modules/core-js/modules/es7.math.signbit.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.signbit.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // http://jfbastien.github.io/papers/Math.signbit.html
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8966,13 +8706,13 @@ $export($export.S, 'Math', { signbit: function signbit(x) {
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.math.umulh.js":
+/***/ "./node_modules/core-js/modules/es7.math.umulh.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.math.umulh.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://gist.github.com/BrendanEich/4294d5c212a6d2254703
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -8992,13 +8732,13 @@ $export($export.S, 'Math', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.define-getter.js":
+/***/ "./node_modules/core-js/modules/es7.object.define-getter.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.define-getter.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9015,13 +8755,13 @@ __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descr
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.define-setter.js":
+/***/ "./node_modules/core-js/modules/es7.object.define-setter.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.define-setter.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9038,13 +8778,13 @@ __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descr
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.entries.js":
+/***/ "./node_modules/core-js/modules/es7.object.entries.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.entries.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/tc39/proposal-object-values-entries
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -9057,13 +8797,13 @@ $export($export.S, 'Object', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.get-own-property-descriptors.js":
+/***/ "./node_modules/core-js/modules/es7.object.get-own-property-descriptors.js"
 /*!*********************************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.get-own-property-descriptors.js ***!
   \*********************************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/tc39/proposal-object-getownpropertydescriptors
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -9089,13 +8829,13 @@ $export($export.S, 'Object', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.lookup-getter.js":
+/***/ "./node_modules/core-js/modules/es7.object.lookup-getter.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.lookup-getter.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9103,7 +8843,7 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
 var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
 var getPrototypeOf = __webpack_require__(/*! ./_object-gpo */ "./node_modules/core-js/modules/_object-gpo.js");
-var getOwnPropertyDescriptor = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f;
+var getOwnPropertyDescriptor = (__webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f);
 
 // B.2.2.4 Object.prototype.__lookupGetter__(P)
 __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") && $export($export.P + __webpack_require__(/*! ./_object-forced-pam */ "./node_modules/core-js/modules/_object-forced-pam.js"), 'Object', {
@@ -9118,13 +8858,13 @@ __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descr
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.lookup-setter.js":
+/***/ "./node_modules/core-js/modules/es7.object.lookup-setter.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.lookup-setter.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9132,7 +8872,7 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 var toObject = __webpack_require__(/*! ./_to-object */ "./node_modules/core-js/modules/_to-object.js");
 var toPrimitive = __webpack_require__(/*! ./_to-primitive */ "./node_modules/core-js/modules/_to-primitive.js");
 var getPrototypeOf = __webpack_require__(/*! ./_object-gpo */ "./node_modules/core-js/modules/_object-gpo.js");
-var getOwnPropertyDescriptor = __webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f;
+var getOwnPropertyDescriptor = (__webpack_require__(/*! ./_object-gopd */ "./node_modules/core-js/modules/_object-gopd.js").f);
 
 // B.2.2.5 Object.prototype.__lookupSetter__(P)
 __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descriptors.js") && $export($export.P + __webpack_require__(/*! ./_object-forced-pam */ "./node_modules/core-js/modules/_object-forced-pam.js"), 'Object', {
@@ -9147,13 +8887,13 @@ __webpack_require__(/*! ./_descriptors */ "./node_modules/core-js/modules/_descr
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.object.values.js":
+/***/ "./node_modules/core-js/modules/es7.object.values.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.object.values.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/tc39/proposal-object-values-entries
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -9166,13 +8906,13 @@ $export($export.S, 'Object', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.observable.js":
+/***/ "./node_modules/core-js/modules/es7.observable.js"
 /*!********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.observable.js ***!
   \********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9376,13 +9116,13 @@ $export($export.G, { Observable: $Observable });
 __webpack_require__(/*! ./_set-species */ "./node_modules/core-js/modules/_set-species.js")('Observable');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.promise.finally.js":
+/***/ "./node_modules/core-js/modules/es7.promise.finally.js"
 /*!*************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.promise.finally.js ***!
   \*************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 // https://github.com/tc39/proposal-promise-finally
@@ -9407,13 +9147,13 @@ $export($export.P + $export.R, 'Promise', { 'finally': function (onFinally) {
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.promise.try.js":
+/***/ "./node_modules/core-js/modules/es7.promise.try.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.promise.try.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9430,13 +9170,13 @@ $export($export.S, 'Promise', { 'try': function (callbackfn) {
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.define-metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.define-metadata.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.define-metadata.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9448,13 +9188,13 @@ metadata.exp({ defineMetadata: function defineMetadata(metadataKey, metadataValu
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.delete-metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.delete-metadata.js"
 /*!*********************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.delete-metadata.js ***!
   \*********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9473,13 +9213,13 @@ metadata.exp({ deleteMetadata: function deleteMetadata(metadataKey, target /* ,
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.get-metadata-keys.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.get-metadata-keys.js"
 /*!***********************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.get-metadata-keys.js ***!
   \***********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var Set = __webpack_require__(/*! ./es6.set */ "./node_modules/core-js/modules/es6.set.js");
 var from = __webpack_require__(/*! ./_array-from-iterable */ "./node_modules/core-js/modules/_array-from-iterable.js");
@@ -9502,13 +9242,13 @@ metadata.exp({ getMetadataKeys: function getMetadataKeys(target /* , targetKey *
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.get-metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.get-metadata.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.get-metadata.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9529,13 +9269,13 @@ metadata.exp({ getMetadata: function getMetadata(metadataKey, target /* , target
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.get-own-metadata-keys.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.get-own-metadata-keys.js"
 /*!***************************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.get-own-metadata-keys.js ***!
   \***************************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9547,13 +9287,13 @@ metadata.exp({ getOwnMetadataKeys: function getOwnMetadataKeys(target /* , targe
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.get-own-metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.get-own-metadata.js"
 /*!**********************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.get-own-metadata.js ***!
   \**********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9566,13 +9306,13 @@ metadata.exp({ getOwnMetadata: function getOwnMetadata(metadataKey, target /* ,
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.has-metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.has-metadata.js"
 /*!******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.has-metadata.js ***!
   \******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9592,13 +9332,13 @@ metadata.exp({ hasMetadata: function hasMetadata(metadataKey, target /* , target
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.has-own-metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.has-own-metadata.js"
 /*!**********************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.has-own-metadata.js ***!
   \**********************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9611,13 +9351,13 @@ metadata.exp({ hasOwnMetadata: function hasOwnMetadata(metadataKey, target /* ,
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.reflect.metadata.js":
+/***/ "./node_modules/core-js/modules/es7.reflect.metadata.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.reflect.metadata.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $metadata = __webpack_require__(/*! ./_metadata */ "./node_modules/core-js/modules/_metadata.js");
 var anObject = __webpack_require__(/*! ./_an-object */ "./node_modules/core-js/modules/_an-object.js");
@@ -9636,37 +9376,37 @@ $metadata.exp({ metadata: function metadata(metadataKey, metadataValue) {
 } });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.set.from.js":
+/***/ "./node_modules/core-js/modules/es7.set.from.js"
 /*!******************************************************!*\
   !*** ./node_modules/core-js/modules/es7.set.from.js ***!
   \******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-set.from
 __webpack_require__(/*! ./_set-collection-from */ "./node_modules/core-js/modules/_set-collection-from.js")('Set');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.set.of.js":
+/***/ "./node_modules/core-js/modules/es7.set.of.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/es7.set.of.js ***!
   \****************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-set.of
 __webpack_require__(/*! ./_set-collection-of */ "./node_modules/core-js/modules/_set-collection-of.js")('Set');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.set.to-json.js":
+/***/ "./node_modules/core-js/modules/es7.set.to-json.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.set.to-json.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/DavidBruant/Map-Set.prototype.toJSON
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -9674,34 +9414,39 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.P + $export.R, 'Set', { toJSON: __webpack_require__(/*! ./_collection-to-json */ "./node_modules/core-js/modules/_collection-to-json.js")('Set') });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.string.at.js":
+/***/ "./node_modules/core-js/modules/es7.string.at.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/es7.string.at.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
 // https://github.com/mathiasbynens/String.prototype.at
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var $at = __webpack_require__(/*! ./_string-at */ "./node_modules/core-js/modules/_string-at.js")(true);
+var $fails = __webpack_require__(/*! ./_fails */ "./node_modules/core-js/modules/_fails.js");
 
-$export($export.P, 'String', {
+var FORCED = $fails(function () {
+  return '𠮷'.at(0) !== '𠮷';
+});
+
+$export($export.P + $export.F * FORCED, 'String', {
   at: function at(pos) {
     return $at(this, pos);
   }
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.string.match-all.js":
+/***/ "./node_modules/core-js/modules/es7.string.match-all.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.string.match-all.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9736,13 +9481,13 @@ $export($export.P, 'String', {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.string.pad-end.js":
+/***/ "./node_modules/core-js/modules/es7.string.pad-end.js"
 /*!************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.string.pad-end.js ***!
   \************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9752,20 +9497,22 @@ var $pad = __webpack_require__(/*! ./_string-pad */ "./node_modules/core-js/modu
 var userAgent = __webpack_require__(/*! ./_user-agent */ "./node_modules/core-js/modules/_user-agent.js");
 
 // https://github.com/zloirock/core-js/issues/280
-$export($export.P + $export.F * /Version\/10\.\d+(\.\d+)? Safari\//.test(userAgent), 'String', {
+var WEBKIT_BUG = /Version\/10\.\d+(\.\d+)?( Mobile\/\w+)? Safari\//.test(userAgent);
+
+$export($export.P + $export.F * WEBKIT_BUG, 'String', {
   padEnd: function padEnd(maxLength /* , fillString = ' ' */) {
     return $pad(this, maxLength, arguments.length > 1 ? arguments[1] : undefined, false);
   }
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.string.pad-start.js":
+/***/ "./node_modules/core-js/modules/es7.string.pad-start.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.string.pad-start.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9775,20 +9522,22 @@ var $pad = __webpack_require__(/*! ./_string-pad */ "./node_modules/core-js/modu
 var userAgent = __webpack_require__(/*! ./_user-agent */ "./node_modules/core-js/modules/_user-agent.js");
 
 // https://github.com/zloirock/core-js/issues/280
-$export($export.P + $export.F * /Version\/10\.\d+(\.\d+)? Safari\//.test(userAgent), 'String', {
+var WEBKIT_BUG = /Version\/10\.\d+(\.\d+)?( Mobile\/\w+)? Safari\//.test(userAgent);
+
+$export($export.P + $export.F * WEBKIT_BUG, 'String', {
   padStart: function padStart(maxLength /* , fillString = ' ' */) {
     return $pad(this, maxLength, arguments.length > 1 ? arguments[1] : undefined, true);
   }
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.string.trim-left.js":
+/***/ "./node_modules/core-js/modules/es7.string.trim-left.js"
 /*!**************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.string.trim-left.js ***!
   \**************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9800,13 +9549,13 @@ __webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_strin
 }, 'trimStart');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.string.trim-right.js":
+/***/ "./node_modules/core-js/modules/es7.string.trim-right.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.string.trim-right.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 "use strict";
 
@@ -9818,35 +9567,35 @@ __webpack_require__(/*! ./_string-trim */ "./node_modules/core-js/modules/_strin
 }, 'trimEnd');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.symbol.async-iterator.js":
+/***/ "./node_modules/core-js/modules/es7.symbol.async-iterator.js"
 /*!*******************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.symbol.async-iterator.js ***!
   \*******************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_wks-define */ "./node_modules/core-js/modules/_wks-define.js")('asyncIterator');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.symbol.observable.js":
+/***/ "./node_modules/core-js/modules/es7.symbol.observable.js"
 /*!***************************************************************!*\
   !*** ./node_modules/core-js/modules/es7.symbol.observable.js ***!
   \***************************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./_wks-define */ "./node_modules/core-js/modules/_wks-define.js")('observable');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.system.global.js":
+/***/ "./node_modules/core-js/modules/es7.system.global.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.system.global.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://github.com/tc39/proposal-global
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
@@ -9854,61 +9603,61 @@ var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modul
 $export($export.S, 'System', { global: __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js") });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.weak-map.from.js":
+/***/ "./node_modules/core-js/modules/es7.weak-map.from.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.weak-map.from.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-weakmap.from
 __webpack_require__(/*! ./_set-collection-from */ "./node_modules/core-js/modules/_set-collection-from.js")('WeakMap');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.weak-map.of.js":
+/***/ "./node_modules/core-js/modules/es7.weak-map.of.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.weak-map.of.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-weakmap.of
 __webpack_require__(/*! ./_set-collection-of */ "./node_modules/core-js/modules/_set-collection-of.js")('WeakMap');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.weak-set.from.js":
+/***/ "./node_modules/core-js/modules/es7.weak-set.from.js"
 /*!***********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.weak-set.from.js ***!
   \***********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-weakset.from
 __webpack_require__(/*! ./_set-collection-from */ "./node_modules/core-js/modules/_set-collection-from.js")('WeakSet');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/es7.weak-set.of.js":
+/***/ "./node_modules/core-js/modules/es7.weak-set.of.js"
 /*!*********************************************************!*\
   !*** ./node_modules/core-js/modules/es7.weak-set.of.js ***!
   \*********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // https://tc39.github.io/proposal-setmap-offrom/#sec-weakset.of
 __webpack_require__(/*! ./_set-collection-of */ "./node_modules/core-js/modules/_set-collection-of.js")('WeakSet');
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/web.dom.iterable.js":
+/***/ "./node_modules/core-js/modules/web.dom.iterable.js"
 /*!**********************************************************!*\
   !*** ./node_modules/core-js/modules/web.dom.iterable.js ***!
   \**********************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $iterators = __webpack_require__(/*! ./es6.array.iterator */ "./node_modules/core-js/modules/es6.array.iterator.js");
 var getKeys = __webpack_require__(/*! ./_object-keys */ "./node_modules/core-js/modules/_object-keys.js");
@@ -9970,13 +9719,13 @@ for (var collections = getKeys(DOMIterables), i = 0; i < collections.length; i++
 }
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/web.immediate.js":
+/***/ "./node_modules/core-js/modules/web.immediate.js"
 /*!*******************************************************!*\
   !*** ./node_modules/core-js/modules/web.immediate.js ***!
   \*******************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 var $export = __webpack_require__(/*! ./_export */ "./node_modules/core-js/modules/_export.js");
 var $task = __webpack_require__(/*! ./_task */ "./node_modules/core-js/modules/_task.js");
@@ -9986,13 +9735,13 @@ $export($export.G + $export.B, {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/modules/web.timers.js":
+/***/ "./node_modules/core-js/modules/web.timers.js"
 /*!****************************************************!*\
   !*** ./node_modules/core-js/modules/web.timers.js ***!
   \****************************************************/
-/***/ ((__unused_webpack_module, __unused_webpack_exports, __webpack_require__) => {
+(__unused_webpack_module, __unused_webpack_exports, __webpack_require__) {
 
 // ie9- setTimeout & setInterval additional parameters fix
 var global = __webpack_require__(/*! ./_global */ "./node_modules/core-js/modules/_global.js");
@@ -10016,13 +9765,13 @@ $export($export.G + $export.B + $export.F * MSIE, {
 });
 
 
-/***/ }),
+/***/ },
 
-/***/ "./node_modules/core-js/shim.js":
+/***/ "./node_modules/core-js/shim.js"
 /*!**************************************!*\
   !*** ./node_modules/core-js/shim.js ***!
   \**************************************/
-/***/ ((module, __unused_webpack_exports, __webpack_require__) => {
+(module, __unused_webpack_exports, __webpack_require__) {
 
 __webpack_require__(/*! ./modules/es6.symbol */ "./node_modules/core-js/modules/es6.symbol.js");
 __webpack_require__(/*! ./modules/es6.object.create */ "./node_modules/core-js/modules/es6.object.create.js");
@@ -10125,6 +9874,7 @@ __webpack_require__(/*! ./modules/es6.array.find-index */ "./node_modules/core-j
 __webpack_require__(/*! ./modules/es6.array.species */ "./node_modules/core-js/modules/es6.array.species.js");
 __webpack_require__(/*! ./modules/es6.array.iterator */ "./node_modules/core-js/modules/es6.array.iterator.js");
 __webpack_require__(/*! ./modules/es6.regexp.constructor */ "./node_modules/core-js/modules/es6.regexp.constructor.js");
+__webpack_require__(/*! ./modules/es6.regexp.exec */ "./node_modules/core-js/modules/es6.regexp.exec.js");
 __webpack_require__(/*! ./modules/es6.regexp.to-string */ "./node_modules/core-js/modules/es6.regexp.to-string.js");
 __webpack_require__(/*! ./modules/es6.regexp.flags */ "./node_modules/core-js/modules/es6.regexp.flags.js");
 __webpack_require__(/*! ./modules/es6.regexp.match */ "./node_modules/core-js/modules/es6.regexp.match.js");
@@ -10223,1029 +9973,6808 @@ __webpack_require__(/*! ./modules/web.dom.iterable */ "./node_modules/core-js/mo
 module.exports = __webpack_require__(/*! ./modules/_core */ "./node_modules/core-js/modules/_core.js");
 
 
-/***/ }),
+/***/ },
+
+/***/ "./node_modules/regenerator-runtime/runtime.js"
+/*!*****************************************************!*\
+  !*** ./node_modules/regenerator-runtime/runtime.js ***!
+  \*****************************************************/
+(module) {
+
+/**
+ * Copyright (c) 2014, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * https://raw.github.com/facebook/regenerator/master/LICENSE file. An
+ * additional grant of patent rights can be found in the PATENTS file in
+ * the same directory.
+ */
+
+!(function(global) {
+  "use strict";
+
+  var Op = Object.prototype;
+  var hasOwn = Op.hasOwnProperty;
+  var undefined; // More compressible than void 0.
+  var $Symbol = typeof Symbol === "function" ? Symbol : {};
+  var iteratorSymbol = $Symbol.iterator || "@@iterator";
+  var asyncIteratorSymbol = $Symbol.asyncIterator || "@@asyncIterator";
+  var toStringTagSymbol = $Symbol.toStringTag || "@@toStringTag";
+
+  var inModule = "object" === "object";
+  var runtime = global.regeneratorRuntime;
+  if (runtime) {
+    if (inModule) {
+      // If regeneratorRuntime is defined globally and we're in a module,
+      // make the exports object identical to regeneratorRuntime.
+      module.exports = runtime;
+    }
+    // Don't bother evaluating the rest of this file if the runtime was
+    // already defined globally.
+    return;
+  }
+
+  // Define the runtime globally (as expected by generated code) as either
+  // module.exports (if we're in a module) or a new, empty object.
+  runtime = global.regeneratorRuntime = inModule ? module.exports : {};
+
+  function wrap(innerFn, outerFn, self, tryLocsList) {
+    // If outerFn provided and outerFn.prototype is a Generator, then outerFn.prototype instanceof Generator.
+    var protoGenerator = outerFn && outerFn.prototype instanceof Generator ? outerFn : Generator;
+    var generator = Object.create(protoGenerator.prototype);
+    var context = new Context(tryLocsList || []);
+
+    // The ._invoke method unifies the implementations of the .next,
+    // .throw, and .return methods.
+    generator._invoke = makeInvokeMethod(innerFn, self, context);
+
+    return generator;
+  }
+  runtime.wrap = wrap;
+
+  // Try/catch helper to minimize deoptimizations. Returns a completion
+  // record like context.tryEntries[i].completion. This interface could
+  // have been (and was previously) designed to take a closure to be
+  // invoked without arguments, but in all the cases we care about we
+  // already have an existing method we want to call, so there's no need
+  // to create a new function object. We can even get away with assuming
+  // the method takes exactly one argument, since that happens to be true
+  // in every case, so we don't have to touch the arguments object. The
+  // only additional allocation required is the completion record, which
+  // has a stable shape and so hopefully should be cheap to allocate.
+  function tryCatch(fn, obj, arg) {
+    try {
+      return { type: "normal", arg: fn.call(obj, arg) };
+    } catch (err) {
+      return { type: "throw", arg: err };
+    }
+  }
+
+  var GenStateSuspendedStart = "suspendedStart";
+  var GenStateSuspendedYield = "suspendedYield";
+  var GenStateExecuting = "executing";
+  var GenStateCompleted = "completed";
+
+  // Returning this object from the innerFn has the same effect as
+  // breaking out of the dispatch switch statement.
+  var ContinueSentinel = {};
+
+  // Dummy constructor functions that we use as the .constructor and
+  // .constructor.prototype properties for functions that return Generator
+  // objects. For full spec compliance, you may wish to configure your
+  // minifier not to mangle the names of these two functions.
+  function Generator() {}
+  function GeneratorFunction() {}
+  function GeneratorFunctionPrototype() {}
+
+  // This is a polyfill for %IteratorPrototype% for environments that
+  // don't natively support it.
+  var IteratorPrototype = {};
+  IteratorPrototype[iteratorSymbol] = function () {
+    return this;
+  };
+
+  var getProto = Object.getPrototypeOf;
+  var NativeIteratorPrototype = getProto && getProto(getProto(values([])));
+  if (NativeIteratorPrototype &&
+      NativeIteratorPrototype !== Op &&
+      hasOwn.call(NativeIteratorPrototype, iteratorSymbol)) {
+    // This environment has a native %IteratorPrototype%; use it instead
+    // of the polyfill.
+    IteratorPrototype = NativeIteratorPrototype;
+  }
+
+  var Gp = GeneratorFunctionPrototype.prototype =
+    Generator.prototype = Object.create(IteratorPrototype);
+  GeneratorFunction.prototype = Gp.constructor = GeneratorFunctionPrototype;
+  GeneratorFunctionPrototype.constructor = GeneratorFunction;
+  GeneratorFunctionPrototype[toStringTagSymbol] =
+    GeneratorFunction.displayName = "GeneratorFunction";
+
+  // Helper for defining the .next, .throw, and .return methods of the
+  // Iterator interface in terms of a single ._invoke method.
+  function defineIteratorMethods(prototype) {
+    ["next", "throw", "return"].forEach(function(method) {
+      prototype[method] = function(arg) {
+        return this._invoke(method, arg);
+      };
+    });
+  }
+
+  runtime.isGeneratorFunction = function(genFun) {
+    var ctor = typeof genFun === "function" && genFun.constructor;
+    return ctor
+      ? ctor === GeneratorFunction ||
+        // For the native GeneratorFunction constructor, the best we can
+        // do is to check its .name property.
+        (ctor.displayName || ctor.name) === "GeneratorFunction"
+      : false;
+  };
+
+  runtime.mark = function(genFun) {
+    if (Object.setPrototypeOf) {
+      Object.setPrototypeOf(genFun, GeneratorFunctionPrototype);
+    } else {
+      genFun.__proto__ = GeneratorFunctionPrototype;
+      if (!(toStringTagSymbol in genFun)) {
+        genFun[toStringTagSymbol] = "GeneratorFunction";
+      }
+    }
+    genFun.prototype = Object.create(Gp);
+    return genFun;
+  };
+
+  // Within the body of any async function, `await x` is transformed to
+  // `yield regeneratorRuntime.awrap(x)`, so that the runtime can test
+  // `hasOwn.call(value, "__await")` to determine if the yielded value is
+  // meant to be awaited.
+  runtime.awrap = function(arg) {
+    return { __await: arg };
+  };
+
+  function AsyncIterator(generator) {
+    function invoke(method, arg, resolve, reject) {
+      var record = tryCatch(generator[method], generator, arg);
+      if (record.type === "throw") {
+        reject(record.arg);
+      } else {
+        var result = record.arg;
+        var value = result.value;
+        if (value &&
+            typeof value === "object" &&
+            hasOwn.call(value, "__await")) {
+          return Promise.resolve(value.__await).then(function(value) {
+            invoke("next", value, resolve, reject);
+          }, function(err) {
+            invoke("throw", err, resolve, reject);
+          });
+        }
+
+        return Promise.resolve(value).then(function(unwrapped) {
+          // When a yielded Promise is resolved, its final value becomes
+          // the .value of the Promise<{value,done}> result for the
+          // current iteration. If the Promise is rejected, however, the
+          // result for this iteration will be rejected with the same
+          // reason. Note that rejections of yielded Promises are not
+          // thrown back into the generator function, as is the case
+          // when an awaited Promise is rejected. This difference in
+          // behavior between yield and await is important, because it
+          // allows the consumer to decide what to do with the yielded
+          // rejection (swallow it and continue, manually .throw it back
+          // into the generator, abandon iteration, whatever). With
+          // await, by contrast, there is no opportunity to examine the
+          // rejection reason outside the generator function, so the
+          // only option is to throw it from the await expression, and
+          // let the generator function handle the exception.
+          result.value = unwrapped;
+          resolve(result);
+        }, reject);
+      }
+    }
+
+    if (typeof global.process === "object" && global.process.domain) {
+      invoke = global.process.domain.bind(invoke);
+    }
+
+    var previousPromise;
+
+    function enqueue(method, arg) {
+      function callInvokeWithMethodAndArg() {
+        return new Promise(function(resolve, reject) {
+          invoke(method, arg, resolve, reject);
+        });
+      }
+
+      return previousPromise =
+        // If enqueue has been called before, then we want to wait until
+        // all previous Promises have been resolved before calling invoke,
+        // so that results are always delivered in the correct order. If
+        // enqueue has not been called before, then it is important to
+        // call invoke immediately, without waiting on a callback to fire,
+        // so that the async generator function has the opportunity to do
+        // any necessary setup in a predictable way. This predictability
+        // is why the Promise constructor synchronously invokes its
+        // executor callback, and why async functions synchronously
+        // execute code before the first await. Since we implement simple
+        // async functions in terms of async generators, it is especially
+        // important to get this right, even though it requires care.
+        previousPromise ? previousPromise.then(
+          callInvokeWithMethodAndArg,
+          // Avoid propagating failures to Promises returned by later
+          // invocations of the iterator.
+          callInvokeWithMethodAndArg
+        ) : callInvokeWithMethodAndArg();
+    }
+
+    // Define the unified helper method that is used to implement .next,
+    // .throw, and .return (see defineIteratorMethods).
+    this._invoke = enqueue;
+  }
+
+  defineIteratorMethods(AsyncIterator.prototype);
+  AsyncIterator.prototype[asyncIteratorSymbol] = function () {
+    return this;
+  };
+  runtime.AsyncIterator = AsyncIterator;
+
+  // Note that simple async functions are implemented on top of
+  // AsyncIterator objects; they just return a Promise for the value of
+  // the final result produced by the iterator.
+  runtime.async = function(innerFn, outerFn, self, tryLocsList) {
+    var iter = new AsyncIterator(
+      wrap(innerFn, outerFn, self, tryLocsList)
+    );
+
+    return runtime.isGeneratorFunction(outerFn)
+      ? iter // If outerFn is a generator, return the full iterator.
+      : iter.next().then(function(result) {
+          return result.done ? result.value : iter.next();
+        });
+  };
+
+  function makeInvokeMethod(innerFn, self, context) {
+    var state = GenStateSuspendedStart;
+
+    return function invoke(method, arg) {
+      if (state === GenStateExecuting) {
+        throw new Error("Generator is already running");
+      }
+
+      if (state === GenStateCompleted) {
+        if (method === "throw") {
+          throw arg;
+        }
+
+        // Be forgiving, per 25.3.3.3.3 of the spec:
+        // https://people.mozilla.org/~jorendorff/es6-draft.html#sec-generatorresume
+        return doneResult();
+      }
+
+      context.method = method;
+      context.arg = arg;
+
+      while (true) {
+        var delegate = context.delegate;
+        if (delegate) {
+          var delegateResult = maybeInvokeDelegate(delegate, context);
+          if (delegateResult) {
+            if (delegateResult === ContinueSentinel) continue;
+            return delegateResult;
+          }
+        }
+
+        if (context.method === "next") {
+          // Setting context._sent for legacy support of Babel's
+          // function.sent implementation.
+          context.sent = context._sent = context.arg;
+
+        } else if (context.method === "throw") {
+          if (state === GenStateSuspendedStart) {
+            state = GenStateCompleted;
+            throw context.arg;
+          }
+
+          context.dispatchException(context.arg);
+
+        } else if (context.method === "return") {
+          context.abrupt("return", context.arg);
+        }
+
+        state = GenStateExecuting;
+
+        var record = tryCatch(innerFn, self, context);
+        if (record.type === "normal") {
+          // If an exception is thrown from innerFn, we leave state ===
+          // GenStateExecuting and loop back for another invocation.
+          state = context.done
+            ? GenStateCompleted
+            : GenStateSuspendedYield;
+
+          if (record.arg === ContinueSentinel) {
+            continue;
+          }
+
+          return {
+            value: record.arg,
+            done: context.done
+          };
+
+        } else if (record.type === "throw") {
+          state = GenStateCompleted;
+          // Dispatch the exception by looping back around to the
+          // context.dispatchException(context.arg) call above.
+          context.method = "throw";
+          context.arg = record.arg;
+        }
+      }
+    };
+  }
+
+  // Call delegate.iterator[context.method](context.arg) and handle the
+  // result, either by returning a { value, done } result from the
+  // delegate iterator, or by modifying context.method and context.arg,
+  // setting context.delegate to null, and returning the ContinueSentinel.
+  function maybeInvokeDelegate(delegate, context) {
+    var method = delegate.iterator[context.method];
+    if (method === undefined) {
+      // A .throw or .return when the delegate iterator has no .throw
+      // method always terminates the yield* loop.
+      context.delegate = null;
+
+      if (context.method === "throw") {
+        if (delegate.iterator.return) {
+          // If the delegate iterator has a return method, give it a
+          // chance to clean up.
+          context.method = "return";
+          context.arg = undefined;
+          maybeInvokeDelegate(delegate, context);
+
+          if (context.method === "throw") {
+            // If maybeInvokeDelegate(context) changed context.method from
+            // "return" to "throw", let that override the TypeError below.
+            return ContinueSentinel;
+          }
+        }
+
+        context.method = "throw";
+        context.arg = new TypeError(
+          "The iterator does not provide a 'throw' method");
+      }
+
+      return ContinueSentinel;
+    }
+
+    var record = tryCatch(method, delegate.iterator, context.arg);
+
+    if (record.type === "throw") {
+      context.method = "throw";
+      context.arg = record.arg;
+      context.delegate = null;
+      return ContinueSentinel;
+    }
+
+    var info = record.arg;
+
+    if (! info) {
+      context.method = "throw";
+      context.arg = new TypeError("iterator result is not an object");
+      context.delegate = null;
+      return ContinueSentinel;
+    }
+
+    if (info.done) {
+      // Assign the result of the finished delegate to the temporary
+      // variable specified by delegate.resultName (see delegateYield).
+      context[delegate.resultName] = info.value;
+
+      // Resume execution at the desired location (see delegateYield).
+      context.next = delegate.nextLoc;
+
+      // If context.method was "throw" but the delegate handled the
+      // exception, let the outer generator proceed normally. If
+      // context.method was "next", forget context.arg since it has been
+      // "consumed" by the delegate iterator. If context.method was
+      // "return", allow the original .return call to continue in the
+      // outer generator.
+      if (context.method !== "return") {
+        context.method = "next";
+        context.arg = undefined;
+      }
+
+    } else {
+      // Re-yield the result returned by the delegate method.
+      return info;
+    }
+
+    // The delegate iterator is finished, so forget it and continue with
+    // the outer generator.
+    context.delegate = null;
+    return ContinueSentinel;
+  }
+
+  // Define Generator.prototype.{next,throw,return} in terms of the
+  // unified ._invoke helper method.
+  defineIteratorMethods(Gp);
+
+  Gp[toStringTagSymbol] = "Generator";
+
+  // A Generator should always return itself as the iterator object when the
+  // @@iterator function is called on it. Some browsers' implementations of the
+  // iterator prototype chain incorrectly implement this, causing the Generator
+  // object to not be returned from this call. This ensures that doesn't happen.
+  // See https://github.com/facebook/regenerator/issues/274 for more details.
+  Gp[iteratorSymbol] = function() {
+    return this;
+  };
+
+  Gp.toString = function() {
+    return "[object Generator]";
+  };
+
+  function pushTryEntry(locs) {
+    var entry = { tryLoc: locs[0] };
+
+    if (1 in locs) {
+      entry.catchLoc = locs[1];
+    }
+
+    if (2 in locs) {
+      entry.finallyLoc = locs[2];
+      entry.afterLoc = locs[3];
+    }
+
+    this.tryEntries.push(entry);
+  }
+
+  function resetTryEntry(entry) {
+    var record = entry.completion || {};
+    record.type = "normal";
+    delete record.arg;
+    entry.completion = record;
+  }
+
+  function Context(tryLocsList) {
+    // The root entry object (effectively a try statement without a catch
+    // or a finally block) gives us a place to store values thrown from
+    // locations where there is no enclosing try statement.
+    this.tryEntries = [{ tryLoc: "root" }];
+    tryLocsList.forEach(pushTryEntry, this);
+    this.reset(true);
+  }
+
+  runtime.keys = function(object) {
+    var keys = [];
+    for (var key in object) {
+      keys.push(key);
+    }
+    keys.reverse();
+
+    // Rather than returning an object with a next method, we keep
+    // things simple and return the next function itself.
+    return function next() {
+      while (keys.length) {
+        var key = keys.pop();
+        if (key in object) {
+          next.value = key;
+          next.done = false;
+          return next;
+        }
+      }
+
+      // To avoid creating an additional object, we just hang the .value
+      // and .done properties off the next function object itself. This
+      // also ensures that the minifier will not anonymize the function.
+      next.done = true;
+      return next;
+    };
+  };
+
+  function values(iterable) {
+    if (iterable) {
+      var iteratorMethod = iterable[iteratorSymbol];
+      if (iteratorMethod) {
+        return iteratorMethod.call(iterable);
+      }
+
+      if (typeof iterable.next === "function") {
+        return iterable;
+      }
+
+      if (!isNaN(iterable.length)) {
+        var i = -1, next = function next() {
+          while (++i < iterable.length) {
+            if (hasOwn.call(iterable, i)) {
+              next.value = iterable[i];
+              next.done = false;
+              return next;
+            }
+          }
+
+          next.value = undefined;
+          next.done = true;
+
+          return next;
+        };
+
+        return next.next = next;
+      }
+    }
+
+    // Return an iterator with no values.
+    return { next: doneResult };
+  }
+  runtime.values = values;
+
+  function doneResult() {
+    return { value: undefined, done: true };
+  }
+
+  Context.prototype = {
+    constructor: Context,
+
+    reset: function(skipTempReset) {
+      this.prev = 0;
+      this.next = 0;
+      // Resetting context._sent for legacy support of Babel's
+      // function.sent implementation.
+      this.sent = this._sent = undefined;
+      this.done = false;
+      this.delegate = null;
+
+      this.method = "next";
+      this.arg = undefined;
+
+      this.tryEntries.forEach(resetTryEntry);
+
+      if (!skipTempReset) {
+        for (var name in this) {
+          // Not sure about the optimal order of these conditions:
+          if (name.charAt(0) === "t" &&
+              hasOwn.call(this, name) &&
+              !isNaN(+name.slice(1))) {
+            this[name] = undefined;
+          }
+        }
+      }
+    },
+
+    stop: function() {
+      this.done = true;
+
+      var rootEntry = this.tryEntries[0];
+      var rootRecord = rootEntry.completion;
+      if (rootRecord.type === "throw") {
+        throw rootRecord.arg;
+      }
+
+      return this.rval;
+    },
+
+    dispatchException: function(exception) {
+      if (this.done) {
+        throw exception;
+      }
+
+      var context = this;
+      function handle(loc, caught) {
+        record.type = "throw";
+        record.arg = exception;
+        context.next = loc;
+
+        if (caught) {
+          // If the dispatched exception was caught by a catch block,
+          // then let that catch block handle the exception normally.
+          context.method = "next";
+          context.arg = undefined;
+        }
+
+        return !! caught;
+      }
+
+      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
+        var entry = this.tryEntries[i];
+        var record = entry.completion;
+
+        if (entry.tryLoc === "root") {
+          // Exception thrown outside of any try block that could handle
+          // it, so set the completion value of the entire function to
+          // throw the exception.
+          return handle("end");
+        }
+
+        if (entry.tryLoc <= this.prev) {
+          var hasCatch = hasOwn.call(entry, "catchLoc");
+          var hasFinally = hasOwn.call(entry, "finallyLoc");
+
+          if (hasCatch && hasFinally) {
+            if (this.prev < entry.catchLoc) {
+              return handle(entry.catchLoc, true);
+            } else if (this.prev < entry.finallyLoc) {
+              return handle(entry.finallyLoc);
+            }
+
+          } else if (hasCatch) {
+            if (this.prev < entry.catchLoc) {
+              return handle(entry.catchLoc, true);
+            }
+
+          } else if (hasFinally) {
+            if (this.prev < entry.finallyLoc) {
+              return handle(entry.finallyLoc);
+            }
+
+          } else {
+            throw new Error("try statement without catch or finally");
+          }
+        }
+      }
+    },
+
+    abrupt: function(type, arg) {
+      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
+        var entry = this.tryEntries[i];
+        if (entry.tryLoc <= this.prev &&
+            hasOwn.call(entry, "finallyLoc") &&
+            this.prev < entry.finallyLoc) {
+          var finallyEntry = entry;
+          break;
+        }
+      }
+
+      if (finallyEntry &&
+          (type === "break" ||
+           type === "continue") &&
+          finallyEntry.tryLoc <= arg &&
+          arg <= finallyEntry.finallyLoc) {
+        // Ignore the finally entry if control is not jumping to a
+        // location outside the try/catch block.
+        finallyEntry = null;
+      }
+
+      var record = finallyEntry ? finallyEntry.completion : {};
+      record.type = type;
+      record.arg = arg;
+
+      if (finallyEntry) {
+        this.method = "next";
+        this.next = finallyEntry.finallyLoc;
+        return ContinueSentinel;
+      }
+
+      return this.complete(record);
+    },
+
+    complete: function(record, afterLoc) {
+      if (record.type === "throw") {
+        throw record.arg;
+      }
+
+      if (record.type === "break" ||
+          record.type === "continue") {
+        this.next = record.arg;
+      } else if (record.type === "return") {
+        this.rval = this.arg = record.arg;
+        this.method = "return";
+        this.next = "end";
+      } else if (record.type === "normal" && afterLoc) {
+        this.next = afterLoc;
+      }
+
+      return ContinueSentinel;
+    },
+
+    finish: function(finallyLoc) {
+      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
+        var entry = this.tryEntries[i];
+        if (entry.finallyLoc === finallyLoc) {
+          this.complete(entry.completion, entry.afterLoc);
+          resetTryEntry(entry);
+          return ContinueSentinel;
+        }
+      }
+    },
+
+    "catch": function(tryLoc) {
+      for (var i = this.tryEntries.length - 1; i >= 0; --i) {
+        var entry = this.tryEntries[i];
+        if (entry.tryLoc === tryLoc) {
+          var record = entry.completion;
+          if (record.type === "throw") {
+            var thrown = record.arg;
+            resetTryEntry(entry);
+          }
+          return thrown;
+        }
+      }
+
+      // The context.catch method must only be called with a location
+      // argument that corresponds to a known catch block.
+      throw new Error("illegal catch attempt");
+    },
+
+    delegateYield: function(iterable, resultName, nextLoc) {
+      this.delegate = {
+        iterator: values(iterable),
+        resultName: resultName,
+        nextLoc: nextLoc
+      };
+
+      if (this.method === "next") {
+        // Deliberately forget the last sent value so that we don't
+        // accidentally pass it on to the delegate.
+        this.arg = undefined;
+      }
+
+      return ContinueSentinel;
+    }
+  };
+})(
+  // Among the various tricks for obtaining a reference to the global
+  // object, this seems to be the most reliable technique that does not
+  // use indirect eval (which violates Content Security Policy).
+  typeof global === "object" ? global :
+  typeof window === "object" ? window :
+  typeof self === "object" ? self : this
+);
+
+
+/***/ },
+
+/***/ "crypto"
+/*!*************************!*\
+  !*** external "crypto" ***!
+  \*************************/
+(module) {
+
+"use strict";
+module.exports = require("crypto");
+
+/***/ },
+
+/***/ "fs"
+/*!*********************!*\
+  !*** external "fs" ***!
+  \*********************/
+(module) {
+
+"use strict";
+module.exports = require("fs");
+
+/***/ },
+
+/***/ "path"
+/*!***********************!*\
+  !*** external "path" ***!
+  \***********************/
+(module) {
+
+"use strict";
+module.exports = require("path");
+
+/***/ },
+
+/***/ "vm"
+/*!*********************!*\
+  !*** external "vm" ***!
+  \*********************/
+(module) {
+
+"use strict";
+module.exports = require("vm");
+
+/***/ },
+
+/***/ "./src/config.mjs"
+/*!************************!*\
+  !*** ./src/config.mjs ***!
+  \************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   configureFiles: () => (/* binding */ configureFiles),
+/* harmony export */   createConfig: () => (/* binding */ createConfig),
+/* harmony export */   resetFiles: () => (/* binding */ resetFiles),
+/* harmony export */   setOptions: () => (/* binding */ setOptions)
+/* harmony export */ });
+/* harmony import */ var _filters_mjs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./filters.mjs */ "./src/filters.mjs");
+/* harmony import */ var _memo_mjs__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./memo.mjs */ "./src/memo.mjs");
+/* harmony import */ var _diagnostics_mjs__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./diagnostics.mjs */ "./src/diagnostics.mjs");
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+;
+
+
+
+// builds the state for a single includer: its own file registry and options,
+// so separate builds in one process never share files
+var createConfig = function createConfig() {
+  var ops = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+  var config = {
+    wrapFiles: {},
+    insertFiles: {},
+    pageFiles: [],
+    diagnostics: [] // problems found while building (see diagnostics.mjs)
+  };
+  setOptions(config, ops);
+  return config;
+};
+var configureFiles = function configureFiles(config, file) {
+  if (file.name[0] === '_') config.wrapFiles[file.path] = file;else if (file.name[0] === '-') config.insertFiles[file.path] = file;else {
+    // a page hashed again (e.g. on rebuild) replaces the old copy
+    var ndx = config.pageFiles.findIndex(function (f) {
+      return f.path === file.path;
+    });
+    if (ndx > -1) config.pageFiles[ndx] = file;else config.pageFiles.push(file);
+  }
+};
+
+// empties the file registry (and what rawJson has loaded) so the config can be
+// used for a fresh build
+var resetFiles = function resetFiles(config) {
+  config.rawJsonMemo.clear();
+  config.diagnostics.length = 0;
+  config.pageFiles.length = 0;
+  Object.keys(config.insertFiles).forEach(function (key) {
+    return delete config.insertFiles[key];
+  });
+  Object.keys(config.wrapFiles).forEach(function (key) {
+    return delete config.wrapFiles[key];
+  });
+};
+
+// @options = (optional) options for configuring htmlIncluder
+// options.jsonInput         = A json object used to populate data in files
+// options.insertPattern     = The test looked for in order to insert files
+//          (this is so ssi includes can be used instead)
+// options.filePathAttribute = the name used for the file pathing for #insert
+//          and #wrap (default= 'path')
+// options.jsonPathAttribute = the name used for the file pathing for #insert
+//          , #wrap, #data, #jsonInsert, #each, #if (default= 'jsonPath')
+// options.rawJsonPlugins = list of functions passed in to be used in processRawJson call
+// options.rawJsonMode = how rawJson that isn't plain data runs: 'sandbox' (in a
+//          vm context that only holds json and plugins), 'eval' (like older
+//          versions), 'data-only' (it doesn't, but plain data is still used) or
+//          'off' (no rawJson is used at all) (default= 'sandbox')
+// options.rawJsonTimeout = ms a rawJson may run for before it fails, not counting
+//          time waiting on plugins, and ms each plugin call may take once it
+//          has started. 0 for no limit (default= 5000)
+// options.rawJsonCache = run rawJson with the same code, and call a plugin with
+//          the same arguments, once a build, sharing the data (default= true)
+// options.rawJsonConcurrency = the most plugin calls that run at a time, and
+//          the most plugins.memo calls (default= 6)
+// options.rawJsonCacheDir = (optional) directory plugin and plugins.memo results
+//          are saved in, so later builds can read them instead of loading them
+// options.filters = functions used as filters by #data and #jsonInsert, by name
+//          (added to the built in filters, replacing any with the same name)
+// options.strict = rawJson errors, missing insert and wrap files and tags that
+//          are never closed fail the build, rather than being warnings
+//          (default= false)
+// options.reporter = prints each problem found while building: 'pretty',
+//          'json', 'silent' or a function called with each diagnostic
+//          (default= 'pretty')
+// options.maxIncludeDepth = how deeply #insert and #wrap files can be nested
+//          in each other before the build fails (default= 50)
+// options.missingData = what to do when a jsonPath points at nothing: 'render'
+//          the tag without it, 'warn' or 'fail' the build (default= 'warn')
+// options.autoEscape = escape the html in data printed by #data and #jsonInsert
+//          (default= true, false prints data as it is like older versions)
+//
+//
+// options.dev.limitIterations = the number of times processFileWithJsonInput will loop
+// options.dev.printIterations = console log each processFileWithJsonInput loop
+// options.dev.printResult = console logs the final output
+// options.dev.printPaths = console logs the output of buildPathFromRelativePath
+var setOptions = function setOptions(config) {
+  var ops = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+  config.devOptions = ops.dev || {};
+  config.options = ops;
+
+  //set text value for insert tags, or default
+  config.insertPattern = ops.insertPattern ? '<!--#' + ops.insertPattern : '<!--#insert';
+  config.filePathAttribute = ops.filePathAttribute ? ops.filePathAttribute : 'path';
+  config.jsonPathAttribute = ops.jsonPathAttribute ? ops.jsonPathAttribute : 'jsonPath';
+  config.rawJsonPlugins = ops.rawJsonPlugins ? ops.rawJsonPlugins : {};
+  config.rawJsonMode = ops.rawJsonMode ? ops.rawJsonMode : 'sandbox';
+  config.rawJsonTimeout = ops.rawJsonTimeout !== void 0 ? ops.rawJsonTimeout : 5000;
+  config.rawJsonCache = ops.rawJsonCache === false ? false : true;
+
+  // setting options starts over with nothing loaded
+  config.rawJsonMemo = (0,_memo_mjs__WEBPACK_IMPORTED_MODULE_1__.createMemo)({
+    concurrency: ops.rawJsonConcurrency,
+    cacheDir: ops.rawJsonCacheDir,
+    timeout: config.rawJsonTimeout
+  });
+  config.filters = _objectSpread(_objectSpread({}, _filters_mjs__WEBPACK_IMPORTED_MODULE_0__.builtinFilters), ops.filters || {});
+  config.strict = !!ops.strict;
+  config.reporter = (0,_diagnostics_mjs__WEBPACK_IMPORTED_MODULE_2__.findReporter)(ops.reporter);
+  config.maxIncludeDepth = ops.maxIncludeDepth !== void 0 ? ops.maxIncludeDepth : 50;
+  config.missingData = ops.missingData ? ops.missingData : 'warn';
+  config.autoEscape = ops.autoEscape === false ? false : true;
+  return config;
+};
+
+/***/ },
+
+/***/ "./src/core.mjs"
+/*!**********************!*\
+  !*** ./src/core.mjs ***!
+  \**********************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   createBuildError: () => (/* binding */ createBuildError),
+/* harmony export */   createFileObject: () => (/* binding */ createFileObject),
+/* harmony export */   createIncluder: () => (/* binding */ createIncluder),
+/* harmony export */   loadDependencies: () => (/* binding */ loadDependencies),
+/* harmony export */   processContent: () => (/* binding */ processContent),
+/* harmony export */   processDirectory: () => (/* binding */ processDirectory),
+/* harmony export */   processSingleFile: () => (/* binding */ processSingleFile),
+/* harmony export */   reset: () => (/* binding */ reset)
+/* harmony export */ });
+/* harmony import */ var fs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! fs */ "fs");
+/* harmony import */ var path__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! path */ "path");
+/* harmony import */ var _parse_mjs__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./parse.mjs */ "./src/parse.mjs");
+/* harmony import */ var _lexer_mjs__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./lexer.mjs */ "./src/lexer.mjs");
+/* harmony import */ var _config_mjs__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./config.mjs */ "./src/config.mjs");
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+function _toConsumableArray(r) { return _arrayWithoutHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _iterableToArray(r) { if ("undefined" != typeof Symbol && null != r[Symbol.iterator] || null != r["@@iterator"]) return Array.from(r); }
+function _arrayWithoutHoles(r) { if (Array.isArray(r)) return _arrayLikeToArray(r); }
+function _regenerator() { /*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */ var e, t, r = "function" == typeof Symbol ? Symbol : {}, n = r.iterator || "@@iterator", o = r.toStringTag || "@@toStringTag"; function i(r, n, o, i) { var c = n && n.prototype instanceof Generator ? n : Generator, u = Object.create(c.prototype); return _regeneratorDefine2(u, "_invoke", function (r, n, o) { var i, c, u, f = 0, p = o || [], y = !1, G = { p: 0, n: 0, v: e, a: d, f: d.bind(e, 4), d: function d(t, r) { return i = t, c = 0, u = e, G.n = r, a; } }; function d(r, n) { for (c = r, u = n, t = 0; !y && f && !o && t < p.length; t++) { var o, i = p[t], d = G.p, l = i[2]; r > 3 ? (o = l === n) && (u = i[(c = i[4]) ? 5 : (c = 3, 3)], i[4] = i[5] = e) : i[0] <= d && ((o = r < 2 && d < i[1]) ? (c = 0, G.v = n, G.n = i[1]) : d < l && (o = r < 3 || i[0] > n || n > l) && (i[4] = r, i[5] = n, G.n = l, c = 0)); } if (o || r > 1) return a; throw y = !0, n; } return function (o, p, l) { if (f > 1) throw TypeError("Generator is already running"); for (y && 1 === p && d(p, l), c = p, u = l; (t = c < 2 ? e : u) || !y;) { i || (c ? c < 3 ? (c > 1 && (G.n = -1), d(c, u)) : G.n = u : G.v = u); try { if (f = 2, i) { if (c || (o = "next"), t = i[o]) { if (!(t = t.call(i, u))) throw TypeError("iterator result is not an object"); if (!t.done) return t; u = t.value, c < 2 && (c = 0); } else 1 === c && (t = i["return"]) && t.call(i), c < 2 && (u = TypeError("The iterator does not provide a '" + o + "' method"), c = 1); i = e; } else if ((t = (y = G.n < 0) ? u : r.call(n, G)) !== a) break; } catch (t) { i = e, c = 1, u = t; } finally { f = 1; } } return { value: t, done: y }; }; }(r, o, i), !0), u; } var a = {}; function Generator() {} function GeneratorFunction() {} function GeneratorFunctionPrototype() {} t = Object.getPrototypeOf; var c = [][n] ? t(t([][n]())) : (_regeneratorDefine2(t = {}, n, function () { return this; }), t), u = GeneratorFunctionPrototype.prototype = Generator.prototype = Object.create(c); function f(e) { return Object.setPrototypeOf ? Object.setPrototypeOf(e, GeneratorFunctionPrototype) : (e.__proto__ = GeneratorFunctionPrototype, _regeneratorDefine2(e, o, "GeneratorFunction")), e.prototype = Object.create(u), e; } return GeneratorFunction.prototype = GeneratorFunctionPrototype, _regeneratorDefine2(u, "constructor", GeneratorFunctionPrototype), _regeneratorDefine2(GeneratorFunctionPrototype, "constructor", GeneratorFunction), GeneratorFunction.displayName = "GeneratorFunction", _regeneratorDefine2(GeneratorFunctionPrototype, o, "GeneratorFunction"), _regeneratorDefine2(u), _regeneratorDefine2(u, o, "Generator"), _regeneratorDefine2(u, n, function () { return this; }), _regeneratorDefine2(u, "toString", function () { return "[object Generator]"; }), (_regenerator = function _regenerator() { return { w: i, m: f }; })(); }
+function _regeneratorDefine2(e, r, n, t) { var i = Object.defineProperty; try { i({}, "", {}); } catch (e) { i = 0; } _regeneratorDefine2 = function _regeneratorDefine(e, r, n, t) { function o(r, n) { _regeneratorDefine2(e, r, function (e) { return this._invoke(r, n, e); }); } r ? i ? i(e, r, { value: n, enumerable: !t, configurable: !t, writable: !t }) : e[r] = n : (o("next", 0), o("throw", 1), o("return", 2)); }, _regeneratorDefine2(e, r, n, t); }
+function _createForOfIteratorHelper(r, e) { var t = "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"]; if (!t) { if (Array.isArray(r) || (t = _unsupportedIterableToArray(r)) || e && r && "number" == typeof r.length) { t && (r = t); var _n = 0, F = function F() {}; return { s: F, n: function n() { return _n >= r.length ? { done: !0 } : { done: !1, value: r[_n++] }; }, e: function e(r) { throw r; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var o, a = !0, u = !1; return { s: function s() { t = t.call(r); }, n: function n() { var r = t.next(); return a = r.done, r; }, e: function e(r) { u = !0, o = r; }, f: function f() { try { a || null == t["return"] || t["return"](); } finally { if (u) throw o; } } }; }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function asyncGeneratorStep(n, t, e, r, o, a, c) { try { var i = n[a](c), u = i.value; } catch (n) { return void e(n); } i.done ? t(u) : Promise.resolve(u).then(r, o); }
+function _asyncToGenerator(n) { return function () { var t = this, e = arguments; return new Promise(function (r, o) { var a = n.apply(t, e); function _next(n) { asyncGeneratorStep(a, r, o, _next, _throw, "next", n); } function _throw(n) { asyncGeneratorStep(a, r, o, _next, _throw, "throw", n); } _next(void 0); }); }; }
+/**
+ * Core HTML Includer API
+ *
+ * This module provides the core functionality for processing HTML files
+ * with include directives. It's decoupled from any specific build tool
+ * (like Gulp) and can be used standalone or with any build system.
+ */
+
+;
+
+
+
+
+
+/**
+ * Create an includer with its own file registry and options
+ *
+ * Includers share no state, so several sites (or gulp pipelines) can be
+ * built concurrently in one process without calling reset() between runs.
+ *
+ * @param {Object} options - Processing options (same as gulp plugin options)
+ * @returns {Object} Includer instance
+ */
+function createIncluder() {
+  var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+  var config = (0,_config_mjs__WEBPACK_IMPORTED_MODULE_4__.createConfig)(options);
+  var includer = {
+    /**
+     * The options this includer was created with
+     */
+    get options() {
+      return config.options;
+    },
+    /**
+     * Problems found since the last build started (see src/diagnostics.mjs)
+     */
+    get diagnostics() {
+      return config.diagnostics;
+    },
+    /**
+     * Diagnostics that fail the build (strict mode, or missingData: 'fail')
+     */
+    get errors() {
+      return findErrors(config.diagnostics);
+    },
+    /**
+     * Page files (not starting with '-' or '_') that have been added
+     */
+    get pageFiles() {
+      return config.pageFiles;
+    },
+    /**
+     * Replace the processing options
+     *
+     * @param {Object} ops - Processing options
+     */
+    setOptions: function setOptions() {
+      var ops = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+      (0,_config_mjs__WEBPACK_IMPORTED_MODULE_4__.setOptions)(config, ops);
+    },
+    /**
+     * Add a file object to the registry (categorized as page, insert, or wrap)
+     *
+     * @param {Object} file - File object with path, name and content
+     */
+    addFile: function addFile(file) {
+      hashFile(config, file);
+    },
+    /**
+     * Process HTML files with include directives
+     *
+     * @param {Object} dirConfig - Directory configuration
+     * @param {string} dirConfig.srcDir - Source directory containing HTML files
+     * @param {string} dirConfig.destDir - Destination directory for processed files
+     * @param {Array<string>} dirConfig.files - Optional array of specific file paths to process
+     * @returns {Promise<Array>} Array of processed file results, each with the
+     *   diagnostics found while building it
+     * @throws {AggregateError} If any errors were recorded (nothing is written)
+     */
+    processDirectory: function processDirectory() {
+      var _arguments = arguments;
+      return _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee() {
+        var _ref, srcDir, destDir, _ref$files, files, allFiles, pages, _iterator, _step, filePath, content, _file, results, _i, _pages, file, start, processed, _iterator2, _step2, result, relativePath, destPath, _t, _t2, _t3;
+        return _regenerator().w(function (_context) {
+          while (1) switch (_context.p = _context.n) {
+            case 0:
+              _ref = _arguments.length > 0 && _arguments[0] !== undefined ? _arguments[0] : {}, srcDir = _ref.srcDir, destDir = _ref.destDir, _ref$files = _ref.files, files = _ref$files === void 0 ? null : _ref$files;
+              startBuild(config);
+
+              // Load all files from the source directory
+              _t = files;
+              if (_t) {
+                _context.n = 2;
+                break;
+              }
+              _context.n = 1;
+              return discoverFiles(srcDir);
+            case 1:
+              _t = _context.v;
+            case 2:
+              allFiles = _t;
+              // Hash all files (categorize them as page, insert, or wrap files)
+              pages = [];
+              _iterator = _createForOfIteratorHelper(allFiles);
+              _context.p = 3;
+              _iterator.s();
+            case 4:
+              if ((_step = _iterator.n()).done) {
+                _context.n = 7;
+                break;
+              }
+              filePath = _step.value;
+              _context.n = 5;
+              return fs__WEBPACK_IMPORTED_MODULE_0__.promises.readFile(filePath, 'utf8');
+            case 5:
+              content = _context.v;
+              _file = createFileObject(filePath, content);
+              hashFile(config, _file);
+              if (config.pageFiles.includes(_file)) pages.push(_file);
+            case 6:
+              _context.n = 4;
+              break;
+            case 7:
+              _context.n = 9;
+              break;
+            case 8:
+              _context.p = 8;
+              _t2 = _context.v;
+              _iterator.e(_t2);
+            case 9:
+              _context.p = 9;
+              _iterator.f();
+              return _context.f(9);
+            case 10:
+              // Process the page files found in this directory
+              results = [];
+              _i = 0, _pages = pages;
+            case 11:
+              if (!(_i < _pages.length)) {
+                _context.n = 14;
+                break;
+              }
+              file = _pages[_i];
+              start = config.diagnostics.length;
+              _context.n = 12;
+              return includer.processFile(file);
+            case 12:
+              processed = _context.v;
+              results.push({
+                path: file.path,
+                name: file.name,
+                content: processed.content,
+                diagnostics: config.diagnostics.slice(start)
+              });
+            case 13:
+              _i++;
+              _context.n = 11;
+              break;
+            case 14:
+              if (!(findErrors(config.diagnostics).length > 0)) {
+                _context.n = 15;
+                break;
+              }
+              throw createBuildError(config.diagnostics);
+            case 15:
+              if (!destDir) {
+                _context.n = 23;
+                break;
+              }
+              _iterator2 = _createForOfIteratorHelper(results);
+              _context.p = 16;
+              _iterator2.s();
+            case 17:
+              if ((_step2 = _iterator2.n()).done) {
+                _context.n = 20;
+                break;
+              }
+              result = _step2.value;
+              relativePath = path__WEBPACK_IMPORTED_MODULE_1__.relative(srcDir, result.path);
+              destPath = path__WEBPACK_IMPORTED_MODULE_1__.join(destDir, relativePath);
+              _context.n = 18;
+              return ensureDir(path__WEBPACK_IMPORTED_MODULE_1__.dirname(destPath));
+            case 18:
+              _context.n = 19;
+              return fs__WEBPACK_IMPORTED_MODULE_0__.promises.writeFile(destPath, result.content, 'utf8');
+            case 19:
+              _context.n = 17;
+              break;
+            case 20:
+              _context.n = 22;
+              break;
+            case 21:
+              _context.p = 21;
+              _t3 = _context.v;
+              _iterator2.e(_t3);
+            case 22:
+              _context.p = 22;
+              _iterator2.f();
+              return _context.f(22);
+            case 23:
+              return _context.a(2, results);
+          }
+        }, _callee, null, [[16, 21, 22, 23], [3, 8, 9, 10]]);
+      }))();
+    },
+    /**
+     * Process a single HTML file
+     *
+     * @param {string} filePath - Path to the file to process
+     * @returns {Promise<Object>} Processed file result, with the diagnostics found
+     * @throws {AggregateError} If any errors were recorded
+     */
+    processSingleFile: function processSingleFile(filePath) {
+      return _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee2() {
+        var content, file, processed;
+        return _regenerator().w(function (_context2) {
+          while (1) switch (_context2.n) {
+            case 0:
+              startBuild(config);
+              _context2.n = 1;
+              return fs__WEBPACK_IMPORTED_MODULE_0__.promises.readFile(filePath, 'utf8');
+            case 1:
+              content = _context2.v;
+              file = createFileObject(filePath, content);
+              _context2.n = 2;
+              return includer.processFile(file);
+            case 2:
+              processed = _context2.v;
+              if (!(findErrors(config.diagnostics).length > 0)) {
+                _context2.n = 3;
+                break;
+              }
+              throw createBuildError(config.diagnostics);
+            case 3:
+              return _context2.a(2, {
+                path: file.path,
+                name: file.name,
+                content: processed.content,
+                diagnostics: _toConsumableArray(config.diagnostics)
+              });
+          }
+        }, _callee2);
+      }))();
+    },
+    /**
+     * Process HTML content string directly
+     *
+     * @param {string} content - HTML content to process
+     * @param {Object} context - Processing context
+     * @param {string} context.basePath - Base path for resolving relative includes
+     * @returns {Promise<string>} Processed HTML content
+     * @throws {AggregateError} If any errors were recorded
+     */
+    processContent: function processContent(content) {
+      var _arguments2 = arguments;
+      return _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee3() {
+        var _ref2, _ref2$basePath, basePath, file, processed;
+        return _regenerator().w(function (_context3) {
+          while (1) switch (_context3.n) {
+            case 0:
+              _ref2 = _arguments2.length > 1 && _arguments2[1] !== undefined ? _arguments2[1] : {}, _ref2$basePath = _ref2.basePath, basePath = _ref2$basePath === void 0 ? process.cwd() : _ref2$basePath;
+              startBuild(config);
+
+              // Create a virtual file object
+              file = createFileObject(path__WEBPACK_IMPORTED_MODULE_1__.join(basePath, 'virtual-file.html'), content);
+              _context3.n = 1;
+              return includer.processFile(file);
+            case 1:
+              processed = _context3.v;
+              if (!(findErrors(config.diagnostics).length > 0)) {
+                _context3.n = 2;
+                break;
+              }
+              throw createBuildError(config.diagnostics);
+            case 2:
+              return _context3.a(2, processed.content);
+          }
+        }, _callee3);
+      }))();
+    },
+    /**
+     * Process a file object that has already been loaded
+     *
+     * Problems are recorded in `diagnostics` rather than thrown, so several
+     * files can be processed before checking them (see createBuildError)
+     *
+     * @param {Object} file - File object with path, name and content
+     * @returns {Promise<Object>} The resolved top node (content holds the result)
+     */
+    processFile: function processFile(file) {
+      return _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee4() {
+        return _regenerator().w(function (_context4) {
+          while (1) switch (_context4.n) {
+            case 0:
+              return _context4.a(2, (0,_parse_mjs__WEBPACK_IMPORTED_MODULE_2__.processFile)(file, config.options.jsonInput || {}, config));
+          }
+        }, _callee4);
+      }))();
+    },
+    /**
+     * Load files needed for includes/wraps
+     *
+     * @param {string} baseDir - Base directory to search for include/wrap files
+     */
+    loadDependencies: function loadDependencies(baseDir) {
+      return _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee5() {
+        var allFiles, _iterator3, _step3, filePath, fileName, content, file, _t4;
+        return _regenerator().w(function (_context5) {
+          while (1) switch (_context5.p = _context5.n) {
+            case 0:
+              _context5.n = 1;
+              return discoverFiles(baseDir);
+            case 1:
+              allFiles = _context5.v;
+              _iterator3 = _createForOfIteratorHelper(allFiles);
+              _context5.p = 2;
+              _iterator3.s();
+            case 3:
+              if ((_step3 = _iterator3.n()).done) {
+                _context5.n = 6;
+                break;
+              }
+              filePath = _step3.value;
+              fileName = path__WEBPACK_IMPORTED_MODULE_1__.basename(filePath); // Only load insert (-) and wrap (_) files
+              if (!(fileName.startsWith('-') || fileName.startsWith('_'))) {
+                _context5.n = 5;
+                break;
+              }
+              _context5.n = 4;
+              return fs__WEBPACK_IMPORTED_MODULE_0__.promises.readFile(filePath, 'utf8');
+            case 4:
+              content = _context5.v;
+              file = createFileObject(filePath, content);
+              hashFile(config, file);
+            case 5:
+              _context5.n = 3;
+              break;
+            case 6:
+              _context5.n = 8;
+              break;
+            case 7:
+              _context5.p = 7;
+              _t4 = _context5.v;
+              _iterator3.e(_t4);
+            case 8:
+              _context5.p = 8;
+              _iterator3.f();
+              return _context5.f(8);
+            case 9:
+              return _context5.a(2);
+          }
+        }, _callee5, null, [[2, 7, 8, 9]]);
+      }))();
+    },
+    /**
+     * Clear the file registry
+     */
+    reset: function reset() {
+      (0,_config_mjs__WEBPACK_IMPORTED_MODULE_4__.resetFiles)(config);
+    }
+  };
+  return includer;
+}
+
+// each build starts with no problems found and no rawJson (or memo) data, so
+// it loads fresh data once
+var startBuild = function startBuild(config) {
+  config.diagnostics.length = 0;
+  config.rawJsonMemo.clear();
+};
+
+// the diagnostics that fail a build
+var findErrors = function findErrors(diagnostics) {
+  return diagnostics.filter(function (diagnostic) {
+    return diagnostic.severity === 'error';
+  });
+};
+
+/**
+ * Create one error reporting every error recorded in a build
+ *
+ * @param {Array<Object>} diagnostics - Diagnostics of the build (warnings are left out)
+ * @returns {AggregateError} Error whose message lists the errors, and whose
+ *   errors are their diagnostics
+ */
+function createBuildError(diagnostics) {
+  var errors = findErrors(diagnostics);
+
+  // in the order they appear in each file (pages are processed concurrently)
+  var sorted = _toConsumableArray(errors).sort(function (a, b) {
+    return a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column;
+  });
+  var list = sorted.map(function (_ref3) {
+    var file = _ref3.file,
+      line = _ref3.line,
+      column = _ref3.column,
+      message = _ref3.message;
+    return "  ".concat(file, ":").concat(line, ":").concat(column, ": ").concat(message);
+  });
+  return new AggregateError(sorted, "".concat(errors.length, " error(s) while building:\n").concat(list.join('\n')));
+}
+
+// The functions below keep the original module-level API working. They all
+// share one includer, so use createIncluder() for concurrent builds.
+var defaultIncluder = createIncluder();
+
+/**
+ * Process HTML files with include directives
+ *
+ * @param {Object} config - Configuration object
+ * @param {string} config.srcDir - Source directory containing HTML files
+ * @param {string} config.destDir - Destination directory for processed files
+ * @param {Object} config.options - Processing options (same as gulp plugin options)
+ * @param {Array<string>} config.files - Optional array of specific file paths to process
+ * @returns {Promise<Array>} Array of processed file results
+ */
+function processDirectory(_x) {
+  return _processDirectory.apply(this, arguments);
+}
+
+/**
+ * Process a single HTML file
+ *
+ * @param {string} filePath - Path to the file to process
+ * @param {Object} options - Processing options
+ * @returns {Promise<Object>} Processed file result
+ */
+function _processDirectory() {
+  _processDirectory = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee6(config) {
+    return _regenerator().w(function (_context6) {
+      while (1) switch (_context6.n) {
+        case 0:
+          defaultIncluder.setOptions(config.options);
+          return _context6.a(2, defaultIncluder.processDirectory(config));
+      }
+    }, _callee6);
+  }));
+  return _processDirectory.apply(this, arguments);
+}
+function processSingleFile(_x2) {
+  return _processSingleFile.apply(this, arguments);
+}
+
+/**
+ * Process HTML content string directly
+ *
+ * @param {string} content - HTML content to process
+ * @param {Object} context - Processing context
+ * @param {string} context.basePath - Base path for resolving relative includes
+ * @param {Object} context.options - Processing options
+ * @returns {Promise<string>} Processed HTML content
+ */
+function _processSingleFile() {
+  _processSingleFile = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee7(filePath) {
+    var options,
+      _args7 = arguments;
+    return _regenerator().w(function (_context7) {
+      while (1) switch (_context7.n) {
+        case 0:
+          options = _args7.length > 1 && _args7[1] !== undefined ? _args7[1] : {};
+          defaultIncluder.setOptions(options);
+          return _context7.a(2, defaultIncluder.processSingleFile(filePath));
+      }
+    }, _callee7);
+  }));
+  return _processSingleFile.apply(this, arguments);
+}
+function processContent(_x3) {
+  return _processContent.apply(this, arguments);
+}
+
+/**
+ * Load and process files needed for includes/wraps
+ *
+ * @param {string} baseDir - Base directory to search for include/wrap files
+ * @param {Object} options - Processing options
+ */
+function _processContent() {
+  _processContent = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee8(content) {
+    var context,
+      _args8 = arguments;
+    return _regenerator().w(function (_context8) {
+      while (1) switch (_context8.n) {
+        case 0:
+          context = _args8.length > 1 && _args8[1] !== undefined ? _args8[1] : {};
+          defaultIncluder.setOptions(context.options);
+          return _context8.a(2, defaultIncluder.processContent(content, context));
+      }
+    }, _callee8);
+  }));
+  return _processContent.apply(this, arguments);
+}
+function loadDependencies(_x4) {
+  return _loadDependencies.apply(this, arguments);
+}
+
+// ===== Helper Functions =====
+
+/**
+ * Create a file object from path and content
+ *
+ * line and column record where the trimmed content starts in the file,
+ * so warnings can point at the original location
+ */
+function _loadDependencies() {
+  _loadDependencies = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee9(baseDir) {
+    var options,
+      _args9 = arguments;
+    return _regenerator().w(function (_context9) {
+      while (1) switch (_context9.n) {
+        case 0:
+          options = _args9.length > 1 && _args9[1] !== undefined ? _args9[1] : {};
+          defaultIncluder.setOptions(options);
+          return _context9.a(2, defaultIncluder.loadDependencies(baseDir));
+      }
+    }, _callee9);
+  }));
+  return _loadDependencies.apply(this, arguments);
+}
+function createFileObject(filePath, content) {
+  var fileName = path__WEBPACK_IMPORTED_MODULE_1__.basename(filePath);
+  var leading = content.slice(0, content.length - content.trimStart().length);
+  return _objectSpread(_objectSpread({
+    path: filePath,
+    name: fileName,
+    content: content.trim()
+  }, (0,_lexer_mjs__WEBPACK_IMPORTED_MODULE_3__.advancePosition)({
+    line: 1,
+    column: 1
+  }, leading)), {}, {
+    processed: false,
+    file: {
+      path: filePath,
+      contents: Buffer.from(content)
+    }
+  });
+}
+
+/**
+ * Hash a file into the appropriate category of an includer's registry
+ */
+function hashFile(config, file) {
+  // Process clipping before categorizing
+  processClip(file);
+  (0,_config_mjs__WEBPACK_IMPORTED_MODULE_4__.configureFiles)(config, file);
+}
+
+/**
+ * Process clip directives
+ */
+function processClip(file) {
+  // process clipbefore and clipafter
+  if (file.content.indexOf('<!--#clipbefore') > -1) {
+    // the content now starts after the clipbefore tag
+    var match = /<!--#clipbefore\s*-->/.exec(file.content);
+    if (match) {
+      Object.assign(file, (0,_lexer_mjs__WEBPACK_IMPORTED_MODULE_3__.advancePosition)({
+        line: file.line || 1,
+        column: file.column || 1
+      }, file.content.slice(0, match.index + match[0].length)));
+    }
+    file.content = file.content.split(/<!--#clipbefore\s*-->/).splice(1)[0].split('<!--#clipafter').splice(0, 1)[0];
+  }
+
+  // process clipbetween
+  if (file.content.indexOf('<!--#clipbetween') > -1) {
+    var tmp = file.content.split(/<!--#clipbetween\s*-->/);
+    file.content = tmp[0] + tmp[1].split(/<!--#endclipbetween\s*-->/)[1];
+  }
+}
+
+/**
+ * Recursively discover HTML files in a directory
+ */
+function discoverFiles(_x5) {
+  return _discoverFiles.apply(this, arguments);
+}
+/**
+ * Ensure directory exists
+ */
+function _discoverFiles() {
+  _discoverFiles = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee0(dir) {
+    var fileList,
+      entries,
+      _iterator4,
+      _step4,
+      entry,
+      fullPath,
+      _args0 = arguments,
+      _t5;
+    return _regenerator().w(function (_context0) {
+      while (1) switch (_context0.p = _context0.n) {
+        case 0:
+          fileList = _args0.length > 1 && _args0[1] !== undefined ? _args0[1] : [];
+          _context0.n = 1;
+          return fs__WEBPACK_IMPORTED_MODULE_0__.promises.readdir(dir, {
+            withFileTypes: true
+          });
+        case 1:
+          entries = _context0.v;
+          _iterator4 = _createForOfIteratorHelper(entries);
+          _context0.p = 2;
+          _iterator4.s();
+        case 3:
+          if ((_step4 = _iterator4.n()).done) {
+            _context0.n = 7;
+            break;
+          }
+          entry = _step4.value;
+          fullPath = path__WEBPACK_IMPORTED_MODULE_1__.join(dir, entry.name);
+          if (!entry.isDirectory()) {
+            _context0.n = 5;
+            break;
+          }
+          _context0.n = 4;
+          return discoverFiles(fullPath, fileList);
+        case 4:
+          _context0.n = 6;
+          break;
+        case 5:
+          if (entry.isFile() && fullPath.endsWith('.html')) {
+            fileList.push(fullPath);
+          }
+        case 6:
+          _context0.n = 3;
+          break;
+        case 7:
+          _context0.n = 9;
+          break;
+        case 8:
+          _context0.p = 8;
+          _t5 = _context0.v;
+          _iterator4.e(_t5);
+        case 9:
+          _context0.p = 9;
+          _iterator4.f();
+          return _context0.f(9);
+        case 10:
+          return _context0.a(2, fileList);
+      }
+    }, _callee0, null, [[2, 8, 9, 10]]);
+  }));
+  return _discoverFiles.apply(this, arguments);
+}
+function ensureDir(_x6) {
+  return _ensureDir.apply(this, arguments);
+}
+/**
+ * Reset the state shared by the module-level functions
+ * (not needed for includers made with createIncluder)
+ */
+function _ensureDir() {
+  _ensureDir = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee1(dirPath) {
+    var _t6;
+    return _regenerator().w(function (_context1) {
+      while (1) switch (_context1.p = _context1.n) {
+        case 0:
+          _context1.p = 0;
+          _context1.n = 1;
+          return fs__WEBPACK_IMPORTED_MODULE_0__.promises.mkdir(dirPath, {
+            recursive: true
+          });
+        case 1:
+          _context1.n = 3;
+          break;
+        case 2:
+          _context1.p = 2;
+          _t6 = _context1.v;
+          if (!(_t6.code !== 'EEXIST')) {
+            _context1.n = 3;
+            break;
+          }
+          throw _t6;
+        case 3:
+          return _context1.a(2);
+      }
+    }, _callee1, null, [[0, 2]]);
+  }));
+  return _ensureDir.apply(this, arguments);
+}
+function reset() {
+  defaultIncluder.reset();
+}
+
+/***/ },
+
+/***/ "./src/diagnostics.mjs"
+/*!*****************************!*\
+  !*** ./src/diagnostics.mjs ***!
+  \*****************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   createDiagnostic: () => (/* binding */ createDiagnostic),
+/* harmony export */   createSnippet: () => (/* binding */ createSnippet),
+/* harmony export */   findReporter: () => (/* binding */ findReporter),
+/* harmony export */   jsonReporter: () => (/* binding */ jsonReporter),
+/* harmony export */   prettyReporter: () => (/* binding */ prettyReporter),
+/* harmony export */   reporters: () => (/* binding */ reporters),
+/* harmony export */   silentReporter: () => (/* binding */ silentReporter)
+/* harmony export */ });
+// problems found while building, and the reporters that print them
+//
+// a diagnostic is a plain object:
+//   code     - what kind of problem it is ('missing-file', 'missing-data'...)
+//   severity - 'error' (fails the build) or 'warning'
+//   message  - what went wrong
+//   file, line, column - where the tag with the problem starts
+//   snippet  - the start of that tag
+//
+// every diagnostic in a build is collected (see report in parse.mjs) and
+// handed to the reporter as it is found
+
+var SNIPPET_LENGTH = 100;
+
+// the start of a tag, on one line
+var createSnippet = function createSnippet(text) {
+  var snippet = String(text || '').replace(/\s+/g, ' ').trim();
+  return snippet.length > SNIPPET_LENGTH ? snippet.slice(0, SNIPPET_LENGTH - 3) + '...' : snippet;
+};
+var createDiagnostic = function createDiagnostic(_ref) {
+  var code = _ref.code,
+    _ref$severity = _ref.severity,
+    severity = _ref$severity === void 0 ? 'warning' : _ref$severity,
+    message = _ref.message,
+    _ref$file = _ref.file,
+    file = _ref$file === void 0 ? '' : _ref$file,
+    _ref$line = _ref.line,
+    line = _ref$line === void 0 ? 1 : _ref$line,
+    _ref$column = _ref.column,
+    column = _ref$column === void 0 ? 1 : _ref$column,
+    _ref$snippet = _ref.snippet,
+    snippet = _ref$snippet === void 0 ? '' : _ref$snippet;
+  return {
+    code: code,
+    severity: severity,
+    message: message,
+    file: file,
+    line: line,
+    column: column,
+    snippet: createSnippet(snippet)
+  };
+};
+
+// colors, when printing to a terminal
+var paint = function paint(color, text) {
+  return process.stderr.isTTY ? "\x1B[".concat(color, "m").concat(text, "\x1B[0m") : text;
+};
+
+// WARNING [missing-data] page.html:3:5: there is no data at jsonPath 'title'
+//     <!--#data jsonPath="title" -->
+var prettyReporter = function prettyReporter(diagnostic) {
+  var code = diagnostic.code,
+    severity = diagnostic.severity,
+    message = diagnostic.message,
+    file = diagnostic.file,
+    line = diagnostic.line,
+    column = diagnostic.column,
+    snippet = diagnostic.snippet;
+  var label = severity === 'error' ? paint('31', 'ERROR') : paint('33', 'WARNING');
+  console.warn("".concat(label, " [").concat(code, "] ").concat(file, ":").concat(line, ":").concat(column, ": ").concat(message) + (snippet ? "\n    ".concat(paint('2', snippet)) : ''));
+};
+
+// one line of json for each diagnostic
+var jsonReporter = function jsonReporter(diagnostic) {
+  return console.warn(JSON.stringify(diagnostic));
+};
+var silentReporter = function silentReporter() {};
+var reporters = {
+  pretty: prettyReporter,
+  json: jsonReporter,
+  silent: silentReporter
+};
+
+// a reporter from the reporter option: a name from reporters, or a function
+// called with each diagnostic
+var findReporter = function findReporter(reporter) {
+  return typeof reporter === 'function' ? reporter : reporters[reporter] || prettyReporter;
+};
+
+/***/ },
+
+/***/ "./src/expression.mjs"
+/*!****************************!*\
+  !*** ./src/expression.mjs ***!
+  \****************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   evaluateExpression: () => (/* binding */ evaluateExpression),
+/* harmony export */   parseExpression: () => (/* binding */ parseExpression)
+/* harmony export */ });
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+// a small expression language for tests like
+//   test="status == 'active' && items.length > 0"
+//
+// expressions are parsed and evaluated here, never handed to eval, so all
+// they can do is read data (through resolve) and compare it.
+//
+// supported:
+// - literals: numbers, 'strings' or "strings", true, false, null, undefined
+//   and arrays ([ 'a', 'b' ])
+// - paths: name, name.nested.value, items[0], items[-1].name, map['a-key'],
+//   this, this.value, ../outer.value, $root.value (see json-path.mjs)
+// - operators (loosest first): ||, &&, == != === !==, < <= > >= in, ! -
+// - parentheses for grouping
+
+var operators = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '-', '(', ')', '[', ']', ','];
+var keywords = {
+  "true": true,
+  "false": false,
+  "null": null,
+  undefined: void 0
+};
+
+// break an expression into { type, value, index } tokens
+var tokenizeExpression = function tokenizeExpression(source) {
+  var tokens = [];
+  var i = 0;
+  while (i < source.length) {
+    var ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // numbers
+    var number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({
+        type: 'literal',
+        value: Number(number[0]),
+        index: i
+      });
+      i += number[0].length;
+      continue;
+    }
+
+    // strings, in either kind of quote, with \ escapes
+    if (ch === '\'' || ch === '"') {
+      var value = '';
+      var j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\') j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw new Error("unclosed string starting at character ".concat(i + 1));
+      tokens.push({
+        type: 'literal',
+        value: value,
+        index: i
+      });
+      i = j + 1;
+      continue;
+    }
+
+    // paths (and keywords, which look like paths)
+    var name = /^(\.\.\/)*[A-Za-z_$@][\w$@]*/.exec(source.slice(i));
+    if (name) {
+      var word = name[0];
+      if (word in keywords) tokens.push({
+        type: 'literal',
+        value: keywords[word],
+        index: i
+      });else if (word === 'in') tokens.push({
+        type: 'operator',
+        value: 'in',
+        index: i
+      });else {
+        // the rest of the path: .keys, [indexes] and ['quoted keys']
+        var rest = /^(\.[\w$@]+|\[(-?\d+|'(\\.|[^'\\])*'|"(\\.|[^"\\])*")\])*/.exec(source.slice(i + word.length))[0];
+        tokens.push({
+          type: 'path',
+          value: word + rest,
+          index: i
+        });
+        i += rest.length;
+      }
+      i += word.length;
+      continue;
+    }
+    var operator = operators.find(function (op) {
+      return source.startsWith(op, i);
+    });
+    if (operator) {
+      tokens.push({
+        type: 'operator',
+        value: operator,
+        index: i
+      });
+      i += operator.length;
+      continue;
+    }
+    throw new Error("unexpected '".concat(ch, "' at character ").concat(i + 1));
+  }
+  return tokens;
+};
+
+// build a tree of { type, ... } nodes from the tokens (recursive descent,
+// one function per level of precedence)
+var parseExpression = function parseExpression(source) {
+  var tokens = tokenizeExpression(source);
+  var pos = 0;
+  var peek = function peek() {
+    return tokens[pos];
+  };
+  var isOperator = function isOperator() {
+    for (var _len = arguments.length, values = new Array(_len), _key = 0; _key < _len; _key++) {
+      values[_key] = arguments[_key];
+    }
+    return peek() && peek().type === 'operator' && values.includes(peek().value);
+  };
+  var describe = function describe(token) {
+    return token ? "'".concat(token.value, "' at character ").concat(token.index + 1) : 'end of expression';
+  };
+  var expect = function expect(value) {
+    if (!isOperator(value)) throw new Error("expected '".concat(value, "' but found ").concat(describe(peek())));
+    pos++;
+  };
+  var binary = function binary(next) {
+    for (var _len2 = arguments.length, ops = new Array(_len2 > 1 ? _len2 - 1 : 0), _key2 = 1; _key2 < _len2; _key2++) {
+      ops[_key2 - 1] = arguments[_key2];
+    }
+    return function () {
+      var left = next();
+      while (isOperator.apply(void 0, ops)) {
+        var operator = tokens[pos++].value;
+        left = {
+          type: 'binary',
+          operator: operator,
+          left: left,
+          right: next()
+        };
+      }
+      return left;
+    };
+  };
+  var primary = function primary() {
+    var token = tokens[pos++];
+    if (!token) throw new Error('unexpected end of expression');
+    if (token.type === 'literal') return {
+      type: 'literal',
+      value: token.value
+    };
+    if (token.type === 'path') return {
+      type: 'path',
+      path: token.value
+    };
+    if (token.value === '(') {
+      var expr = or();
+      expect(')');
+      return expr;
+    }
+    if (token.value === '[') {
+      var items = [];
+      while (!isOperator(']')) {
+        items.push(or());
+        if (!isOperator(']')) expect(',');
+      }
+      expect(']');
+      return {
+        type: 'array',
+        items: items
+      };
+    }
+    throw new Error("unexpected ".concat(describe(token)));
+  };
+  var _unary = function unary() {
+    if (isOperator('!', '-')) {
+      var operator = tokens[pos++].value;
+      return {
+        type: 'unary',
+        operator: operator,
+        argument: _unary()
+      };
+    }
+    return primary();
+  };
+  var relational = binary(_unary, '<', '<=', '>', '>=', 'in');
+  var equality = binary(relational, '==', '!=', '===', '!==');
+  var and = binary(equality, '&&');
+  var or = binary(and, '||');
+  var tree = or();
+  if (pos < tokens.length) throw new Error("unexpected ".concat(describe(peek())));
+  return tree;
+};
+
+// `a in b`: an item of an array, a substring of a string, or a key of an object
+var isIn = function isIn(needle, haystack) {
+  return Array.isArray(haystack) ? haystack.includes(needle) : typeof haystack === 'string' ? haystack.indexOf(String(needle)) > -1 : haystack && _typeof(haystack) === 'object' ? Object.prototype.hasOwnProperty.call(haystack, needle) : false;
+};
+var binaryOperators = {
+  '===': function _(a, b) {
+    return a === b;
+  },
+  '!==': function _(a, b) {
+    return a !== b;
+  },
+  '==': function _(a, b) {
+    return a == b;
+  },
+  '!=': function _(a, b) {
+    return a != b;
+  },
+  '<': function _(a, b) {
+    return a < b;
+  },
+  '<=': function _(a, b) {
+    return a <= b;
+  },
+  '>': function _(a, b) {
+    return a > b;
+  },
+  '>=': function _(a, b) {
+    return a >= b;
+  },
+  'in': isIn
+};
+var _evaluateTree = function evaluateTree(tree, resolve) {
+  switch (tree.type) {
+    case 'literal':
+      return tree.value;
+    case 'path':
+      return resolve(tree.path);
+    case 'array':
+      return tree.items.map(function (item) {
+        return _evaluateTree(item, resolve);
+      });
+    case 'unary':
+      {
+        var value = _evaluateTree(tree.argument, resolve);
+        return tree.operator === '!' ? !value : -value;
+      }
+    case 'binary':
+      {
+        // && and || only evaluate the right side when they need to
+        var left = _evaluateTree(tree.left, resolve);
+        if (tree.operator === '&&') return left && _evaluateTree(tree.right, resolve);
+        if (tree.operator === '||') return left || _evaluateTree(tree.right, resolve);
+        return binaryOperators[tree.operator](left, _evaluateTree(tree.right, resolve));
+      }
+  }
+};
+
+// @source  = the expression to evaluate
+// @resolve = given a path (e.g. 'items.length'), returns the data it points at
+//
+// throws an Error describing the problem if the expression can't be parsed
+var evaluateExpression = function evaluateExpression(source, resolve) {
+  return _evaluateTree(parseExpression(source), resolve);
+};
+
+/***/ },
+
+/***/ "./src/filters.mjs"
+/*!*************************!*\
+  !*** ./src/filters.mjs ***!
+  \*************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   applyFilters: () => (/* binding */ applyFilters),
+/* harmony export */   builtinFilters: () => (/* binding */ builtinFilters),
+/* harmony export */   parseFilters: () => (/* binding */ parseFilters),
+/* harmony export */   splitJsonPathFilters: () => (/* binding */ splitJsonPathFilters)
+/* harmony export */ });
+function _toConsumableArray(r) { return _arrayWithoutHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _arrayWithoutHoles(r) { if (Array.isArray(r)) return _arrayLikeToArray(r); }
+function _readOnlyError(r) { throw new TypeError('"' + r + '" is read-only'); }
+function _toArray(r) { return _arrayWithHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableRest(); }
+function _nonIterableRest() { throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function _iterableToArray(r) { if ("undefined" != typeof Symbol && null != r[Symbol.iterator] || null != r["@@iterator"]) return Array.from(r); }
+function _arrayWithHoles(r) { if (Array.isArray(r)) return r; }
+// filters format the data a #data or #jsonInsert tag prints
+//
+//   jsonPath="post.date | date:'YYYY-MM-DD'"
+//   jsonPath="post.body" filters="truncate:120 | upper"
+//
+// each filter is a name, followed by arguments separated by ':'. Arguments are
+// numbers, single quoted strings or plain words. Custom filters are functions
+// passed in with the filters option, called with the value and the arguments
+
+// split source on a character, ignoring it inside single quotes or [ ]
+var splitOutside = function splitOutside(source, separator) {
+  var parts = [];
+  var quote = false;
+  var depth = 0;
+  var start = 0;
+  for (var i = 0; i < source.length; i++) {
+    var c = source[i];
+    if (quote) {
+      if (c === '\\') i++;else if (c === quote) quote = false;
+    } else if (c === '\'' || c === '"') quote = c;else if (c === '[') depth++;else if (c === ']') depth--;else if (c === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  if (quote) throw new Error("unclosed quote in '".concat(source, "'"));
+  parts.push(source.slice(start));
+  return parts;
+};
+
+// 'truncate:120' -> 120, "'YYYY'" -> 'YYYY'
+var parseArgument = function parseArgument(arg) {
+  var value = arg.trim();
+  if (/^'[^]*'$/.test(value)) return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  return value;
+};
+
+// 'date:'YYYY' | upper' -> [ { name : 'date', args : [ 'YYYY' ] }, { name : 'upper', args : [] } ]
+// throws an Error if there is a problem with the chain
+var parseFilters = function parseFilters(source) {
+  return splitOutside(source, '|').map(function (filter) {
+    return splitOutside(filter, ':');
+  }).map(function (_ref) {
+    var _ref2 = _toArray(_ref),
+      name = _ref2[0],
+      args = _arrayLikeToArray(_ref2).slice(1);
+    if (name.trim() === '') throw new Error("missing filter name in '".concat(source, "'"));
+    return {
+      name: name.trim(),
+      args: args.map(parseArgument)
+    };
+  });
+};
+
+// 'post.date | upper' -> { path : 'post.date', filters : 'upper' }
+var splitJsonPathFilters = function splitJsonPathFilters(jsonPath) {
+  var _splitOutside = splitOutside(jsonPath, '|'),
+    _splitOutside2 = _toArray(_splitOutside),
+    path = _splitOutside2[0],
+    filters = _arrayLikeToArray(_splitOutside2).slice(1);
+  return {
+    path: path.trim(),
+    filters: filters.length ? filters.join('|') : void 0
+  };
+};
+var pad = function pad(number) {
+  var length = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 2;
+  return String(number).padStart(length, '0');
+};
+
+// date parts used by the date filter (dates are formatted in UTC, so a build
+// gives the same result wherever it is run)
+var dateTokens = {
+  YYYY: function YYYY(date) {
+    return date.getUTCFullYear();
+  },
+  YY: function YY(date) {
+    return pad(date.getUTCFullYear() % 100);
+  },
+  MM: function MM(date) {
+    return pad(date.getUTCMonth() + 1);
+  },
+  M: function M(date) {
+    return date.getUTCMonth() + 1;
+  },
+  DD: function DD(date) {
+    return pad(date.getUTCDate());
+  },
+  D: function D(date) {
+    return date.getUTCDate();
+  },
+  HH: function HH(date) {
+    return pad(date.getUTCHours());
+  },
+  H: function H(date) {
+    return date.getUTCHours();
+  },
+  mm: function mm(date) {
+    return pad(date.getUTCMinutes());
+  },
+  ss: function ss(date) {
+    return pad(date.getUTCSeconds());
+  }
+};
+var builtinFilters = {
+  upper: function upper(value) {
+    return String(value).toUpperCase();
+  },
+  lower: function lower(value) {
+    return String(value).toLowerCase();
+  },
+  // truncate:length:ending (default ending= '...')
+  truncate: function truncate(value, length) {
+    var ending = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '...';
+    if (typeof length !== 'number') throw new Error('truncate needs a length');
+    var characters = Array.from(String(value));
+    return characters.length > length ? characters.slice(0, length).join('') + ending : String(value);
+  },
+  // date:format, using the parts in dateTokens (default format= 'YYYY-MM-DD')
+  date: function date(value) {
+    var format = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'YYYY-MM-DD';
+    var date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) throw new Error("'".concat(value, "' isn't a date"));
+    return String(format).replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, function (token) {
+      return dateTokens[token](date);
+    });
+  },
+  // number:decimals, with thousands separated by commas
+  number: function number(value, decimals) {
+    var number = Number(value);
+    if (isNaN(number)) throw new Error("'".concat(value, "' isn't a number"));
+    return number.toLocaleString('en-US', decimals === void 0 ? {} : {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+  },
+  // join:separator (default separator= ', ')
+  join: function join(value) {
+    var separator = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : ', ';
+    return Array.isArray(value) ? value.join(separator) : value;
+  },
+  // 'Hello, Wörld!' -> 'hello-world'
+  slugify: function slugify(value) {
+    return String(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+};
+
+// @value   = the data to format
+// @filters = the parsed filter chain (see parseFilters)
+// @known   = the filters that can be used, by name
+// @warn    = called with (code, message) when a filter can't be used
+//
+// returns the formatted value. a filter that is unknown or fails is skipped
+var applyFilters = function applyFilters(value, filters, known, warn) {
+  return filters.reduce(function (acc, _ref3) {
+    var name = _ref3.name,
+      args = _ref3.args;
+    if (typeof known[name] !== 'function') {
+      warn('unknown-filter', "there is no filter named '".concat(name, "'"));
+      return acc;
+    }
+    try {
+      return known[name].apply(known, [acc].concat(_toConsumableArray(args)));
+    } catch (e) {
+      warn('filter-failed', "filter '".concat(name, "' failed: ").concat(e.message));
+      return acc;
+    }
+  }, value);
+};
+
+/***/ },
+
+/***/ "./src/html-escape.mjs"
+/*!*****************************!*\
+  !*** ./src/html-escape.mjs ***!
+  \*****************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   advanceHtmlState: () => (/* binding */ advanceHtmlState),
+/* harmony export */   escapeHtml: () => (/* binding */ escapeHtml),
+/* harmony export */   htmlContext: () => (/* binding */ htmlContext)
+/* harmony export */ });
+// escaping data for the place in the html it is printed
+//
+// the lexer follows the html around the tags as it tokenizes, so each tag
+// knows whether it is in text, inside an html tag or in an attribute value:
+//
+//   <p><!--#data jsonPath="a" --></p>              text
+//   <a href="<!--#data jsonPath="a" -->">          attribute
+//   <div <!--#data jsonPath="a" -->>               tag
+//   <!--#insert jsonPath="<!--#data jsonPath="a" -->" -->
+//                                                  includer (never escaped,
+//                                                  the value is part of a tag)
+
+// html states, as the text before a tag leaves them
+//   text     - between html tags
+//   comment  - inside an html comment
+//   tag      - inside an html tag, between attributes
+//   equals   - after an '=' in an html tag, before the value
+//   value"   - inside a quoted attribute value (value' for single quotes)
+//   value    - inside an unquoted attribute value
+//   includer - inside an includer tag (doesn't change)
+var advanceHtmlState = function advanceHtmlState(state, text) {
+  var i = 0;
+  while (i < text.length && state !== 'includer') {
+    var c = text[i];
+    if (state === 'text') {
+      if (text.startsWith('<!--', i)) {
+        state = 'comment';
+        i += 4;
+        continue;
+      }
+      if (c === '<' && /[A-Za-z\/]/.test(text[i + 1] || '')) state = 'tag';
+    } else if (state === 'comment') {
+      if (text.startsWith('-->', i)) {
+        state = 'text';
+        i += 3;
+        continue;
+      }
+    } else if (state === 'tag') {
+      state = c === '>' ? 'text' : c === '=' ? 'equals' : state;
+    } else if (state === 'equals') {
+      state = c === '"' || c === '\'' ? 'value' + c : c === '>' ? 'text' : /\s/.test(c) ? state : 'value';
+    } else if (state === 'value') {
+      state = c === '>' ? 'text' : /\s/.test(c) ? 'tag' : state;
+    }
+    // quoted value
+    else if (c === state[5]) state = 'tag';
+    i++;
+  }
+  return state;
+};
+
+// the context a tag is printed in, given the html state before it
+var htmlContext = function htmlContext(state) {
+  return state === 'text' || state === 'comment' ? 'text' : state === 'tag' ? 'tag' : state === 'includer' ? 'includer' : 'attribute';
+};
+var entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+// text only needs the characters that start tags and entities escaped, while
+// inside an html tag quotes could end (or start) an attribute value as well
+var escapeHtml = function escapeHtml(value) {
+  var context = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'text';
+  return context === 'includer' ? value : context === 'text' ? value.replace(/[&<>]/g, function (c) {
+    return entities[c];
+  }) : value.replace(/[&<>"']/g, function (c) {
+    return entities[c];
+  });
+};
+
+/***/ },
+
+/***/ "./src/json-path.mjs"
+/*!***************************!*\
+  !*** ./src/json-path.mjs ***!
+  \***************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   findJsonPathData: () => (/* binding */ findJsonPathData),
+/* harmony export */   formatJsonPath: () => (/* binding */ formatJsonPath),
+/* harmony export */   parseJsonPath: () => (/* binding */ parseJsonPath)
+/* harmony export */ });
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+// the jsonPath syntax shared by every tag
+//
+//   name.nested.value       keys separated by dots
+//   items[0], items[-1]     array indexes (negative indexes count from the end)
+//   authors['first-name']   quoted keys, for keys that aren't plain names
+//   map['a.b']              (including keys containing dots)
+//   items.length            length of an array or string (or the number of
+//                           keys of an object that has no length key)
+//   this, this.name         the data itself
+//
+// attribute values are in double quotes, so use single quotes for keys in tags
+
+var parsedPaths = new Map();
+
+// 'items[0].title' -> [ { key : 'items' }, { index : 0 }, { key : 'title' } ]
+// throws an Error describing the problem if the path can't be parsed
+var parseJsonPath = function parseJsonPath(path) {
+  if (parsedPaths.has(path)) return parsedPaths.get(path);
+  var segments = [];
+  var i = 0;
+
+  // 'this' refers to the data itself, so it adds no segment
+  var self = /^this(?=$|[.[])/.exec(path);
+  if (self) {
+    i = self[0].length;
+    if (path[i] === '.') i++;
+  }
+  while (i < path.length) {
+    if (path[i] === '[') {
+      var quote = path[i + 1];
+
+      // quoted key
+      if (quote === '\'' || quote === '"') {
+        var key = '';
+        var j = i + 2;
+        while (j < path.length && path[j] !== quote) {
+          if (path[j] === '\\') j++;
+          key += path[j];
+          j++;
+        }
+        if (path[j + 1] !== ']') throw new Error("unclosed [ at character ".concat(i + 1));
+        segments.push({
+          key: key
+        });
+        i = j + 2;
+      }
+      // index
+      else {
+        var close = path.indexOf(']', i);
+        var index = path.slice(i + 1, close);
+        if (close === -1 || !/^-?\d+$/.test(index)) throw new Error("expected a number or a quoted key in [ ] at character ".concat(i + 1));
+        segments.push({
+          index: Number(index)
+        });
+        i = close + 1;
+      }
+    } else {
+      // a key runs until the next . or [
+      if (path[i] === '.') {
+        if (segments.length === 0) throw new Error("unexpected . at character ".concat(i + 1));
+        i++;
+      }
+      var _key = /^[^.[\]]*/.exec(path.slice(i))[0];
+      if (_key === '') throw new Error("missing key at character ".concat(i + 1));
+      segments.push({
+        key: _key
+      });
+      i += _key.length;
+    }
+
+    // after a segment there must be another one (or the end)
+    if (i < path.length && path[i] !== '.' && path[i] !== '[') throw new Error("unexpected '".concat(path[i], "' at character ").concat(i + 1));
+  }
+  parsedPaths.set(path, segments);
+  return segments;
+};
+
+// segments back to a path, for messages
+var formatJsonPath = function formatJsonPath(segments) {
+  return segments.map(function (segment, n) {
+    return 'index' in segment ? "[".concat(segment.index, "]") : /^[^.[\]'"]+$/.test(segment.key) ? "".concat(n === 0 ? '' : '.').concat(segment.key) : "['".concat(segment.key.replace(/'/g, '\\\''), "']");
+  }).join('') || 'this';
+};
+var hasOwn = function hasOwn(value, key) {
+  return Object.prototype.hasOwnProperty.call(value, key);
+};
+
+// read one segment from a value
+var readSegment = function readSegment(value, segment) {
+  var isList = Array.isArray(value) || typeof value === 'string';
+  if ('index' in segment) {
+    if (isList) return value[segment.index < 0 ? value.length + segment.index : segment.index];
+    return _typeof(value) === 'object' && hasOwn(value, segment.index) ? value[segment.index] : void 0;
+  }
+  var key = segment.key;
+  if (isList) return key === 'length' || /^\d+$/.test(key) ? value[key] : void 0;
+  if (_typeof(value) !== 'object') return void 0;
+  if (hasOwn(value, key)) return value[key];
+  return key === 'length' ? Object.keys(value).length : void 0;
+};
+
+// @path      = the jsonPath
+// @json      = the data to look the path up in
+// @onMissing = called when the path points at nothing, with the part of the
+//              path that is missing (and whether that is the whole path)
+//
+// returns the data pointed at, or undefined if there is none. a path can be
+// followed through null (or a missing key) only to its last segment, so
+// { a : null } has null at 'a', and nothing at 'a.b'
+var findJsonPathData = function findJsonPathData(path, json) {
+  var onMissing = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : function () {};
+  var segments = parseJsonPath(path);
+  var value = json;
+  for (var n = 0; n < segments.length; n++) {
+    if (value === null || value === void 0) {
+      onMissing(formatJsonPath(segments.slice(0, n)));
+      return void 0;
+    }
+    value = readSegment(value, segments[n]);
+  }
+  if (value === void 0) onMissing(formatJsonPath(segments), true);
+  return value;
+};
+
+/***/ },
+
+/***/ "./src/lexer.mjs"
+/*!***********************!*\
+  !*** ./src/lexer.mjs ***!
+  \***********************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   advancePosition: () => (/* binding */ advancePosition),
+/* harmony export */   tokenize: () => (/* binding */ tokenize)
+/* harmony export */ });
+/* harmony import */ var _html_escape_mjs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./html-escape.mjs */ "./src/html-escape.mjs");
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+// breaks content up into text and tag tokens, recording where each one starts
+//
+// a tag runs from '<!--#' to the matching '-->'. Attribute values are quoted
+// with double quotes, so a '-->' inside a value doesn't close the tag, and a
+// tag inside a value (or anywhere else in a tag) is nested rather than closing
+// its parent. Text between tags, including ordinary html comments, is never
+// searched for a '-->'.
+
+;
+var TAG_OPEN = '<!--#';
+var TAG_CLOSE = '-->';
+
+// position after moving over some text
+var advancePosition = function advancePosition(_ref, text) {
+  var line = _ref.line,
+    column = _ref.column;
+  var lines = text.split('\n');
+  return lines.length === 1 ? {
+    line: line,
+    column: column + text.length
+  } : {
+    line: line + lines.length - 1,
+    column: lines[lines.length - 1].length + 1
+  };
+};
+
+// find the end of the tag starting at start, respecting quoted attribute values
+// returns the index just after its '-->', or -1 if it is never closed
+var _scanTag = function scanTag(content, start) {
+  var inValue = false;
+  var i = start + TAG_OPEN.length;
+  while (i < content.length) {
+    if (content.startsWith(TAG_OPEN, i)) {
+      var end = _scanTag(content, i);
+      if (end === -1) return -1;
+      i = end;
+      continue;
+    }
+    if (content[i] === '"') inValue = !inValue;else if (!inValue && content.startsWith(TAG_CLOSE, i)) return i + TAG_CLOSE.length;
+    i++;
+  }
+  return -1;
+};
+
+// find the end of the tag ignoring quotes (used when a tag has unbalanced quotes)
+var scanTagUnquoted = function scanTagUnquoted(content, start) {
+  var depth = 0;
+  var i = start;
+  while (i < content.length) {
+    if (content.startsWith(TAG_OPEN, i)) {
+      depth++;
+      i += TAG_OPEN.length;
+    } else if (content.startsWith(TAG_CLOSE, i)) {
+      depth--;
+      i += TAG_CLOSE.length;
+      if (depth === 0) return i;
+    } else i++;
+  }
+  return -1;
+};
+
+// @content = the string to tokenize
+// @options.file   = path of the file the content came from
+// @options.line   = line the content starts on (default= 1)
+// @options.column = column the content starts on (default= 1)
+// @options.warn   = called with (code, message, position) for malformed tags,
+//          where position also has the start of the tag as its snippet
+// @options.error  = called with (code, message, position) for a tag that is
+//          never closed (default= options.warn)
+// @options.htmlState = the html state the content starts in (see html-escape.mjs)
+//
+// returns a list of { type: 'text' | 'tag', value, file, line, column }, where
+// tags also have the html context they are in (text, tag, attribute...)
+var tokenize = function tokenize(content) {
+  var _ref2 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+    _ref2$file = _ref2.file,
+    file = _ref2$file === void 0 ? '' : _ref2$file,
+    _ref2$line = _ref2.line,
+    line = _ref2$line === void 0 ? 1 : _ref2$line,
+    _ref2$column = _ref2.column,
+    column = _ref2$column === void 0 ? 1 : _ref2$column,
+    _ref2$warn = _ref2.warn,
+    warn = _ref2$warn === void 0 ? function () {} : _ref2$warn,
+    _ref2$error = _ref2.error,
+    error = _ref2$error === void 0 ? warn : _ref2$error,
+    _ref2$htmlState = _ref2.htmlState,
+    htmlState = _ref2$htmlState === void 0 ? 'text' : _ref2$htmlState;
+  var tokens = [];
+  var position = {
+    line: line,
+    column: column
+  };
+  var state = htmlState;
+  var cursor = 0;
+  var push = function push(type, value) {
+    if (value === '') return;
+    tokens.push(_objectSpread(_objectSpread({
+      type: type,
+      value: value,
+      file: file
+    }, position), type === 'tag' ? {
+      context: (0,_html_escape_mjs__WEBPACK_IMPORTED_MODULE_0__.htmlContext)(state)
+    } : {}));
+    position = advancePosition(position, value);
+    if (type === 'text') state = (0,_html_escape_mjs__WEBPACK_IMPORTED_MODULE_0__.advanceHtmlState)(state, value);
+  };
+  while (cursor < content.length) {
+    var start = content.indexOf(TAG_OPEN, cursor);
+    if (start === -1) break;
+    push('text', content.slice(cursor, start));
+    var end = _scanTag(content, start);
+    if (end === -1) {
+      end = scanTagUnquoted(content, start);
+      if (end !== -1) warn('unclosed-quote', 'tag has an unclosed attribute quote', _objectSpread(_objectSpread({}, position), {}, {
+        snippet: content.slice(start, end)
+      }));
+    }
+    if (end === -1) {
+      error('unclosed-tag', "tag is never closed with '".concat(TAG_CLOSE, "'"), _objectSpread(_objectSpread({}, position), {}, {
+        snippet: content.slice(start)
+      }));
+      break;
+    }
+    push('tag', content.slice(start, end));
+    cursor = end;
+  }
+  push('text', content.slice(cursor));
+  return tokens;
+};
+
+/***/ },
+
+/***/ "./src/memo.mjs"
+/*!**********************!*\
+  !*** ./src/memo.mjs ***!
+  \**********************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   createMemo: () => (/* binding */ createMemo)
+/* harmony export */ });
+/* harmony import */ var fs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! fs */ "fs");
+/* harmony import */ var path__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! path */ "path");
+/* harmony import */ var crypto__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! crypto */ "crypto");
+/* harmony import */ var _raw_json_mjs__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./raw-json.mjs */ "./src/raw-json.mjs");
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+function _toConsumableArray(r) { return _arrayWithoutHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _iterableToArray(r) { if ("undefined" != typeof Symbol && null != r[Symbol.iterator] || null != r["@@iterator"]) return Array.from(r); }
+function _arrayWithoutHoles(r) { if (Array.isArray(r)) return _arrayLikeToArray(r); }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function _regenerator() { /*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */ var e, t, r = "function" == typeof Symbol ? Symbol : {}, n = r.iterator || "@@iterator", o = r.toStringTag || "@@toStringTag"; function i(r, n, o, i) { var c = n && n.prototype instanceof Generator ? n : Generator, u = Object.create(c.prototype); return _regeneratorDefine2(u, "_invoke", function (r, n, o) { var i, c, u, f = 0, p = o || [], y = !1, G = { p: 0, n: 0, v: e, a: d, f: d.bind(e, 4), d: function d(t, r) { return i = t, c = 0, u = e, G.n = r, a; } }; function d(r, n) { for (c = r, u = n, t = 0; !y && f && !o && t < p.length; t++) { var o, i = p[t], d = G.p, l = i[2]; r > 3 ? (o = l === n) && (u = i[(c = i[4]) ? 5 : (c = 3, 3)], i[4] = i[5] = e) : i[0] <= d && ((o = r < 2 && d < i[1]) ? (c = 0, G.v = n, G.n = i[1]) : d < l && (o = r < 3 || i[0] > n || n > l) && (i[4] = r, i[5] = n, G.n = l, c = 0)); } if (o || r > 1) return a; throw y = !0, n; } return function (o, p, l) { if (f > 1) throw TypeError("Generator is already running"); for (y && 1 === p && d(p, l), c = p, u = l; (t = c < 2 ? e : u) || !y;) { i || (c ? c < 3 ? (c > 1 && (G.n = -1), d(c, u)) : G.n = u : G.v = u); try { if (f = 2, i) { if (c || (o = "next"), t = i[o]) { if (!(t = t.call(i, u))) throw TypeError("iterator result is not an object"); if (!t.done) return t; u = t.value, c < 2 && (c = 0); } else 1 === c && (t = i["return"]) && t.call(i), c < 2 && (u = TypeError("The iterator does not provide a '" + o + "' method"), c = 1); i = e; } else if ((t = (y = G.n < 0) ? u : r.call(n, G)) !== a) break; } catch (t) { i = e, c = 1, u = t; } finally { f = 1; } } return { value: t, done: y }; }; }(r, o, i), !0), u; } var a = {}; function Generator() {} function GeneratorFunction() {} function GeneratorFunctionPrototype() {} t = Object.getPrototypeOf; var c = [][n] ? t(t([][n]())) : (_regeneratorDefine2(t = {}, n, function () { return this; }), t), u = GeneratorFunctionPrototype.prototype = Generator.prototype = Object.create(c); function f(e) { return Object.setPrototypeOf ? Object.setPrototypeOf(e, GeneratorFunctionPrototype) : (e.__proto__ = GeneratorFunctionPrototype, _regeneratorDefine2(e, o, "GeneratorFunction")), e.prototype = Object.create(u), e; } return GeneratorFunction.prototype = GeneratorFunctionPrototype, _regeneratorDefine2(u, "constructor", GeneratorFunctionPrototype), _regeneratorDefine2(GeneratorFunctionPrototype, "constructor", GeneratorFunction), GeneratorFunction.displayName = "GeneratorFunction", _regeneratorDefine2(GeneratorFunctionPrototype, o, "GeneratorFunction"), _regeneratorDefine2(u), _regeneratorDefine2(u, o, "Generator"), _regeneratorDefine2(u, n, function () { return this; }), _regeneratorDefine2(u, "toString", function () { return "[object Generator]"; }), (_regenerator = function _regenerator() { return { w: i, m: f }; })(); }
+function _regeneratorDefine2(e, r, n, t) { var i = Object.defineProperty; try { i({}, "", {}); } catch (e) { i = 0; } _regeneratorDefine2 = function _regeneratorDefine(e, r, n, t) { function o(r, n) { _regeneratorDefine2(e, r, function (e) { return this._invoke(r, n, e); }); } r ? i ? i(e, r, { value: n, enumerable: !t, configurable: !t, writable: !t }) : e[r] = n : (o("next", 0), o("throw", 1), o("return", 2)); }, _regeneratorDefine2(e, r, n, t); }
+function asyncGeneratorStep(n, t, e, r, o, a, c) { try { var i = n[a](c), u = i.value; } catch (n) { return void e(n); } i.done ? t(u) : Promise.resolve(u).then(r, o); }
+function _asyncToGenerator(n) { return function () { var t = this, e = arguments; return new Promise(function (r, o) { var a = n.apply(t, e); function _next(n) { asyncGeneratorStep(a, r, o, _next, _throw, "next", n); } function _throw(n) { asyncGeneratorStep(a, r, o, _next, _throw, "throw", n); } _next(void 0); }); }; }
+;
+
+
+
+
+// remembering the results of rawJson (and the plugin calls made from it) for
+// a build, so the same data is only loaded once
+//
+//   results   - rawJson attributes with the same code give the same data, so
+//               each is run once per build
+//   plugins   - wraps the rawJsonPlugins so no more than `concurrency` calls
+//               run at a time, and (when cached) calls with the same plugin
+//               and arguments are made once per build
+//   memo      - plugins.memo(key, fn) runs fn once per build for each key,
+//               with no more than `concurrency` of them running at a time
+//
+// with a cacheDir, the results of plugin and memo calls are saved to disk and
+// read back by later builds
+
+// a string for a key (keys can be anything JSON.stringify can handle)
+var keyString = function keyString(key) {
+  return typeof key === 'string' ? key : JSON.stringify(key);
+};
+
+// runs tasks (functions returning promises), no more than limit at a time.
+// each fails if it takes longer than timeout ms once it has started (0 is no
+// limit), so one that never ends can't hold its place forever
+var createLimiter = function createLimiter(limit, timeout, what) {
+  var waiting = [];
+  var running = 0;
+  var _next = function next() {
+    if (running >= limit || waiting.length === 0) return;
+    var _waiting$shift = waiting.shift(),
+      task = _waiting$shift.task,
+      resolve = _waiting$shift.resolve,
+      reject = _waiting$shift.reject;
+    running++;
+    (0,_raw_json_mjs__WEBPACK_IMPORTED_MODULE_3__.withTimeout)(Promise.resolve().then(task), timeout, what).then(resolve, reject)["finally"](function () {
+      running--;
+      _next();
+    });
+  };
+  return function (task) {
+    return new Promise(function (resolve, reject) {
+      waiting.push({
+        task: task,
+        resolve: resolve,
+        reject: reject
+      });
+      _next();
+    });
+  };
+};
+
+// where a key is saved in the cache directory
+var cacheFile = function cacheFile(cacheDir, key) {
+  return path__WEBPACK_IMPORTED_MODULE_1__.join(cacheDir, crypto__WEBPACK_IMPORTED_MODULE_2__.createHash('sha1').update(key).digest('hex') + '.json');
+};
+var readCacheFile = /*#__PURE__*/function () {
+  var _ref = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee(file, key) {
+    var saved, _t, _t2;
+    return _regenerator().w(function (_context) {
+      while (1) switch (_context.p = _context.n) {
+        case 0:
+          _context.p = 0;
+          _t = JSON;
+          _context.n = 1;
+          return fs__WEBPACK_IMPORTED_MODULE_0__.promises.readFile(file, 'utf8');
+        case 1:
+          saved = _t.parse.call(_t, _context.v);
+          return _context.a(2, saved.key === key ? saved : void 0);
+        case 2:
+          _context.p = 2;
+          _t2 = _context.v;
+          return _context.a(2, void 0);
+      }
+    }, _callee, null, [[0, 2]]);
+  }));
+  return function readCacheFile(_x, _x2) {
+    return _ref.apply(this, arguments);
+  };
+}();
+
+// a result that can't be saved is still used, so this only calls onError
+var writeCacheFile = /*#__PURE__*/function () {
+  var _ref2 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee2(cacheDir, file, key, value, onError) {
+    var _t3;
+    return _regenerator().w(function (_context2) {
+      while (1) switch (_context2.p = _context2.n) {
+        case 0:
+          _context2.p = 0;
+          _context2.n = 1;
+          return fs__WEBPACK_IMPORTED_MODULE_0__.promises.mkdir(cacheDir, {
+            recursive: true
+          });
+        case 1:
+          _context2.n = 2;
+          return fs__WEBPACK_IMPORTED_MODULE_0__.promises.writeFile(file, JSON.stringify({
+            key: key,
+            value: value
+          }), 'utf8');
+        case 2:
+          _context2.n = 4;
+          break;
+        case 3:
+          _context2.p = 3;
+          _t3 = _context2.v;
+          onError("could not save '".concat(key, "' to the rawJson cache: ").concat(_t3.message));
+        case 4:
+          return _context2.a(2);
+      }
+    }, _callee2, null, [[0, 3]]);
+  }));
+  return function writeCacheFile(_x3, _x4, _x5, _x6, _x7) {
+    return _ref2.apply(this, arguments);
+  };
+}();
+
+// @options.concurrency = the most memo calls that run at a time (default= 6)
+// @options.cacheDir    = (optional) directory memo results are saved in
+// @options.timeout     = ms each plugin and memo call may take once it has
+//                        started (0 is no limit)
+//
+// returns { results, memo, plugins, clear }
+var createMemo = function createMemo() {
+  var _ref3 = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+    _ref3$concurrency = _ref3.concurrency,
+    concurrency = _ref3$concurrency === void 0 ? 6 : _ref3$concurrency,
+    cacheDir = _ref3.cacheDir,
+    _ref3$timeout = _ref3.timeout,
+    timeout = _ref3$timeout === void 0 ? 0 : _ref3$timeout;
+  var results = new Map();
+  var memoized = new Map();
+  // separate limits, so a memo fn waiting on a plugin call can't hold up the
+  // plugin call it waits on
+  var limitMemo = createLimiter(Math.max(1, concurrency), timeout, 'memo');
+  var limitPlugins = createLimiter(Math.max(1, concurrency), timeout, 'a plugin call');
+  var load = /*#__PURE__*/function () {
+    var _ref4 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee3(key, fn, onError) {
+      var file, saved, value, _t4;
+      return _regenerator().w(function (_context3) {
+        while (1) switch (_context3.n) {
+          case 0:
+            file = cacheDir && cacheFile(cacheDir, key);
+            _t4 = file;
+            if (!_t4) {
+              _context3.n = 2;
+              break;
+            }
+            _context3.n = 1;
+            return readCacheFile(file, key);
+          case 1:
+            _t4 = _context3.v;
+          case 2:
+            saved = _t4;
+            if (!saved) {
+              _context3.n = 3;
+              break;
+            }
+            return _context3.a(2, saved.value);
+          case 3:
+            _context3.n = 4;
+            return fn();
+          case 4:
+            value = _context3.v;
+            if (!file) {
+              _context3.n = 5;
+              break;
+            }
+            _context3.n = 5;
+            return writeCacheFile(cacheDir, file, key, value, onError);
+          case 5:
+            return _context3.a(2, value);
+        }
+      }, _callee3);
+    }));
+    return function load(_x8, _x9, _x0) {
+      return _ref4.apply(this, arguments);
+    };
+  }();
+
+  // calls with the same key share the promise of the first one
+  var remember = function remember(key, fn, onError) {
+    var k = keyString(key);
+    if (!memoized.has(k)) memoized.set(k, load(k, fn, onError));
+    return memoized.get(k);
+  };
+
+  // @key     = what fn loads (a url, or [ 'posts', page ]...)
+  // @fn      = loads the data (it may return a promise)
+  // @onError = (optional) called with a message if the result can't be saved
+  //
+  // returns a promise for what fn returns. calls with the same key share it
+  var memo = function memo(key, fn) {
+    var onError = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : function () {};
+    return remember(key, function () {
+      return limitMemo(fn);
+    }, onError);
+  };
+
+  // @rawJsonPlugins = the functions rawJson can call, by name
+  // @cache          = share calls with the same plugin and arguments (compared
+  //                   as json) for the rest of the build
+  // @onError        = (optional) called with a message if a result can't be saved
+  //
+  // returns the plugins, each returning a promise
+  var plugins = function plugins() {
+    var rawJsonPlugins = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    var cache = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : true;
+    var onError = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : function () {};
+    return Object.keys(rawJsonPlugins).reduce(function (acc, name) {
+      var plugin = rawJsonPlugins[name];
+      var call = function call(args) {
+        return limitPlugins(function () {
+          return plugin.apply(void 0, _toConsumableArray(args));
+        });
+      };
+      return _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, name, typeof plugin !== 'function' ? plugin : cache ? function () {
+        for (var _len = arguments.length, args = new Array(_len), _key = 0; _key < _len; _key++) {
+          args[_key] = arguments[_key];
+        }
+        return remember({
+          plugin: name,
+          args: args
+        }, function () {
+          return call(args);
+        }, onError);
+      } : function () {
+        for (var _len2 = arguments.length, args = new Array(_len2), _key2 = 0; _key2 < _len2; _key2++) {
+          args[_key2] = arguments[_key2];
+        }
+        return call(args);
+      }));
+    }, {});
+  };
+
+  // forgets everything, except what is saved on disk
+  var clear = function clear() {
+    results.clear();
+    memoized.clear();
+  };
+  return {
+    results: results,
+    memo: memo,
+    plugins: plugins,
+    clear: clear
+  };
+};
+
+/***/ },
+
+/***/ "./src/parse.mjs"
+/*!***********************!*\
+  !*** ./src/parse.mjs ***!
+  \***********************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   processFile: () => (/* binding */ processFile)
+/* harmony export */ });
+/* harmony import */ var _lexer_mjs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./lexer.mjs */ "./src/lexer.mjs");
+/* harmony import */ var _expression_mjs__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./expression.mjs */ "./src/expression.mjs");
+/* harmony import */ var _json_path_mjs__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./json-path.mjs */ "./src/json-path.mjs");
+/* harmony import */ var _html_escape_mjs__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./html-escape.mjs */ "./src/html-escape.mjs");
+/* harmony import */ var _filters_mjs__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./filters.mjs */ "./src/filters.mjs");
+/* harmony import */ var _raw_json_mjs__WEBPACK_IMPORTED_MODULE_5__ = __webpack_require__(/*! ./raw-json.mjs */ "./src/raw-json.mjs");
+/* harmony import */ var _diagnostics_mjs__WEBPACK_IMPORTED_MODULE_6__ = __webpack_require__(/*! ./diagnostics.mjs */ "./src/diagnostics.mjs");
+/* harmony import */ var _props_mjs__WEBPACK_IMPORTED_MODULE_7__ = __webpack_require__(/*! ./props.mjs */ "./src/props.mjs");
+function _regeneratorValues(e) { if (null != e) { var t = e["function" == typeof Symbol && Symbol.iterator || "@@iterator"], r = 0; if (t) return t.call(e); if ("function" == typeof e.next) return e; if (!isNaN(e.length)) return { next: function next() { return e && r >= e.length && (e = void 0), { value: e && e[r++], done: !e }; } }; } throw new TypeError(_typeof(e) + " is not iterable"); }
+function _readOnlyError(r) { throw new TypeError('"' + r + '" is read-only'); }
+function _slicedToArray(r, e) { return _arrayWithHoles(r) || _iterableToArrayLimit(r, e) || _unsupportedIterableToArray(r, e) || _nonIterableRest(); }
+function _iterableToArrayLimit(r, l) { var t = null == r ? null : "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"]; if (null != t) { var e, n, i, u, a = [], f = !0, o = !1; try { if (i = (t = t.call(r)).next, 0 === l) { if (Object(t) !== t) return; f = !1; } else for (; !(f = (e = i.call(t)).done) && (a.push(e.value), a.length !== l); f = !0); } catch (r) { o = !0, n = r; } finally { try { if (!f && null != t["return"] && (u = t["return"](), Object(u) !== u)) return; } finally { if (o) throw n; } } return a; } }
+function _toArray(r) { return _arrayWithHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableRest(); }
+function _nonIterableRest() { throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _arrayWithHoles(r) { if (Array.isArray(r)) return r; }
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function _createForOfIteratorHelper(r, e) { var t = "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"]; if (!t) { if (Array.isArray(r) || (t = _unsupportedIterableToArray(r)) || e && r && "number" == typeof r.length) { t && (r = t); var _n = 0, F = function F() {}; return { s: F, n: function n() { return _n >= r.length ? { done: !0 } : { done: !1, value: r[_n++] }; }, e: function e(r) { throw r; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var o, a = !0, u = !1; return { s: function s() { t = t.call(r); }, n: function n() { var r = t.next(); return a = r.done, r; }, e: function e(r) { u = !0, o = r; }, f: function f() { try { a || null == t["return"] || t["return"](); } finally { if (u) throw o; } } }; }
+function _regenerator() { /*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */ var e, t, r = "function" == typeof Symbol ? Symbol : {}, n = r.iterator || "@@iterator", o = r.toStringTag || "@@toStringTag"; function i(r, n, o, i) { var c = n && n.prototype instanceof Generator ? n : Generator, u = Object.create(c.prototype); return _regeneratorDefine2(u, "_invoke", function (r, n, o) { var i, c, u, f = 0, p = o || [], y = !1, G = { p: 0, n: 0, v: e, a: d, f: d.bind(e, 4), d: function d(t, r) { return i = t, c = 0, u = e, G.n = r, a; } }; function d(r, n) { for (c = r, u = n, t = 0; !y && f && !o && t < p.length; t++) { var o, i = p[t], d = G.p, l = i[2]; r > 3 ? (o = l === n) && (u = i[(c = i[4]) ? 5 : (c = 3, 3)], i[4] = i[5] = e) : i[0] <= d && ((o = r < 2 && d < i[1]) ? (c = 0, G.v = n, G.n = i[1]) : d < l && (o = r < 3 || i[0] > n || n > l) && (i[4] = r, i[5] = n, G.n = l, c = 0)); } if (o || r > 1) return a; throw y = !0, n; } return function (o, p, l) { if (f > 1) throw TypeError("Generator is already running"); for (y && 1 === p && d(p, l), c = p, u = l; (t = c < 2 ? e : u) || !y;) { i || (c ? c < 3 ? (c > 1 && (G.n = -1), d(c, u)) : G.n = u : G.v = u); try { if (f = 2, i) { if (c || (o = "next"), t = i[o]) { if (!(t = t.call(i, u))) throw TypeError("iterator result is not an object"); if (!t.done) return t; u = t.value, c < 2 && (c = 0); } else 1 === c && (t = i["return"]) && t.call(i), c < 2 && (u = TypeError("The iterator does not provide a '" + o + "' method"), c = 1); i = e; } else if ((t = (y = G.n < 0) ? u : r.call(n, G)) !== a) break; } catch (t) { i = e, c = 1, u = t; } finally { f = 1; } } return { value: t, done: y }; }; }(r, o, i), !0), u; } var a = {}; function Generator() {} function GeneratorFunction() {} function GeneratorFunctionPrototype() {} t = Object.getPrototypeOf; var c = [][n] ? t(t([][n]())) : (_regeneratorDefine2(t = {}, n, function () { return this; }), t), u = GeneratorFunctionPrototype.prototype = Generator.prototype = Object.create(c); function f(e) { return Object.setPrototypeOf ? Object.setPrototypeOf(e, GeneratorFunctionPrototype) : (e.__proto__ = GeneratorFunctionPrototype, _regeneratorDefine2(e, o, "GeneratorFunction")), e.prototype = Object.create(u), e; } return GeneratorFunction.prototype = GeneratorFunctionPrototype, _regeneratorDefine2(u, "constructor", GeneratorFunctionPrototype), _regeneratorDefine2(GeneratorFunctionPrototype, "constructor", GeneratorFunction), GeneratorFunction.displayName = "GeneratorFunction", _regeneratorDefine2(GeneratorFunctionPrototype, o, "GeneratorFunction"), _regeneratorDefine2(u), _regeneratorDefine2(u, o, "Generator"), _regeneratorDefine2(u, n, function () { return this; }), _regeneratorDefine2(u, "toString", function () { return "[object Generator]"; }), (_regenerator = function _regenerator() { return { w: i, m: f }; })(); }
+function _regeneratorDefine2(e, r, n, t) { var i = Object.defineProperty; try { i({}, "", {}); } catch (e) { i = 0; } _regeneratorDefine2 = function _regeneratorDefine(e, r, n, t) { function o(r, n) { _regeneratorDefine2(e, r, function (e) { return this._invoke(r, n, e); }); } r ? i ? i(e, r, { value: n, enumerable: !t, configurable: !t, writable: !t }) : e[r] = n : (o("next", 0), o("throw", 1), o("return", 2)); }, _regeneratorDefine2(e, r, n, t); }
+function _toConsumableArray(r) { return _arrayWithoutHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _iterableToArray(r) { if ("undefined" != typeof Symbol && null != r[Symbol.iterator] || null != r["@@iterator"]) return Array.from(r); }
+function _arrayWithoutHoles(r) { if (Array.isArray(r)) return _arrayLikeToArray(r); }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+function asyncGeneratorStep(n, t, e, r, o, a, c) { try { var i = n[a](c), u = i.value; } catch (n) { return void e(n); } i.done ? t(u) : Promise.resolve(u).then(r, o); }
+function _asyncToGenerator(n) { return function () { var t = this, e = arguments; return new Promise(function (r, o) { var a = n.apply(t, e); function _next(n) { asyncGeneratorStep(a, r, o, _next, _throw, "next", n); } function _throw(n) { asyncGeneratorStep(a, r, o, _next, _throw, "throw", n); } _next(void 0); }); }; }
+;
+
+
+
+
+
+
+
+
+// shape of our AST nodes
+var getDefaultNode = function getDefaultNode() {
+  return {
+    type: '',
+    file: {},
+    line: 1,
+    // where the node starts in its file
+    column: 1,
+    context: 'text',
+    // where in the html the tag is (see html-escape.mjs)
+    config: {},
+    // the includer's options and file registry (see createConfig)
+    originalContent: '',
+    content: '',
+    parent: {},
+    innerScope: null,
+    loop: null,
+    // loop variables (@index, @first...) of the enclosing #each
+    variables: {},
+    // variables bound by the #set tags before this one, by name
+    outerScopes: [],
+    // { innerScope, loop } of the scopes around this one, innermost first
+    children: [],
+    // list of sequential nodes wrapped in tag (or at topNode)
+    nestedNodes: [],
+    // nested tags - these need to be resolved before this tag is resolved
+    attributes: {} // attributes on tag
+  };
+};
+
+// record a problem with a node, pointing at where it is in its file, and pass
+// it on to the reporter (see diagnostics.mjs)
+var report = function report(node, severity, code, message) {
+  var diagnostic = (0,_diagnostics_mjs__WEBPACK_IMPORTED_MODULE_6__.createDiagnostic)({
+    code: code,
+    severity: severity,
+    message: message,
+    file: node.file.path,
+    line: node.line,
+    column: node.column,
+    snippet: node.originalContent
+  });
+  node.config.diagnostics.push(diagnostic);
+  node.config.reporter(diagnostic);
+};
+
+// report a problem with a node
+var _warn = function warn(node, code, message) {
+  return report(node, 'warning', code, message);
+};
+
+// report an error that fails the build. errors are collected rather than
+// thrown, so a build can report all of them together (see core.mjs)
+var reportError = function reportError(node, code, message) {
+  return report(node, 'error', code, message);
+};
+
+// a problem that fails the build in strict mode, and is only a warning otherwise
+var reportProblem = function reportProblem(node, code, message) {
+  return report(node, node.config.strict ? 'error' : 'warning', code, message);
+};
+
+// report a jsonPath that points at nothing, as the missingData option says:
+// 'render' the tag without data, 'warn' (the default) or 'fail' the build
+var reportMissingData = function reportMissingData(node, message) {
+  var policy = node.config.missingData;
+  if (policy === 'fail') reportError(node, 'missing-data', message);else if (policy !== 'render') _warn(node, 'missing-data', message);
+};
+
+// entry point for processing files
+var processFile = /*#__PURE__*/function () {
+  var _ref = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee(file, json, config, parent, innerScope) {
+    var topNode;
+    return _regenerator().w(function (_context) {
+      while (1) switch (_context.n) {
+        case 0:
+          // convert string into object
+          topNode = _objectSpread(_objectSpread(_objectSpread(_objectSpread({}, getDefaultNode()), {}, {
+            type: 'topNode',
+            file: file,
+            config: config,
+            line: file.line || 1,
+            column: file.column || 1,
+            originalContent: file.content,
+            content: file.content
+          }, parent ? {
+            parent: parent
+          } : {}), innerScope !== void 0 ? {
+            innerScope: innerScope
+          } : {}), {}, {
+            // the inserting (or wrapping) tag's scope is one level out
+            outerScopes: parent ? [scopeFrame(parent, json)].concat(_toConsumableArray(parent.outerScopes)) : []
+          }); // don't do work if there are no tags in the file
+          if (!(topNode.originalContent.indexOf('<!--#') === -1)) {
+            _context.n = 2;
+            break;
+          }
+          _context.n = 1;
+          return topNode;
+        case 1:
+          return _context.a(2, _context.v);
+        case 2:
+          _context.n = 3;
+          return processNode(topNode, json);
+        case 3:
+          _context.n = 4;
+          return topNode;
+        case 4:
+          return _context.a(2, _context.v);
+      }
+    }, _callee);
+  }));
+  return function processFile(_x, _x2, _x3, _x4, _x5) {
+    return _ref.apply(this, arguments);
+  };
+}();
+
+//
+var processNode = /*#__PURE__*/function () {
+  var _ref2 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee2(node, json) {
+    var tokens;
+    return _regenerator().w(function (_context2) {
+      while (1) switch (_context2.n) {
+        case 0:
+          if (!(node.type === 'textContent')) {
+            _context2.n = 1;
+            break;
+          }
+          return _context2.a(2, node);
+        case 1:
+          // the contents of a node may contain more nested nodes
+          // break these up into an array of mixed text and tag tokens
+          tokens = (0,_lexer_mjs__WEBPACK_IMPORTED_MODULE_0__.tokenize)(node.content, {
+            file: node.file.path,
+            line: node.line,
+            // the content of a tag starts after its leading '<' (see buildNodes)
+            column: node.type === 'topNode' ? node.column : node.column + 1,
+            warn: function warn(code, message, _ref3) {
+              var line = _ref3.line,
+                column = _ref3.column,
+                snippet = _ref3.snippet;
+              return _warn(_objectSpread(_objectSpread({}, node), {}, {
+                line: line,
+                column: column,
+                originalContent: snippet
+              }), code, message);
+            },
+            error: function error(code, message, _ref4) {
+              var line = _ref4.line,
+                column = _ref4.column,
+                snippet = _ref4.snippet;
+              return reportProblem(_objectSpread(_objectSpread({}, node), {}, {
+                line: line,
+                column: column,
+                originalContent: snippet
+              }), code, message);
+            },
+            // tags inside a tag are part of its attributes
+            htmlState: node.type === 'topNode' ? 'text' : 'includer'
+          }); // convert array of tokens to nodes
+          node.nestedNodes = _buildNodes(node, tokens, json);
+          _context2.n = 2;
+          return resolveNode(node, json);
+        case 2:
+          node = _context2.v;
+          return _context2.a(2, node);
+      }
+    }, _callee2);
+  }));
+  return function processNode(_x6, _x7) {
+    return _ref2.apply(this, arguments);
+  };
+}();
+
+// tags that have children, and the tag that closes them
+var blockCloseTags = {
+  wrap: '<!--#endwrap',
+  fill: '<!--#endfill',
+  block: '<!--#endblock',
+  each: '<!--#endeach',
+  "if": '<!--#endif',
+  insert: '<!--#endinsert' // only when one follows it (see findBlockInserts)
+};
+
+// the type of block a close tag belongs to (if it is one)
+var findCloseType = function findCloseType(content) {
+  return Object.keys(blockCloseTags).find(function (t) {
+    return startsWithPattern(blockCloseTags[t], content);
+  });
+};
+
+// the file an #insert inserts, if its path can be found before it is resolved
+var findInsertFile = function findInsertFile(node) {
+  var config = node.config,
+    content = node.content;
+  var attr = config.filePathAttribute;
+  var path = hasTagAttribute(attr, content) ? getTagAttribute(attr, content) : getPatternValue(config.insertPattern.slice(1), content);
+  return path && path.indexOf('<!--#') === -1 ? config.insertFiles[buildPathFromRelativePath(node.file.path, path)] : void 0;
+};
+var takesBody = function takesBody(file) {
+  return !!file && /<!--#(middle|slot)(\s|-->)/.test(file.content);
+};
+
+// a file that can't be found yet (a missing file, or a path made from data)
+// may take a body
+var mayTakeBody = function mayTakeBody(file) {
+  return !file || takesBody(file);
+};
+
+// the #insert tokens in tokens that have a body. each #endinsert closes one:
+// the innermost open #insert that may take a body (its file has a #middle or
+// #slot tag, or isn't known until it is processed), or the innermost open
+// #insert when none of them may (so its body is dropped rather than printed,
+// see insert). an #insert that isn't closed has no body
+var findBlockInserts = function findBlockInserts(tokens, node) {
+  var blocks = new Set();
+  var open = [];
+  var _iterator = _createForOfIteratorHelper(tokens),
+    _step;
+  try {
+    for (_iterator.s(); !(_step = _iterator.n()).done;) {
+      var token = _step.value;
+      if (token.type !== 'tag') continue;
+      var closeType = findCloseType(token.value);
+      if (!closeType) {
+        var type = findNodeType(token.value, node.config);
+        if (type === 'insert') open.push({
+          type: type,
+          token: token,
+          body: mayTakeBody(findInsertFile(_objectSpread(_objectSpread({}, node), {}, {
+            content: token.value.slice(1)
+          })))
+        });else if (blockCloseTags[type]) open.push({
+          type: type
+        });
+        continue;
+      }
+
+      // the blocks opened after the one this closes were never closed
+      var closed = closeType === 'insert' ? findClosedInsert(open) : findLastOpen(open, closeType);
+      if (closed === -1) continue;
+      if (closeType === 'insert') blocks.add(open[closed].token);
+      open.length = closed;
+    }
+  } catch (err) {
+    _iterator.e(err);
+  } finally {
+    _iterator.f();
+  }
+  return blocks;
+};
+
+// the index of the innermost open block of type, or -1
+var findLastOpen = function findLastOpen(open, type) {
+  for (var i = open.length - 1; i >= 0; i--) if (open[i].type === type) return i;
+  return -1;
+};
+
+// the index of the open #insert an #endinsert closes, or -1. it is one of the
+// innermost #insert tags with no other block opened between them
+var findClosedInsert = function findClosedInsert(open) {
+  for (var end = open.length - 1; end >= 0; end--) {
+    if (open[end].type !== 'insert') continue;
+    var start = end;
+    while (start > 0 && open[start - 1].type === 'insert') start--;
+    for (var i = end; i >= start; i--) if (open[i].body) return i;
+    return end;
+  }
+  return -1;
+};
+
+// @openBlocks = the block nodes enclosing parent, innermost last
+// @blockInserts = the #insert tokens with a body (see findBlockInserts)
+var _buildNodes = function buildNodes(parent, tokens, json, closeTag) {
+  var openBlocks = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : [];
+  var blockInserts = arguments.length > 5 && arguments[5] !== undefined ? arguments[5] : findBlockInserts(tokens, parent);
+  var nodes = [];
+  var _loop = function _loop() {
+      var token = tokens.shift();
+      var content = token.value;
+      var closeType = token.type === 'tag' ? findCloseType(content) : void 0;
+      if (closeType) {
+        // if we find the close tag, then we are done with our search
+        if (closeTag && closeType === parent.type) return {
+          v: nodes
+        };
+
+        // this closes a block further out, so this block was never closed.
+        // leave the tag for that block to find
+        if (openBlocks.some(function (b) {
+          return b.type === closeType;
+        })) {
+          tokens.unshift(token);
+          return 0; // break
+        }
+        _warn(_objectSpread(_objectSpread({}, parent), {}, {
+          line: token.line,
+          column: token.column,
+          originalContent: content
+        }), 'unopened-close-tag', "'".concat(blockCloseTags[closeType], " -->' tag has no opening '<!--#").concat(closeType, "' tag"));
+        return 1; // continue
+      }
+
+      // lookup type of the tag
+      var type = token.type === 'tag' ? findNodeType(content, parent.config) : 'textContent';
+      var node = _objectSpread(_objectSpread({}, getDefaultNode()), {}, {
+        type: type,
+        parent: parent,
+        file: parent.file,
+        config: parent.config,
+        line: token.line,
+        column: token.column,
+        context: token.context || 'text',
+        innerScope: parent.innerScope,
+        loop: parent.loop,
+        variables: parent.variables,
+        outerScopes: parent.outerScopes,
+        originalContent: content,
+        content: content
+      });
+
+      // if this is a text node, we're set
+      if (type === 'textContent') {
+        nodes.push(node);
+        return 1; // continue
+      }
+
+      // remove leading character ('<') so the inner contents can be parsed properly
+      node.content = node.originalContent.slice(1);
+
+      // the contents inside a node can be treated like new little documents
+
+      // if this is a node that has children build them up, removing them
+      // from the split up array
+      // each block tracks the blocks around it, so a close tag matches the
+      // innermost open block of its type
+      var isBlock = type === 'insert' ? blockInserts.has(token) : !!blockCloseTags[type];
+      node.children = isBlock ? _buildNodes(node, tokens, json, blockCloseTags[type], closeTag ? [].concat(_toConsumableArray(openBlocks), [parent]) : openBlocks, blockInserts) : [];
+      nodes.push(node);
+    },
+    _ret;
+  while (tokens.length > 0) {
+    _ret = _loop();
+    if (_ret === 0) break;
+    if (_ret === 1) continue;
+    if (_ret) return _ret.v;
+  }
+
+  // We should never get here while looking for a closing tag
+  if (closeTag) reportProblem(parent, 'missing-close-tag', "there is a missing '".concat(closeTag, " -->' tag"));
+  return nodes;
+};
+
+//
+var resolveNode = /*#__PURE__*/function () {
+  var _ref5 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee3(node, json) {
+    var extendsNode, processor;
+    return _regenerator().w(function (_context3) {
+      while (1) switch (_context3.n) {
+        case 0:
+          // a file that extends another is only its blocks, which the file it extends
+          // places (see extends)
+          extendsNode = node.type === 'topNode' ? node.nestedNodes.find(function (n) {
+            return n.type === 'extends';
+          }) : void 0;
+          if (!extendsNode) {
+            _context3.n = 2;
+            break;
+          }
+          _context3.n = 1;
+          return processNode(extendsNode, json);
+        case 1:
+          node.content = extendsNode.content;
+          return _context3.a(2, node);
+        case 2:
+          if (!(node.nestedNodes.length > 0)) {
+            _context3.n = 4;
+            break;
+          }
+          _context3.n = 3;
+          return processNodes(node.nestedNodes, json);
+        case 3:
+          node.nestedNodes = _context3.v;
+          node.content = joinContent(node.nestedNodes);
+        case 4:
+          // process node so that content is resolved
+          processor = nodeProcessors[node.type]; // There is a problem if we found no processor
+          if (processor) {
+            _context3.n = 5;
+            break;
+          }
+          _warn(node, 'unknown-tag', "there is no processor for type '".concat(node.type, "'"));
+          return _context3.a(2, node);
+        case 5:
+          _context3.n = 6;
+          return loadNodeAttributes(node, json);
+        case 6:
+          node.attributes = _context3.v;
+          _context3.n = 7;
+          return processor(node, json);
+        case 7:
+          return _context3.a(2, _context3.v);
+      }
+    }, _callee3);
+  }));
+  return function resolveNode(_x8, _x9) {
+    return _ref5.apply(this, arguments);
+  };
+}();
+
+// loads values for tags into node object
+var loadNodeAttributes = /*#__PURE__*/function () {
+  var _ref6 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee5(node, json) {
+    var config, attrs, attributes, path;
+    return _regenerator().w(function (_context5) {
+      while (1) switch (_context5.n) {
+        case 0:
+          config = node.config;
+          attrs = nodeAttributes[node.type] || [];
+          _context5.n = 1;
+          return attrs.reduce(/*#__PURE__*/function () {
+            var _ref7 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee4(acc, attr) {
+              var tagAttr, value, _t;
+              return _regenerator().w(function (_context4) {
+                while (1) switch (_context4.n) {
+                  case 0:
+                    _context4.n = 1;
+                    return acc;
+                  case 1:
+                    acc = _context4.v;
+                    tagAttr = tagAttributeName(attr, config);
+                    if (!hasTagAttribute(tagAttr, node.content)) {
+                      _context4.n = 5;
+                      break;
+                    }
+                    value = getTagAttribute(tagAttr, node.content);
+                    if (!(attr === 'rawJson')) {
+                      _context4.n = 3;
+                      break;
+                    }
+                    _context4.n = 2;
+                    return processRawJson(value, json, node);
+                  case 2:
+                    _t = _context4.v;
+                    _context4.n = 4;
+                    break;
+                  case 3:
+                    _t = value;
+                  case 4:
+                    acc[attr] = _t;
+                  case 5:
+                    return _context4.a(2, acc);
+                }
+              }, _callee4);
+            }));
+            return function (_x10, _x11) {
+              return _ref7.apply(this, arguments);
+            };
+          }(), {});
+        case 1:
+          attributes = _context5.v;
+          // an insertPattern like 'include virtual' ends in the attribute holding the path
+          if (node.type === 'insert' && !attributes.path) {
+            path = getPatternValue(config.insertPattern.slice(1), node.content);
+            if (path !== void 0) attributes.path = path;
+          }
+          return _context5.a(2, attributes);
+      }
+    }, _callee5);
+  }));
+  return function loadNodeAttributes(_x0, _x1) {
+    return _ref6.apply(this, arguments);
+  };
+}();
+
+// the attribute names used by the processors may be renamed in the tags
+var tagAttributeName = function tagAttributeName(attr, config) {
+  return attr === 'path' ? config.filePathAttribute : attr === 'jsonPath' ? config.jsonPathAttribute : attr;
+};
+
+// the text that opens each type of tag (insert can be configured for ssi)
+var getTagPatterns = function getTagPatterns(config) {
+  return {
+    insert: config.insertPattern,
+    data: '<!--#data',
+    rawData: '<!--#rawData',
+    jsonInsert: '<!--#jsonInsert',
+    wrap: '<!--#wrap',
+    middle: '<!--#middle',
+    slot: '<!--#slot',
+    fill: '<!--#fill',
+    "extends": '<!--#extends',
+    props: '<!--#props',
+    set: '<!--#set',
+    block: '<!--#block',
+    parent: '<!--#parent',
+    each: '<!--#each',
+    "if": '<!--#if',
+    elseif: '<!--#elseif',
+    "else": '<!--#else'
+  };
+};
+
+// does content open with the pattern? (so '<!--#if' doesn't match '<!--#ifx')
+var startsWithPattern = function startsWithPattern(pattern, content) {
+  return content.indexOf(pattern) === 0 && /^(\s|=|-->|$)/.test(content.slice(pattern.length));
+};
+
+// check for tag and return node type
+var findNodeType = function findNodeType(content, config) {
+  var patterns = getTagPatterns(config);
+  var type = Object.keys(patterns).find(function (t) {
+    return startsWithPattern(patterns[t], content);
+  });
+  return type || 'textContent';
+};
+
+// get the value directly following a pattern (pattern="value")
+var getPatternValue = function getPatternValue(pattern, content) {
+  return content.indexOf(pattern + '="') === 0 ? content.slice(pattern.length + 2, content.indexOf('"', pattern.length + 2)) : void 0;
+};
+
+// copy a node and the nodes below it so a block can be rendered more than once
+// (processing a node overwrites its content). A new innerScope, loop,
+// variables or outerScopes is passed down to every node in the block
+var _cloneNode = function cloneNode(node) {
+  var overrides = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+  var clone = _objectSpread(_objectSpread(_objectSpread({}, node), overrides), {}, {
+    nestedNodes: []
+  });
+  var scope = ['innerScope', 'loop', 'variables', 'outerScopes'].reduce(function (acc, key) {
+    return key in overrides ? _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, key, overrides[key])) : acc;
+  }, {});
+  clone.children = node.children.map(function (c) {
+    return _cloneNode(c, _objectSpread(_objectSpread({}, scope), {}, {
+      parent: clone
+    }));
+  });
+  return clone;
+};
+
+// the files that have been inserted or wrapped to reach node, from the page
+// in, with the scope each was given
+var includeChain = function includeChain(node) {
+  var chain = [];
+  for (var n = node; n && n.type; n = n.parent) if (n.type === 'topNode') chain.unshift({
+    path: n.file.path,
+    innerScope: n.innerScope
+  });
+  return chain;
+};
+
+// sorts the keys of plain objects, so json for the same data is the same
+var sortKeys = function sortKeys(key, value) {
+  return value && _typeof(value) === 'object' && !Array.isArray(value) ? Object.keys(value).sort().reduce(function (acc, k) {
+    return _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, k, value[k]));
+  }, {}) : value;
+};
+
+// what to compare the data a file is included with by. props and rawJson give
+// a new object every time, so it's json (or the data itself if it can't be)
+var scopeKeys = new WeakMap();
+var scopeKey = function scopeKey(value) {
+  if (value === null || value === void 0) return 'null';
+  if (_typeof(value) !== 'object') return JSON.stringify(value);
+  if (!scopeKeys.has(value)) {
+    try {
+      scopeKeys.set(value, JSON.stringify(value, sortKeys));
+    } catch (e) {
+      scopeKeys.set(value, value);
+    }
+  }
+  return scopeKeys.get(value);
+};
+
+// can node insert (or wrap) filename, with innerScope, without looping forever?
+// a file can include itself with different data (a tree of comments, say),
+// but including it again with the same data would never end
+var canInclude = function canInclude(node, filename, innerScope) {
+  var chain = includeChain(node);
+  var paths = [].concat(_toConsumableArray(chain.map(function (c) {
+    return c.path;
+  })), [filename]).join(' -> ');
+  var key = scopeKey(innerScope);
+  if (chain.some(function (c) {
+    return c.path === filename && scopeKey(c.innerScope) === key;
+  })) {
+    reportError(node, 'include-cycle', "".concat(node.type, " cycle: ").concat(paths));
+    return false;
+  }
+  if (chain.length > node.config.maxIncludeDepth) {
+    reportError(node, 'include-depth', "".concat(node.type, " files are nested more than ").concat(node.config.maxIncludeDepth, " deep: ").concat(paths));
+    return false;
+  }
+  return true;
+};
+
+// the tags that pass a body to the file they bring in
+var takesBodyTag = function takesBodyTag(node) {
+  return node.type === 'wrap' || node.type === 'insert';
+};
+
+// the #wrap or #insert whose body node is in (in the same file), for #fill
+var findFilling = function findFilling(node) {
+  for (var n = node.parent; n && n.type && n.type !== 'topNode'; n = n.parent) if (takesBodyTag(n)) return n;
+  return void 0;
+};
+
+// the #insert, #wrap or #extends tag that brought in node's file (if any)
+var findIncludingTag = function findIncludingTag(node) {
+  var n = node;
+  while (n.parent && n.type !== 'topNode') n = n.parent;
+  return n.parent && n.parent.type ? n.parent : void 0;
+};
+
+// the #wrap or #insert tag whose body node's file gets, for #middle and #slot
+var findWrapping = function findWrapping(node) {
+  var tag = findIncludingTag(node);
+  return tag && takesBodyTag(tag) ? tag : void 0;
+};
+
+// process the body of a #wrap or #insert before its file is brought in, so
+// #middle and #slot can place it. returns the nodes of the body
+var processBody = /*#__PURE__*/function () {
+  var _ref8 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee6(node, json) {
+    var children;
+    return _regenerator().w(function (_context6) {
+      while (1) switch (_context6.n) {
+        case 0:
+          // the #fill blocks in the body, by slot name (see fill and slot)
+          node.fills = {};
+          node.usedSlots = new Set();
+          _context6.n = 1;
+          return processNodes(node.children.map(function (child) {
+            return _cloneNode(child);
+          }), json);
+        case 1:
+          children = _context6.v;
+          node.content = joinContent(children);
+          return _context6.a(2, children);
+      }
+    }, _callee6);
+  }));
+  return function processBody(_x12, _x13) {
+    return _ref8.apply(this, arguments);
+  };
+}();
+
+// warn about #fill blocks with no #slot for them in filename
+var warnUnusedFills = function warnUnusedFills(node, filename) {
+  return Object.keys(node.fills).filter(function (name) {
+    return !node.usedSlots.has(name);
+  }).forEach(function (name) {
+    return _warn(node, 'unused-fill', "".concat(node.type, " file '").concat(filename, "' has no slot named '").concat(name, "'"));
+  });
+};
+
+// the blocks that override those in node's file, by name. each is a list of
+// the blocks with that name in the files extending it, the furthest first
+var findOverrides = function findOverrides(node) {
+  var tag = findIncludingTag(node);
+  return tag && tag.type === 'extends' ? tag.blocks : {};
+};
+
+// the block being rendered that node is in, for #parent
+var findBlock = function findBlock(node) {
+  for (var n = node.parent; n && n.type && n.type !== 'topNode'; n = n.parent) if (n.type === 'block' && n.parentBlocks) return n;
+  return void 0;
+};
+
+// render the first of a list of blocks with the same name. a #parent tag in it
+// renders the rest of the list
+var renderBlock = /*#__PURE__*/function () {
+  var _ref0 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee7(_ref9, json) {
+    var _ref1, block, parentBlocks, clone, children;
+    return _regenerator().w(function (_context7) {
+      while (1) switch (_context7.n) {
+        case 0:
+          _ref1 = _toArray(_ref9), block = _ref1[0], parentBlocks = _arrayLikeToArray(_ref1).slice(1);
+          clone = _cloneNode(block, {
+            parentBlocks: parentBlocks
+          });
+          _context7.n = 1;
+          return processNodes(clone.children.map(function (child) {
+            return _cloneNode(child);
+          }), json);
+        case 1:
+          children = _context7.v;
+          return _context7.a(2, joinContent(children));
+      }
+    }, _callee7);
+  }));
+  return function renderBlock(_x14, _x15) {
+    return _ref0.apply(this, arguments);
+  };
+}();
+
+// in the order they are in the file
+var sortByPosition = function sortByPosition(list) {
+  return _toConsumableArray(list).sort(function (a, b) {
+    return a.line - b.line || a.column - b.column;
+  });
+};
+
+// the attributes of an #insert that aren't its own, which are props of the
+// inserted file (the attribute ending an insertPattern like 'include virtual'
+// is its own)
+var getProps = function getProps(node) {
+  var config = node.config;
+  var own = [config.filePathAttribute, config.jsonPathAttribute, 'rawJson'].concat(_toConsumableArray(config.insertPattern.split(/\s+/).slice(1)));
+  var attributes = getTagAttributes(node.content);
+  return Object.keys(attributes).filter(function (name) {
+    return !own.includes(name);
+  }).reduce(function (acc, name) {
+    return _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, name, attributes[name]));
+  }, {});
+};
+
+// the props each insert file declares in its #props tag (if it has one)
+var propDeclarations = new WeakMap();
+var findPropDeclarations = function findPropDeclarations(file) {
+  if (!propDeclarations.has(file)) {
+    var tag = (0,_lexer_mjs__WEBPACK_IMPORTED_MODULE_0__.tokenize)(file.content).find(function (token) {
+      return token.type === 'tag' && startsWithPattern('<!--#props', token.value);
+    });
+    // problems with the declarations are reported by the #props tag
+    propDeclarations.set(file, tag ? (0,_props_mjs__WEBPACK_IMPORTED_MODULE_7__.parsePropDeclarations)(getTagAttributes(tag.value)) : void 0);
+  }
+  return propDeclarations.get(file);
+};
+
+// the scope of an inserted file: the scope from jsonPath or rawJson, with the
+// props of the #insert added, and checked against the props file declares
+var applyProps = function applyProps(node, file, scope) {
+  var props = getProps(node);
+  var attributes = Object.keys(props);
+  var declarations = findPropDeclarations(file);
+  if (attributes.length === 0 && !declarations) return scope;
+  if (scope !== void 0 && !isPlainObject(scope)) {
+    _warn(node, 'props-scope', "props can't be added to a scope that isn't an object");
+    return scope;
+  }
+  var values = _objectSpread(_objectSpread({}, scope), props);
+  return declarations ? (0,_props_mjs__WEBPACK_IMPORTED_MODULE_7__.checkProps)(values, declarations, attributes, function (code, message) {
+    return (code === 'unknown-prop' ? _warn : reportProblem)(node, code, message);
+  }) : values;
+};
+
+// process a list of sibling nodes. each #set is resolved before the nodes
+// after it, which (with the nodes inside them) can read its variable
+var processNodes = /*#__PURE__*/function () {
+  var _ref10 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee8(nodes, json) {
+    var processed, variables, _iterator2, _step2, sibling, node, _t2;
+    return _regenerator().w(function (_context8) {
+      while (1) switch (_context8.p = _context8.n) {
+        case 0:
+          processed = [];
+          _iterator2 = _createForOfIteratorHelper(nodes);
+          _context8.p = 1;
+          _iterator2.s();
+        case 2:
+          if ((_step2 = _iterator2.n()).done) {
+            _context8.n = 6;
+            break;
+          }
+          sibling = _step2.value;
+          node = variables ? _cloneNode(sibling, {
+            variables: variables
+          }) : sibling;
+          if (!(node.type !== 'set')) {
+            _context8.n = 3;
+            break;
+          }
+          processed.push(processNode(node, json));
+          return _context8.a(3, 5);
+        case 3:
+          _context8.n = 4;
+          return processNode(node, json);
+        case 4:
+          if (node.variable) variables = _objectSpread(_objectSpread({}, node.variables), {}, _defineProperty({}, node.variable.name, node.variable.value));
+          processed.push(node);
+        case 5:
+          _context8.n = 2;
+          break;
+        case 6:
+          _context8.n = 8;
+          break;
+        case 7:
+          _context8.p = 7;
+          _t2 = _context8.v;
+          _iterator2.e(_t2);
+        case 8:
+          _context8.p = 8;
+          _iterator2.f();
+          return _context8.f(8);
+        case 9:
+          return _context8.a(2, Promise.all(processed));
+      }
+    }, _callee8, null, [[1, 7, 8, 9]]);
+  }));
+  return function processNodes(_x16, _x17) {
+    return _ref10.apply(this, arguments);
+  };
+}();
+
+// does a jsonPath start with a variable bound by #set?
+var isVariablePath = function isVariablePath(jsonPath, node) {
+  if (/^this($|[.[])/.test(jsonPath)) return false;
+  try {
+    var _parseJsonPath = (0,_json_path_mjs__WEBPACK_IMPORTED_MODULE_2__.parseJsonPath)(jsonPath),
+      _parseJsonPath2 = _slicedToArray(_parseJsonPath, 1),
+      root = _parseJsonPath2[0];
+    return !!root && 'key' in root && Object.prototype.hasOwnProperty.call(node.variables || {}, root.key);
+  } catch (e) {
+    return false;
+  }
+};
+
+// the variables that aren't hidden by data with the same name. the data of an
+// #each wins over the variables set outside of it (a #set inside it wins over
+// the data, and an inserted file has its own variables)
+var hideVariables = function hideVariables(variables, data) {
+  var hidden = data !== null && _typeof(data) === 'object' ? Object.keys(variables).filter(function (name) {
+    return Object.prototype.hasOwnProperty.call(data, name);
+  }) : [];
+  return hidden.length === 0 ? variables : Object.keys(variables).reduce(function (acc, name) {
+    return hidden.includes(name) ? acc : _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, name, variables[name]));
+  }, {});
+};
+
+// names a variable can have (not 'this', and not starting with '$' or '@' like
+// '$root' and '@index')
+var isVariableName = function isVariableName(name) {
+  return /^[A-Za-z_][\w-]*$/.test(name) && name !== 'this';
+};
+
+//
+var joinContent = function joinContent(nodeList) {
+  return nodeList.map(function (c) {
+    return c.content;
+  }).join('');
+};
+
+// the functions that processes each node
+// these assume that they have all their nested nodes resolved and attributes loaded
+var nodeProcessors = {
+  //
+  topNode: function topNode(node, json) {
+    node.content = joinContent(node.nestedNodes);
+    return node;
+  },
+  //
+  textContent: function textContent(node, json) {
+    _warn(node, 'internal', 'Why are we processing a textContent?');
+    return node;
+  },
+  //
+  insert: function () {
+    var _insert = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee9(node, json) {
+      var file, innerScope, config, insertFiles, _node$attributes, path, jsonPath, rawJson, filename, insertFile, newInnerScope, insertNode;
+      return _regenerator().w(function (_context9) {
+        while (1) switch (_context9.n) {
+          case 0:
+            file = node.file, innerScope = node.innerScope, config = node.config;
+            insertFiles = config.insertFiles;
+            _node$attributes = node.attributes, path = _node$attributes.path, jsonPath = _node$attributes.jsonPath, rawJson = _node$attributes.rawJson;
+            if (path) {
+              _context9.n = 1;
+              break;
+            }
+            _warn(node, 'missing-path', 'insert tag with no path attribute');
+            node.content = '';
+            return _context9.a(2, node);
+          case 1:
+            // get filename for inserted file
+            filename = buildPathFromRelativePath(file.path, path); // see if file we are loading exists
+            if (insertFiles[filename]) {
+              _context9.n = 2;
+              break;
+            }
+            reportProblem(node, 'missing-file', "insert file '".concat(filename, "' does not exist"));
+            node.content = '';
+            return _context9.a(2, node);
+          case 2:
+            // load contents from file
+            insertFile = _objectSpread({}, insertFiles[filename]); // set scope for inserted file, with the props from the other attributes
+            newInnerScope = applyProps(node, insertFiles[filename], jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json) : rawJson ? rawJson : void 0);
+            if (canInclude(node, filename, newInnerScope)) {
+              _context9.n = 3;
+              break;
+            }
+            node.content = '';
+            return _context9.a(2, node);
+          case 3:
+            // a file with no #middle or #slot tag has nowhere to put a body
+            if (node.children.length > 0 && !takesBody(insertFile)) {
+              _warn(node, 'unused-body', "insert file '".concat(filename, "' has no middle or slot tag for the body"));
+              node.children = [];
+            }
+
+            // the body of a block insert is processed before we bring in the file
+            _context9.n = 4;
+            return processBody(node, json);
+          case 4:
+            node.children = _context9.v;
+            _context9.n = 5;
+            return processFile(insertFile, json, config, node, newInnerScope);
+          case 5:
+            insertNode = _context9.v;
+            warnUnusedFills(node, filename);
+
+            // process contents to get children
+            node.content = insertNode.content;
+            return _context9.a(2, node);
+        }
+      }, _callee9);
+    }));
+    function insert(_x18, _x19) {
+      return _insert.apply(this, arguments);
+    }
+    return insert;
+  }(),
+  //
+  wrap: function () {
+    var _wrap = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee0(node, json) {
+      var file, innerScope, config, wrapFiles, _node$attributes2, path, jsonPath, rawJson, filename, newInnerScope, wrapFile, wrapNode;
+      return _regenerator().w(function (_context0) {
+        while (1) switch (_context0.n) {
+          case 0:
+            file = node.file, innerScope = node.innerScope, config = node.config;
+            wrapFiles = config.wrapFiles;
+            _node$attributes2 = node.attributes, path = _node$attributes2.path, jsonPath = _node$attributes2.jsonPath, rawJson = _node$attributes2.rawJson;
+            if (path) {
+              _context0.n = 1;
+              break;
+            }
+            _warn(node, 'missing-path', 'wrap tag with no path attribute');
+            node.content = '';
+            return _context0.a(2, node);
+          case 1:
+            // get filename for inserted file
+            filename = buildPathFromRelativePath(file.path, path); // see if file we are loading exists
+            if (wrapFiles[filename]) {
+              _context0.n = 2;
+              break;
+            }
+            reportProblem(node, 'missing-file', "wrap file '".concat(filename, "' does not exist"));
+            node.content = '';
+            return _context0.a(2, node);
+          case 2:
+            // set scope for wrapping file
+            newInnerScope = jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json) : rawJson ? rawJson : void 0;
+            if (canInclude(node, filename, newInnerScope)) {
+              _context0.n = 3;
+              break;
+            }
+            node.content = '';
+            return _context0.a(2, node);
+          case 3:
+            _context0.n = 4;
+            return processBody(node, json);
+          case 4:
+            node.children = _context0.v;
+            // load contents from file
+            wrapFile = _objectSpread({}, wrapFiles[filename]);
+            _context0.n = 5;
+            return processFile(wrapFile, json, config, node, newInnerScope);
+          case 5:
+            wrapNode = _context0.v;
+            warnUnusedFills(node, filename);
+
+            // process contents to get children
+            node.content = wrapNode.content;
+            return _context0.a(2, node);
+        }
+      }, _callee0);
+    }));
+    function wrap(_x20, _x21) {
+      return _wrap.apply(this, arguments);
+    }
+    return wrap;
+  }(),
+  //
+  middle: function middle(node, json) {
+    var wrap = findWrapping(node);
+    node.content = wrap ? wrap.content : '';
+    return node;
+  },
+  // the content of the #fill blocks for this slot, or its default
+  slot: function slot(node, json) {
+    var name = node.attributes.name;
+    var wrap = findWrapping(node);
+    if (!name) {
+      _warn(node, 'missing-name', 'slot tag with no name attribute');
+      node.content = '';
+      return node;
+    }
+    var fills = wrap && wrap.fills[name] || [];
+    if (wrap) wrap.usedSlots.add(name);
+    node.content = fills.length > 0 ? sortByPosition(fills).map(function (fill) {
+      return fill.content;
+    }).join('') : node.attributes["default"] || '';
+    return node;
+  },
+  // the props an inserted file takes (see props.mjs). these are read when the
+  // file is inserted, so here only problems with them are reported
+  props: function props(node, json) {
+    (0,_props_mjs__WEBPACK_IMPORTED_MODULE_7__.parsePropDeclarations)(getTagAttributes(node.content), function (name, e) {
+      return _warn(node, 'bad-props', "prop '".concat(name, "': ").concat(e.message));
+    });
+    node.content = '';
+    return node;
+  },
+  // the file this file extends, with the blocks in this file (and the files
+  // extending it) in place of its blocks with the same names
+  "extends": function () {
+    var _extends2 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee1(node, json) {
+      var file, innerScope, config, wrapFiles, _node$attributes3, path, jsonPath, rawJson, filename, newInnerScope, siblings, extendedNode;
+      return _regenerator().w(function (_context1) {
+        while (1) switch (_context1.n) {
+          case 0:
+            file = node.file, innerScope = node.innerScope, config = node.config;
+            wrapFiles = config.wrapFiles;
+            _node$attributes3 = node.attributes, path = _node$attributes3.path, jsonPath = _node$attributes3.jsonPath, rawJson = _node$attributes3.rawJson;
+            if (path) {
+              _context1.n = 1;
+              break;
+            }
+            _warn(node, 'missing-path', 'extends tag with no path attribute');
+            node.content = '';
+            return _context1.a(2, node);
+          case 1:
+            // get filename for extended file
+            filename = buildPathFromRelativePath(file.path, path); // see if file we are loading exists
+            if (wrapFiles[filename]) {
+              _context1.n = 2;
+              break;
+            }
+            reportProblem(node, 'missing-file', "extends file '".concat(filename, "' does not exist"));
+            node.content = '';
+            return _context1.a(2, node);
+          case 2:
+            // set scope for extended file
+            newInnerScope = jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json) : rawJson ? rawJson : void 0;
+            if (canInclude(node, filename, newInnerScope)) {
+              _context1.n = 3;
+              break;
+            }
+            node.content = '';
+            return _context1.a(2, node);
+          case 3:
+            // only the blocks of this file are used
+            siblings = node.parent.nestedNodes;
+            siblings.filter(function (n) {
+              return n.type !== 'textContent' && n.type !== 'block' && n !== node;
+            }).forEach(function (n) {
+              return _warn(n, 'outside-block', "".concat(n.type, " tag outside of a block in a file that extends another is ignored"));
+            });
+
+            // blocks from further out come first, so they win over the ones in this file
+            node.blocks = siblings.filter(function (n) {
+              return n.type === 'block' && hasTagAttribute('name', n.content);
+            }).reduce(function (acc, block) {
+              var name = getTagAttribute('name', block.content);
+              return _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, name, [].concat(_toConsumableArray(acc[name] || []), [block])));
+            }, _objectSpread({}, findOverrides(node)));
+            _context1.n = 4;
+            return processFile(_objectSpread({}, wrapFiles[filename]), json, config, node, newInnerScope);
+          case 4:
+            extendedNode = _context1.v;
+            node.content = extendedNode.content;
+            return _context1.a(2, node);
+        }
+      }, _callee1);
+    }));
+    function _extends(_x22, _x23) {
+      return _extends2.apply(this, arguments);
+    }
+    return _extends;
+  }(),
+  // the block from the file furthest out that overrides it, or its own content
+  block: function () {
+    var _block = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee10(node, json) {
+      var name, overrides;
+      return _regenerator().w(function (_context10) {
+        while (1) switch (_context10.n) {
+          case 0:
+            name = node.attributes.name;
+            if (!name) _warn(node, 'missing-name', 'block tag with no name attribute');
+            overrides = name && findOverrides(node)[name] || [];
+            _context10.n = 1;
+            return renderBlock([].concat(_toConsumableArray(overrides), [node]), json);
+          case 1:
+            node.content = _context10.v;
+            return _context10.a(2, node);
+        }
+      }, _callee10);
+    }));
+    function block(_x24, _x25) {
+      return _block.apply(this, arguments);
+    }
+    return block;
+  }(),
+  // the content of the block this block overrides
+  parent: function () {
+    var _parent = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee11(node, json) {
+      var block, _t3;
+      return _regenerator().w(function (_context11) {
+        while (1) switch (_context11.n) {
+          case 0:
+            block = findBlock(node);
+            if (block) {
+              _context11.n = 1;
+              break;
+            }
+            _warn(node, 'stray-parent', 'parent tag is not inside a block');
+            node.content = '';
+            return _context11.a(2, node);
+          case 1:
+            if (!(block.parentBlocks.length > 0)) {
+              _context11.n = 3;
+              break;
+            }
+            _context11.n = 2;
+            return renderBlock(block.parentBlocks, json);
+          case 2:
+            _t3 = _context11.v;
+            _context11.n = 4;
+            break;
+          case 3:
+            _t3 = '';
+          case 4:
+            node.content = _t3;
+            return _context11.a(2, node);
+        }
+      }, _callee11);
+    }));
+    function parent(_x26, _x27) {
+      return _parent.apply(this, arguments);
+    }
+    return parent;
+  }(),
+  // renders nothing where it is, its content goes to the slot of the same name
+  // in the wrap file (fills with the same name are joined in order)
+  fill: function () {
+    var _fill = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee12(node, json) {
+      var name, wrap, children;
+      return _regenerator().w(function (_context12) {
+        while (1) switch (_context12.n) {
+          case 0:
+            name = node.attributes.name;
+            wrap = findFilling(node);
+            node.content = '';
+            if (name) {
+              _context12.n = 1;
+              break;
+            }
+            _warn(node, 'missing-name', 'fill tag with no name attribute');
+            return _context12.a(2, node);
+          case 1:
+            if (wrap) {
+              _context12.n = 2;
+              break;
+            }
+            _warn(node, 'stray-fill', "fill '".concat(name, "' is not inside a wrap or insert tag"));
+            return _context12.a(2, node);
+          case 2:
+            _context12.n = 3;
+            return processNodes(node.children.map(function (child) {
+              return _cloneNode(child);
+            }), json);
+          case 3:
+            children = _context12.v;
+            wrap.fills[name] = [].concat(_toConsumableArray(wrap.fills[name] || []), [{
+              line: node.line,
+              column: node.column,
+              content: joinContent(children)
+            }]);
+            return _context12.a(2, node);
+        }
+      }, _callee12);
+    }));
+    function fill(_x28, _x29) {
+      return _fill.apply(this, arguments);
+    }
+    return fill;
+  }(),
+  //
+  data: function data(node, json) {
+    var innerScope = node.innerScope;
+    var rawJson = node.attributes.rawJson;
+    var _getDataFilters = getDataFilters(node),
+      jsonPath = _getDataFilters.jsonPath,
+      filters = _getDataFilters.filters;
+    var defaultVal = node.attributes["default"];
+
+    // loop variables are numbers and booleans
+    if (jsonPath && isLoopVariable(stripOuterScopes(jsonPath))) {
+      var value = resolveNodePath(jsonPath, void 0, node, json);
+      node.content = renderData(node, value, defaultVal, filters);
+      return node;
+    }
+    var hasScope = !(innerScope === null || innerScope === void 0);
+    if (!jsonPath || !rawJson && !hasScope && defaultVal === void 0 && !isOuterPath(jsonPath) && !isVariablePath(jsonPath, node)) {
+      _warn(node, 'no-data', 'data tag with no data to look up');
+      node.content = '';
+      return node;
+    }
+    var values = rawJson || (hasScope ? innerScope : void 0);
+    var data = resolveNodePath(jsonPath, values, node, json, defaultVal === void 0);
+    node.content = renderData(node, data, defaultVal, filters);
+    return node;
+  },
+  // binds a variable for the tags after it in the same file or block, from a
+  // literal value or the data at a jsonPath (see processNodes)
+  set: function set(node, json) {
+    var innerScope = node.innerScope;
+    var _node$attributes4 = node.attributes,
+      name = _node$attributes4.name,
+      value = _node$attributes4.value,
+      rawJson = _node$attributes4.rawJson;
+    var _getDataFilters2 = getDataFilters(node),
+      jsonPath = _getDataFilters2.jsonPath,
+      filters = _getDataFilters2.filters;
+    var defaultVal = node.attributes["default"];
+    node.content = '';
+    if (!name) {
+      _warn(node, 'missing-name', 'set tag with no name attribute');
+      return node;
+    }
+    if (!isVariableName(name)) {
+      _warn(node, 'bad-variable', "'".concat(name, "' can't be the name of a variable"));
+      return node;
+    }
+    if (value === void 0 && !jsonPath && rawJson === void 0) {
+      _warn(node, 'no-data', "set tag for '".concat(name, "' with no value, jsonPath or rawJson attribute"));
+      return node;
+    }
+    var data = value !== void 0 ? value : jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json, defaultVal === void 0) : rawJson;
+    node.variable = {
+      name: name,
+      value: (data === void 0 || data === null) && defaultVal !== void 0 ? defaultVal : filterData(node, data, filters)
+    };
+    return node;
+  },
+  // data that is trusted html, so it isn't escaped
+  rawData: function rawData(node, json) {
+    return nodeProcessors.data(node, json);
+  },
+  //
+  jsonInsert: function jsonInsert(node, json) {
+    var _getDataFilters3 = getDataFilters(node),
+      jsonPath = _getDataFilters3.jsonPath,
+      filters = _getDataFilters3.filters;
+    var defaultVal = node.attributes["default"];
+    if (!jsonPath) {
+      node.content = '';
+      return node;
+    }
+    var data = lookupJsonPath(jsonPath, json, node, defaultVal === void 0);
+    node.content = renderData(node, data, defaultVal, filters);
+    return node;
+  },
+  //
+  each: function () {
+    var _each = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee13(node, json) {
+      var innerScope, _node$attributes5, count, jsonPath, rawJson, sortKeys, values, fromElsewhere, jsonData, keys, allData, items, data, length, tmpContent, _loop2, i;
+      return _regenerator().w(function (_context14) {
+        while (1) switch (_context14.n) {
+          case 0:
+            innerScope = node.innerScope;
+            _node$attributes5 = node.attributes, count = _node$attributes5.count, jsonPath = _node$attributes5.jsonPath, rawJson = _node$attributes5.rawJson, sortKeys = _node$attributes5.sortKeys;
+            if (!(!count && !jsonPath && !Array.isArray(rawJson) && !Array.isArray(innerScope))) {
+              _context14.n = 1;
+              break;
+            }
+            _warn(node, 'each-attributes', 'each tag with attribute problems: count, jsonPath and rawJson and innerScope are not arrays');
+            node.content = '';
+            return _context14.a(2, node);
+          case 1:
+            // determine what data we are using
+            // (an array is looped over itself, so its jsonPath isn't looked up unless
+            // it starts from an outer scope or a variable)
+            values = currentScope(rawJson, node.innerScope, json);
+            fromElsewhere = !!jsonPath && (isOuterPath(jsonPath) || isVariablePath(jsonPath, node));
+            jsonData = jsonPath && (fromElsewhere || !Array.isArray(values)) ? resolveNodePath(jsonPath, values, node, json) : void 0; // objects are looped over by key (in the order the keys were added, or sorted)
+            keys = isPlainObject(jsonData) ? sortObjectKeys(Object.keys(jsonData), sortKeys) : void 0; // prefer local data to data in passed in jsonObject
+            allData = Array.isArray(values) && !fromElsewhere ? values : Array.isArray(jsonData) ? jsonData : keys ? keys.map(function (key) {
+              return jsonData[key];
+            }) : void 0; // filter, sort and slice the data (keeping each value with its key)
+            items = allData ? shapeLoopItems(allData.map(function (value, i) {
+              return {
+                value: value,
+                key: keys && keys[i]
+              };
+            }), node, json) : void 0;
+            data = items && items.map(function (item) {
+              return item.value;
+            }); // if there is nothing to loop on, then content is empty
+            if (!(!data && !count)) {
+              _context14.n = 2;
+              break;
+            }
+            node.content = '';
+            return _context14.a(2, node);
+          case 2:
+            // number of times we will loop
+            length = data && count ? Math.min(Number(count), data.length) : data ? data.length : Number(count); // build up nodes and bind the correct data
+            tmpContent = [];
+            _loop2 = /*#__PURE__*/_regenerator().m(function _loop2(i) {
+              var loop, tmpChildren;
+              return _regenerator().w(function (_context13) {
+                while (1) switch (_context13.n) {
+                  case 0:
+                    loop = _objectSpread({
+                      '@index': i,
+                      '@number': i + 1,
+                      '@first': i === 0,
+                      '@last': i === length - 1,
+                      '@length': length
+                    }, keys ? {
+                      '@key': items[i].key
+                    } : {}); // clone children
+                    tmpChildren = node.children.map(function (c) {
+                      return _cloneNode(c, _objectSpread(_objectSpread({}, data ? {
+                        innerScope: data[i],
+                        variables: hideVariables(node.variables, data[i])
+                      } : {}), {}, {
+                        loop: loop,
+                        outerScopes: [scopeFrame(node, json)].concat(_toConsumableArray(node.outerScopes))
+                      }));
+                    }); // handle children content
+                    _context13.n = 1;
+                    return processNodes(tmpChildren, json);
+                  case 1:
+                    tmpChildren = _context13.v;
+                    tmpContent.push(joinContent(tmpChildren));
+                  case 2:
+                    return _context13.a(2);
+                }
+              }, _loop2);
+            });
+            i = 0;
+          case 3:
+            if (!(i < length)) {
+              _context14.n = 5;
+              break;
+            }
+            return _context14.d(_regeneratorValues(_loop2(i)), 4);
+          case 4:
+            i++;
+            _context14.n = 3;
+            break;
+          case 5:
+            node.content = tmpContent.join('');
+            return _context14.a(2, node);
+        }
+      }, _callee13);
+    }));
+    function each(_x30, _x31) {
+      return _each.apply(this, arguments);
+    }
+    return each;
+  }(),
+  //
+  "if": function () {
+    var _if2 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee14(node, json) {
+      var branches, branch, _iterator3, _step3, b, tag, _t4, _t5;
+      return _regenerator().w(function (_context15) {
+        while (1) switch (_context15.p = _context15.n) {
+          case 0:
+            // the if tag and each elseif/else tag inside it start a branch
+            branches = node.children.reduce(function (acc, child) {
+              if (child.type !== 'elseif' && child.type !== 'else') {
+                acc[acc.length - 1].children.push(child);
+                return acc;
+              }
+              if (acc[acc.length - 1].tag.type === 'else') _warn(child, 'unreachable-branch', "".concat(child.type, " tag after an else tag will never be used"));
+              acc.push({
+                tag: child,
+                children: []
+              });
+              return acc;
+            }, [{
+              tag: node,
+              children: []
+            }]); // render the first branch whose test passes
+            _iterator3 = _createForOfIteratorHelper(branches);
+            _context15.p = 1;
+            _iterator3.s();
+          case 2:
+            if ((_step3 = _iterator3.n()).done) {
+              _context15.n = 7;
+              break;
+            }
+            b = _step3.value;
+            if (!(b.tag === node)) {
+              _context15.n = 3;
+              break;
+            }
+            _t4 = node;
+            _context15.n = 5;
+            break;
+          case 3:
+            _context15.n = 4;
+            return processNode(_cloneNode(b.tag, {
+              innerScope: node.innerScope
+            }), json);
+          case 4:
+            _t4 = _context15.v;
+          case 5:
+            tag = _t4;
+            if (!(tag.type === 'else' || testCondition(tag, json))) {
+              _context15.n = 6;
+              break;
+            }
+            branch = b;
+            return _context15.a(3, 7);
+          case 6:
+            _context15.n = 2;
+            break;
+          case 7:
+            _context15.n = 9;
+            break;
+          case 8:
+            _context15.p = 8;
+            _t5 = _context15.v;
+            _iterator3.e(_t5);
+          case 9:
+            _context15.p = 9;
+            _iterator3.f();
+            return _context15.f(9);
+          case 10:
+            if (branch) {
+              _context15.n = 11;
+              break;
+            }
+            node.content = '';
+            return _context15.a(2, node);
+          case 11:
+            _context15.n = 12;
+            return processNodes(branch.children.map(function (childNode) {
+              return _cloneNode(childNode, {
+                innerScope: node.innerScope
+              });
+            }), json);
+          case 12:
+            node.children = _context15.v;
+            node.content = joinContent(node.children);
+            return _context15.a(2, node);
+        }
+      }, _callee14, null, [[1, 8, 9, 10]]);
+    }));
+    function _if(_x32, _x33) {
+      return _if2.apply(this, arguments);
+    }
+    return _if;
+  }(),
+  // elseif and else only mark where a branch of an if starts (see if)
+  elseif: function elseif(node, json) {
+    if (node.parent.type !== 'if') _warn(node, 'stray-branch', 'elseif tag is not inside an if tag');
+    node.content = '';
+    return node;
+  },
+  //
+  "else": function _else(node, json) {
+    if (node.parent.type !== 'if') _warn(node, 'stray-branch', 'else tag is not inside an if tag');
+    node.content = '';
+    return node;
+  }
+};
+
+// does an if or elseif tag pass? either its test expression is truthy, or the
+// data its jsonPath points at exists (and is truthy)
+var testCondition = function testCondition(node, json) {
+  var innerScope = node.innerScope;
+  var _node$attributes6 = node.attributes,
+    jsonPath = _node$attributes6.jsonPath,
+    rawJson = _node$attributes6.rawJson,
+    test = _node$attributes6.test;
+  if (test !== void 0) {
+    try {
+      return !!(0,_expression_mjs__WEBPACK_IMPORTED_MODULE_1__.evaluateExpression)(test, resolveFromScopes([rawJson, innerScope, json], node, json));
+    } catch (e) {
+      _warn(node, 'bad-expression', "could not evaluate test \"".concat(test, "\": ").concat(e.message));
+      return false;
+    }
+  }
+  if (!jsonPath) return false;
+  var values = currentScope(rawJson, innerScope, json);
+  return !!resolveNodePath(jsonPath, values, node, json, false);
+};
+
+// the legal attributes for each element
+var nodeAttributes = {
+  insert: ['path', 'jsonPath', 'rawJson'],
+  data: ['jsonPath', 'rawJson', 'default', 'raw', 'filters'],
+  rawData: ['jsonPath', 'rawJson', 'default', 'filters'],
+  jsonInsert: ['jsonPath', 'default', 'raw', 'filters'],
+  wrap: ['path', 'jsonPath', 'rawJson'],
+  middle: [],
+  slot: ['name', 'default'],
+  fill: ['name'],
+  "extends": ['path', 'jsonPath', 'rawJson'],
+  props: [],
+  set: ['name', 'value', 'jsonPath', 'rawJson', 'default', 'filters'],
+  block: ['name'],
+  parent: [],
+  each: ['count', 'jsonPath', 'rawJson', 'sortKeys', 'where', 'sort', 'offset', 'limit'],
+  "if": ['jsonPath', 'rawJson', 'test'],
+  elseif: ['jsonPath', 'rawJson', 'test'],
+  "else": [],
+  textContent: []
+};
+
+// given a jsonObject and a path, return the data pointed at (objects aren't stringified)
+// problems with the path are reported for node, if there is one. warnMissing=false
+// is for tests and tags with a default, where data being missing is expected
+var lookupJsonPath = function lookupJsonPath(jsonPath, json, node) {
+  var warnMissing = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : true;
+  try {
+    (0,_json_path_mjs__WEBPACK_IMPORTED_MODULE_2__.parseJsonPath)(jsonPath);
+  } catch (e) {
+    if (node) _warn(node, 'bad-json-path', "can't read jsonPath '".concat(jsonPath, "': ").concat(e.message));
+    return void 0;
+  }
+  return (0,_json_path_mjs__WEBPACK_IMPORTED_MODULE_2__.findJsonPathData)(jsonPath, json, function (missing, whole) {
+    if (!node || !warnMissing) return;
+    reportMissingData(node, missing === 'this' ? "there is no data to look up jsonPath '".concat(jsonPath, "' in") : whole ? "there is no data at jsonPath '".concat(jsonPath, "'") : "there is no data at '".concat(missing, "', so jsonPath '").concat(jsonPath, "' can't be followed"));
+  });
+};
+
+// the jsonPath of a #data or #jsonInsert tag, and the filters it is printed
+// with: those piped after the jsonPath, then those in the filters attribute
+var getDataFilters = function getDataFilters(node) {
+  var _node$attributes7 = node.attributes,
+    jsonPath = _node$attributes7.jsonPath,
+    filters = _node$attributes7.filters;
+  if (!jsonPath) return {
+    jsonPath: jsonPath,
+    filters: filters
+  };
+  try {
+    var split = (0,_filters_mjs__WEBPACK_IMPORTED_MODULE_4__.splitJsonPathFilters)(jsonPath);
+    return {
+      jsonPath: split.path,
+      filters: [split.filters, filters].filter(function (f) {
+        return f;
+      }).join('|') || void 0
+    };
+  } catch (e) {
+    _warn(node, 'bad-json-path', "can't read jsonPath '".concat(jsonPath, "': ").concat(e.message));
+    return {
+      jsonPath: jsonPath,
+      filters: filters
+    };
+  }
+};
+
+// run data through a chain of filters (missing data isn't filtered, so the
+// default is printed as it is)
+var filterData = function filterData(node, data, filters) {
+  if (!filters || data === void 0 || data === null) return data;
+  try {
+    return (0,_filters_mjs__WEBPACK_IMPORTED_MODULE_4__.applyFilters)(data, (0,_filters_mjs__WEBPACK_IMPORTED_MODULE_4__.parseFilters)(filters), node.config.filters, function (code, message) {
+      return _warn(node, code, message);
+    });
+  } catch (e) {
+    _warn(node, 'bad-filters', "can't read filters '".concat(filters, "': ").concat(e.message));
+    return data;
+  }
+};
+
+// what a #data or #jsonInsert tag prints: its data filtered, printed and escaped
+var renderData = function renderData(node, data, defaultVal, filters) {
+  return escapeData(node, printData(filterData(node, data, filters), defaultVal));
+};
+
+// escape what a #data or #jsonInsert tag prints for where it is in the html,
+// unless it is trusted (#rawData, raw="true" or the autoEscape option is off)
+var escapeData = function escapeData(node, text) {
+  return node.type === 'rawData' || node.attributes.raw === 'true' || !node.config.autoEscape ? text : (0,_html_escape_mjs__WEBPACK_IMPORTED_MODULE_3__.escapeHtml)(text, node.context);
+};
+
+// the text a #data or #jsonInsert tag renders for a value. missing data and
+// null render the default (or nothing), while 0, false and '' are printed
+var printData = function printData(data, defaultVal) {
+  return data === void 0 || data === null ? defaultVal === void 0 ? '' : defaultVal : _typeof(data) === 'object' && !Array.isArray(data) ? toSafeJsonString(data) : String(data);
+};
+
+// the scope an each, insert or wrap tag looks its jsonPath up in, as seen
+// from the scope it creates (rawJson when it has both, otherwise its own scope)
+var scopeFrame = function scopeFrame(node, json) {
+  var _node$attributes8 = node.attributes,
+    jsonPath = _node$attributes8.jsonPath,
+    rawJson = _node$attributes8.rawJson;
+  return {
+    innerScope: jsonPath && rawJson ? rawJson : node.innerScope === null || node.innerScope === void 0 ? json : node.innerScope,
+    loop: node.loop
+  };
+};
+
+// the data a tag reads from: its rawJson, the scope it is in (which may be 0,
+// false or '' inside an each) or the json input
+var currentScope = function currentScope(rawJson, innerScope, json) {
+  return rawJson || (innerScope === null || innerScope === void 0 ? json : innerScope);
+};
+
+// does a jsonPath start from an outer scope? ('../name' or '$root.name')
+var isOuterPath = function isOuterPath(jsonPath) {
+  return /^(\.\.(\/|$)|\$root(\.|\[|$))/.test(jsonPath);
+};
+
+// 'name' from '../../name'
+var stripOuterScopes = function stripOuterScopes(jsonPath) {
+  return jsonPath.replace(/^(\.\.\/)+/, '');
+};
+
+// jsonPaths can start from an outer scope. each '../' steps out to the scope
+// around the closest #each, #insert or #wrap ('..' alone is that scope), and
+// '$root' is the json input. returns the data (and loop variables) to look the
+// rest of the path up in, or undefined for an ordinary path
+var findPathScope = function findPathScope(jsonPath, node, json) {
+  if (/^\$root(\.|\[|$)/.test(jsonPath)) return {
+    values: json,
+    loop: null,
+    path: jsonPath.slice(5).replace(/^\./, '') || 'this'
+  };
+  var path = stripOuterScopes(jsonPath);
+  var depth = (jsonPath.length - path.length) / 3 + (path === '..' ? 1 : 0);
+  if (depth === 0) return void 0;
+  var frame = node.outerScopes[depth - 1];
+  if (!frame) {
+    _warn(node, 'bad-json-path', "'".concat(jsonPath, "' steps out of more scopes than there are"));
+    return {
+      values: void 0,
+      loop: null,
+      path: path
+    };
+  }
+  return {
+    values: frame.innerScope,
+    loop: frame.loop,
+    path: path === '..' ? 'this' : path
+  };
+};
+
+// look up a jsonPath for a node, where values is the data the tag reads from
+// by default. the path may start from an outer scope or name a loop variable
+var resolveNodePath = function resolveNodePath(jsonPath, values, node, json) {
+  var warnMissing = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : true;
+  var scoped = findPathScope(jsonPath, node, json);
+  var _ref11 = scoped || {
+      path: jsonPath,
+      loop: node.loop
+    },
+    path = _ref11.path,
+    loop = _ref11.loop;
+  if (isLoopVariable(path)) return getLoopVariable(path, _objectSpread(_objectSpread({}, node), {}, {
+    loop: loop
+  }));
+
+  // variables win over data with the same name, unless an #each around the
+  // node hides them (see hideVariables). outer scopes have none
+  if (!scoped && isVariablePath(path, node)) return lookupJsonPath(path, node.variables, node, warnMissing);
+  return lookupJsonPath(path, scoped ? scoped.values : values, node, warnMissing);
+};
+
+// is this an object we can loop over by key? (not an array)
+var isPlainObject = function isPlainObject(value) {
+  return value !== null && _typeof(value) === 'object' && !Array.isArray(value);
+};
+
+// sortKeys="true" (or "asc") sorts the keys of an object in an each, "desc" reverses them
+var sortObjectKeys = function sortObjectKeys(keys, sortKeys) {
+  return !sortKeys || sortKeys === 'false' ? keys : sortKeys === 'desc' ? _toConsumableArray(keys).sort().reverse() : _toConsumableArray(keys).sort();
+};
+
+// applies the where, sort, offset and limit attributes of an each (in that
+// order) to a list of { value, key } items
+var shapeLoopItems = function shapeLoopItems(items, node, json) {
+  var _node$attributes9 = node.attributes,
+    where = _node$attributes9.where,
+    sort = _node$attributes9.sort,
+    offset = _node$attributes9.offset,
+    limit = _node$attributes9.limit;
+  if (where) {
+    try {
+      items = items.filter(function (item) {
+        return (0,_expression_mjs__WEBPACK_IMPORTED_MODULE_1__.evaluateExpression)(where, resolveFromScopes([item.value, node.innerScope, json], itemLoop(node, item), json));
+      });
+    } catch (e) {
+      _warn(node, 'bad-expression', "could not evaluate where \"".concat(where, "\": ").concat(e.message));
+      items = [];
+    }
+  }
+  if (sort) {
+    var fields = parseSortFields(sort);
+    items = _toConsumableArray(items).sort(function (a, b) {
+      var _iterator4 = _createForOfIteratorHelper(fields),
+        _step4;
+      try {
+        for (_iterator4.s(); !(_step4 = _iterator4.n()).done;) {
+          var _step4$value = _step4.value,
+            path = _step4$value.path,
+            direction = _step4$value.direction;
+          var result = compareValues(sortValue(path, a), sortValue(path, b));
+          if (result !== 0) return result * direction;
+        }
+      } catch (err) {
+        _iterator4.e(err);
+      } finally {
+        _iterator4.f();
+      }
+      return 0;
+    });
+  }
+  var start = offset ? Number(offset) : 0;
+  var end = limit ? start + Number(limit) : void 0;
+  return items.slice(start, end);
+};
+
+// the node with @key set, so where="@key != 'draft'" can test object keys
+var itemLoop = function itemLoop(node, item) {
+  return item.key === void 0 ? node : _objectSpread(_objectSpread({}, node), {}, {
+    loop: _objectSpread(_objectSpread({}, node.loop), {}, {
+      '@key': item.key
+    })
+  });
+};
+
+// sort="date desc, title" -> [ { path : 'date', direction : -1 }, { path : 'title', direction : 1 } ]
+var parseSortFields = function parseSortFields(sort) {
+  return sort.split(',').map(function (field) {
+    return field.trim().split(/\s+/);
+  }).filter(function (_ref12) {
+    var _ref13 = _slicedToArray(_ref12, 1),
+      path = _ref13[0];
+    return path;
+  }).map(function (_ref14) {
+    var _ref15 = _slicedToArray(_ref14, 2),
+      path = _ref15[0],
+      _ref15$ = _ref15[1],
+      direction = _ref15$ === void 0 ? 'asc' : _ref15$;
+    return {
+      path: path,
+      direction: direction.toLowerCase() === 'desc' ? -1 : 1
+    };
+  });
+};
+
+// the value an item is sorted by: 'this' is the item, '@key' its key
+var sortValue = function sortValue(path, item) {
+  return path === 'this' ? item.value : path === '@key' ? item.key : lookupJsonPath(path, item.value);
+};
+
+// numbers compare as numbers, everything else as strings. missing values go last
+var compareValues = function compareValues(a, b) {
+  var aMissing = a === void 0 || a === null || a === '';
+  var bMissing = b === void 0 || b === null || b === '';
+  if (aMissing || bMissing) return aMissing - bMissing;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// loop variables are names starting with '@' (@index, @number, @first, @last, @length, @key)
+var isLoopVariable = function isLoopVariable(jsonPath) {
+  return !!jsonPath && jsonPath[0] === '@';
+};
+
+// the value of a loop variable from the closest #each around a node
+var getLoopVariable = function getLoopVariable(name, node) {
+  if (!node.loop) {
+    _warn(node, 'loop-variable', "loop variable '".concat(name, "' used outside of an each tag"));
+    return void 0;
+  }
+  return node.loop[name];
+};
+
+// builds a resolver for expressions: a path is looked up in the first scope
+// that has its first key, in the order given. 'this' is the first scope, and
+// loop variables come from the node's enclosing #each
+var resolveFromScopes = function resolveFromScopes(scopes, node, json) {
+  scopes = scopes.filter(function (scope) {
+    return scope !== null && scope !== void 0;
+  });
+  return function (path) {
+    if (isOuterPath(path)) return resolveNodePath(path, void 0, node, json, false);
+    if (isLoopVariable(path)) return getLoopVariable(path, node);
+    if (/^this($|[.[])/.test(path)) return lookupJsonPath(path, scopes[0], node, false);
+    var root;
+    try {
+      root = (0,_json_path_mjs__WEBPACK_IMPORTED_MODULE_2__.parseJsonPath)(path)[0];
+    } catch (e) {
+      _warn(node, 'bad-json-path', "can't read path '".concat(path, "': ").concat(e.message));
+      return void 0;
+    }
+    if (isVariablePath(path, node)) return lookupJsonPath(path, node.variables, node, false);
+    var key = 'index' in root ? root.index : root.key;
+    var scope = scopes.find(function (scope) {
+      return _typeof(scope) === 'object' && key in scope;
+    });
+    return scope ? lookupJsonPath(path, scope, node, false) : void 0;
+  };
+};
+
+// are we on windows?
+var isWin = /^win/.test(process.platform);
+
+// overcome the difference in *nix/windows pathing
+var fixFilePathForOS = function fixFilePathForOS(path) {
+  return isWin ? path.replace(/\//g, '\\') : path.replace(/\\/g, '/');
+};
+
+// given the current directory and a relative path, build the complete path
+// to the relative path
+var buildPathFromRelativePath = function buildPathFromRelativePath(cdir, fdir) {
+  var dirChar = isWin ? '\\' : '/';
+  var dir = cdir.split(dirChar);
+  dir.pop();
+  fdir = fixFilePathForOS(fdir);
+  fdir.split(dirChar).forEach(function (e) {
+    e === '..' ? dir.pop() : e !== '.' && e !== '' ? dir.push(e) : void 0;
+  });
+  dir = dir.join(dirChar);
+  return dir;
+};
+
+//
+var toSafeJsonString = function toSafeJsonString(jsonObj) {
+  return JSON.stringify(jsonObj).replace(/\'/g, "\\'").replace(/"/g, "'");
+};
+
+// run a rawJson attribute, as the rawJsonMode option says (see raw-json.mjs)
+var processRawJson = /*#__PURE__*/function () {
+  var _ref16 = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee15(jsonString, json, node) {
+    var _node$config, rawJsonPlugins, rawJsonMode, rawJsonTimeout, rawJsonCache, rawJsonMemo, data, cacheWarning, run, results, jsonData, _t6;
+    return _regenerator().w(function (_context16) {
+      while (1) switch (_context16.p = _context16.n) {
+        case 0:
+          _node$config = node.config, rawJsonPlugins = _node$config.rawJsonPlugins, rawJsonMode = _node$config.rawJsonMode, rawJsonTimeout = _node$config.rawJsonTimeout, rawJsonCache = _node$config.rawJsonCache, rawJsonMemo = _node$config.rawJsonMemo;
+          if (_typeof(jsonString) === 'object') jsonString = toSafeJsonString(jsonString);
+
+          // the tag is used as if it had no rawJson
+          if (!(rawJsonMode === 'off')) {
+            _context16.n = 1;
+            break;
+          }
+          _warn(node, 'rawjson-off', "rawJson isn't used, because rawJsonMode is 'off'");
+          return _context16.a(2, void 0);
+        case 1:
+          // plain data is used as it is, without running anything
+          data = (0,_raw_json_mjs__WEBPACK_IMPORTED_MODULE_5__.parseRawJsonData)(jsonString);
+          if (!(data !== void 0)) {
+            _context16.n = 2;
+            break;
+          }
+          return _context16.a(2, data);
+        case 2:
+          if (!(rawJsonMode === 'data-only')) {
+            _context16.n = 3;
+            break;
+          }
+          _warn(node, 'rawjson-off', "rawJson that isn't plain data isn't run, because rawJsonMode is 'data-only'");
+          return _context16.a(2, void 0);
+        case 3:
+          // results that can't be saved to rawJsonCacheDir are still used
+          cacheWarning = function cacheWarning(message) {
+            return _warn(node, 'rawjson-cache', message);
+          };
+          run = function run() {
+            return (0,_raw_json_mjs__WEBPACK_IMPORTED_MODULE_5__.evaluateRawJson)(jsonString, {
+              json: json,
+              plugins: _objectSpread(_objectSpread({}, rawJsonMemo.plugins(rawJsonPlugins, rawJsonCache, cacheWarning)), {}, {
+                memo: function memo(key, fn) {
+                  return rawJsonMemo.memo(key, fn, cacheWarning);
+                }
+              }),
+              mode: rawJsonMode,
+              timeout: rawJsonTimeout
+            });
+          }; // the same code gives the same data, so it only runs once a build
+          results = rawJsonMemo.results;
+          if (rawJsonCache && !results.has(jsonString)) results.set(jsonString, run());
+          jsonData = {};
+          _context16.p = 4;
+          _context16.n = 5;
+          return rawJsonCache ? results.get(jsonString) : run();
+        case 5:
+          jsonData = _context16.v;
+          _context16.n = 7;
+          break;
+        case 6:
+          _context16.p = 6;
+          _t6 = _context16.v;
+          // it must be valid javascript, and functions it uses mustn't throw or run out of time
+          reportProblem(node, 'rawjson-failed', "rawJson failed: ".concat(_t6.message));
+        case 7:
+          return _context16.a(2, jsonData);
+      }
+    }, _callee15, null, [[4, 6]]);
+  }));
+  return function processRawJson(_x34, _x35, _x36) {
+    return _ref16.apply(this, arguments);
+  };
+}();
+
+// matches an attribute name at the start of the tag content or after whitespace
+var attributeRegExp = function attributeRegExp(attr) {
+  return new RegExp('(^|\\s)' + attr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '="');
+};
+
+// does a tag have an attribute? (attributeName="value")
+var hasTagAttribute = function hasTagAttribute(attr, content) {
+  return attributeRegExp(attr).test(content);
+};
+
+// get every attribute of a tag, by name
+var getTagAttributes = function getTagAttributes(content) {
+  var attributes = {};
+  var pattern = /(^|\s)([^\s="]+)="([^"]*)"/g;
+  var match;
+  while ((match = pattern.exec(content)) !== null) attributes[match[2]] = match[3];
+  return attributes;
+};
+
+// get the value of an attribute (attributeName="value")
+var getTagAttribute = function getTagAttribute(attr, content) {
+  var fndx = -1,
+    lndx = -1;
+  var match = attributeRegExp(attr).exec(content);
+  if (!match) return '';
+  fndx = match.index + match[0].length;
+  content = content.slice(fndx);
+  lndx = content.indexOf('"');
+  content = content.slice(0, lndx);
+  return content;
+};
+
+/***/ },
+
+/***/ "./src/props.mjs"
+/*!***********************!*\
+  !*** ./src/props.mjs ***!
+  \***********************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   checkProps: () => (/* binding */ checkProps),
+/* harmony export */   parsePropDeclaration: () => (/* binding */ parsePropDeclaration),
+/* harmony export */   parsePropDeclarations: () => (/* binding */ parsePropDeclarations)
+/* harmony export */ });
+/* harmony import */ var _raw_json_mjs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./raw-json.mjs */ "./src/raw-json.mjs");
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+;
+
+// props are the attributes of an #insert that aren't its own, which become the
+// scope of the inserted file
+//
+//   <!--#insert path="./-button.html" label="Buy" href="/cart" -->
+//
+// an inserted file can declare the props it takes, each with a type and
+// optionally the word required or a default
+//
+//   <!--#props label="string required" href="string" variant="string default:primary" -->
+//
+// attribute values are strings, so they are converted to the declared type.
+// defaults are read the same way, and can be single quoted ('Buy now')
+
+var types = {
+  string: function string(value) {
+    return typeof value === 'string';
+  },
+  number: function number(value) {
+    return typeof value === 'number' && !isNaN(value);
+  },
+  "boolean": function boolean(value) {
+    return typeof value === 'boolean';
+  },
+  array: function array(value) {
+    return Array.isArray(value);
+  },
+  object: function object(value) {
+    return value !== null && _typeof(value) === 'object' && !Array.isArray(value);
+  },
+  any: function any(value) {
+    return true;
+  }
+};
+
+// 'array' -> 'an array'
+var describeType = function describeType(type) {
+  return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+};
+
+// the words of a declaration, keeping single quoted text together
+var splitWords = function splitWords(source) {
+  return source.match(/(?:[^\s']+|'(?:\\.|[^'\\])*')+/g) || [];
+};
+
+// "'Buy now'" -> 'Buy now'
+var unquote = function unquote(text) {
+  return /^'[^]*'$/.test(text) ? text.slice(1, -1).replace(/\\(.)/g, '$1') : text;
+};
+
+// convert a string attribute to type, or throw an Error if it can't be
+var convertProp = function convertProp(text, type) {
+  var value = type === 'number' ? text.trim() === '' ? NaN : Number(text) : type === 'boolean' ? text === 'true' ? true : text === 'false' ? false : text : type === 'array' || type === 'object' ? (0,_raw_json_mjs__WEBPACK_IMPORTED_MODULE_0__.parseRawJsonData)(text) : text;
+  if (!types[type](value)) throw new Error("'".concat(text, "' isn't ").concat(describeType(type)));
+  return value;
+};
+
+// 'string default:primary' -> { type : 'string', required : false, default : 'primary' }
+// throws an Error if there is a problem with the declaration
+var parsePropDeclaration = function parsePropDeclaration(source) {
+  var declaration = {
+    type: 'any',
+    required: false
+  };
+  splitWords(source).forEach(function (word) {
+    if (types[word]) declaration.type = word;else if (word === 'required') declaration.required = true;else if (word.indexOf('default:') === 0) declaration["default"] = unquote(word.slice('default:'.length));else throw new Error("unknown word '".concat(word, "' in '").concat(source, "'"));
+  });
+  if (declaration["default"] !== void 0) declaration["default"] = convertProp(declaration["default"], declaration.type);
+  return declaration;
+};
+
+// @attributes = the attributes of a #props tag, by name
+// @onError    = called with (name, error) for declarations that can't be read
+//
+// returns the declarations that can be read, by name
+var parsePropDeclarations = function parsePropDeclarations(attributes) {
+  var onError = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : function () {};
+  return Object.keys(attributes).reduce(function (acc, name) {
+    try {
+      return _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, name, parsePropDeclaration(attributes[name])));
+    } catch (e) {
+      onError(name, e);
+      return acc;
+    }
+  }, {});
+};
+
+// @values       = the scope of the inserted file, with the props added
+// @declarations = the props the inserted file declares (see parsePropDeclarations)
+// @attributes   = the names of the props that came from attributes (and are strings)
+// @report       = called with (code, message) for props that are misused
+//
+// returns values with the props converted to their types and defaults added
+var checkProps = function checkProps(values, declarations, attributes, report) {
+  var checked = _objectSpread({}, values);
+  attributes.filter(function (name) {
+    return !declarations[name];
+  }).forEach(function (name) {
+    return report('unknown-prop', "prop '".concat(name, "' isn't declared"));
+  });
+  Object.keys(declarations).forEach(function (name) {
+    var _declarations$name = declarations[name],
+      type = _declarations$name.type,
+      required = _declarations$name.required;
+    if (checked[name] === void 0) {
+      if (required) report('missing-prop', "prop '".concat(name, "' is required"));else if (declarations[name]["default"] !== void 0) checked[name] = declarations[name]["default"];
+      return;
+    }
+    try {
+      if (attributes.includes(name)) checked[name] = convertProp(checked[name], type);else if (!types[type](checked[name])) throw new Error("".concat(JSON.stringify(checked[name]), " isn't ").concat(describeType(type)));
+    } catch (e) {
+      report('prop-type', "prop '".concat(name, "': ").concat(e.message));
+    }
+  });
+  return checked;
+};
+
+/***/ },
+
+/***/ "./src/raw-json.mjs"
+/*!**************************!*\
+  !*** ./src/raw-json.mjs ***!
+  \**************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   evaluateRawJson: () => (/* binding */ evaluateRawJson),
+/* harmony export */   parseRawJsonData: () => (/* binding */ parseRawJsonData),
+/* harmony export */   withTimeout: () => (/* binding */ withTimeout)
+/* harmony export */ });
+/* harmony import */ var vm__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! vm */ "vm");
+/* harmony import */ var json5__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! json5 */ "./node_modules/json5/dist/index.mjs");
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function _toConsumableArray(r) { return _arrayWithoutHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _iterableToArray(r) { if ("undefined" != typeof Symbol && null != r[Symbol.iterator] || null != r["@@iterator"]) return Array.from(r); }
+function _arrayWithoutHoles(r) { if (Array.isArray(r)) return _arrayLikeToArray(r); }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+;
+
+
+// reading the data in rawJson attributes, and running the javascript in them
+//
+// rawJson that is plain data ({ name: 'Tom' }, [1, 2, 3]) is read as JSON5
+// without running anything. rawJsonMode decides how (or whether) anything
+// else runs:
+//   sandbox   - in a new vm context that holds only copies of json and
+//               plugins made inside it (see sandboxSetup)
+//   eval      - with eval, like older versions (it can reach anything)
+//   data-only - not at all, only plain data can be used
+//   off       - not at all, and plain data isn't used either
+//
+// the sandbox keeps node out of reach of the code itself, but plugins run
+// outside of it, so only pass in plugins you would trust templates with
+
+// returns the data in source, or undefined if it isn't plain data (JSON5 has
+// no undefined, so data is never mistaken for code)
+var parseRawJsonData = function parseRawJsonData(source) {
+  try {
+    return json5__WEBPACK_IMPORTED_MODULE_1__["default"].parse(source);
+  } catch (e) {
+    return void 0;
+  }
+};
+
+// the code every mode runs, so rawJson can always be async
+var wrapSource = function wrapSource(source) {
+  return "(async () => await ".concat(source, ")()");
+};
+
+// rejects when a promise hasn't settled after timeout ms (0 is no timeout)
+var withTimeout = function withTimeout(promise, timeout) {
+  var what = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : 'rawJson';
+  if (!timeout) return promise;
+  var timer;
+  var expired = new Promise(function (resolve, reject) {
+    timer = setTimeout(function () {
+      return reject(new Error("".concat(what, " took longer than ").concat(timeout, "ms")));
+    }, timeout);
+  });
+  return Promise.race([promise, expired])["finally"](function () {
+    return clearTimeout(timer);
+  });
+};
+
+// like withTimeout, but the clock stops while the code is waiting on plugins
+// (which can be queued behind other pages' calls, and have timeouts of their
+// own once they start, see memo.mjs). run is called with wait, which the
+// plugin calls are passed through, and returns the promise to time
+var withRunningTimeout = function withRunningTimeout(run, timeout) {
+  if (!timeout) return run(function (promise) {
+    return promise;
+  });
+  var timer, expire, started;
+  var remaining = timeout;
+  var waiting = 0;
+  var done = false;
+  var expired = new Promise(function (resolve, reject) {
+    return expire = reject;
+  });
+  var resume = function resume() {
+    if (done) return;
+    started = Date.now();
+    timer = setTimeout(function () {
+      return expire(new Error("rawJson took longer than ".concat(timeout, "ms")));
+    }, remaining);
+  };
+  var pause = function pause() {
+    clearTimeout(timer);
+    remaining -= Date.now() - started;
+  };
+  var wait = function wait(promise) {
+    if (waiting++ === 0) pause();
+    return promise["finally"](function () {
+      if (--waiting === 0) resume();
+    });
+  };
+  resume();
+  return Promise.race([run(wait), expired])["finally"](function () {
+    done = true;
+    clearTimeout(timer);
+  });
+};
+
+// each plugin returns a promise that is passed through wait
+var waitForPlugins = function waitForPlugins() {
+  var plugins = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+  var wait = arguments.length > 1 ? arguments[1] : undefined;
+  return Object.keys(plugins).reduce(function (acc, name) {
+    return _objectSpread(_objectSpread({}, acc), {}, _defineProperty({}, name, typeof plugins[name] !== 'function' ? plugins[name] : function () {
+      for (var _len = arguments.length, args = new Array(_len), _key = 0; _key < _len; _key++) {
+        args[_key] = arguments[_key];
+      }
+      return wait(new Promise(function (resolve) {
+        return resolve(plugins[name].apply(plugins, args));
+      }));
+    }));
+  }, {});
+};
+
+// json and plugins are the only names eval can see besides the globals
+var evalRawJson = function evalRawJson(source, json, plugins) {
+  return eval(wrapSource(source));
+};
+
+// runs in the sandbox before rawJson does. no object from outside of it can
+// get in (any of them would lead back to node through its constructor), so
+// the functions it is given stay in this closure, and only json strings pass
+// between the two:
+//   callHost(text)  - sends a message out: a plugin call, a memo call, a memo
+//                     loaded or the result of the rawJson
+//   nextReply()     - the next reply from outside, or undefined. replies are
+//                     read by __rawJsonReply(), which is run after one is
+//                     queued, so what they set off is under the timeout too
+var sandboxSetup = "'use strict';\n(jsonText, pluginNames, hostCall, hostReply) => {\n  const { parse, stringify } = JSON;\n\n  // an error thrown by a function from outside (a stack overflow inside it,\n  // say) would be an object from outside, so it is swapped for one made here\n  const guard = fn => text => {\n    try { return fn(text) }\n    catch(e) { throw new Error('rawJson could not reach outside of its sandbox') }\n  };\n  const callHost = guard(hostCall);\n  const nextReply = guard(hostReply);\n  const waiting = new Map();\n  const loaders = new Map();\n  let lastId = 0;\n\n  const message = e => String((e instanceof Error) ? e.message : e);\n  const send = (type, id, promise) => promise.then(\n    value => {\n      let text;\n      try { text = stringify({ type, id, value }) }\n      catch(e) { text = stringify({ type, id, error : message(e) }) }\n      callHost(text);\n    },\n    e => callHost(stringify({ type, id, error : message(e) }))\n  );\n\n  const ask = (request, loader) => new Promise((resolve, reject) => {\n    const id = ++lastId;\n    waiting.set(id, { resolve, reject });\n    if(loader) loaders.set(id, loader);\n    callHost(stringify({ ...request, id }));\n  });\n\n  const plugins = {};\n  parse(pluginNames).forEach(name => {\n    plugins[name] = (...args) => ask({ type : 'call', name, args });\n  });\n  plugins.memo = (key, fn) => ask({ type : 'memo', key }, fn);\n\n  const reply = () => {\n    for(let text = nextReply(); text !== undefined; text = nextReply()) {\n      const { type, id, value, error } = parse(text);\n      if(type === 'load')\n        send('loaded', id, new Promise(resolve => resolve(loaders.get(id)())));\n      else if(waiting.has(id)) {\n        const { resolve, reject } = waiting.get(id);\n        waiting.delete(id);\n        loaders.delete(id);\n        (error !== undefined) ? reject(new Error(error)) : resolve(value);\n      }\n    }\n  };\n\n  let started = false;\n  const start = run => {\n    if(started) return;\n    started = true;\n    send('done', 0, new Promise(resolve => resolve(run())));\n  };\n\n  const define = (name, value) => Object.defineProperty(globalThis, name, { value });\n  define('json', parse(jsonText));\n  define('plugins', plugins);\n  define('__rawJsonReply', reply);\n  define('__rawJsonStart', start);\n}";
+var errorMessage = function errorMessage(e) {
+  return e && e.message !== void 0 ? String(e.message) : String(e);
+};
+var sandboxRawJson = function sandboxRawJson(source, json, plugins, timeout) {
+  return new Promise(function (resolve, reject) {
+    // strings can't be turned into code inside the context (no eval or Function),
+    // and promise callbacks run while the code it was given does (so the vm
+    // timeout stops code that loops after an await too). its global object is
+    // made inside another context with no prototype, so nothing from outside
+    // can be reached through it (this.constructor...)
+    var context = vm__WEBPACK_IMPORTED_MODULE_0__.createContext(vm__WEBPACK_IMPORTED_MODULE_0__.runInNewContext('Object.create(null)'), {
+      codeGeneration: {
+        strings: false,
+        wasm: false
+      },
+      microtaskMode: 'afterEvaluate'
+    });
+    var options = _objectSpread({
+      filename: 'rawJson'
+    }, timeout ? {
+      timeout: timeout
+    } : {});
+    var replies = [];
+    var loading = new Map();
+    var settled = false;
+    var fail = function fail(e) {
+      settled = true;
+      reject(e instanceof Error ? e : new Error(errorMessage(e)));
+    };
+    var run = function run(code) {
+      if (settled) return;
+      try {
+        vm__WEBPACK_IMPORTED_MODULE_0__.runInContext(code, context, options);
+      } catch (e) {
+        fail(e);
+      }
+    };
+
+    // queue a reply (values that aren't json become errors) and read it
+    var reply = function reply(message) {
+      var text;
+      try {
+        text = JSON.stringify(message);
+      } catch (e) {
+        text = JSON.stringify(_objectSpread(_objectSpread({}, message), {}, {
+          value: void 0,
+          error: e.message
+        }));
+      }
+      replies.push(text);
+      run('__rawJsonReply()');
+    };
+
+    // answers a plugin or memo call with what its promise gives
+    var answer = function answer(id, promise) {
+      return promise.then(function (value) {
+        return reply({
+          type: 'reply',
+          id: id,
+          value: value
+        });
+      }, function (e) {
+        return reply({
+          type: 'reply',
+          id: id,
+          error: errorMessage(e)
+        });
+      });
+    };
+    var messages = {
+      done: function done(_ref) {
+        var value = _ref.value,
+          error = _ref.error;
+        settled = true;
+        error !== void 0 ? reject(new Error(error)) : resolve(value);
+      },
+      call: function call(_ref2) {
+        var id = _ref2.id,
+          name = _ref2.name,
+          args = _ref2.args;
+        return answer(id, Promise.resolve().then(function () {
+          if (typeof plugins[name] !== 'function') throw new Error("'".concat(name, "' isn't a plugin"));
+          return plugins[name].apply(plugins, _toConsumableArray(args));
+        }));
+      },
+      memo: function memo(_ref3) {
+        var id = _ref3.id,
+          key = _ref3.key;
+        return answer(id, Promise.resolve().then(function () {
+          return plugins.memo(key, function () {
+            return new Promise(function (resolve, reject) {
+              loading.set(id, {
+                resolve: resolve,
+                reject: reject
+              });
+              reply({
+                type: 'load',
+                id: id
+              });
+            });
+          });
+        }));
+      },
+      loaded: function loaded(_ref4) {
+        var id = _ref4.id,
+          value = _ref4.value,
+          error = _ref4.error;
+        var _ref5 = loading.get(id) || {},
+          resolve = _ref5.resolve,
+          reject = _ref5.reject;
+        loading["delete"](id);
+        if (!resolve) return;
+        error !== void 0 ? reject(new Error(error)) : resolve(value);
+      }
+    };
+
+    // called from inside the sandbox, so it must never throw (an error from
+    // outside would be an object from outside)
+    var callHost = function callHost(text) {
+      try {
+        var message = JSON.parse(text);
+        messages[message.type](message);
+      } catch (e) {
+        fail(new Error("rawJson sent a message that couldn't be read"));
+      }
+    };
+    try {
+      var names = Object.keys(plugins || {}).filter(function (name) {
+        return name !== 'memo';
+      });
+      vm__WEBPACK_IMPORTED_MODULE_0__.runInContext(sandboxSetup, context, options)(JSON.stringify(json === void 0 ? null : json), JSON.stringify(names), callHost, function () {
+        return replies.shift();
+      });
+    } catch (e) {
+      fail(e);
+    }
+    run("__rawJsonStart(() => ".concat(wrapSource(source), ")"));
+  });
+};
+
+// @source          = the javascript in the rawJson attribute
+// @options.json    = the json input
+// @options.plugins = the rawJsonPlugins
+// @options.mode    = 'sandbox' (default) or 'eval' (see above)
+// @options.timeout = ms the code may run for, before it fails (0 is no limit).
+//          time spent waiting on plugins isn't counted
+//
+// returns a promise for the data the code produces. it rejects if the code
+// fails, runs out of time or the mode doesn't run code
+var evaluateRawJson = function evaluateRawJson(source) {
+  var _ref6 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+    json = _ref6.json,
+    plugins = _ref6.plugins,
+    _ref6$mode = _ref6.mode,
+    mode = _ref6$mode === void 0 ? 'sandbox' : _ref6$mode,
+    _ref6$timeout = _ref6.timeout,
+    timeout = _ref6$timeout === void 0 ? 0 : _ref6$timeout;
+  try {
+    if (mode === 'off' || mode === 'data-only') throw new Error("rawJson code isn't run when rawJsonMode is '".concat(mode, "'"));
+    if (mode !== 'sandbox' && mode !== 'eval') throw new Error("unknown rawJsonMode '".concat(mode, "'"));
+    return withRunningTimeout(function (wait) {
+      return mode === 'sandbox' ? sandboxRawJson(source, json, waitForPlugins(plugins, wait), timeout) : evalRawJson(source, json, waitForPlugins(plugins, wait));
+    }, timeout);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+};
+
+/***/ },
+
+/***/ "./node_modules/json5/dist/index.mjs"
+/*!*******************************************!*\
+  !*** ./node_modules/json5/dist/index.mjs ***!
+  \*******************************************/
+(__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   "default": () => (__WEBPACK_DEFAULT_EXPORT__)
+/* harmony export */ });
+// This is a generated file. Do not edit.
+var Space_Separator = /[\u1680\u2000-\u200A\u202F\u205F\u3000]/;
+var ID_Start = /[\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0561-\u0587\u05D0-\u05EA\u05F0-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u0860-\u086A\u08A0-\u08B4\u08B6-\u08BD\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u09FC\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D05-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E87\u0E88\u0E8A\u0E8D\u0E94-\u0E97\u0E99-\u0E9F\u0EA1-\u0EA3\u0EA5\u0EA7\u0EAA\u0EAB\u0EAD-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1877\u1880-\u1884\u1887-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C88\u1CE9-\u1CEC\u1CEE-\u1CF1\u1CF5\u1CF6\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2119-\u211D\u2124\u2126\u2128\u212A-\u212D\u212F-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2E2F\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309D-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312E\u3131-\u318E\u31A0-\u31BA\u31F0-\u31FF\u3400-\u4DB5\u4E00-\u9FEA\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7AE\uA7B0-\uA7B7\uA7F7-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB65\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]|\uD800[\uDC00-\uDC0B\uDC0D-\uDC26\uDC28-\uDC3A\uDC3C\uDC3D\uDC3F-\uDC4D\uDC50-\uDC5D\uDC80-\uDCFA\uDD40-\uDD74\uDE80-\uDE9C\uDEA0-\uDED0\uDF00-\uDF1F\uDF2D-\uDF4A\uDF50-\uDF75\uDF80-\uDF9D\uDFA0-\uDFC3\uDFC8-\uDFCF\uDFD1-\uDFD5]|\uD801[\uDC00-\uDC9D\uDCB0-\uDCD3\uDCD8-\uDCFB\uDD00-\uDD27\uDD30-\uDD63\uDE00-\uDF36\uDF40-\uDF55\uDF60-\uDF67]|\uD802[\uDC00-\uDC05\uDC08\uDC0A-\uDC35\uDC37\uDC38\uDC3C\uDC3F-\uDC55\uDC60-\uDC76\uDC80-\uDC9E\uDCE0-\uDCF2\uDCF4\uDCF5\uDD00-\uDD15\uDD20-\uDD39\uDD80-\uDDB7\uDDBE\uDDBF\uDE00\uDE10-\uDE13\uDE15-\uDE17\uDE19-\uDE33\uDE60-\uDE7C\uDE80-\uDE9C\uDEC0-\uDEC7\uDEC9-\uDEE4\uDF00-\uDF35\uDF40-\uDF55\uDF60-\uDF72\uDF80-\uDF91]|\uD803[\uDC00-\uDC48\uDC80-\uDCB2\uDCC0-\uDCF2]|\uD804[\uDC03-\uDC37\uDC83-\uDCAF\uDCD0-\uDCE8\uDD03-\uDD26\uDD50-\uDD72\uDD76\uDD83-\uDDB2\uDDC1-\uDDC4\uDDDA\uDDDC\uDE00-\uDE11\uDE13-\uDE2B\uDE80-\uDE86\uDE88\uDE8A-\uDE8D\uDE8F-\uDE9D\uDE9F-\uDEA8\uDEB0-\uDEDE\uDF05-\uDF0C\uDF0F\uDF10\uDF13-\uDF28\uDF2A-\uDF30\uDF32\uDF33\uDF35-\uDF39\uDF3D\uDF50\uDF5D-\uDF61]|\uD805[\uDC00-\uDC34\uDC47-\uDC4A\uDC80-\uDCAF\uDCC4\uDCC5\uDCC7\uDD80-\uDDAE\uDDD8-\uDDDB\uDE00-\uDE2F\uDE44\uDE80-\uDEAA\uDF00-\uDF19]|\uD806[\uDCA0-\uDCDF\uDCFF\uDE00\uDE0B-\uDE32\uDE3A\uDE50\uDE5C-\uDE83\uDE86-\uDE89\uDEC0-\uDEF8]|\uD807[\uDC00-\uDC08\uDC0A-\uDC2E\uDC40\uDC72-\uDC8F\uDD00-\uDD06\uDD08\uDD09\uDD0B-\uDD30\uDD46]|\uD808[\uDC00-\uDF99]|\uD809[\uDC00-\uDC6E\uDC80-\uDD43]|[\uD80C\uD81C-\uD820\uD840-\uD868\uD86A-\uD86C\uD86F-\uD872\uD874-\uD879][\uDC00-\uDFFF]|\uD80D[\uDC00-\uDC2E]|\uD811[\uDC00-\uDE46]|\uD81A[\uDC00-\uDE38\uDE40-\uDE5E\uDED0-\uDEED\uDF00-\uDF2F\uDF40-\uDF43\uDF63-\uDF77\uDF7D-\uDF8F]|\uD81B[\uDF00-\uDF44\uDF50\uDF93-\uDF9F\uDFE0\uDFE1]|\uD821[\uDC00-\uDFEC]|\uD822[\uDC00-\uDEF2]|\uD82C[\uDC00-\uDD1E\uDD70-\uDEFB]|\uD82F[\uDC00-\uDC6A\uDC70-\uDC7C\uDC80-\uDC88\uDC90-\uDC99]|\uD835[\uDC00-\uDC54\uDC56-\uDC9C\uDC9E\uDC9F\uDCA2\uDCA5\uDCA6\uDCA9-\uDCAC\uDCAE-\uDCB9\uDCBB\uDCBD-\uDCC3\uDCC5-\uDD05\uDD07-\uDD0A\uDD0D-\uDD14\uDD16-\uDD1C\uDD1E-\uDD39\uDD3B-\uDD3E\uDD40-\uDD44\uDD46\uDD4A-\uDD50\uDD52-\uDEA5\uDEA8-\uDEC0\uDEC2-\uDEDA\uDEDC-\uDEFA\uDEFC-\uDF14\uDF16-\uDF34\uDF36-\uDF4E\uDF50-\uDF6E\uDF70-\uDF88\uDF8A-\uDFA8\uDFAA-\uDFC2\uDFC4-\uDFCB]|\uD83A[\uDC00-\uDCC4\uDD00-\uDD43]|\uD83B[\uDE00-\uDE03\uDE05-\uDE1F\uDE21\uDE22\uDE24\uDE27\uDE29-\uDE32\uDE34-\uDE37\uDE39\uDE3B\uDE42\uDE47\uDE49\uDE4B\uDE4D-\uDE4F\uDE51\uDE52\uDE54\uDE57\uDE59\uDE5B\uDE5D\uDE5F\uDE61\uDE62\uDE64\uDE67-\uDE6A\uDE6C-\uDE72\uDE74-\uDE77\uDE79-\uDE7C\uDE7E\uDE80-\uDE89\uDE8B-\uDE9B\uDEA1-\uDEA3\uDEA5-\uDEA9\uDEAB-\uDEBB]|\uD869[\uDC00-\uDED6\uDF00-\uDFFF]|\uD86D[\uDC00-\uDF34\uDF40-\uDFFF]|\uD86E[\uDC00-\uDC1D\uDC20-\uDFFF]|\uD873[\uDC00-\uDEA1\uDEB0-\uDFFF]|\uD87A[\uDC00-\uDFE0]|\uD87E[\uDC00-\uDE1D]/;
+var ID_Continue = /[\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0300-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u0483-\u0487\u048A-\u052F\u0531-\u0556\u0559\u0561-\u0587\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u05D0-\u05EA\u05F0-\u05F2\u0610-\u061A\u0620-\u0669\u066E-\u06D3\u06D5-\u06DC\u06DF-\u06E8\u06EA-\u06FC\u06FF\u0710-\u074A\u074D-\u07B1\u07C0-\u07F5\u07FA\u0800-\u082D\u0840-\u085B\u0860-\u086A\u08A0-\u08B4\u08B6-\u08BD\u08D4-\u08E1\u08E3-\u0963\u0966-\u096F\u0971-\u0983\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BC-\u09C4\u09C7\u09C8\u09CB-\u09CE\u09D7\u09DC\u09DD\u09DF-\u09E3\u09E6-\u09F1\u09FC\u0A01-\u0A03\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A59-\u0A5C\u0A5E\u0A66-\u0A75\u0A81-\u0A83\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABC-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AD0\u0AE0-\u0AE3\u0AE6-\u0AEF\u0AF9-\u0AFF\u0B01-\u0B03\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3C-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B56\u0B57\u0B5C\u0B5D\u0B5F-\u0B63\u0B66-\u0B6F\u0B71\u0B82\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD0\u0BD7\u0BE6-\u0BEF\u0C00-\u0C03\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C58-\u0C5A\u0C60-\u0C63\u0C66-\u0C6F\u0C80-\u0C83\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBC-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CDE\u0CE0-\u0CE3\u0CE6-\u0CEF\u0CF1\u0CF2\u0D00-\u0D03\u0D05-\u0D0C\u0D0E-\u0D10\u0D12-\u0D44\u0D46-\u0D48\u0D4A-\u0D4E\u0D54-\u0D57\u0D5F-\u0D63\u0D66-\u0D6F\u0D7A-\u0D7F\u0D82\u0D83\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E01-\u0E3A\u0E40-\u0E4E\u0E50-\u0E59\u0E81\u0E82\u0E84\u0E87\u0E88\u0E8A\u0E8D\u0E94-\u0E97\u0E99-\u0E9F\u0EA1-\u0EA3\u0EA5\u0EA7\u0EAA\u0EAB\u0EAD-\u0EB9\u0EBB-\u0EBD\u0EC0-\u0EC4\u0EC6\u0EC8-\u0ECD\u0ED0-\u0ED9\u0EDC-\u0EDF\u0F00\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E-\u0F47\u0F49-\u0F6C\u0F71-\u0F84\u0F86-\u0F97\u0F99-\u0FBC\u0FC6\u1000-\u1049\u1050-\u109D\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u135D-\u135F\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1714\u1720-\u1734\u1740-\u1753\u1760-\u176C\u176E-\u1770\u1772\u1773\u1780-\u17D3\u17D7\u17DC\u17DD\u17E0-\u17E9\u180B-\u180D\u1810-\u1819\u1820-\u1877\u1880-\u18AA\u18B0-\u18F5\u1900-\u191E\u1920-\u192B\u1930-\u193B\u1946-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u19D0-\u19D9\u1A00-\u1A1B\u1A20-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AA7\u1AB0-\u1ABD\u1B00-\u1B4B\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1BF3\u1C00-\u1C37\u1C40-\u1C49\u1C4D-\u1C7D\u1C80-\u1C88\u1CD0-\u1CD2\u1CD4-\u1CF9\u1D00-\u1DF9\u1DFB-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u203F\u2040\u2054\u2071\u207F\u2090-\u209C\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2102\u2107\u210A-\u2113\u2115\u2119-\u211D\u2124\u2126\u2128\u212A-\u212D\u212F-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D7F-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2DE0-\u2DFF\u2E2F\u3005-\u3007\u3021-\u302F\u3031-\u3035\u3038-\u303C\u3041-\u3096\u3099\u309A\u309D-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312E\u3131-\u318E\u31A0-\u31BA\u31F0-\u31FF\u3400-\u4DB5\u4E00-\u9FEA\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA62B\uA640-\uA66F\uA674-\uA67D\uA67F-\uA6F1\uA717-\uA71F\uA722-\uA788\uA78B-\uA7AE\uA7B0-\uA7B7\uA7F7-\uA827\uA840-\uA873\uA880-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F7\uA8FB\uA8FD\uA900-\uA92D\uA930-\uA953\uA960-\uA97C\uA980-\uA9C0\uA9CF-\uA9D9\uA9E0-\uA9FE\uAA00-\uAA36\uAA40-\uAA4D\uAA50-\uAA59\uAA60-\uAA76\uAA7A-\uAAC2\uAADB-\uAADD\uAAE0-\uAAEF\uAAF2-\uAAF6\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB65\uAB70-\uABEA\uABEC\uABED\uABF0-\uABF9\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFE70-\uFE74\uFE76-\uFEFC\uFF10-\uFF19\uFF21-\uFF3A\uFF3F\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]|\uD800[\uDC00-\uDC0B\uDC0D-\uDC26\uDC28-\uDC3A\uDC3C\uDC3D\uDC3F-\uDC4D\uDC50-\uDC5D\uDC80-\uDCFA\uDD40-\uDD74\uDDFD\uDE80-\uDE9C\uDEA0-\uDED0\uDEE0\uDF00-\uDF1F\uDF2D-\uDF4A\uDF50-\uDF7A\uDF80-\uDF9D\uDFA0-\uDFC3\uDFC8-\uDFCF\uDFD1-\uDFD5]|\uD801[\uDC00-\uDC9D\uDCA0-\uDCA9\uDCB0-\uDCD3\uDCD8-\uDCFB\uDD00-\uDD27\uDD30-\uDD63\uDE00-\uDF36\uDF40-\uDF55\uDF60-\uDF67]|\uD802[\uDC00-\uDC05\uDC08\uDC0A-\uDC35\uDC37\uDC38\uDC3C\uDC3F-\uDC55\uDC60-\uDC76\uDC80-\uDC9E\uDCE0-\uDCF2\uDCF4\uDCF5\uDD00-\uDD15\uDD20-\uDD39\uDD80-\uDDB7\uDDBE\uDDBF\uDE00-\uDE03\uDE05\uDE06\uDE0C-\uDE13\uDE15-\uDE17\uDE19-\uDE33\uDE38-\uDE3A\uDE3F\uDE60-\uDE7C\uDE80-\uDE9C\uDEC0-\uDEC7\uDEC9-\uDEE6\uDF00-\uDF35\uDF40-\uDF55\uDF60-\uDF72\uDF80-\uDF91]|\uD803[\uDC00-\uDC48\uDC80-\uDCB2\uDCC0-\uDCF2]|\uD804[\uDC00-\uDC46\uDC66-\uDC6F\uDC7F-\uDCBA\uDCD0-\uDCE8\uDCF0-\uDCF9\uDD00-\uDD34\uDD36-\uDD3F\uDD50-\uDD73\uDD76\uDD80-\uDDC4\uDDCA-\uDDCC\uDDD0-\uDDDA\uDDDC\uDE00-\uDE11\uDE13-\uDE37\uDE3E\uDE80-\uDE86\uDE88\uDE8A-\uDE8D\uDE8F-\uDE9D\uDE9F-\uDEA8\uDEB0-\uDEEA\uDEF0-\uDEF9\uDF00-\uDF03\uDF05-\uDF0C\uDF0F\uDF10\uDF13-\uDF28\uDF2A-\uDF30\uDF32\uDF33\uDF35-\uDF39\uDF3C-\uDF44\uDF47\uDF48\uDF4B-\uDF4D\uDF50\uDF57\uDF5D-\uDF63\uDF66-\uDF6C\uDF70-\uDF74]|\uD805[\uDC00-\uDC4A\uDC50-\uDC59\uDC80-\uDCC5\uDCC7\uDCD0-\uDCD9\uDD80-\uDDB5\uDDB8-\uDDC0\uDDD8-\uDDDD\uDE00-\uDE40\uDE44\uDE50-\uDE59\uDE80-\uDEB7\uDEC0-\uDEC9\uDF00-\uDF19\uDF1D-\uDF2B\uDF30-\uDF39]|\uD806[\uDCA0-\uDCE9\uDCFF\uDE00-\uDE3E\uDE47\uDE50-\uDE83\uDE86-\uDE99\uDEC0-\uDEF8]|\uD807[\uDC00-\uDC08\uDC0A-\uDC36\uDC38-\uDC40\uDC50-\uDC59\uDC72-\uDC8F\uDC92-\uDCA7\uDCA9-\uDCB6\uDD00-\uDD06\uDD08\uDD09\uDD0B-\uDD36\uDD3A\uDD3C\uDD3D\uDD3F-\uDD47\uDD50-\uDD59]|\uD808[\uDC00-\uDF99]|\uD809[\uDC00-\uDC6E\uDC80-\uDD43]|[\uD80C\uD81C-\uD820\uD840-\uD868\uD86A-\uD86C\uD86F-\uD872\uD874-\uD879][\uDC00-\uDFFF]|\uD80D[\uDC00-\uDC2E]|\uD811[\uDC00-\uDE46]|\uD81A[\uDC00-\uDE38\uDE40-\uDE5E\uDE60-\uDE69\uDED0-\uDEED\uDEF0-\uDEF4\uDF00-\uDF36\uDF40-\uDF43\uDF50-\uDF59\uDF63-\uDF77\uDF7D-\uDF8F]|\uD81B[\uDF00-\uDF44\uDF50-\uDF7E\uDF8F-\uDF9F\uDFE0\uDFE1]|\uD821[\uDC00-\uDFEC]|\uD822[\uDC00-\uDEF2]|\uD82C[\uDC00-\uDD1E\uDD70-\uDEFB]|\uD82F[\uDC00-\uDC6A\uDC70-\uDC7C\uDC80-\uDC88\uDC90-\uDC99\uDC9D\uDC9E]|\uD834[\uDD65-\uDD69\uDD6D-\uDD72\uDD7B-\uDD82\uDD85-\uDD8B\uDDAA-\uDDAD\uDE42-\uDE44]|\uD835[\uDC00-\uDC54\uDC56-\uDC9C\uDC9E\uDC9F\uDCA2\uDCA5\uDCA6\uDCA9-\uDCAC\uDCAE-\uDCB9\uDCBB\uDCBD-\uDCC3\uDCC5-\uDD05\uDD07-\uDD0A\uDD0D-\uDD14\uDD16-\uDD1C\uDD1E-\uDD39\uDD3B-\uDD3E\uDD40-\uDD44\uDD46\uDD4A-\uDD50\uDD52-\uDEA5\uDEA8-\uDEC0\uDEC2-\uDEDA\uDEDC-\uDEFA\uDEFC-\uDF14\uDF16-\uDF34\uDF36-\uDF4E\uDF50-\uDF6E\uDF70-\uDF88\uDF8A-\uDFA8\uDFAA-\uDFC2\uDFC4-\uDFCB\uDFCE-\uDFFF]|\uD836[\uDE00-\uDE36\uDE3B-\uDE6C\uDE75\uDE84\uDE9B-\uDE9F\uDEA1-\uDEAF]|\uD838[\uDC00-\uDC06\uDC08-\uDC18\uDC1B-\uDC21\uDC23\uDC24\uDC26-\uDC2A]|\uD83A[\uDC00-\uDCC4\uDCD0-\uDCD6\uDD00-\uDD4A\uDD50-\uDD59]|\uD83B[\uDE00-\uDE03\uDE05-\uDE1F\uDE21\uDE22\uDE24\uDE27\uDE29-\uDE32\uDE34-\uDE37\uDE39\uDE3B\uDE42\uDE47\uDE49\uDE4B\uDE4D-\uDE4F\uDE51\uDE52\uDE54\uDE57\uDE59\uDE5B\uDE5D\uDE5F\uDE61\uDE62\uDE64\uDE67-\uDE6A\uDE6C-\uDE72\uDE74-\uDE77\uDE79-\uDE7C\uDE7E\uDE80-\uDE89\uDE8B-\uDE9B\uDEA1-\uDEA3\uDEA5-\uDEA9\uDEAB-\uDEBB]|\uD869[\uDC00-\uDED6\uDF00-\uDFFF]|\uD86D[\uDC00-\uDF34\uDF40-\uDFFF]|\uD86E[\uDC00-\uDC1D\uDC20-\uDFFF]|\uD873[\uDC00-\uDEA1\uDEB0-\uDFFF]|\uD87A[\uDC00-\uDFE0]|\uD87E[\uDC00-\uDE1D]|\uDB40[\uDD00-\uDDEF]/;
+
+var unicode = {
+	Space_Separator: Space_Separator,
+	ID_Start: ID_Start,
+	ID_Continue: ID_Continue
+};
+
+var util = {
+    isSpaceSeparator (c) {
+        return typeof c === 'string' && unicode.Space_Separator.test(c)
+    },
+
+    isIdStartChar (c) {
+        return typeof c === 'string' && (
+            (c >= 'a' && c <= 'z') ||
+        (c >= 'A' && c <= 'Z') ||
+        (c === '$') || (c === '_') ||
+        unicode.ID_Start.test(c)
+        )
+    },
+
+    isIdContinueChar (c) {
+        return typeof c === 'string' && (
+            (c >= 'a' && c <= 'z') ||
+        (c >= 'A' && c <= 'Z') ||
+        (c >= '0' && c <= '9') ||
+        (c === '$') || (c === '_') ||
+        (c === '\u200C') || (c === '\u200D') ||
+        unicode.ID_Continue.test(c)
+        )
+    },
+
+    isDigit (c) {
+        return typeof c === 'string' && /[0-9]/.test(c)
+    },
+
+    isHexDigit (c) {
+        return typeof c === 'string' && /[0-9A-Fa-f]/.test(c)
+    },
+};
+
+let source;
+let parseState;
+let stack;
+let pos;
+let line;
+let column;
+let token;
+let key;
+let root;
+
+var parse = function parse (text, reviver) {
+    source = String(text);
+    parseState = 'start';
+    stack = [];
+    pos = 0;
+    line = 1;
+    column = 0;
+    token = undefined;
+    key = undefined;
+    root = undefined;
+
+    do {
+        token = lex();
+
+        // This code is unreachable.
+        // if (!parseStates[parseState]) {
+        //     throw invalidParseState()
+        // }
+
+        parseStates[parseState]();
+    } while (token.type !== 'eof')
+
+    if (typeof reviver === 'function') {
+        return internalize({'': root}, '', reviver)
+    }
+
+    return root
+};
+
+function internalize (holder, name, reviver) {
+    const value = holder[name];
+    if (value != null && typeof value === 'object') {
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                const key = String(i);
+                const replacement = internalize(value, key, reviver);
+                if (replacement === undefined) {
+                    delete value[key];
+                } else {
+                    Object.defineProperty(value, key, {
+                        value: replacement,
+                        writable: true,
+                        enumerable: true,
+                        configurable: true,
+                    });
+                }
+            }
+        } else {
+            for (const key in value) {
+                const replacement = internalize(value, key, reviver);
+                if (replacement === undefined) {
+                    delete value[key];
+                } else {
+                    Object.defineProperty(value, key, {
+                        value: replacement,
+                        writable: true,
+                        enumerable: true,
+                        configurable: true,
+                    });
+                }
+            }
+        }
+    }
+
+    return reviver.call(holder, name, value)
+}
+
+let lexState;
+let buffer;
+let doubleQuote;
+let sign;
+let c;
+
+function lex () {
+    lexState = 'default';
+    buffer = '';
+    doubleQuote = false;
+    sign = 1;
+
+    for (;;) {
+        c = peek();
+
+        // This code is unreachable.
+        // if (!lexStates[lexState]) {
+        //     throw invalidLexState(lexState)
+        // }
+
+        const token = lexStates[lexState]();
+        if (token) {
+            return token
+        }
+    }
+}
+
+function peek () {
+    if (source[pos]) {
+        return String.fromCodePoint(source.codePointAt(pos))
+    }
+}
+
+function read () {
+    const c = peek();
 
-/***/ "./src/config.mjs":
-/*!************************!*\
-  !*** ./src/config.mjs ***!
-  \************************/
-/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+    if (c === '\n') {
+        line++;
+        column = 0;
+    } else if (c) {
+        column += c.length;
+    } else {
+        column++;
+    }
 
-"use strict";
-__webpack_require__.r(__webpack_exports__);
-/* harmony export */ __webpack_require__.d(__webpack_exports__, {
-/* harmony export */   "wrapFiles": () => (/* binding */ wrapFiles),
-/* harmony export */   "insertFiles": () => (/* binding */ insertFiles),
-/* harmony export */   "pageFiles": () => (/* binding */ pageFiles),
-/* harmony export */   "options": () => (/* binding */ options),
-/* harmony export */   "devOptions": () => (/* binding */ devOptions),
-/* harmony export */   "insertPattern": () => (/* binding */ insertPattern),
-/* harmony export */   "filePathAttribute": () => (/* binding */ filePathAttribute),
-/* harmony export */   "jsonPathAttribute": () => (/* binding */ jsonPathAttribute),
-/* harmony export */   "rawJsonPlugins": () => (/* binding */ rawJsonPlugins),
-/* harmony export */   "configureFiles": () => (/* binding */ configureFiles),
-/* harmony export */   "setOptions": () => (/* binding */ setOptions)
-/* harmony export */ });
-var wrapFiles = {};
-var insertFiles = {};
-var pageFiles = [];
-var options = {};
-var devOptions = {};
-var insertPattern;
-var filePathAttribute;
-var jsonPathAttribute;
-var rawJsonPlugins;
-var configureFiles = function configureFiles(file) {
-  if (file.name[0] === '_') wrapFiles[file.path] = file;else if (file.name[0] === '-') insertFiles[file.path] = file;else pageFiles.push(file);
-}; // @options = (optional) options for configuring htmlIncluder
-// options.jsonInput         = A json object used to populate data in files
-// options.insertPattern     = The test looked for in order to insert files
-//          (this is so ssi includes can be used instead)
-// options.filePathAttribute = the name used for the file pathing for #insert
-//          and #wrap (default= 'path')
-// options.jsonPathAttribute = the name used for the file pathing for #insert
-//          , #wrap, #data, #jsonInsert (default= 'jsonPath')
-// options.rawJsonPlugins = list of functions passed in to be used in processRawJson call
-//
-//
-// options.dev.limitIterations = the number of times processFileWithJsonInput will loop
-// options.dev.printIterations = console log each processFileWithJsonInput loop
-// options.dev.printResult = console logs the final output
-// options.dev.printPaths = console logs the output of buildPathFromRelativePath
+    if (c) {
+        pos += c.length;
+    }
 
-var setOptions = function setOptions(ops) {
-  devOptions = ops.dev || {};
-  options = ops; //set text value for insert tags, or default
+    return c
+}
 
-  insertPattern = options.insertPattern ? '<!--#' + options.insertPattern : '<!--#insert';
-  filePathAttribute = options.filePathAttribute ? options.filePathAttribute : 'path';
-  jsonPathAttribute = options.jsonPathAttribute ? options.jsonPathAttribute : 'jsonPath';
-  rawJsonPlugins = options.rawJsonPlugins ? options.rawJsonPlugins : {};
-};
+const lexStates = {
+    default () {
+        switch (c) {
+        case '\t':
+        case '\v':
+        case '\f':
+        case ' ':
+        case '\u00A0':
+        case '\uFEFF':
+        case '\n':
+        case '\r':
+        case '\u2028':
+        case '\u2029':
+            read();
+            return
+
+        case '/':
+            read();
+            lexState = 'comment';
+            return
+
+        case undefined:
+            read();
+            return newToken('eof')
+        }
 
-/***/ }),
+        if (util.isSpaceSeparator(c)) {
+            read();
+            return
+        }
 
-/***/ "./src/parse.mjs":
-/*!***********************!*\
-  !*** ./src/parse.mjs ***!
-  \***********************/
-/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+        // This code is unreachable.
+        // if (!lexStates[parseState]) {
+        //     throw invalidLexState(parseState)
+        // }
 
-"use strict";
-__webpack_require__.r(__webpack_exports__);
-/* harmony export */ __webpack_require__.d(__webpack_exports__, {
-/* harmony export */   "processFile": () => (/* binding */ processFile)
-/* harmony export */ });
-/* harmony import */ var babel_polyfill__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! babel-polyfill */ "./node_modules/babel-polyfill/lib/index.js");
-/* harmony import */ var _config_mjs__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./config.mjs */ "./src/config.mjs");
-function _typeof(obj) { "@babel/helpers - typeof"; if (typeof Symbol === "function" && typeof Symbol.iterator === "symbol") { _typeof = function _typeof(obj) { return typeof obj; }; } else { _typeof = function _typeof(obj) { return obj && typeof Symbol === "function" && obj.constructor === Symbol && obj !== Symbol.prototype ? "symbol" : typeof obj; }; } return _typeof(obj); }
+        return lexStates[parseState]()
+    },
 
-function _slicedToArray(arr, i) { return _arrayWithHoles(arr) || _iterableToArrayLimit(arr, i) || _unsupportedIterableToArray(arr, i) || _nonIterableRest(); }
+    comment () {
+        switch (c) {
+        case '*':
+            read();
+            lexState = 'multiLineComment';
+            return
+
+        case '/':
+            read();
+            lexState = 'singleLineComment';
+            return
+        }
 
-function _nonIterableRest() { throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+        throw invalidChar(read())
+    },
 
-function _iterableToArrayLimit(arr, i) { var _i = arr == null ? null : typeof Symbol !== "undefined" && arr[Symbol.iterator] || arr["@@iterator"]; if (_i == null) return; var _arr = []; var _n = true; var _d = false; var _s, _e; try { for (_i = _i.call(arr); !(_n = (_s = _i.next()).done); _n = true) { _arr.push(_s.value); if (i && _arr.length === i) break; } } catch (err) { _d = true; _e = err; } finally { try { if (!_n && _i["return"] != null) _i["return"](); } finally { if (_d) throw _e; } } return _arr; }
+    multiLineComment () {
+        switch (c) {
+        case '*':
+            read();
+            lexState = 'multiLineCommentAsterisk';
+            return
 
-function _arrayWithHoles(arr) { if (Array.isArray(arr)) return arr; }
+        case undefined:
+            throw invalidChar(read())
+        }
 
-function _toConsumableArray(arr) { return _arrayWithoutHoles(arr) || _iterableToArray(arr) || _unsupportedIterableToArray(arr) || _nonIterableSpread(); }
+        read();
+    },
 
-function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+    multiLineCommentAsterisk () {
+        switch (c) {
+        case '*':
+            read();
+            return
 
-function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+        case '/':
+            read();
+            lexState = 'default';
+            return
 
-function _iterableToArray(iter) { if (typeof Symbol !== "undefined" && iter[Symbol.iterator] != null || iter["@@iterator"] != null) return Array.from(iter); }
+        case undefined:
+            throw invalidChar(read())
+        }
 
-function _arrayWithoutHoles(arr) { if (Array.isArray(arr)) return _arrayLikeToArray(arr); }
+        read();
+        lexState = 'multiLineComment';
+    },
 
-function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) { arr2[i] = arr[i]; } return arr2; }
+    singleLineComment () {
+        switch (c) {
+        case '\n':
+        case '\r':
+        case '\u2028':
+        case '\u2029':
+            read();
+            lexState = 'default';
+            return
+
+        case undefined:
+            read();
+            return newToken('eof')
+        }
 
-function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); if (enumerableOnly) { symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; }); } keys.push.apply(keys, symbols); } return keys; }
+        read();
+    },
 
-function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = arguments[i] != null ? arguments[i] : {}; if (i % 2) { ownKeys(Object(source), true).forEach(function (key) { _defineProperty(target, key, source[key]); }); } else if (Object.getOwnPropertyDescriptors) { Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)); } else { ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } } return target; }
+    value () {
+        switch (c) {
+        case '{':
+        case '[':
+            return newToken('punctuator', read())
+
+        case 'n':
+            read();
+            literal('ull');
+            return newToken('null', null)
+
+        case 't':
+            read();
+            literal('rue');
+            return newToken('boolean', true)
+
+        case 'f':
+            read();
+            literal('alse');
+            return newToken('boolean', false)
+
+        case '-':
+        case '+':
+            if (read() === '-') {
+                sign = -1;
+            }
 
-function _defineProperty(obj, key, value) { if (key in obj) { Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true }); } else { obj[key] = value; } return obj; }
+            lexState = 'sign';
+            return
+
+        case '.':
+            buffer = read();
+            lexState = 'decimalPointLeading';
+            return
+
+        case '0':
+            buffer = read();
+            lexState = 'zero';
+            return
+
+        case '1':
+        case '2':
+        case '3':
+        case '4':
+        case '5':
+        case '6':
+        case '7':
+        case '8':
+        case '9':
+            buffer = read();
+            lexState = 'decimalInteger';
+            return
+
+        case 'I':
+            read();
+            literal('nfinity');
+            return newToken('numeric', Infinity)
+
+        case 'N':
+            read();
+            literal('aN');
+            return newToken('numeric', NaN)
+
+        case '"':
+        case "'":
+            doubleQuote = (read() === '"');
+            buffer = '';
+            lexState = 'string';
+            return
+        }
 
-function asyncGeneratorStep(gen, resolve, reject, _next, _throw, key, arg) { try { var info = gen[key](arg); var value = info.value; } catch (error) { reject(error); return; } if (info.done) { resolve(value); } else { Promise.resolve(value).then(_next, _throw); } }
+        throw invalidChar(read())
+    },
 
-function _asyncToGenerator(fn) { return function () { var self = this, args = arguments; return new Promise(function (resolve, reject) { var gen = fn.apply(self, args); function _next(value) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "next", value); } function _throw(err) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "throw", err); } _next(undefined); }); }; }
+    identifierNameStartEscape () {
+        if (c !== 'u') {
+            throw invalidChar(read())
+        }
 
+        read();
+        const u = unicodeEscape();
+        switch (u) {
+        case '$':
+        case '_':
+            break
 
- // shape of our AST nodes
+        default:
+            if (!util.isIdStartChar(u)) {
+                throw invalidIdentifier()
+            }
 
-var getDefaultNode = function getDefaultNode() {
-  return {
-    type: '',
-    file: {},
-    originalContent: '',
-    content: '',
-    parent: {},
-    innerScope: null,
-    children: [],
-    // list of sequential nodes wrapped in tag (or at topNode)
-    nestedNodes: [],
-    // nested tags - these need to be resolved before this tag is resolved
-    attributes: {} // attributes on tag
+            break
+        }
 
-  };
-}; // entry point for processing files
+        buffer += u;
+        lexState = 'identifierName';
+    },
+
+    identifierName () {
+        switch (c) {
+        case '$':
+        case '_':
+        case '\u200C':
+        case '\u200D':
+            buffer += read();
+            return
+
+        case '\\':
+            read();
+            lexState = 'identifierNameEscape';
+            return
+        }
 
+        if (util.isIdContinueChar(c)) {
+            buffer += read();
+            return
+        }
 
-var processFile = /*#__PURE__*/function () {
-  var _ref = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee(file, json, parent, innerScope) {
-    var topNode;
-    return regeneratorRuntime.wrap(function _callee$(_context) {
-      while (1) {
-        switch (_context.prev = _context.next) {
-          case 0:
-            // convert string into object
-            topNode = _objectSpread(_objectSpread(_objectSpread({}, getDefaultNode()), {}, {
-              type: 'topNode',
-              file: file,
-              originalContent: file.content,
-              content: file.content
-            }, parent ? {
-              parent: parent
-            } : {}), innerScope ? {
-              innerScope: innerScope
-            } : {}); // don't do work if there are no tags in the file
-
-            if (!(topNode.originalContent.indexOf('<!--#') === -1)) {
-              _context.next = 5;
-              break;
+        return newToken('identifier', buffer)
+    },
+
+    identifierNameEscape () {
+        if (c !== 'u') {
+            throw invalidChar(read())
+        }
+
+        read();
+        const u = unicodeEscape();
+        switch (u) {
+        case '$':
+        case '_':
+        case '\u200C':
+        case '\u200D':
+            break
+
+        default:
+            if (!util.isIdContinueChar(u)) {
+                throw invalidIdentifier()
             }
 
-            _context.next = 4;
-            return topNode;
+            break
+        }
 
-          case 4:
-            return _context.abrupt("return", _context.sent);
+        buffer += u;
+        lexState = 'identifierName';
+    },
 
-          case 5:
-            _context.next = 7;
-            return processNode(topNode, json);
+    sign () {
+        switch (c) {
+        case '.':
+            buffer = read();
+            lexState = 'decimalPointLeading';
+            return
+
+        case '0':
+            buffer = read();
+            lexState = 'zero';
+            return
+
+        case '1':
+        case '2':
+        case '3':
+        case '4':
+        case '5':
+        case '6':
+        case '7':
+        case '8':
+        case '9':
+            buffer = read();
+            lexState = 'decimalInteger';
+            return
+
+        case 'I':
+            read();
+            literal('nfinity');
+            return newToken('numeric', sign * Infinity)
+
+        case 'N':
+            read();
+            literal('aN');
+            return newToken('numeric', NaN)
+        }
 
-          case 7:
-            _context.next = 9;
-            return topNode;
+        throw invalidChar(read())
+    },
 
-          case 9:
-            return _context.abrupt("return", _context.sent);
+    zero () {
+        switch (c) {
+        case '.':
+            buffer += read();
+            lexState = 'decimalPoint';
+            return
+
+        case 'e':
+        case 'E':
+            buffer += read();
+            lexState = 'decimalExponent';
+            return
+
+        case 'x':
+        case 'X':
+            buffer += read();
+            lexState = 'hexadecimal';
+            return
+        }
 
-          case 10:
-          case "end":
-            return _context.stop();
+        return newToken('numeric', sign * 0)
+    },
+
+    decimalInteger () {
+        switch (c) {
+        case '.':
+            buffer += read();
+            lexState = 'decimalPoint';
+            return
+
+        case 'e':
+        case 'E':
+            buffer += read();
+            lexState = 'decimalExponent';
+            return
         }
-      }
-    }, _callee);
-  }));
 
-  return function processFile(_x, _x2, _x3, _x4) {
-    return _ref.apply(this, arguments);
-  };
-}(); //
+        if (util.isDigit(c)) {
+            buffer += read();
+            return
+        }
 
-var processNode = /*#__PURE__*/function () {
-  var _ref2 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee2(node, json) {
-    var contentArr;
-    return regeneratorRuntime.wrap(function _callee2$(_context2) {
-      while (1) {
-        switch (_context2.prev = _context2.next) {
-          case 0:
-            if (!(node.type === 'textContent')) {
-              _context2.next = 2;
-              break;
-            }
+        return newToken('numeric', sign * Number(buffer))
+    },
 
-            return _context2.abrupt("return", node);
+    decimalPointLeading () {
+        if (util.isDigit(c)) {
+            buffer += read();
+            lexState = 'decimalFraction';
+            return
+        }
 
-          case 2:
-            // the contents of a node may contain more nested nodes
-            // break these up into an array of mixed textContent nodes and tags
-            contentArr = splitContent(node.content).filter(function (c) {
-              return c !== '';
-            }); // convert array of strings to nodes
+        throw invalidChar(read())
+    },
 
-            node.nestedNodes = buildNodes(node, contentArr, json);
-            _context2.next = 6;
-            return resolveNode(node, json);
+    decimalPoint () {
+        switch (c) {
+        case 'e':
+        case 'E':
+            buffer += read();
+            lexState = 'decimalExponent';
+            return
+        }
 
-          case 6:
-            node = _context2.sent;
-            return _context2.abrupt("return", node);
+        if (util.isDigit(c)) {
+            buffer += read();
+            lexState = 'decimalFraction';
+            return
+        }
 
-          case 8:
-          case "end":
-            return _context2.stop();
+        return newToken('numeric', sign * Number(buffer))
+    },
+
+    decimalFraction () {
+        switch (c) {
+        case 'e':
+        case 'E':
+            buffer += read();
+            lexState = 'decimalExponent';
+            return
         }
-      }
-    }, _callee2);
-  }));
 
-  return function processNode(_x5, _x6) {
-    return _ref2.apply(this, arguments);
-  };
-}(); //
+        if (util.isDigit(c)) {
+            buffer += read();
+            return
+        }
 
+        return newToken('numeric', sign * Number(buffer))
+    },
 
-var buildNodes = function buildNodes(parent, contentArr, json, closeTag) {
-  var nodes = [];
+    decimalExponent () {
+        switch (c) {
+        case '+':
+        case '-':
+            buffer += read();
+            lexState = 'decimalExponentSign';
+            return
+        }
 
-  while (contentArr.length > 0) {
-    var content = contentArr.shift(); // if we find the close tag, then we are done with our search
+        if (util.isDigit(c)) {
+            buffer += read();
+            lexState = 'decimalExponentInteger';
+            return
+        }
 
-    if (closeTag && content.indexOf(closeTag) === 0) return nodes; // lookup type of the tag
+        throw invalidChar(read())
+    },
 
-    var type = findNodeType(content);
+    decimalExponentSign () {
+        if (util.isDigit(c)) {
+            buffer += read();
+            lexState = 'decimalExponentInteger';
+            return
+        }
 
-    var node = _objectSpread(_objectSpread({}, getDefaultNode()), {}, {
-      type: type,
-      parent: parent,
-      file: parent.file,
-      innerScope: parent.innerScope,
-      originalContent: content,
-      content: content
-    }); // if this is a text node, we're set
+        throw invalidChar(read())
+    },
 
+    decimalExponentInteger () {
+        if (util.isDigit(c)) {
+            buffer += read();
+            return
+        }
 
-    if (type === 'textContent') {
-      nodes.push(node);
-      continue;
-    } // remove leading character ('<') so the inner contents can be parsed properly
+        return newToken('numeric', sign * Number(buffer))
+    },
 
+    hexadecimal () {
+        if (util.isHexDigit(c)) {
+            buffer += read();
+            lexState = 'hexadecimalInteger';
+            return
+        }
 
-    node.content = node.originalContent.slice(1); // the contents inside a node can be treated like new little documents
-    // if this is a node that has children build them up, removing them
-    // from the split up array
+        throw invalidChar(read())
+    },
 
-    node.children = type === 'wrap' ? buildNodes(node, contentArr, json, '<!--#endwrap') : type === 'each' ? buildNodes(node, contentArr, json, '<!--#endeach') : type === 'if' ? buildNodes(node, contentArr, json, '<!--#endif') : [];
-    nodes.push(node);
-  } // We should never get here while looking for a closing tag
+    hexadecimalInteger () {
+        if (util.isHexDigit(c)) {
+            buffer += read();
+            return
+        }
 
+        return newToken('numeric', sign * Number(buffer))
+    },
 
-  if (closeTag) console.warn("WARNING while processing file '".concat(parent.file.path, "': there is a missing tag"));
-  return nodes;
-}; //
+    string () {
+        switch (c) {
+        case '\\':
+            read();
+            buffer += escape();
+            return
+
+        case '"':
+            if (doubleQuote) {
+                read();
+                return newToken('string', buffer)
+            }
 
+            buffer += read();
+            return
 
-var resolveNode = /*#__PURE__*/function () {
-  var _ref3 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee4(node, json) {
-    var promises, processor;
-    return regeneratorRuntime.wrap(function _callee4$(_context4) {
-      while (1) {
-        switch (_context4.prev = _context4.next) {
-          case 0:
-            if (!(node.nestedNodes.length > 0)) {
-              _context4.next = 4;
-              break;
+        case "'":
+            if (!doubleQuote) {
+                read();
+                return newToken('string', buffer)
             }
 
-            promises = node.nestedNodes.map( /*#__PURE__*/function () {
-              var _ref4 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee3(node) {
-                return regeneratorRuntime.wrap(function _callee3$(_context3) {
-                  while (1) {
-                    switch (_context3.prev = _context3.next) {
-                      case 0:
-                        _context3.next = 2;
-                        return processNode(node, json);
-
-                      case 2:
-                        return _context3.abrupt("return", _context3.sent);
-
-                      case 3:
-                      case "end":
-                        return _context3.stop();
-                    }
-                  }
-                }, _callee3);
-              }));
+            buffer += read();
+            return
 
-              return function (_x9) {
-                return _ref4.apply(this, arguments);
-              };
-            }());
-            _context4.next = 4;
-            return Promise.all(promises).then(function () {
-              node.content = joinContent(node.nestedNodes);
-            });
+        case '\n':
+        case '\r':
+            throw invalidChar(read())
 
-          case 4:
-            // process node so that content is resolved
-            processor = nodeProcessors[node.type]; // There is a problem if we found no processor
+        case '\u2028':
+        case '\u2029':
+            separatorChar(c);
+            break
 
-            if (processor) {
-              _context4.next = 8;
-              break;
-            }
+        case undefined:
+            throw invalidChar(read())
+        }
 
-            console.warn("WARNING while processing file '".concat(node.file.path, "': there is no processor for type '").concat(node.type, "'"));
-            return _context4.abrupt("return", node);
+        buffer += read();
+    },
 
-          case 8:
-            _context4.next = 10;
-            return loadNodeAttributes(node, json);
+    start () {
+        switch (c) {
+        case '{':
+        case '[':
+            return newToken('punctuator', read())
 
-          case 10:
-            node.attributes = _context4.sent;
-            _context4.next = 13;
-            return processor(node, json);
+        // This code is unreachable since the default lexState handles eof.
+        // case undefined:
+        //     return newToken('eof')
+        }
 
-          case 13:
-            return _context4.abrupt("return", _context4.sent);
+        lexState = 'value';
+    },
 
-          case 14:
-          case "end":
-            return _context4.stop();
+    beforePropertyName () {
+        switch (c) {
+        case '$':
+        case '_':
+            buffer = read();
+            lexState = 'identifierName';
+            return
+
+        case '\\':
+            read();
+            lexState = 'identifierNameStartEscape';
+            return
+
+        case '}':
+            return newToken('punctuator', read())
+
+        case '"':
+        case "'":
+            doubleQuote = (read() === '"');
+            lexState = 'string';
+            return
         }
-      }
-    }, _callee4);
-  }));
 
-  return function resolveNode(_x7, _x8) {
-    return _ref3.apply(this, arguments);
-  };
-}(); // loads values for tags into node object
+        if (util.isIdStartChar(c)) {
+            buffer += read();
+            lexState = 'identifierName';
+            return
+        }
 
+        throw invalidChar(read())
+    },
 
-var loadNodeAttributes = /*#__PURE__*/function () {
-  var _ref5 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee6(node, json) {
-    var attrs, attributes;
-    return regeneratorRuntime.wrap(function _callee6$(_context6) {
-      while (1) {
-        switch (_context6.prev = _context6.next) {
-          case 0:
-            attrs = nodeAttributes[node.type] || [];
-            _context6.next = 3;
-            return attrs.reduce( /*#__PURE__*/function () {
-              var _ref6 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee5(acc, attr) {
-                var value;
-                return regeneratorRuntime.wrap(function _callee5$(_context5) {
-                  while (1) {
-                    switch (_context5.prev = _context5.next) {
-                      case 0:
-                        _context5.next = 2;
-                        return acc;
-
-                      case 2:
-                        acc = _context5.sent;
-
-                        if (!hasTagAttribute(attr, node.content)) {
-                          _context5.next = 13;
-                          break;
-                        }
-
-                        value = getTagAttribute(attr, node.content);
-
-                        if (!(attr === 'rawJson')) {
-                          _context5.next = 11;
-                          break;
-                        }
-
-                        _context5.next = 8;
-                        return processRawJson(value, json);
-
-                      case 8:
-                        _context5.t0 = _context5.sent;
-                        _context5.next = 12;
-                        break;
-
-                      case 11:
-                        _context5.t0 = value;
-
-                      case 12:
-                        acc[attr] = _context5.t0;
-
-                      case 13:
-                        return _context5.abrupt("return", acc);
-
-                      case 14:
-                      case "end":
-                        return _context5.stop();
-                    }
-                  }
-                }, _callee5);
-              }));
+    afterPropertyName () {
+        if (c === ':') {
+            return newToken('punctuator', read())
+        }
 
-              return function (_x12, _x13) {
-                return _ref6.apply(this, arguments);
-              };
-            }(), {});
+        throw invalidChar(read())
+    },
 
-          case 3:
-            attributes = _context6.sent;
-            return _context6.abrupt("return", attributes);
+    beforePropertyValue () {
+        lexState = 'value';
+    },
 
-          case 5:
-          case "end":
-            return _context6.stop();
+    afterPropertyValue () {
+        switch (c) {
+        case ',':
+        case '}':
+            return newToken('punctuator', read())
         }
-      }
-    }, _callee6);
-  }));
 
-  return function loadNodeAttributes(_x10, _x11) {
-    return _ref5.apply(this, arguments);
-  };
-}(); // check for tag and return node type
+        throw invalidChar(read())
+    },
 
+    beforeArrayValue () {
+        if (c === ']') {
+            return newToken('punctuator', read())
+        }
 
-var findNodeType = function findNodeType(content) {
-  return content.indexOf('<!--#insert') === 0 ? 'insert' : content.indexOf('<!--#data') === 0 ? 'data' : content.indexOf('<!--#jsonInsert') === 0 ? 'jsonInsert' : content.indexOf('<!--#wrap') === 0 ? 'wrap' : content.indexOf('<!--#middle') === 0 ? 'middle' : content.indexOf('<!--#each') === 0 ? 'each' : content.indexOf('<!--#if') === 0 ? 'if' : 'textContent';
-}; //
+        lexState = 'value';
+    },
 
+    afterArrayValue () {
+        switch (c) {
+        case ',':
+        case ']':
+            return newToken('punctuator', read())
+        }
 
-var joinContent = function joinContent(nodeList) {
-  return nodeList.map(function (c) {
-    return c.content;
-  }).join('');
-}; // the functions that processes each node
-// these assume that they have all their nested nodes resolved and attributes loaded
+        throw invalidChar(read())
+    },
 
+    end () {
+        // This code is unreachable since it's handled by the default lexState.
+        // if (c === undefined) {
+        //     read()
+        //     return newToken('eof')
+        // }
 
-var nodeProcessors = {
-  //
-  topNode: function topNode(node, json) {
-    node.content = joinContent(node.nestedNodes);
-    return node;
-  },
-  //
-  textContent: function textContent(node, json) {
-    console.warn('WARNING: Why are we processing a textContent?');
-    return node;
-  },
-  //
-  insert: function () {
-    var _insert = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee7(node, json) {
-      var file, innerScope, _node$attributes, path, jsonPath, rawJson, filename, insertFile, newInnerScope, insertNode;
+        throw invalidChar(read())
+    },
+};
 
-      return regeneratorRuntime.wrap(function _callee7$(_context7) {
-        while (1) {
-          switch (_context7.prev = _context7.next) {
-            case 0:
-              file = node.file, innerScope = node.innerScope;
-              _node$attributes = node.attributes, path = _node$attributes.path, jsonPath = _node$attributes.jsonPath, rawJson = _node$attributes.rawJson;
+function newToken (type, value) {
+    return {
+        type,
+        value,
+        line,
+        column,
+    }
+}
 
-              if (path) {
-                _context7.next = 6;
-                break;
-              }
+function literal (s) {
+    for (const c of s) {
+        const p = peek();
 
-              console.warn("WARNING while processing file '".concat(file.path, "': insert tag with no path attribute"));
-              node.content = '';
-              return _context7.abrupt("return", node);
+        if (p !== c) {
+            throw invalidChar(read())
+        }
 
-            case 6:
-              // get filename for inserted file
-              filename = buildPathFromRelativePath(file.path, path); // see if file we are loading exists
+        read();
+    }
+}
 
-              if (_config_mjs__WEBPACK_IMPORTED_MODULE_1__.insertFiles[filename]) {
-                _context7.next = 11;
-                break;
-              }
+function escape () {
+    const c = peek();
+    switch (c) {
+    case 'b':
+        read();
+        return '\b'
+
+    case 'f':
+        read();
+        return '\f'
+
+    case 'n':
+        read();
+        return '\n'
+
+    case 'r':
+        read();
+        return '\r'
+
+    case 't':
+        read();
+        return '\t'
+
+    case 'v':
+        read();
+        return '\v'
+
+    case '0':
+        read();
+        if (util.isDigit(peek())) {
+            throw invalidChar(read())
+        }
 
-              console.warn("WARNING while processing file '".concat(file.path, "': insert file '").concat(filename, "' does not exist"));
-              node.content = '';
-              return _context7.abrupt("return", node);
+        return '\0'
 
-            case 11:
-              // load contents from file
-              insertFile = _objectSpread({}, _config_mjs__WEBPACK_IMPORTED_MODULE_1__.insertFiles[filename]); // set scope for inserted file
+    case 'x':
+        read();
+        return hexEscape()
+
+    case 'u':
+        read();
+        return unicodeEscape()
+
+    case '\n':
+    case '\u2028':
+    case '\u2029':
+        read();
+        return ''
+
+    case '\r':
+        read();
+        if (peek() === '\n') {
+            read();
+        }
+
+        return ''
+
+    case '1':
+    case '2':
+    case '3':
+    case '4':
+    case '5':
+    case '6':
+    case '7':
+    case '8':
+    case '9':
+        throw invalidChar(read())
+
+    case undefined:
+        throw invalidChar(read())
+    }
+
+    return read()
+}
+
+function hexEscape () {
+    let buffer = '';
+    let c = peek();
+
+    if (!util.isHexDigit(c)) {
+        throw invalidChar(read())
+    }
+
+    buffer += read();
+
+    c = peek();
+    if (!util.isHexDigit(c)) {
+        throw invalidChar(read())
+    }
+
+    buffer += read();
+
+    return String.fromCodePoint(parseInt(buffer, 16))
+}
+
+function unicodeEscape () {
+    let buffer = '';
+    let count = 4;
+
+    while (count-- > 0) {
+        const c = peek();
+        if (!util.isHexDigit(c)) {
+            throw invalidChar(read())
+        }
+
+        buffer += read();
+    }
+
+    return String.fromCodePoint(parseInt(buffer, 16))
+}
+
+const parseStates = {
+    start () {
+        if (token.type === 'eof') {
+            throw invalidEOF()
+        }
+
+        push();
+    },
+
+    beforePropertyName () {
+        switch (token.type) {
+        case 'identifier':
+        case 'string':
+            key = token.value;
+            parseState = 'afterPropertyName';
+            return
+
+        case 'punctuator':
+            // This code is unreachable since it's handled by the lexState.
+            // if (token.value !== '}') {
+            //     throw invalidToken()
+            // }
+
+            pop();
+            return
+
+        case 'eof':
+            throw invalidEOF()
+        }
+
+        // This code is unreachable since it's handled by the lexState.
+        // throw invalidToken()
+    },
+
+    afterPropertyName () {
+        // This code is unreachable since it's handled by the lexState.
+        // if (token.type !== 'punctuator' || token.value !== ':') {
+        //     throw invalidToken()
+        // }
+
+        if (token.type === 'eof') {
+            throw invalidEOF()
+        }
+
+        parseState = 'beforePropertyValue';
+    },
+
+    beforePropertyValue () {
+        if (token.type === 'eof') {
+            throw invalidEOF()
+        }
+
+        push();
+    },
+
+    beforeArrayValue () {
+        if (token.type === 'eof') {
+            throw invalidEOF()
+        }
+
+        if (token.type === 'punctuator' && token.value === ']') {
+            pop();
+            return
+        }
 
-              newInnerScope = rawJson && jsonPath ? getDataFromJsonPath(jsonPath, rawJson) : innerScope && jsonPath ? getDataFromJsonPath(jsonPath, innerScope) : rawJson ? rawJson : jsonPath ? getDataFromJsonPath(jsonPath, json) : void 0;
-              _context7.next = 15;
-              return processFile(insertFile, json, node, newInnerScope);
+        push();
+    },
 
-            case 15:
-              insertNode = _context7.sent;
-              // process contents to get children
-              node.content = insertNode.content;
-              return _context7.abrupt("return", node);
+    afterPropertyValue () {
+        // This code is unreachable since it's handled by the lexState.
+        // if (token.type !== 'punctuator') {
+        //     throw invalidToken()
+        // }
 
-            case 18:
-            case "end":
-              return _context7.stop();
-          }
+        if (token.type === 'eof') {
+            throw invalidEOF()
         }
-      }, _callee7);
-    }));
 
-    function insert(_x14, _x15) {
-      return _insert.apply(this, arguments);
-    }
+        switch (token.value) {
+        case ',':
+            parseState = 'beforePropertyName';
+            return
 
-    return insert;
-  }(),
-  //
-  wrap: function () {
-    var _wrap = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee9(node, json) {
-      var file, innerScope, _node$attributes2, path, jsonPath, rawJson, filename, promises, wrapFile, newInnerScope, wrapNode;
+        case '}':
+            pop();
+        }
 
-      return regeneratorRuntime.wrap(function _callee9$(_context9) {
-        while (1) {
-          switch (_context9.prev = _context9.next) {
-            case 0:
-              file = node.file, innerScope = node.innerScope;
-              _node$attributes2 = node.attributes, path = _node$attributes2.path, jsonPath = _node$attributes2.jsonPath, rawJson = _node$attributes2.rawJson;
+        // This code is unreachable since it's handled by the lexState.
+        // throw invalidToken()
+    },
 
-              if (path) {
-                _context9.next = 6;
-                break;
-              }
+    afterArrayValue () {
+        // This code is unreachable since it's handled by the lexState.
+        // if (token.type !== 'punctuator') {
+        //     throw invalidToken()
+        // }
 
-              console.warn("WARNING while processing file '".concat(node.file.path, "': wrap tag with no path attribute"));
-              node.content = '';
-              return _context9.abrupt("return", node);
+        if (token.type === 'eof') {
+            throw invalidEOF()
+        }
 
-            case 6:
-              // get filename for inserted file
-              filename = buildPathFromRelativePath(file.path, path); // see if file we are loading exists
+        switch (token.value) {
+        case ',':
+            parseState = 'beforeArrayValue';
+            return
 
-              if (_config_mjs__WEBPACK_IMPORTED_MODULE_1__.wrapFiles[filename]) {
-                _context9.next = 11;
-                break;
-              }
+        case ']':
+            pop();
+        }
 
-              console.warn("WARNING while processing file '".concat(node.file.path, "': wrap file '").concat(filename, "' does not exist"));
-              node.content = '';
-              return _context9.abrupt("return", node);
+        // This code is unreachable since it's handled by the lexState.
+        // throw invalidToken()
+    },
 
-            case 11:
-              // we need to process the children before we bring in the file
-              // handle children content
-              promises = node.children.map( /*#__PURE__*/function () {
-                var _ref7 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee8(childNode) {
-                  return regeneratorRuntime.wrap(function _callee8$(_context8) {
-                    while (1) {
-                      switch (_context8.prev = _context8.next) {
-                        case 0:
-                          _context8.next = 2;
-                          return processNode(childNode, json);
-
-                        case 2:
-                          return _context8.abrupt("return", _context8.sent);
-
-                        case 3:
-                        case "end":
-                          return _context8.stop();
-                      }
-                    }
-                  }, _callee8);
-                }));
+    end () {
+        // This code is unreachable since it's handled by the lexState.
+        // if (token.type !== 'eof') {
+        //     throw invalidToken()
+        // }
+    },
+};
 
-                return function (_x18) {
-                  return _ref7.apply(this, arguments);
-                };
-              }());
-              _context9.next = 14;
-              return Promise.all(promises).then(function (children) {
-                return children;
-              });
+function push () {
+    let value;
 
-            case 14:
-              node.children = _context9.sent;
-              node.content = joinContent(node.children); // load contents from file
+    switch (token.type) {
+    case 'punctuator':
+        switch (token.value) {
+        case '{':
+            value = {};
+            break
 
-              wrapFile = _objectSpread({}, _config_mjs__WEBPACK_IMPORTED_MODULE_1__.wrapFiles[filename]); // set scope for inserted file
+        case '[':
+            value = [];
+            break
+        }
 
-              newInnerScope = rawJson && jsonPath ? getDataFromJsonPath(jsonPath, rawJson) : innerScope && jsonPath ? getDataFromJsonPath(jsonPath, innerScope) : rawJson ? rawJson : jsonPath ? getDataFromJsonPath(jsonPath, json) : void 0;
-              _context9.next = 20;
-              return processFile(wrapFile, json, node, newInnerScope);
+        break
 
-            case 20:
-              wrapNode = _context9.sent;
-              // process contents to get children
-              node.content = wrapNode.content;
-              return _context9.abrupt("return", node);
+    case 'null':
+    case 'boolean':
+    case 'numeric':
+    case 'string':
+        value = token.value;
+        break
 
-            case 23:
-            case "end":
-              return _context9.stop();
-          }
-        }
-      }, _callee9);
-    }));
+    // This code is unreachable.
+    // default:
+    //     throw invalidToken()
+    }
 
-    function wrap(_x16, _x17) {
-      return _wrap.apply(this, arguments);
+    if (root === undefined) {
+        root = value;
+    } else {
+        const parent = stack[stack.length - 1];
+        if (Array.isArray(parent)) {
+            parent.push(value);
+        } else {
+            Object.defineProperty(parent, key, {
+                value,
+                writable: true,
+                enumerable: true,
+                configurable: true,
+            });
+        }
     }
 
-    return wrap;
-  }(),
-  //
-  middle: function middle(node, json) {
-    node.content = node.parent.parent.content;
-    return node;
-  },
-  //
-  data: function data(node, json) {
-    var innerScope = node.innerScope,
-        file = node.file;
-    var _node$attributes3 = node.attributes,
-        jsonPath = _node$attributes3.jsonPath,
-        rawJson = _node$attributes3.rawJson;
-    var defaultVal = node.attributes["default"];
+    if (value !== null && typeof value === 'object') {
+        stack.push(value);
 
-    if (!jsonPath || !rawJson && !innerScope && !defaultVal) {
-      console.warn("WARNING while processing file '".concat(file.path, "': data tag with no data to look up for content '").concat(node.originalContent, "'"));
-      node.content = '';
-      return node;
+        if (Array.isArray(value)) {
+            parseState = 'beforeArrayValue';
+        } else {
+            parseState = 'beforePropertyName';
+        }
+    } else {
+        const current = stack[stack.length - 1];
+        if (current == null) {
+            parseState = 'end';
+        } else if (Array.isArray(current)) {
+            parseState = 'afterArrayValue';
+        } else {
+            parseState = 'afterPropertyValue';
+        }
     }
+}
 
-    var values = rawJson || innerScope;
-    var data = getDataFromJsonPath(jsonPath, values);
-    node.content = data || defaultVal || '';
-    return node;
-  },
-  //
-  jsonInsert: function jsonInsert(node, json) {
-    var jsonPath = node.attributes.jsonPath;
-    var defaultVal = node.attributes["default"];
+function pop () {
+    stack.pop();
 
-    if (!jsonPath) {
-      node.content = '';
-      return node;
+    const current = stack[stack.length - 1];
+    if (current == null) {
+        parseState = 'end';
+    } else if (Array.isArray(current)) {
+        parseState = 'afterArrayValue';
+    } else {
+        parseState = 'afterPropertyValue';
     }
+}
 
-    var data = getDataFromJsonPath(jsonPath, json);
-    node.content = data || defaultVal || '';
-    return node;
-  },
-  //
-  each: function () {
-    var _each = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee11(node, json) {
-      var file, innerScope, _node$attributes4, count, jsonPath, rawJson, values, jsonData, data, tmpContent, _loop, i;
+// This code is unreachable.
+// function invalidParseState () {
+//     return new Error(`JSON5: invalid parse state '${parseState}'`)
+// }
 
-      return regeneratorRuntime.wrap(function _callee11$(_context12) {
-        while (1) {
-          switch (_context12.prev = _context12.next) {
-            case 0:
-              file = node.file, innerScope = node.innerScope;
-              _node$attributes4 = node.attributes, count = _node$attributes4.count, jsonPath = _node$attributes4.jsonPath, rawJson = _node$attributes4.rawJson;
+// This code is unreachable.
+// function invalidLexState (state) {
+//     return new Error(`JSON5: invalid lex state '${state}'`)
+// }
 
-              if (!(!count && !jsonPath && !Array.isArray(rawJson) && !Array.isArray(innerScope))) {
-                _context12.next = 6;
-                break;
-              }
+function invalidChar (c) {
+    if (c === undefined) {
+        return syntaxError(`JSON5: invalid end of input at ${line}:${column}`)
+    }
 
-              console.warn("WARNING while processing file '".concat(file.path, "': each tag with attribute problems: count, jsonPath and rawJson and innerScope are not arrays"));
-              node.content = '';
-              return _context12.abrupt("return", node);
+    return syntaxError(`JSON5: invalid character '${formatChar(c)}' at ${line}:${column}`)
+}
 
-            case 6:
-              // determine what data we are using
-              values = rawJson || node.innerScope || json;
-              jsonData = jsonPath ? getDataFromJsonPath(jsonPath, values) : void 0;
-              data = Array.isArray(values) ? values : Array.isArray(jsonData) ? jsonData : void 0;
+function invalidEOF () {
+    return syntaxError(`JSON5: invalid end of input at ${line}:${column}`)
+}
 
-              if (!(!data && !count)) {
-                _context12.next = 12;
-                break;
-              }
+// This code is unreachable.
+// function invalidToken () {
+//     if (token.type === 'eof') {
+//         return syntaxError(`JSON5: invalid end of input at ${line}:${column}`)
+//     }
 
-              node.content = '';
-              return _context12.abrupt("return", node);
+//     const c = String.fromCodePoint(token.value.codePointAt(0))
+//     return syntaxError(`JSON5: invalid character '${formatChar(c)}' at ${line}:${column}`)
+// }
 
-            case 12:
-              // build up nodes and bind the correct data
-              tmpContent = [];
-              _loop = /*#__PURE__*/regeneratorRuntime.mark(function _loop(i) {
-                var tmpChildren, promises;
-                return regeneratorRuntime.wrap(function _loop$(_context11) {
-                  while (1) {
-                    switch (_context11.prev = _context11.next) {
-                      case 0:
-                        // clone children
-                        tmpChildren = node.children.map(function (c) {
-                          return _objectSpread(_objectSpread(_objectSpread(_objectSpread({}, c), c.nestedNodes ? {
-                            nestedNodes: c.nestedNodes
-                          } : {}), c.children ? {
-                            children: c.children
-                          } : {}), data // ? { innerScope : (typeof(data[i]) === 'object') ? { ...data[i] } : data[i] }
-                          ? {
-                            innerScope: data[i]
-                          } : {});
-                        }); // handle children content
-
-                        promises = tmpChildren.map( /*#__PURE__*/function () {
-                          var _ref8 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee10(childNode) {
-                            return regeneratorRuntime.wrap(function _callee10$(_context10) {
-                              while (1) {
-                                switch (_context10.prev = _context10.next) {
-                                  case 0:
-                                    _context10.next = 2;
-                                    return processNode(childNode, json);
-
-                                  case 2:
-                                    return _context10.abrupt("return", _context10.sent);
-
-                                  case 3:
-                                  case "end":
-                                    return _context10.stop();
-                                }
-                              }
-                            }, _callee10);
-                          }));
-
-                          return function (_x21) {
-                            return _ref8.apply(this, arguments);
-                          };
-                        }());
-                        _context11.next = 4;
-                        return Promise.all(promises).then(function (children) {
-                          return children;
-                        });
-
-                      case 4:
-                        tmpChildren = _context11.sent;
-                        tmpContent.push(joinContent(tmpChildren));
-
-                      case 6:
-                      case "end":
-                        return _context11.stop();
-                    }
-                  }
-                }, _loop);
-              });
-              i = 0;
+function invalidIdentifier () {
+    column -= 5;
+    return syntaxError(`JSON5: invalid identifier character at ${line}:${column}`)
+}
 
-            case 15:
-              if (!((!count || count && i < count) && (!data || data && i < data.length))) {
-                _context12.next = 20;
-                break;
-              }
+function separatorChar (c) {
+    console.warn(`JSON5: '${formatChar(c)}' in strings is not valid ECMAScript; consider escaping`);
+}
 
-              return _context12.delegateYield(_loop(i), "t0", 17);
+function formatChar (c) {
+    const replacements = {
+        "'": "\\'",
+        '"': '\\"',
+        '\\': '\\\\',
+        '\b': '\\b',
+        '\f': '\\f',
+        '\n': '\\n',
+        '\r': '\\r',
+        '\t': '\\t',
+        '\v': '\\v',
+        '\0': '\\0',
+        '\u2028': '\\u2028',
+        '\u2029': '\\u2029',
+    };
 
-            case 17:
-              i++;
-              _context12.next = 15;
-              break;
+    if (replacements[c]) {
+        return replacements[c]
+    }
 
-            case 20:
-              node.content = tmpContent.join('');
-              return _context12.abrupt("return", node);
+    if (c < ' ') {
+        const hexString = c.charCodeAt(0).toString(16);
+        return '\\x' + ('00' + hexString).substring(hexString.length)
+    }
 
-            case 22:
-            case "end":
-              return _context12.stop();
-          }
-        }
-      }, _callee11);
-    }));
+    return c
+}
 
-    function each(_x19, _x20) {
-      return _each.apply(this, arguments);
+function syntaxError (message) {
+    const err = new SyntaxError(message);
+    err.lineNumber = line;
+    err.columnNumber = column;
+    return err
+}
+
+var stringify = function stringify (value, replacer, space) {
+    const stack = [];
+    let indent = '';
+    let propertyList;
+    let replacerFunc;
+    let gap = '';
+    let quote;
+
+    if (
+        replacer != null &&
+        typeof replacer === 'object' &&
+        !Array.isArray(replacer)
+    ) {
+        space = replacer.space;
+        quote = replacer.quote;
+        replacer = replacer.replacer;
     }
 
-    return each;
-  }(),
-  //
-  "if": function () {
-    var _if2 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee13(node, json) {
-      var innerScope, _node$attributes5, jsonPath, rawJson, values, jsonData, promises;
+    if (typeof replacer === 'function') {
+        replacerFunc = replacer;
+    } else if (Array.isArray(replacer)) {
+        propertyList = [];
+        for (const v of replacer) {
+            let item;
+
+            if (typeof v === 'string') {
+                item = v;
+            } else if (
+                typeof v === 'number' ||
+                v instanceof String ||
+                v instanceof Number
+            ) {
+                item = String(v);
+            }
 
-      return regeneratorRuntime.wrap(function _callee13$(_context14) {
-        while (1) {
-          switch (_context14.prev = _context14.next) {
-            case 0:
-              innerScope = node.innerScope;
-              _node$attributes5 = node.attributes, jsonPath = _node$attributes5.jsonPath, rawJson = _node$attributes5.rawJson;
+            if (item !== undefined && propertyList.indexOf(item) < 0) {
+                propertyList.push(item);
+            }
+        }
+    }
 
-              if (jsonPath) {
-                _context14.next = 5;
-                break;
-              }
+    if (space instanceof Number) {
+        space = Number(space);
+    } else if (space instanceof String) {
+        space = String(space);
+    }
 
-              node.content = '';
-              return _context14.abrupt("return", node);
+    if (typeof space === 'number') {
+        if (space > 0) {
+            space = Math.min(10, Math.floor(space));
+            gap = '          '.substr(0, space);
+        }
+    } else if (typeof space === 'string') {
+        gap = space.substr(0, 10);
+    }
 
-            case 5:
-              values = rawJson || innerScope || json;
-              jsonData = getDataFromJsonPath(jsonPath, values);
+    return serializeProperty('', {'': value})
 
-              if (jsonData) {
-                _context14.next = 10;
-                break;
-              }
+    function serializeProperty (key, holder) {
+        let value = holder[key];
+        if (value != null) {
+            if (typeof value.toJSON5 === 'function') {
+                value = value.toJSON5(key);
+            } else if (typeof value.toJSON === 'function') {
+                value = value.toJSON(key);
+            }
+        }
 
-              node.content = '';
-              return _context14.abrupt("return", node);
+        if (replacerFunc) {
+            value = replacerFunc.call(holder, key, value);
+        }
 
-            case 10:
-              promises = node.children.map( /*#__PURE__*/function () {
-                var _ref9 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee12(childNode) {
-                  return regeneratorRuntime.wrap(function _callee12$(_context13) {
-                    while (1) {
-                      switch (_context13.prev = _context13.next) {
-                        case 0:
-                          _context13.next = 2;
-                          return processNode(_objectSpread(_objectSpread({}, childNode), {}, {
-                            innerScope: _objectSpread({}, node.innerScope)
-                          }), json);
-
-                        case 2:
-                          return _context13.abrupt("return", _context13.sent);
-
-                        case 3:
-                        case "end":
-                          return _context13.stop();
-                      }
-                    }
-                  }, _callee12);
-                }));
+        if (value instanceof Number) {
+            value = Number(value);
+        } else if (value instanceof String) {
+            value = String(value);
+        } else if (value instanceof Boolean) {
+            value = value.valueOf();
+        }
 
-                return function (_x24) {
-                  return _ref9.apply(this, arguments);
-                };
-              }());
-              _context14.next = 13;
-              return Promise.all(promises).then(function (children) {
-                return children;
-              });
+        switch (value) {
+        case null: return 'null'
+        case true: return 'true'
+        case false: return 'false'
+        }
 
-            case 13:
-              node.children = _context14.sent;
-              node.content = joinContent(node.children);
-              return _context14.abrupt("return", node);
+        if (typeof value === 'string') {
+            return quoteString(value, false)
+        }
 
-            case 16:
-            case "end":
-              return _context14.stop();
-          }
+        if (typeof value === 'number') {
+            return String(value)
         }
-      }, _callee13);
-    }));
 
-    function _if(_x22, _x23) {
-      return _if2.apply(this, arguments);
-    }
+        if (typeof value === 'object') {
+            return Array.isArray(value) ? serializeArray(value) : serializeObject(value)
+        }
 
-    return _if;
-  }()
-}; // the legal attributes for each element
+        return undefined
+    }
 
-var nodeAttributes = {
-  insert: ['path', 'jsonPath', 'rawJson'],
-  data: ['jsonPath', 'rawJson', 'default'],
-  jsonInsert: ['jsonPath', 'default'],
-  wrap: ['path', 'jsonPath', 'rawJson'],
-  middle: [],
-  each: ['count', 'jsonPath', 'rawJson'],
-  "if": ['jsonPath', 'rawJson'],
-  textContent: []
-};
+    function quoteString (value) {
+        const quotes = {
+            "'": 0.1,
+            '"': 0.2,
+        };
 
-var getTagPositions = function getTagPositions(tag, content) {
-  var lndx = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : 0;
-  var ndx = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : content.indexOf(tag);
-  return ndx === -1 ? [] : [ndx + lndx].concat(_toConsumableArray(getTagPositions(tag, content.slice(ndx + 1), lndx + ndx + 1)));
-};
+        const replacements = {
+            "'": "\\'",
+            '"': '\\"',
+            '\\': '\\\\',
+            '\b': '\\b',
+            '\f': '\\f',
+            '\n': '\\n',
+            '\r': '\\r',
+            '\t': '\\t',
+            '\v': '\\v',
+            '\0': '\\0',
+            '\u2028': '\\u2028',
+            '\u2029': '\\u2029',
+        };
 
-var buildTagPairs = function buildTagPairs(open, close) {
-  return open.length === 0 ? [] : open.length === 1 || open[1] > close[0] ? [[open.slice(0, 1)[0], close.slice(0, 1)[0]]].concat(_toConsumableArray(buildTagPairs(open.slice(1), close.slice(1)))) : _toConsumableArray(buildTagPairs([].concat(_toConsumableArray(open.slice(0, 1)), _toConsumableArray(open.slice(2))), close.slice(1)));
-};
+        let product = '';
+
+        for (let i = 0; i < value.length; i++) {
+            const c = value[i];
+            switch (c) {
+            case "'":
+            case '"':
+                quotes[c]++;
+                product += c;
+                continue
+
+            case '\0':
+                if (util.isDigit(value[i + 1])) {
+                    product += '\\x00';
+                    continue
+                }
+            }
 
-var divideContent = function divideContent(content, _ref10, pairs) {
-  var _ref11 = _slicedToArray(_ref10, 2),
-      start = _ref11[0],
-      end = _ref11[1];
+            if (replacements[c]) {
+                product += replacements[c];
+                continue
+            }
 
-  var cursor = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : 0;
-  return start === void 0 ? [content.slice(cursor)] : [content.slice(cursor, start), content.slice(start, end + 3)].concat(_toConsumableArray(divideContent(content, pairs.shift() || [], pairs, end + 3)));
-};
+            if (c < ' ') {
+                let hexString = c.charCodeAt(0).toString(16);
+                product += '\\x' + ('00' + hexString).substring(hexString.length);
+                continue
+            }
 
-var splitContent = function splitContent(content) {
-  var openTags = getTagPositions('<!--#', content);
-  var closeTags = getTagPositions('-->', content);
-  if (openTags.length < closeTags.length) closeTags.pop();
-  var pairs = buildTagPairs(openTags, closeTags);
-  return divideContent(content, pairs.shift() || [], pairs).filter(function (c) {
-    return c !== '';
-  });
-}; // given a jsonObject and a path, return the data pointed at
+            product += c;
+        }
 
+        const quoteChar = quote || Object.keys(quotes).reduce((a, b) => (quotes[a] < quotes[b]) ? a : b);
 
-var getDataFromJsonPath = function getDataFromJsonPath(jsonPath, json) {
-  if (jsonPath === 'this') return json;
-  var result = jsonPath.split('.').reduce(function (acc, cur) {
-    return acc ? acc[cur] : '';
-  }, json);
-  if (!Array.isArray(result) && _typeof(result) === 'object') result = toSafeJsonString(result);
-  return result;
-}; // are we on windows?
+        product = product.replace(new RegExp(quoteChar, 'g'), replacements[quoteChar]);
 
+        return quoteChar + product + quoteChar
+    }
 
-var isWin = /^win/.test(process.platform); // overcome the difference in *nix/windows pathing
+    function serializeObject (value) {
+        if (stack.indexOf(value) >= 0) {
+            throw TypeError('Converting circular structure to JSON5')
+        }
 
-var fixFilePathForOS = function fixFilePathForOS(path) {
-  return isWin ? path.replace(/\//g, '\\') : path.replace(/\\/g, '/');
-}; // given the current directory and a relative path, build the complete path
-// to the relative path
+        stack.push(value);
+
+        let stepback = indent;
+        indent = indent + gap;
+
+        let keys = propertyList || Object.keys(value);
+        let partial = [];
+        for (const key of keys) {
+            const propertyString = serializeProperty(key, value);
+            if (propertyString !== undefined) {
+                let member = serializeKey(key) + ':';
+                if (gap !== '') {
+                    member += ' ';
+                }
+                member += propertyString;
+                partial.push(member);
+            }
+        }
 
+        let final;
+        if (partial.length === 0) {
+            final = '{}';
+        } else {
+            let properties;
+            if (gap === '') {
+                properties = partial.join(',');
+                final = '{' + properties + '}';
+            } else {
+                let separator = ',\n' + indent;
+                properties = partial.join(separator);
+                final = '{\n' + indent + properties + ',\n' + stepback + '}';
+            }
+        }
 
-var buildPathFromRelativePath = function buildPathFromRelativePath(cdir, fdir) {
-  var dirChar = isWin ? '\\' : '/';
-  var dir = cdir.split(dirChar);
-  dir.pop();
-  fdir = fixFilePathForOS(fdir);
-  fdir.split(dirChar).forEach(function (e) {
-    e === '..' ? dir.pop() : e !== '.' && e !== '' ? dir.push(e) : void 0;
-  });
-  dir = dir.join(dirChar);
-  return dir;
-}; //
+        stack.pop();
+        indent = stepback;
+        return final
+    }
 
+    function serializeKey (key) {
+        if (key.length === 0) {
+            return quoteString(key, true)
+        }
 
-var toSafeJsonString = function toSafeJsonString(jsonObj) {
-  return JSON.stringify(jsonObj).replace(/\'/g, "\\'").replace(/"/g, "'");
-}; //
+        const firstChar = String.fromCodePoint(key.codePointAt(0));
+        if (!util.isIdStartChar(firstChar)) {
+            return quoteString(key, true)
+        }
 
+        for (let i = firstChar.length; i < key.length; i++) {
+            if (!util.isIdContinueChar(String.fromCodePoint(key.codePointAt(i)))) {
+                return quoteString(key, true)
+            }
+        }
 
-var processRawJson = /*#__PURE__*/function () {
-  var _ref12 = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee14(jsonString, json) {
-    var jsonData, plugins;
-    return regeneratorRuntime.wrap(function _callee14$(_context15) {
-      while (1) {
-        switch (_context15.prev = _context15.next) {
-          case 0:
-            if (_typeof(jsonString) === 'object') jsonString = toSafeJsonString(jsonString);
-            jsonData = {};
-            plugins = _config_mjs__WEBPACK_IMPORTED_MODULE_1__.rawJsonPlugins;
-            _context15.prev = 3;
-            _context15.next = 6;
-            return eval("(async () => await ".concat(jsonString, ")()"));
+        return key
+    }
 
-          case 6:
-            jsonData = _context15.sent;
-            _context15.next = 13;
-            break;
+    function serializeArray (value) {
+        if (stack.indexOf(value) >= 0) {
+            throw TypeError('Converting circular structure to JSON5')
+        }
 
-          case 9:
-            _context15.prev = 9;
-            _context15.t0 = _context15["catch"](3);
-            console.error("ERROR: Poorly formatted rawJson string:\n      ".concat(jsonString, "\n      - This must be valid JavaScript.\n      - Or perhaps there was an error in a function used for rawJson?\n      Stack trace:\n    "));
-            console.error(_context15.t0);
+        stack.push(value);
 
-          case 13:
-            return _context15.abrupt("return", jsonData);
+        let stepback = indent;
+        indent = indent + gap;
 
-          case 14:
-          case "end":
-            return _context15.stop();
+        let partial = [];
+        for (let i = 0; i < value.length; i++) {
+            const propertyString = serializeProperty(String(i), value);
+            partial.push((propertyString !== undefined) ? propertyString : 'null');
         }
-      }
-    }, _callee14, null, [[3, 9]]);
-  }));
-
-  return function processRawJson(_x25, _x26) {
-    return _ref12.apply(this, arguments);
-  };
-}(); // does a tag have an attribute? (attributeName="value")
 
+        let final;
+        if (partial.length === 0) {
+            final = '[]';
+        } else {
+            if (gap === '') {
+                let properties = partial.join(',');
+                final = '[' + properties + ']';
+            } else {
+                let separator = ',\n' + indent;
+                let properties = partial.join(separator);
+                final = '[\n' + indent + properties + ',\n' + stepback + ']';
+            }
+        }
 
-var hasTagAttribute = function hasTagAttribute(attr, content) {
-  return content.indexOf(attr + '="') > -1;
-}; // get the value of an attribute (attributeName="value")
+        stack.pop();
+        indent = stepback;
+        return final
+    }
+};
 
+const JSON5 = {
+    parse,
+    stringify,
+};
 
-var getTagAttribute = function getTagAttribute(attr, content) {
-  var fndx = -1,
-      lndx = -1;
-  fndx = content.indexOf(attr + '="');
+var lib = JSON5;
 
-  if (fndx === -1) {
-    console.warn("Warning: no tag of name `" + attr + "` found in the following content: `" + content + "`");
-    return '';
-  }
+/* harmony default export */ const __WEBPACK_DEFAULT_EXPORT__ = (lib);
 
-  content = content.slice(fndx + attr.length + 2);
-  lndx = content.indexOf('"');
-  content = content.slice(0, lndx);
-  return content;
-};
 
-/***/ })
+/***/ }
 
 /******/ 	});
 /************************************************************************/
 /******/ 	// The module cache
-/******/ 	var __webpack_module_cache__ = {};
+/******/ 	const __webpack_module_cache__ = {};
 /******/ 	
 /******/ 	// The require function
 /******/ 	function __webpack_require__(moduleId) {
 /******/ 		// Check if module is in cache
-/******/ 		var cachedModule = __webpack_module_cache__[moduleId];
+/******/ 		const cachedModule = __webpack_module_cache__[moduleId];
 /******/ 		if (cachedModule !== undefined) {
 /******/ 			return cachedModule.exports;
 /******/ 		}
 /******/ 		// Create a new module (and put it into the cache)
-/******/ 		var module = __webpack_module_cache__[moduleId] = {
+/******/ 		const module = __webpack_module_cache__[moduleId] = {
 /******/ 			// no module.id needed
 /******/ 			// no module.loaded needed
 /******/ 			exports: {}
 /******/ 		};
 /******/ 	
 /******/ 		// Execute the module function
+/******/ 		if (!(moduleId in __webpack_modules__)) {
+/******/ 			delete __webpack_module_cache__[moduleId];
+/******/ 			const e = new Error("Cannot find module '" + moduleId + "'");
+/******/ 			e.code = 'MODULE_NOT_FOUND';
+/******/ 			throw e;
+/******/ 		}
 /******/ 		__webpack_modules__[moduleId].call(module.exports, module, module.exports, __webpack_require__);
 /******/ 	
 /******/ 		// Return the exports of the module
@@ -11254,139 +16783,113 @@ var getTagAttribute = function getTagAttribute(attr, content) {
 /******/ 	
 /************************************************************************/
 /******/ 	/* webpack/runtime/define property getters */
-/******/ 	(() => {
-/******/ 		// define getter functions for harmony exports
-/******/ 		__webpack_require__.d = (exports, definition) => {
-/******/ 			for(var key in definition) {
-/******/ 				if(__webpack_require__.o(definition, key) && !__webpack_require__.o(exports, key)) {
-/******/ 					Object.defineProperty(exports, key, { enumerable: true, get: definition[key] });
-/******/ 				}
+/******/ 	// define getter/value functions for harmony exports
+/******/ 	__webpack_require__.d = (exports, definition) => {
+/******/ 		for(var key in definition) {
+/******/ 			if(__webpack_require__.o(definition, key) && !__webpack_require__.o(exports, key)) {
+/******/ 				Object.defineProperty(exports, key, { enumerable: true, get: definition[key] });
 /******/ 			}
-/******/ 		};
-/******/ 	})();
+/******/ 		}
+/******/ 	};
 /******/ 	
 /******/ 	/* webpack/runtime/hasOwnProperty shorthand */
-/******/ 	(() => {
-/******/ 		__webpack_require__.o = (obj, prop) => (Object.prototype.hasOwnProperty.call(obj, prop))
-/******/ 	})();
+/******/ 	__webpack_require__.o = (obj, prop) => (Object.prototype.hasOwnProperty.call(obj, prop));
 /******/ 	
 /******/ 	/* webpack/runtime/make namespace object */
-/******/ 	(() => {
-/******/ 		// define __esModule on exports
-/******/ 		__webpack_require__.r = (exports) => {
-/******/ 			if(typeof Symbol !== 'undefined' && Symbol.toStringTag) {
-/******/ 				Object.defineProperty(exports, Symbol.toStringTag, { value: 'Module' });
-/******/ 			}
-/******/ 			Object.defineProperty(exports, '__esModule', { value: true });
-/******/ 		};
-/******/ 	})();
+/******/ 	// define __esModule on exports
+/******/ 	__webpack_require__.r = (exports) => {
+/******/ 		Object.defineProperty(exports, Symbol.toStringTag, { value: 'Module' });
+/******/ 		Object.defineProperty(exports, '__esModule', { value: true });
+/******/ 	};
 /******/ 	
 /************************************************************************/
-var __webpack_exports__ = {};
-// This entry need to be wrapped in an IIFE because it need to be in strict mode.
+let __webpack_exports__ = {};
+// This entry needs to be wrapped in an IIFE because it needs to be in strict mode.
 (() => {
 "use strict";
 /*!***********************!*\
   !*** ./src/index.mjs ***!
   \***********************/
 __webpack_require__.r(__webpack_exports__);
-/* harmony import */ var _config_mjs__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./config.mjs */ "./src/config.mjs");
-/* harmony import */ var _parse_mjs__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./parse.mjs */ "./src/parse.mjs");
-function asyncGeneratorStep(gen, resolve, reject, _next, _throw, key, arg) { try { var info = gen[key](arg); var value = info.value; } catch (error) { reject(error); return; } if (info.done) { resolve(value); } else { Promise.resolve(value).then(_next, _throw); } }
-
-function _asyncToGenerator(fn) { return function () { var self = this, args = arguments; return new Promise(function (resolve, reject) { var gen = fn.apply(self, args); function _next(value) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "next", value); } function _throw(err) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "throw", err); } _next(undefined); }); }; }
-
-
+/* harmony import */ var babel_polyfill__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! babel-polyfill */ "./node_modules/babel-polyfill/lib/index.js");
+/* harmony import */ var _core_mjs__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./core.mjs */ "./src/core.mjs");
+function _typeof(o) { "@babel/helpers - typeof"; return _typeof = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function (o) { return typeof o; } : function (o) { return o && "function" == typeof Symbol && o.constructor === Symbol && o !== Symbol.prototype ? "symbol" : typeof o; }, _typeof(o); }
+function ownKeys(e, r) { var t = Object.keys(e); if (Object.getOwnPropertySymbols) { var o = Object.getOwnPropertySymbols(e); r && (o = o.filter(function (r) { return Object.getOwnPropertyDescriptor(e, r).enumerable; })), t.push.apply(t, o); } return t; }
+function _objectSpread(e) { for (var r = 1; r < arguments.length; r++) { var t = null != arguments[r] ? arguments[r] : {}; r % 2 ? ownKeys(Object(t), !0).forEach(function (r) { _defineProperty(e, r, t[r]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(e, Object.getOwnPropertyDescriptors(t)) : ownKeys(Object(t)).forEach(function (r) { Object.defineProperty(e, r, Object.getOwnPropertyDescriptor(t, r)); }); } return e; }
+function _defineProperty(e, r, t) { return (r = _toPropertyKey(r)) in e ? Object.defineProperty(e, r, { value: t, enumerable: !0, configurable: !0, writable: !0 }) : e[r] = t, e; }
+function _toPropertyKey(t) { var i = _toPrimitive(t, "string"); return "symbol" == _typeof(i) ? i : i + ""; }
+function _toPrimitive(t, r) { if ("object" != _typeof(t) || !t) return t; var e = t[Symbol.toPrimitive]; if (void 0 !== e) { var i = e.call(t, r || "default"); if ("object" != _typeof(i)) return i; throw new TypeError("@@toPrimitive must return a primitive value."); } return ("string" === r ? String : Number)(t); }
+function _regenerator() { /*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE */ var e, t, r = "function" == typeof Symbol ? Symbol : {}, n = r.iterator || "@@iterator", o = r.toStringTag || "@@toStringTag"; function i(r, n, o, i) { var c = n && n.prototype instanceof Generator ? n : Generator, u = Object.create(c.prototype); return _regeneratorDefine2(u, "_invoke", function (r, n, o) { var i, c, u, f = 0, p = o || [], y = !1, G = { p: 0, n: 0, v: e, a: d, f: d.bind(e, 4), d: function d(t, r) { return i = t, c = 0, u = e, G.n = r, a; } }; function d(r, n) { for (c = r, u = n, t = 0; !y && f && !o && t < p.length; t++) { var o, i = p[t], d = G.p, l = i[2]; r > 3 ? (o = l === n) && (u = i[(c = i[4]) ? 5 : (c = 3, 3)], i[4] = i[5] = e) : i[0] <= d && ((o = r < 2 && d < i[1]) ? (c = 0, G.v = n, G.n = i[1]) : d < l && (o = r < 3 || i[0] > n || n > l) && (i[4] = r, i[5] = n, G.n = l, c = 0)); } if (o || r > 1) return a; throw y = !0, n; } return function (o, p, l) { if (f > 1) throw TypeError("Generator is already running"); for (y && 1 === p && d(p, l), c = p, u = l; (t = c < 2 ? e : u) || !y;) { i || (c ? c < 3 ? (c > 1 && (G.n = -1), d(c, u)) : G.n = u : G.v = u); try { if (f = 2, i) { if (c || (o = "next"), t = i[o]) { if (!(t = t.call(i, u))) throw TypeError("iterator result is not an object"); if (!t.done) return t; u = t.value, c < 2 && (c = 0); } else 1 === c && (t = i["return"]) && t.call(i), c < 2 && (u = TypeError("The iterator does not provide a '" + o + "' method"), c = 1); i = e; } else if ((t = (y = G.n < 0) ? u : r.call(n, G)) !== a) break; } catch (t) { i = e, c = 1, u = t; } finally { f = 1; } } return { value: t, done: y }; }; }(r, o, i), !0), u; } var a = {}; function Generator() {} function GeneratorFunction() {} function GeneratorFunctionPrototype() {} t = Object.getPrototypeOf; var c = [][n] ? t(t([][n]())) : (_regeneratorDefine2(t = {}, n, function () { return this; }), t), u = GeneratorFunctionPrototype.prototype = Generator.prototype = Object.create(c); function f(e) { return Object.setPrototypeOf ? Object.setPrototypeOf(e, GeneratorFunctionPrototype) : (e.__proto__ = GeneratorFunctionPrototype, _regeneratorDefine2(e, o, "GeneratorFunction")), e.prototype = Object.create(u), e; } return GeneratorFunction.prototype = GeneratorFunctionPrototype, _regeneratorDefine2(u, "constructor", GeneratorFunctionPrototype), _regeneratorDefine2(GeneratorFunctionPrototype, "constructor", GeneratorFunction), GeneratorFunction.displayName = "GeneratorFunction", _regeneratorDefine2(GeneratorFunctionPrototype, o, "GeneratorFunction"), _regeneratorDefine2(u), _regeneratorDefine2(u, o, "Generator"), _regeneratorDefine2(u, n, function () { return this; }), _regeneratorDefine2(u, "toString", function () { return "[object Generator]"; }), (_regenerator = function _regenerator() { return { w: i, m: f }; })(); }
+function _regeneratorDefine2(e, r, n, t) { var i = Object.defineProperty; try { i({}, "", {}); } catch (e) { i = 0; } _regeneratorDefine2 = function _regeneratorDefine(e, r, n, t) { function o(r, n) { _regeneratorDefine2(e, r, function (e) { return this._invoke(r, n, e); }); } r ? i ? i(e, r, { value: n, enumerable: !t, configurable: !t, writable: !t }) : e[r] = n : (o("next", 0), o("throw", 1), o("return", 2)); }, _regeneratorDefine2(e, r, n, t); }
+function _toConsumableArray(r) { return _arrayWithoutHoles(r) || _iterableToArray(r) || _unsupportedIterableToArray(r) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _iterableToArray(r) { if ("undefined" != typeof Symbol && null != r[Symbol.iterator] || null != r["@@iterator"]) return Array.from(r); }
+function _arrayWithoutHoles(r) { if (Array.isArray(r)) return _arrayLikeToArray(r); }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+function asyncGeneratorStep(n, t, e, r, o, a, c) { try { var i = n[a](c), u = i.value; } catch (n) { return void e(n); } i.done ? t(u) : Promise.resolve(u).then(r, o); }
+function _asyncToGenerator(n) { return function () { var t = this, e = arguments; return new Promise(function (r, o) { var a = n.apply(t, e); function _next(n) { asyncGeneratorStep(a, r, o, _next, _throw, "next", n); } function _throw(n) { asyncGeneratorStep(a, r, o, _next, _throw, "throw", n); } _next(void 0); }); }; }
+// the webpack bundle (lib/) is transpiled, and needs the polyfill. the modules
+// in src run as they are, so only the bundle loads it (loading it twice throws)
+;
 
 module.exports = {
-  initialize: function initialize(options) {
-    return (0,_config_mjs__WEBPACK_IMPORTED_MODULE_0__.setOptions)(options);
-  },
-  // puts files into hash maps
-  hashFile: function hashFile(file) {
-    var f = formatFile(file); // removing clip right away does no damage and speeds up later processing
-
-    processClip(f);
-    (0,_config_mjs__WEBPACK_IMPORTED_MODULE_0__.configureFiles)(f);
-  },
-  // map on page files and build them into strings
-  buildFileResult: function () {
-    var _buildFileResult = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee2(callback) {
-      return regeneratorRuntime.wrap(function _callee2$(_context2) {
-        while (1) {
-          switch (_context2.prev = _context2.next) {
-            case 0:
-              _context2.next = 2;
-              return _config_mjs__WEBPACK_IMPORTED_MODULE_0__.pageFiles.forEach( /*#__PURE__*/function () {
-                var _ref = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee(file) {
-                  return regeneratorRuntime.wrap(function _callee$(_context) {
-                    while (1) {
-                      switch (_context.prev = _context.next) {
-                        case 0:
-                          _context.next = 2;
-                          return (0,_parse_mjs__WEBPACK_IMPORTED_MODULE_1__.processFile)(file, _config_mjs__WEBPACK_IMPORTED_MODULE_0__.options.jsonInput || {}).then(function (processedFile) {
-                            file.content = processedFile.content;
-                            file.processed = true;
-
-                            if (callback) {
-                              callback(file);
-                            }
-                          });
-
-                        case 2:
-                        case "end":
-                          return _context.stop();
-                      }
-                    }
-                  }, _callee);
+  // every plugin call gets its own includer, so pipelines don't share files
+  create: function create(options) {
+    var includer = (0,_core_mjs__WEBPACK_IMPORTED_MODULE_1__.createIncluder)(options);
+    return {
+      // puts files into hash maps
+      hashFile: function hashFile(file) {
+        return includer.addFile(formatFile(file));
+      },
+      // map on page files and build them into strings
+      // rejects with every error in the build (strict mode, or missingData: 'fail'),
+      // without passing on any files
+      buildFileResult: function () {
+        var _buildFileResult = _asyncToGenerator(/*#__PURE__*/_regenerator().m(function _callee(callback) {
+          var pageFiles, processedFiles;
+          return _regenerator().w(function (_context) {
+            while (1) switch (_context.n) {
+              case 0:
+                pageFiles = _toConsumableArray(includer.pageFiles);
+                _context.n = 1;
+                return Promise.all(pageFiles.map(function (file) {
+                  return includer.processFile(file);
                 }));
-
-                return function (_x2) {
-                  return _ref.apply(this, arguments);
-                };
-              }());
-
-            case 2:
-            case "end":
-              return _context2.stop();
-          }
+              case 1:
+                processedFiles = _context.v;
+                if (!(includer.errors.length > 0)) {
+                  _context.n = 2;
+                  break;
+                }
+                throw (0,_core_mjs__WEBPACK_IMPORTED_MODULE_1__.createBuildError)(includer.diagnostics);
+              case 2:
+                pageFiles.forEach(function (file, i) {
+                  file.content = processedFiles[i].content;
+                  file.processed = true;
+                  if (callback) {
+                    callback(file);
+                  }
+                });
+              case 3:
+                return _context.a(2);
+            }
+          }, _callee);
+        }));
+        function buildFileResult(_x) {
+          return _buildFileResult.apply(this, arguments);
         }
-      }, _callee2);
-    }));
-
-    function buildFileResult(_x) {
-      return _buildFileResult.apply(this, arguments);
-    }
-
-    return buildFileResult;
-  }()
+        return buildFileResult;
+      }()
+    };
+  }
 };
-var isWin = /^win/.test(process.platform);
 
+// keeps the vinyl file so its contents can be replaced and passed on
 var formatFile = function formatFile(file) {
-  var f = {
-    path: file.path,
-    content: file.contents.toString('utf8').trim(),
-    processed: false,
+  return _objectSpread(_objectSpread({}, (0,_core_mjs__WEBPACK_IMPORTED_MODULE_1__.createFileObject)(file.path, file.contents.toString('utf8'))), {}, {
     file: file
-  };
-  f.name = isWin ? file.path.split('\\') : file.path.split('/');
-  f.name = f.name[f.name.length - 1];
-  return f;
-}; // This runs first, since all of the clipped areas will completely be removed
-
-
-var processClip = function processClip(file) {
-  // process clipbefore and clipafter
-  if (file.content.indexOf('<!--#clipbefore') > -1) {
-    file.content = file.content.split(/<!--#clipbefore\s*-->/).splice(1)[0].split('<!--#clipafter').splice(0, 1)[0];
-  } // process clipbetween
-
-
-  if (file.content.indexOf('<!--#clipbetween') > -1) {
-    var tmp = file.content.split(/<!--#clipbetween\s*-->/);
-    file.content = tmp[0] + tmp[1].split(/<!--#endclipbetween\s*-->/)[1];
-  }
+  });
 };
 })();
 
@@ -10,7 +10,7 @@ import { Command } from 'commander';
 import path from 'path';
 import { promises as fs } from 'fs';
 import { loadConfig, findConfig, createDefaultConfig, validateConfig } from './config-loader.mjs';
-import { processDirectory, reset } from './core.mjs';
+import { createIncluder } from './core.mjs';
 
 const program = new Command();
 
@@ -27,20 +27,23 @@ program
 .option('-s, --src <path>', 'Source directory (overrides config)')
 .option('-d, --dest <path>', 'Destination directory (overrides config)')
 .option('-w, --watch', 'Watch for changes and rebuild')
+.option('--strict', 'Fail on rawJson errors, missing files and unclosed tags')
+.option('-r, --reporter <name>', 'How problems are printed (pretty|json|silent)')
 .action(async (options) => {
+	let config;
 	try {
-		const config = await resolveConfig(options);
-		console.log(`Building from ${config.srcDir} to ${config.destDir}...`);
+		config = await resolveConfig(options);
+		progress(config, `Building from ${config.srcDir} to ${config.destDir}...`);
 
-		const results = await processDirectory(config);
+		const results = await createIncluder(config.options).processDirectory(config);
 
-		console.log(`✓ Successfully processed ${results.length} file(s)`);
+		progress(config, `✓ Successfully processed ${results.length} file(s)${describeWarnings(results)}`);
 
 		if (options.watch) {
 			await watchFiles(config);
 		}
 	} catch (err) {
-		console.error('Error during build:', err.message);
+		reportFailure('Error during build:', err, config || options);
 		process.exit(1);
 	}
 });
@@ -80,27 +83,30 @@ program
 .description('Process a single HTML file')
 .option('-c, --config <path>', 'Path to configuration file')
 .option('-o, --output <path>', 'Output file path')
+.option('--strict', 'Fail on rawJson errors, missing files and unclosed tags')
+.option('-r, --reporter <name>', 'How problems are printed (pretty|json|silent)')
 .action(async (file, options) => {
+	let config;
 	try {
-		const config = await resolveConfig(options);
+		config = await resolveConfig(options);
 		const filePath = path.resolve(file);
 
+		const includer = createIncluder(config.options);
+
 		// Load dependencies from srcDir
-		const { loadDependencies } = await import('./core.mjs');
-		await loadDependencies(config.srcDir, config.options);
+		await includer.loadDependencies(config.srcDir);
 
 		// Process the single file
-		const { processSingleFile } = await import('./core.mjs');
-		const result = await processSingleFile(filePath, config.options);
+		const result = await includer.processSingleFile(filePath);
 
 		if (options.output) {
 			await fs.writeFile(options.output, result.content, 'utf8');
-			console.log(`✓ Processed ${file} → ${options.output}`);
+			progress(config, `✓ Processed ${file} → ${options.output}`);
 		} else {
 			console.log(result.content);
 		}
 	} catch (err) {
-		console.error('Error processing file:', err.message);
+		reportFailure('Error processing file:', err, config || options);
 		process.exit(1);
 	}
 });
@@ -143,17 +149,69 @@ async function resolveConfig(options) {
     config.destDir = options.dest;
   }
 
+  if (options.strict) {
+    config.options = { ...config.options, strict: true };
+  }
+
+  if (options.reporter) {
+    config.options = { ...config.options, reporter: options.reporter };
+  }
+
   // Validate configuration
   validateConfig(config);
 
   return config;
 }
 
+/**
+ * The reporter a command uses, from its config (or its options, when the
+ * config couldn't be loaded)
+ */
+function findReporter(config) {
+  return config.options ? config.options.reporter : config.reporter;
+}
+
+/**
+ * Print a progress line
+ *
+ * With the json reporter, stderr only has the diagnostics (a line of json
+ * each) and stdout only has output, so progress isn't printed
+ */
+function progress(config, message) {
+  if (findReporter(config) !== 'json') {
+    console.log(message);
+  }
+}
+
+/**
+ * Print why a command failed
+ *
+ * The pretty and json reporters have already printed each error of a build,
+ * so only count them (the json reporter's lines are left alone). The silent
+ * one hasn't, so print them all
+ */
+function reportFailure(label, err, config) {
+  const reporter = findReporter(config);
+  if (!(err instanceof AggregateError) || reporter === 'silent') {
+    console.error(label, err.message);
+  } else if (reporter !== 'json') {
+    console.error(label, `${err.errors.length} error(s) while building`);
+  }
+}
+
+/**
+ * Count the warnings found while building results
+ */
+function describeWarnings(results) {
+  const count = results.reduce((sum, result) => sum + result.diagnostics.length, 0);
+  return count > 0 ? ` with ${count} warning(s)` : '';
+}
+
 /**
  * Watch files for changes
  */
 async function watchFiles(config) {
-  console.log('\nWatching for changes... (press Ctrl+C to stop)');
+  progress(config, '\nWatching for changes... (press Ctrl+C to stop)');
 
   const chokidar = await import('chokidar');
 
@@ -167,28 +225,28 @@ async function watchFiles(config) {
   const rebuild = async () => {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(async () => {
-      console.log('\nRebuilding...');
-      reset();
+      progress(config, '\nRebuilding...');
       try {
-        const results = await processDirectory(config);
-        console.log(`✓ Successfully processed ${results.length} file(s)`);
+        // a fresh includer drops files that were removed since the last build
+        const results = await createIncluder(config.options).processDirectory(config);
+        progress(config, `✓ Successfully processed ${results.length} file(s)${describeWarnings(results)}`);
       } catch (err) {
-        console.error('Error during rebuild:', err.message);
+        reportFailure('Error during rebuild:', err, config);
       }
     }, 100);
   };
 
   watcher
     .on('change', (path) => {
-      console.log(`File changed: ${path}`);
+      progress(config, `File changed: ${path}`);
       rebuild();
     })
     .on('add', (path) => {
-      console.log(`File added: ${path}`);
+      progress(config, `File added: ${path}`);
       rebuild();
     })
     .on('unlink', (path) => {
-      console.log(`File removed: ${path}`);
+      progress(config, `File removed: ${path}`);
       rebuild();
     });
 }
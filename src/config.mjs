@@ -1,21 +1,45 @@
-export const wrapFiles = {};
-export const insertFiles = {};
-export const pageFiles = [];
-
-export let options = {};
-export let devOptions = {};
-export let insertPattern;
-export let filePathAttribute;
-export let jsonPathAttribute;
-export let rawJsonPlugins;
-
-export const configureFiles = file => {
+import { builtinFilters } from './filters.mjs';
+import { createMemo } from './memo.mjs';
+import { findReporter } from './diagnostics.mjs';
+
+// builds the state for a single includer: its own file registry and options,
+// so separate builds in one process never share files
+export const createConfig = (ops = {}) => {
+  const config = {
+    wrapFiles   : {},
+    insertFiles : {},
+    pageFiles   : [],
+    diagnostics : [], // problems found while building (see diagnostics.mjs)
+  };
+
+  setOptions(config, ops);
+
+  return config;
+}
+
+export const configureFiles = (config, file) => {
   if(file.name[0] === '_')
-    wrapFiles[file.path] = file;
+    config.wrapFiles[file.path] = file;
   else if(file.name[0] === '-')
-    insertFiles[file.path] = file;
-  else
-    pageFiles.push(file);
+    config.insertFiles[file.path] = file;
+  else {
+    // a page hashed again (e.g. on rebuild) replaces the old copy
+    const ndx = config.pageFiles.findIndex(f => f.path === file.path);
+    if(ndx > -1)
+      config.pageFiles[ndx] = file;
+    else
+      config.pageFiles.push(file);
+  }
+}
+
+// empties the file registry (and what rawJson has loaded) so the config can be
+// used for a fresh build
+export const resetFiles = config => {
+  config.rawJsonMemo.clear();
+  config.diagnostics.length = 0;
+  config.pageFiles.length = 0;
+  Object.keys(config.insertFiles).forEach(key => delete config.insertFiles[key]);
+  Object.keys(config.wrapFiles).forEach(key => delete config.wrapFiles[key]);
 }
 
 // @options = (optional) options for configuring htmlIncluder
@@ -25,32 +49,101 @@ export const configureFiles = file => {
 // options.filePathAttribute = the name used for the file pathing for #insert
 //          and #wrap (default= 'path')
 // options.jsonPathAttribute = the name used for the file pathing for #insert
-//          , #wrap, #data, #jsonInsert (default= 'jsonPath')
+//          , #wrap, #data, #jsonInsert, #each, #if (default= 'jsonPath')
 // options.rawJsonPlugins = list of functions passed in to be used in processRawJson call
+// options.rawJsonMode = how rawJson that isn't plain data runs: 'sandbox' (in a
+//          vm context that only holds json and plugins), 'eval' (like older
+//          versions), 'data-only' (it doesn't, but plain data is still used) or
+//          'off' (no rawJson is used at all) (default= 'sandbox')
+// options.rawJsonTimeout = ms a rawJson may run for before it fails, not counting
+//          time waiting on plugins, and ms each plugin call may take once it
+//          has started. 0 for no limit (default= 5000)
+// options.rawJsonCache = run rawJson with the same code, and call a plugin with
+//          the same arguments, once a build, sharing the data (default= true)
+// options.rawJsonConcurrency = the most plugin calls that run at a time, and
+//          the most plugins.memo calls (default= 6)
+// options.rawJsonCacheDir = (optional) directory plugin and plugins.memo results
+//          are saved in, so later builds can read them instead of loading them
+// options.filters = functions used as filters by #data and #jsonInsert, by name
+//          (added to the built in filters, replacing any with the same name)
+// options.strict = rawJson errors, missing insert and wrap files and tags that
+//          are never closed fail the build, rather than being warnings
+//          (default= false)
+// options.reporter = prints each problem found while building: 'pretty',
+//          'json', 'silent' or a function called with each diagnostic
+//          (default= 'pretty')
+// options.maxIncludeDepth = how deeply #insert and #wrap files can be nested
+//          in each other before the build fails (default= 50)
+// options.missingData = what to do when a jsonPath points at nothing: 'render'
+//          the tag without it, 'warn' or 'fail' the build (default= 'warn')
+// options.autoEscape = escape the html in data printed by #data and #jsonInsert
+//          (default= true, false prints data as it is like older versions)
 //
 //
 // options.dev.limitIterations = the number of times processFileWithJsonInput will loop
 // options.dev.printIterations = console log each processFileWithJsonInput loop
 // options.dev.printResult = console logs the final output
 // options.dev.printPaths = console logs the output of buildPathFromRelativePath
-export const setOptions = ops => {
-  devOptions = ops.dev || {};
-  options = ops;
+export const setOptions = (config, ops = {}) => {
+  config.devOptions = ops.dev || {};
+  config.options = ops;
 
   //set text value for insert tags, or default
-  insertPattern = (options.insertPattern)
-    ? '<!--#' + options.insertPattern
+  config.insertPattern = (ops.insertPattern)
+    ? '<!--#' + ops.insertPattern
     : '<!--#insert';
 
-  filePathAttribute = (options.filePathAttribute)
-    ? options.filePathAttribute
+  config.filePathAttribute = (ops.filePathAttribute)
+    ? ops.filePathAttribute
     : 'path';
 
-  jsonPathAttribute = (options.jsonPathAttribute)
-    ? options.jsonPathAttribute
+  config.jsonPathAttribute = (ops.jsonPathAttribute)
+    ? ops.jsonPathAttribute
     : 'jsonPath';
 
-  rawJsonPlugins = (options.rawJsonPlugins)
-  ? options.rawJsonPlugins
+  config.rawJsonPlugins = (ops.rawJsonPlugins)
+  ? ops.rawJsonPlugins
   : {};
+
+  config.rawJsonMode = (ops.rawJsonMode)
+    ? ops.rawJsonMode
+    : 'sandbox';
+
+  config.rawJsonTimeout = (ops.rawJsonTimeout !== void(0))
+    ? ops.rawJsonTimeout
+    : 5000;
+
+  config.rawJsonCache = (ops.rawJsonCache === false)
+    ? false
+    : true;
+
+  // setting options starts over with nothing loaded
+  config.rawJsonMemo = createMemo({
+    concurrency : ops.rawJsonConcurrency,
+    cacheDir    : ops.rawJsonCacheDir,
+    timeout     : config.rawJsonTimeout,
+  });
+
+  config.filters = {
+    ...builtinFilters,
+    ...(ops.filters || {}),
+  };
+
+  config.strict = !!ops.strict;
+
+  config.reporter = findReporter(ops.reporter);
+
+  config.maxIncludeDepth = (ops.maxIncludeDepth !== void(0))
+    ? ops.maxIncludeDepth
+    : 50;
+
+  config.missingData = (ops.missingData)
+    ? ops.missingData
+    : 'warn';
+
+  config.autoEscape = (ops.autoEscape === false)
+    ? false
+    : true;
+
+  return config;
 }
@@ -9,7 +9,256 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { processFile } from './parse.mjs';
-import { configureFiles, setOptions, pageFiles, insertFiles, wrapFiles } from './config.mjs';
+import { advancePosition } from './lexer.mjs';
+import { createConfig, configureFiles, setOptions, resetFiles } from './config.mjs';
+
+/**
+ * Create an includer with its own file registry and options
+ *
+ * Includers share no state, so several sites (or gulp pipelines) can be
+ * built concurrently in one process without calling reset() between runs.
+ *
+ * @param {Object} options - Processing options (same as gulp plugin options)
+ * @returns {Object} Includer instance
+ */
+export function createIncluder(options = {}) {
+  const config = createConfig(options);
+
+  const includer = {
+    /**
+     * The options this includer was created with
+     */
+    get options() {
+      return config.options;
+    },
+
+    /**
+     * Problems found since the last build started (see src/diagnostics.mjs)
+     */
+    get diagnostics() {
+      return config.diagnostics;
+    },
+
+    /**
+     * Diagnostics that fail the build (strict mode, or missingData: 'fail')
+     */
+    get errors() {
+      return findErrors(config.diagnostics);
+    },
+
+    /**
+     * Page files (not starting with '-' or '_') that have been added
+     */
+    get pageFiles() {
+      return config.pageFiles;
+    },
+
+    /**
+     * Replace the processing options
+     *
+     * @param {Object} ops - Processing options
+     */
+    setOptions(ops = {}) {
+      setOptions(config, ops);
+    },
+
+    /**
+     * Add a file object to the registry (categorized as page, insert, or wrap)
+     *
+     * @param {Object} file - File object with path, name and content
+     */
+    addFile(file) {
+      hashFile(config, file);
+    },
+
+    /**
+     * Process HTML files with include directives
+     *
+     * @param {Object} dirConfig - Directory configuration
+     * @param {string} dirConfig.srcDir - Source directory containing HTML files
+     * @param {string} dirConfig.destDir - Destination directory for processed files
+     * @param {Array<string>} dirConfig.files - Optional array of specific file paths to process
+     * @returns {Promise<Array>} Array of processed file results, each with the
+     *   diagnostics found while building it
+     * @throws {AggregateError} If any errors were recorded (nothing is written)
+     */
+    async processDirectory({ srcDir, destDir, files = null } = {}) {
+      startBuild(config);
+
+      // Load all files from the source directory
+      const allFiles = files || await discoverFiles(srcDir);
+
+      // Hash all files (categorize them as page, insert, or wrap files)
+      const pages = [];
+      for (const filePath of allFiles) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const file = createFileObject(filePath, content);
+        hashFile(config, file);
+        if (config.pageFiles.includes(file)) pages.push(file);
+      }
+
+      // Process the page files found in this directory
+      const results = [];
+      for (const file of pages) {
+        const start = config.diagnostics.length;
+        const processed = await includer.processFile(file);
+        results.push({
+          path: file.path,
+          name: file.name,
+          content: processed.content,
+          diagnostics: config.diagnostics.slice(start),
+        });
+      }
+
+      // A build with errors writes nothing, so broken pages never ship
+      if (findErrors(config.diagnostics).length > 0) {
+        throw createBuildError(config.diagnostics);
+      }
+
+      // Write to destination if provided
+      if (destDir) {
+        for (const result of results) {
+          const relativePath = path.relative(srcDir, result.path);
+          const destPath = path.join(destDir, relativePath);
+          await ensureDir(path.dirname(destPath));
+          await fs.writeFile(destPath, result.content, 'utf8');
+        }
+      }
+
+      return results;
+    },
+
+    /**
+     * Process a single HTML file
+     *
+     * @param {string} filePath - Path to the file to process
+     * @returns {Promise<Object>} Processed file result, with the diagnostics found
+     * @throws {AggregateError} If any errors were recorded
+     */
+    async processSingleFile(filePath) {
+      startBuild(config);
+
+      const content = await fs.readFile(filePath, 'utf8');
+      const file = createFileObject(filePath, content);
+
+      const processed = await includer.processFile(file);
+
+      if (findErrors(config.diagnostics).length > 0) {
+        throw createBuildError(config.diagnostics);
+      }
+
+      return {
+        path: file.path,
+        name: file.name,
+        content: processed.content,
+        diagnostics: [ ...config.diagnostics ],
+      };
+    },
+
+    /**
+     * Process HTML content string directly
+     *
+     * @param {string} content - HTML content to process
+     * @param {Object} context - Processing context
+     * @param {string} context.basePath - Base path for resolving relative includes
+     * @returns {Promise<string>} Processed HTML content
+     * @throws {AggregateError} If any errors were recorded
+     */
+    async processContent(content, { basePath = process.cwd() } = {}) {
+      startBuild(config);
+
+      // Create a virtual file object
+      const file = createFileObject(
+        path.join(basePath, 'virtual-file.html'),
+        content
+      );
+
+      const processed = await includer.processFile(file);
+
+      if (findErrors(config.diagnostics).length > 0) {
+        throw createBuildError(config.diagnostics);
+      }
+
+      return processed.content;
+    },
+
+    /**
+     * Process a file object that has already been loaded
+     *
+     * Problems are recorded in `diagnostics` rather than thrown, so several
+     * files can be processed before checking them (see createBuildError)
+     *
+     * @param {Object} file - File object with path, name and content
+     * @returns {Promise<Object>} The resolved top node (content holds the result)
+     */
+    async processFile(file) {
+      return processFile(file, config.options.jsonInput || {}, config);
+    },
+
+    /**
+     * Load files needed for includes/wraps
+     *
+     * @param {string} baseDir - Base directory to search for include/wrap files
+     */
+    async loadDependencies(baseDir) {
+      const allFiles = await discoverFiles(baseDir);
+
+      for (const filePath of allFiles) {
+        const fileName = path.basename(filePath);
+        // Only load insert (-) and wrap (_) files
+        if (fileName.startsWith('-') || fileName.startsWith('_')) {
+          const content = await fs.readFile(filePath, 'utf8');
+          const file = createFileObject(filePath, content);
+          hashFile(config, file);
+        }
+      }
+    },
+
+    /**
+     * Clear the file registry
+     */
+    reset() {
+      resetFiles(config);
+    },
+  };
+
+  return includer;
+}
+
+// each build starts with no problems found and no rawJson (or memo) data, so
+// it loads fresh data once
+const startBuild = config => {
+  config.diagnostics.length = 0;
+  config.rawJsonMemo.clear();
+}
+
+// the diagnostics that fail a build
+const findErrors = diagnostics =>
+  diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+
+/**
+ * Create one error reporting every error recorded in a build
+ *
+ * @param {Array<Object>} diagnostics - Diagnostics of the build (warnings are left out)
+ * @returns {AggregateError} Error whose message lists the errors, and whose
+ *   errors are their diagnostics
+ */
+export function createBuildError(diagnostics) {
+  const errors = findErrors(diagnostics);
+
+  // in the order they appear in each file (pages are processed concurrently)
+  const sorted = [ ...errors ].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  const list = sorted.map(({ file, line, column, message }) => `  ${file}:${line}:${column}: ${message}`);
+  return new AggregateError(
+    sorted,
+    `${errors.length} error(s) while building:\n${list.join('\n')}`
+  );
+}
+
+// The functions below keep the original module-level API working. They all
+// share one includer, so use createIncluder() for concurrent builds.
+const defaultIncluder = createIncluder();
 
 /**
  * Process HTML files with include directives
@@ -22,46 +271,8 @@ import { configureFiles, setOptions, pageFiles, insertFiles, wrapFiles } from '.
  * @returns {Promise<Array>} Array of processed file results
  */
 export async function processDirectory(config) {
-  const {
-    srcDir,
-    destDir,
-    options = {},
-    files = null,
-  } = config;
-
-  // Initialize the processor with options
-  setOptions(options);
-
-  // Load all files from the source directory
-  const allFiles = files || await discoverFiles(srcDir);
-
-  // Hash all files (categorize them as page, insert, or wrap files)
-  for (const filePath of allFiles) {
-    const content = await fs.readFile(filePath, 'utf8');
-    const file = createFileObject(filePath, content);
-    hashFile(file);
-  }
-
-  // Process all page files
-  const results = [];
-  for (const file of pageFiles) {
-    const processed = await processFile(file, options.jsonInput || {});
-    results.push({
-      path: file.path,
-      name: file.name,
-      content: processed.content,
-    });
-
-    // Write to destination if provided
-    if (destDir) {
-      const relativePath = path.relative(srcDir, file.path);
-      const destPath = path.join(destDir, relativePath);
-      await ensureDir(path.dirname(destPath));
-      await fs.writeFile(destPath, processed.content, 'utf8');
-    }
-  }
-
-  return results;
+  defaultIncluder.setOptions(config.options);
+  return defaultIncluder.processDirectory(config);
 }
 
 /**
@@ -72,18 +283,8 @@ export async function processDirectory(config) {
  * @returns {Promise<Object>} Processed file result
  */
 export async function processSingleFile(filePath, options = {}) {
-  setOptions(options);
-
-  const content = await fs.readFile(filePath, 'utf8');
-  const file = createFileObject(filePath, content);
-
-  const processed = await processFile(file, options.jsonInput || {});
-
-  return {
-    path: file.path,
-    name: file.name,
-    content: processed.content,
-  };
+  defaultIncluder.setOptions(options);
+  return defaultIncluder.processSingleFile(filePath);
 }
 
 /**
@@ -96,22 +297,8 @@ export async function processSingleFile(filePath, options = {}) {
  * @returns {Promise<string>} Processed HTML content
  */
 export async function processContent(content, context = {}) {
-  const {
-    basePath = process.cwd(),
-    options = {},
-  } = context;
-
-  setOptions(options);
-
-  // Create a virtual file object
-  const file = createFileObject(
-    path.join(basePath, 'virtual-file.html'),
-    content
-  );
-
-  const processed = await processFile(file, options.jsonInput || {});
-
-  return processed.content;
+  defaultIncluder.setOptions(context.options);
+  return defaultIncluder.processContent(content, context);
 }
 
 /**
@@ -121,34 +308,27 @@ export async function processContent(content, context = {}) {
  * @param {Object} options - Processing options
  */
 export async function loadDependencies(baseDir, options = {}) {
-  setOptions(options);
-
-  const allFiles = await discoverFiles(baseDir);
-
-  for (const filePath of allFiles) {
-    const fileName = path.basename(filePath);
-    // Only load insert (-) and wrap (_) files
-    if (fileName.startsWith('-') || fileName.startsWith('_')) {
-      const content = await fs.readFile(filePath, 'utf8');
-      const file = createFileObject(filePath, content);
-      hashFile(file);
-    }
-  }
+  defaultIncluder.setOptions(options);
+  return defaultIncluder.loadDependencies(baseDir);
 }
 
 // ===== Helper Functions =====
 
 /**
  * Create a file object from path and content
+ *
+ * line and column record where the trimmed content starts in the file,
+ * so warnings can point at the original location
  */
-function createFileObject(filePath, content) {
-  const isWin = /^win/.test(process.platform);
+export function createFileObject(filePath, content) {
   const fileName = path.basename(filePath);
+  const leading = content.slice(0, content.length - content.trimStart().length);
 
   return {
     path: filePath,
     name: fileName,
     content: content.trim(),
+    ...advancePosition({ line: 1, column: 1 }, leading),
     processed: false,
     file: {
       path: filePath,
@@ -158,12 +338,12 @@ function createFileObject(filePath, content) {
 }
 
 /**
- * Hash a file into the appropriate category
+ * Hash a file into the appropriate category of an includer's registry
  */
-function hashFile(file) {
+function hashFile(config, file) {
   // Process clipping before categorizing
   processClip(file);
-  configureFiles(file);
+  configureFiles(config, file);
 }
 
 /**
@@ -172,6 +352,15 @@ function hashFile(file) {
 function processClip(file) {
   // process clipbefore and clipafter
   if (file.content.indexOf('<!--#clipbefore') > -1) {
+    // the content now starts after the clipbefore tag
+    const match = /<!--#clipbefore\s*-->/.exec(file.content);
+    if (match) {
+      Object.assign(file, advancePosition(
+        { line: file.line || 1, column: file.column || 1 },
+        file.content.slice(0, match.index + match[0].length)
+      ));
+    }
+
     file.content = file.content
       .split(/<!--#clipbefore\s*-->/)
       .splice(1)[0]
@@ -217,10 +406,9 @@ async function ensureDir(dirPath) {
 }
 
 /**
- * Reset internal state (useful for testing or batch processing)
+ * Reset the state shared by the module-level functions
+ * (not needed for includers made with createIncluder)
  */
 export function reset() {
-  pageFiles.length = 0;
-  Object.keys(insertFiles).forEach(key => delete insertFiles[key]);
-  Object.keys(wrapFiles).forEach(key => delete wrapFiles[key]);
+  defaultIncluder.reset();
 }
@@ -0,0 +1,64 @@
+// problems found while building, and the reporters that print them
+//
+// a diagnostic is a plain object:
+//   code     - what kind of problem it is ('missing-file', 'missing-data'...)
+//   severity - 'error' (fails the build) or 'warning'
+//   message  - what went wrong
+//   file, line, column - where the tag with the problem starts
+//   snippet  - the start of that tag
+//
+// every diagnostic in a build is collected (see report in parse.mjs) and
+// handed to the reporter as it is found
+
+const SNIPPET_LENGTH = 100;
+
+// the start of a tag, on one line
+export const createSnippet = text => {
+  const snippet = String(text || '').replace(/\s+/g, ' ').trim();
+  return (snippet.length > SNIPPET_LENGTH)
+    ? snippet.slice(0, SNIPPET_LENGTH - 3) + '...'
+    : snippet;
+}
+
+export const createDiagnostic = ({ code, severity = 'warning', message, file = '', line = 1, column = 1, snippet = '' }) => ({
+  code,
+  severity,
+  message,
+  file,
+  line,
+  column,
+  snippet : createSnippet(snippet),
+})
+
+// colors, when printing to a terminal
+const paint = (color, text) =>
+  process.stderr.isTTY ? `\x1b[${color}m${text}\x1b[0m` : text
+
+// WARNING [missing-data] page.html:3:5: there is no data at jsonPath 'title'
+//     <!--#data jsonPath="title" -->
+export const prettyReporter = diagnostic => {
+  const { code, severity, message, file, line, column, snippet } = diagnostic;
+  const label = (severity === 'error')
+    ? paint('31', 'ERROR')
+    : paint('33', 'WARNING');
+
+  console.warn(`${label} [${code}] ${file}:${line}:${column}: ${message}` + (snippet ? `\n    ${paint('2', snippet)}` : ''));
+}
+
+// one line of json for each diagnostic
+export const jsonReporter = diagnostic =>
+  console.warn(JSON.stringify(diagnostic))
+
+export const silentReporter = () => {}
+
+export const reporters = {
+  pretty : prettyReporter,
+  json   : jsonReporter,
+  silent : silentReporter,
+};
+
+// a reporter from the reporter option: a name from reporters, or a function
+// called with each diagnostic
+export const findReporter = reporter =>
+    (typeof(reporter) === 'function') ? reporter
+  : reporters[reporter] || prettyReporter
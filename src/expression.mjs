@@ -0,0 +1,210 @@
+// a small expression language for tests like
+//   test="status == 'active' && items.length > 0"
+//
+// expressions are parsed and evaluated here, never handed to eval, so all
+// they can do is read data (through resolve) and compare it.
+//
+// supported:
+// - literals: numbers, 'strings' or "strings", true, false, null, undefined
+//   and arrays ([ 'a', 'b' ])
+// - paths: name, name.nested.value, items[0], items[-1].name, map['a-key'],
+//   this, this.value, ../outer.value, $root.value (see json-path.mjs)
+// - operators (loosest first): ||, &&, == != === !==, < <= > >= in, ! -
+// - parentheses for grouping
+
+const operators = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '!', '-', '(', ')', '[', ']', ',',
+];
+
+const keywords = {
+  true      : true,
+  false     : false,
+  null      : null,
+  undefined : void(0),
+};
+
+// break an expression into { type, value, index } tokens
+const tokenizeExpression = source => {
+  const tokens = [];
+  let i = 0;
+
+  while(i < source.length) {
+    const ch = source[i];
+
+    if(/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // numbers
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if(number) {
+      tokens.push({ type : 'literal', value : Number(number[0]), index : i });
+      i += number[0].length;
+      continue;
+    }
+
+    // strings, in either kind of quote, with \ escapes
+    if(ch === '\'' || ch === '"') {
+      let value = '';
+      let j = i + 1;
+      while(j < source.length && source[j] !== ch) {
+        if(source[j] === '\\') j++;
+        value += source[j];
+        j++;
+      }
+      if(j >= source.length)
+        throw new Error(`unclosed string starting at character ${i + 1}`);
+      tokens.push({ type : 'literal', value, index : i });
+      i = j + 1;
+      continue;
+    }
+
+    // paths (and keywords, which look like paths)
+    const name = /^(\.\.\/)*[A-Za-z_$@][\w$@]*/.exec(source.slice(i));
+    if(name) {
+      const word = name[0];
+      if(word in keywords)
+        tokens.push({ type : 'literal', value : keywords[word], index : i });
+      else if(word === 'in')
+        tokens.push({ type : 'operator', value : 'in', index : i });
+      else {
+        // the rest of the path: .keys, [indexes] and ['quoted keys']
+        const rest = /^(\.[\w$@]+|\[(-?\d+|'(\\.|[^'\\])*'|"(\\.|[^"\\])*")\])*/.exec(source.slice(i + word.length))[0];
+        tokens.push({ type : 'path', value : word + rest, index : i });
+        i += rest.length;
+      }
+      i += word.length;
+      continue;
+    }
+
+    const operator = operators.find(op => source.startsWith(op, i));
+    if(operator) {
+      tokens.push({ type : 'operator', value : operator, index : i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new Error(`unexpected '${ch}' at character ${i + 1}`);
+  }
+
+  return tokens;
+}
+
+// build a tree of { type, ... } nodes from the tokens (recursive descent,
+// one function per level of precedence)
+export const parseExpression = source => {
+  const tokens = tokenizeExpression(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+  const describe = token => token ? `'${token.value}' at character ${token.index + 1}` : 'end of expression';
+  const expect = value => {
+    if(!isOperator(value))
+      throw new Error(`expected '${value}' but found ${describe(peek())}`);
+    pos++;
+  }
+
+  const binary = (next, ...ops) => () => {
+    let left = next();
+    while(isOperator(...ops)) {
+      const operator = tokens[pos++].value;
+      left = { type : 'binary', operator, left, right : next() };
+    }
+    return left;
+  }
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if(!token)
+      throw new Error('unexpected end of expression');
+
+    if(token.type === 'literal') return { type : 'literal', value : token.value };
+    if(token.type === 'path')    return { type : 'path', path : token.value };
+
+    if(token.value === '(') {
+      const expr = or();
+      expect(')');
+      return expr;
+    }
+
+    if(token.value === '[') {
+      const items = [];
+      while(!isOperator(']')) {
+        items.push(or());
+        if(!isOperator(']')) expect(',');
+      }
+      expect(']');
+      return { type : 'array', items };
+    }
+
+    throw new Error(`unexpected ${describe(token)}`);
+  }
+
+  const unary = () => {
+    if(isOperator('!', '-')) {
+      const operator = tokens[pos++].value;
+      return { type : 'unary', operator, argument : unary() };
+    }
+    return primary();
+  }
+
+  const relational = binary(unary, '<', '<=', '>', '>=', 'in');
+  const equality   = binary(relational, '==', '!=', '===', '!==');
+  const and        = binary(equality, '&&');
+  const or         = binary(and, '||');
+
+  const tree = or();
+  if(pos < tokens.length)
+    throw new Error(`unexpected ${describe(peek())}`);
+
+  return tree;
+}
+
+// `a in b`: an item of an array, a substring of a string, or a key of an object
+const isIn = (needle, haystack) => (
+    Array.isArray(haystack)        ? haystack.includes(needle)
+  : typeof(haystack) === 'string'  ? haystack.indexOf(String(needle)) > -1
+  : (haystack && typeof(haystack) === 'object') ? Object.prototype.hasOwnProperty.call(haystack, needle)
+  : false
+)
+
+const binaryOperators = {
+  '==='  : (a, b) => a === b,
+  '!=='  : (a, b) => a !== b,
+  '=='   : (a, b) => a == b,
+  '!='   : (a, b) => a != b,
+  '<'    : (a, b) => a < b,
+  '<='   : (a, b) => a <= b,
+  '>'    : (a, b) => a > b,
+  '>='   : (a, b) => a >= b,
+  'in'   : isIn,
+}
+
+const evaluateTree = (tree, resolve) => {
+  switch(tree.type) {
+    case 'literal' : return tree.value;
+    case 'path'    : return resolve(tree.path);
+    case 'array'   : return tree.items.map(item => evaluateTree(item, resolve));
+    case 'unary'   : {
+      const value = evaluateTree(tree.argument, resolve);
+      return (tree.operator === '!') ? !value : -value;
+    }
+    case 'binary'  : {
+      // && and || only evaluate the right side when they need to
+      const left = evaluateTree(tree.left, resolve);
+      if(tree.operator === '&&') return left && evaluateTree(tree.right, resolve);
+      if(tree.operator === '||') return left || evaluateTree(tree.right, resolve);
+      return binaryOperators[tree.operator](left, evaluateTree(tree.right, resolve));
+    }
+  }
+}
+
+// @source  = the expression to evaluate
+// @resolve = given a path (e.g. 'items.length'), returns the data it points at
+//
+// throws an Error describing the problem if the expression can't be parsed
+export const evaluateExpression = (source, resolve) =>
+  evaluateTree(parseExpression(source), resolve)
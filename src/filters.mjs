@@ -0,0 +1,152 @@
+// filters format the data a #data or #jsonInsert tag prints
+//
+//   jsonPath="post.date | date:'YYYY-MM-DD'"
+//   jsonPath="post.body" filters="truncate:120 | upper"
+//
+// each filter is a name, followed by arguments separated by ':'. Arguments are
+// numbers, single quoted strings or plain words. Custom filters are functions
+// passed in with the filters option, called with the value and the arguments
+
+// split source on a character, ignoring it inside single quotes or [ ]
+const splitOutside = (source, separator) => {
+  const parts = [];
+  let quote = false;
+  let depth = 0;
+  let start = 0;
+
+  for(let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if(quote) {
+      if(c === '\\') i++;
+      else if(c === quote) quote = false;
+    }
+    else if(c === '\'' || c === '"') quote = c;
+    else if(c === '[') depth++;
+    else if(c === ']') depth--;
+    else if(c === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  if(quote)
+    throw new Error(`unclosed quote in '${source}'`);
+
+  parts.push(source.slice(start));
+  return parts;
+}
+
+// 'truncate:120' -> 120, "'YYYY'" -> 'YYYY'
+const parseArgument = arg => {
+  const value = arg.trim();
+  if(/^'.*'$/s.test(value))
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  if(value !== '' && !isNaN(Number(value)))
+    return Number(value);
+  return value;
+}
+
+// 'date:'YYYY' | upper' -> [ { name : 'date', args : [ 'YYYY' ] }, { name : 'upper', args : [] } ]
+// throws an Error if there is a problem with the chain
+export const parseFilters = source =>
+  splitOutside(source, '|')
+    .map(filter => splitOutside(filter, ':'))
+    .map(([ name, ...args ]) => {
+      if(name.trim() === '')
+        throw new Error(`missing filter name in '${source}'`);
+      return { name : name.trim(), args : args.map(parseArgument) };
+    })
+
+// 'post.date | upper' -> { path : 'post.date', filters : 'upper' }
+export const splitJsonPathFilters = jsonPath => {
+  const [ path, ...filters ] = splitOutside(jsonPath, '|');
+  return {
+    path    : path.trim(),
+    filters : filters.length ? filters.join('|') : void(0),
+  };
+}
+
+const pad = (number, length = 2) => String(number).padStart(length, '0')
+
+// date parts used by the date filter (dates are formatted in UTC, so a build
+// gives the same result wherever it is run)
+const dateTokens = {
+  YYYY : date => date.getUTCFullYear(),
+  YY   : date => pad(date.getUTCFullYear() % 100),
+  MM   : date => pad(date.getUTCMonth() + 1),
+  M    : date => date.getUTCMonth() + 1,
+  DD   : date => pad(date.getUTCDate()),
+  D    : date => date.getUTCDate(),
+  HH   : date => pad(date.getUTCHours()),
+  H    : date => date.getUTCHours(),
+  mm   : date => pad(date.getUTCMinutes()),
+  ss   : date => pad(date.getUTCSeconds()),
+};
+
+export const builtinFilters = {
+  upper : value => String(value).toUpperCase(),
+
+  lower : value => String(value).toLowerCase(),
+
+  // truncate:length:ending (default ending= '...')
+  truncate : (value, length, ending = '...') => {
+    if(typeof(length) !== 'number')
+      throw new Error('truncate needs a length');
+    const characters = Array.from(String(value));
+    return (characters.length > length)
+      ? characters.slice(0, length).join('') + ending
+      : String(value);
+  },
+
+  // date:format, using the parts in dateTokens (default format= 'YYYY-MM-DD')
+  date : (value, format = 'YYYY-MM-DD') => {
+    const date = (value instanceof Date) ? value : new Date(value);
+    if(isNaN(date.getTime()))
+      throw new Error(`'${value}' isn't a date`);
+    return String(format).replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, token => dateTokens[token](date));
+  },
+
+  // number:decimals, with thousands separated by commas
+  number : (value, decimals) => {
+    const number = Number(value);
+    if(isNaN(number))
+      throw new Error(`'${value}' isn't a number`);
+    return number.toLocaleString('en-US', (decimals === void(0))
+      ? {}
+      : { minimumFractionDigits : decimals, maximumFractionDigits : decimals });
+  },
+
+  // join:separator (default separator= ', ')
+  join : (value, separator = ', ') =>
+    Array.isArray(value) ? value.join(separator) : value,
+
+  // 'Hello, Wörld!' -> 'hello-world'
+  slugify : value =>
+    String(value)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, ''),
+};
+
+// @value   = the data to format
+// @filters = the parsed filter chain (see parseFilters)
+// @known   = the filters that can be used, by name
+// @warn    = called with (code, message) when a filter can't be used
+//
+// returns the formatted value. a filter that is unknown or fails is skipped
+export const applyFilters = (value, filters, known, warn) =>
+  filters.reduce((acc, { name, args }) => {
+    if(typeof(known[name]) !== 'function') {
+      warn('unknown-filter', `there is no filter named '${name}'`);
+      return acc;
+    }
+    try {
+      return known[name](acc, ...args);
+    }
+    catch(e) {
+      warn('filter-failed', `filter '${name}' failed: ${e.message}`);
+      return acc;
+    }
+  }, value)
@@ -0,0 +1,91 @@
+// escaping data for the place in the html it is printed
+//
+// the lexer follows the html around the tags as it tokenizes, so each tag
+// knows whether it is in text, inside an html tag or in an attribute value:
+//
+//   <p><!--#data jsonPath="a" --></p>              text
+//   <a href="<!--#data jsonPath="a" -->">          attribute
+//   <div <!--#data jsonPath="a" -->>               tag
+//   <!--#insert jsonPath="<!--#data jsonPath="a" -->" -->
+//                                                  includer (never escaped,
+//                                                  the value is part of a tag)
+
+// html states, as the text before a tag leaves them
+//   text     - between html tags
+//   comment  - inside an html comment
+//   tag      - inside an html tag, between attributes
+//   equals   - after an '=' in an html tag, before the value
+//   value"   - inside a quoted attribute value (value' for single quotes)
+//   value    - inside an unquoted attribute value
+//   includer - inside an includer tag (doesn't change)
+export const advanceHtmlState = (state, text) => {
+  let i = 0;
+
+  while(i < text.length && state !== 'includer') {
+    const c = text[i];
+
+    if(state === 'text') {
+      if(text.startsWith('<!--', i)) {
+        state = 'comment';
+        i += 4;
+        continue;
+      }
+      if(c === '<' && /[A-Za-z\/]/.test(text[i + 1] || ''))
+        state = 'tag';
+    }
+    else if(state === 'comment') {
+      if(text.startsWith('-->', i)) {
+        state = 'text';
+        i += 3;
+        continue;
+      }
+    }
+    else if(state === 'tag') {
+      state = (c === '>') ? 'text'
+        : (c === '=')     ? 'equals'
+        : state;
+    }
+    else if(state === 'equals') {
+      state = (c === '"' || c === '\'') ? 'value' + c
+        : (c === '>')                   ? 'text'
+        : /\s/.test(c)                  ? state
+        : 'value';
+    }
+    else if(state === 'value') {
+      state = (c === '>') ? 'text'
+        : /\s/.test(c)    ? 'tag'
+        : state;
+    }
+    // quoted value
+    else if(c === state[5])
+      state = 'tag';
+
+    i++;
+  }
+
+  return state;
+}
+
+// the context a tag is printed in, given the html state before it
+export const htmlContext = state => (
+    (state === 'text' || state === 'comment') ? 'text'
+  : (state === 'tag')                         ? 'tag'
+  : (state === 'includer')                    ? 'includer'
+  : 'attribute'
+)
+
+const entities = {
+  '&'  : '&amp;',
+  '<'  : '&lt;',
+  '>'  : '&gt;',
+  '"'  : '&quot;',
+  '\'' : '&#39;',
+};
+
+// text only needs the characters that start tags and entities escaped, while
+// inside an html tag quotes could end (or start) an attribute value as well
+export const escapeHtml = (value, context = 'text') => (
+    (context === 'includer') ? value
+  : (context === 'text')     ? value.replace(/[&<>]/g, c => entities[c])
+  : value.replace(/[&<>"']/g, c => entities[c])
+)
@@ -1,66 +1,43 @@
-import { configureFiles, setOptions, pageFiles, options } from './config.mjs';
-import { processFile } from './parse.mjs';
+// the webpack bundle (lib/) is transpiled, and needs the polyfill. the modules
+// in src run as they are, so only the bundle loads it (loading it twice throws)
+import 'babel-polyfill';
+import { createIncluder, createFileObject, createBuildError } from './core.mjs';
 
 module.exports = {
-  initialize : options => setOptions(options),
-  // puts files into hash maps
-  hashFile : file => {
-    const f = formatFile(file);
-
-    // removing clip right away does no damage and speeds up later processing
-    processClip(f);
-
-    configureFiles(f);
-  },
-
-  // map on page files and build them into strings
-  buildFileResult : async (callback) => {
-    await pageFiles.forEach(async (file) => {
-      await processFile(file, options.jsonInput || {})
-      .then(processedFile => {
-
-        file.content = processedFile.content;
-
-        file.processed = true;
-
-        if(callback) {
-          callback(file);
-        }
-      })
-    })
+  // every plugin call gets its own includer, so pipelines don't share files
+  create : options => {
+    const includer = createIncluder(options);
+
+    return {
+      // puts files into hash maps
+      hashFile : file => includer.addFile(formatFile(file)),
+
+      // map on page files and build them into strings
+      // rejects with every error in the build (strict mode, or missingData: 'fail'),
+      // without passing on any files
+      buildFileResult : async (callback) => {
+        const pageFiles = [ ...includer.pageFiles ];
+        const processedFiles = await Promise.all(pageFiles.map(file => includer.processFile(file)));
+
+        if(includer.errors.length > 0)
+          throw createBuildError(includer.diagnostics);
+
+        pageFiles.forEach((file, i) => {
+          file.content = processedFiles[i].content;
+
+          file.processed = true;
+
+          if(callback) {
+            callback(file);
+          }
+        })
+      },
+    };
   },
 }
 
-const isWin = /^win/.test(process.platform);
-
-const formatFile = file => {
-  let f = {
-    path : file.path,
-    content : file.contents.toString('utf8').trim(),
-    processed : false,
-    file : file,
-  };
-
-  f.name = (isWin) ? file.path.split('\\') : file.path.split('/');
-  f.name = f.name[f.name.length-1];
-
-  return f;
-}
-
-// This runs first, since all of the clipped areas will completely be removed
-const processClip = file => {
-  // process clipbefore and clipafter
-  if(file.content.indexOf('<!--#clipbefore') > -1) {
-    file.content = file.content
-		.split(/<!--#clipbefore\s*-->/)
-		.splice(1)[0]
-		.split('<!--#clipafter')
-		.splice(0,1)[0];
-  }
-
-  // process clipbetween
-  if(file.content.indexOf('<!--#clipbetween') > -1) {
-    const tmp = file.content.split(/<!--#clipbetween\s*-->/);
-    file.content = tmp[0] + tmp[1].split(/<!--#endclipbetween\s*-->/)[1];
-  }
-}
+// keeps the vinyl file so its contents can be replaced and passed on
+const formatFile = file => ({
+  ...createFileObject(file.path, file.contents.toString('utf8')),
+  file,
+})
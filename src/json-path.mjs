@@ -0,0 +1,138 @@
+// the jsonPath syntax shared by every tag
+//
+//   name.nested.value       keys separated by dots
+//   items[0], items[-1]     array indexes (negative indexes count from the end)
+//   authors['first-name']   quoted keys, for keys that aren't plain names
+//   map['a.b']              (including keys containing dots)
+//   items.length            length of an array or string (or the number of
+//                           keys of an object that has no length key)
+//   this, this.name         the data itself
+//
+// attribute values are in double quotes, so use single quotes for keys in tags
+
+const parsedPaths = new Map();
+
+// 'items[0].title' -> [ { key : 'items' }, { index : 0 }, { key : 'title' } ]
+// throws an Error describing the problem if the path can't be parsed
+export const parseJsonPath = path => {
+  if(parsedPaths.has(path)) return parsedPaths.get(path);
+
+  const segments = [];
+  let i = 0;
+
+  // 'this' refers to the data itself, so it adds no segment
+  const self = /^this(?=$|[.[])/.exec(path);
+  if(self) {
+    i = self[0].length;
+    if(path[i] === '.') i++;
+  }
+
+  while(i < path.length) {
+    if(path[i] === '[') {
+      const quote = path[i + 1];
+
+      // quoted key
+      if(quote === '\'' || quote === '"') {
+        let key = '';
+        let j = i + 2;
+        while(j < path.length && path[j] !== quote) {
+          if(path[j] === '\\') j++;
+          key += path[j];
+          j++;
+        }
+        if(path[j + 1] !== ']')
+          throw new Error(`unclosed [ at character ${i + 1}`);
+        segments.push({ key });
+        i = j + 2;
+      }
+      // index
+      else {
+        const close = path.indexOf(']', i);
+        const index = path.slice(i + 1, close);
+        if(close === -1 || !/^-?\d+$/.test(index))
+          throw new Error(`expected a number or a quoted key in [ ] at character ${i + 1}`);
+        segments.push({ index : Number(index) });
+        i = close + 1;
+      }
+    }
+    else {
+      // a key runs until the next . or [
+      if(path[i] === '.') {
+        if(segments.length === 0)
+          throw new Error(`unexpected . at character ${i + 1}`);
+        i++;
+      }
+      const key = /^[^.[\]]*/.exec(path.slice(i))[0];
+      if(key === '')
+        throw new Error(`missing key at character ${i + 1}`);
+      segments.push({ key });
+      i += key.length;
+    }
+
+    // after a segment there must be another one (or the end)
+    if(i < path.length && path[i] !== '.' && path[i] !== '[')
+      throw new Error(`unexpected '${path[i]}' at character ${i + 1}`);
+  }
+
+  parsedPaths.set(path, segments);
+  return segments;
+}
+
+// segments back to a path, for messages
+export const formatJsonPath = segments =>
+  segments.map((segment, n) => (
+      ('index' in segment)                 ? `[${segment.index}]`
+    : /^[^.[\]'"]+$/.test(segment.key)     ? `${n === 0 ? '' : '.'}${segment.key}`
+    : `['${segment.key.replace(/'/g, '\\\'')}']`
+  )).join('') || 'this'
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key)
+
+// read one segment from a value
+const readSegment = (value, segment) => {
+  const isList = Array.isArray(value) || typeof(value) === 'string';
+
+  if('index' in segment) {
+    if(isList)
+      return value[segment.index < 0 ? value.length + segment.index : segment.index];
+    return (typeof(value) === 'object' && hasOwn(value, segment.index)) ? value[segment.index] : void(0);
+  }
+
+  const { key } = segment;
+  if(isList)
+    return (key === 'length' || /^\d+$/.test(key)) ? value[key] : void(0);
+
+  if(typeof(value) !== 'object')
+    return void(0);
+
+  if(hasOwn(value, key))
+    return value[key];
+
+  return (key === 'length') ? Object.keys(value).length : void(0);
+}
+
+// @path      = the jsonPath
+// @json      = the data to look the path up in
+// @onMissing = called when the path points at nothing, with the part of the
+//              path that is missing (and whether that is the whole path)
+//
+// returns the data pointed at, or undefined if there is none. a path can be
+// followed through null (or a missing key) only to its last segment, so
+// { a : null } has null at 'a', and nothing at 'a.b'
+export const findJsonPathData = (path, json, onMissing = () => {}) => {
+  const segments = parseJsonPath(path);
+
+  let value = json;
+  for(let n = 0; n < segments.length; n++) {
+    if(value === null || value === void(0)) {
+      onMissing(formatJsonPath(segments.slice(0, n)));
+      return void(0);
+    }
+    value = readSegment(value, segments[n]);
+  }
+
+  if(value === void(0))
+    onMissing(formatJsonPath(segments), true);
+
+  return value;
+}
@@ -0,0 +1,119 @@
+// breaks content up into text and tag tokens, recording where each one starts
+//
+// a tag runs from '<!--#' to the matching '-->'. Attribute values are quoted
+// with double quotes, so a '-->' inside a value doesn't close the tag, and a
+// tag inside a value (or anywhere else in a tag) is nested rather than closing
+// its parent. Text between tags, including ordinary html comments, is never
+// searched for a '-->'.
+
+import { advanceHtmlState, htmlContext } from './html-escape.mjs';
+
+const TAG_OPEN  = '<!--#';
+const TAG_CLOSE = '-->';
+
+// position after moving over some text
+export const advancePosition = ({ line, column }, text) => {
+  const lines = text.split('\n');
+  return (lines.length === 1)
+    ? { line, column : column + text.length }
+    : { line : line + lines.length - 1, column : lines[lines.length - 1].length + 1 };
+}
+
+// find the end of the tag starting at start, respecting quoted attribute values
+// returns the index just after its '-->', or -1 if it is never closed
+const scanTag = (content, start) => {
+  let inValue = false;
+  let i = start + TAG_OPEN.length;
+
+  while(i < content.length) {
+    if(content.startsWith(TAG_OPEN, i)) {
+      const end = scanTag(content, i);
+      if(end === -1) return -1;
+      i = end;
+      continue;
+    }
+
+    if(content[i] === '"')
+      inValue = !inValue;
+    else if(!inValue && content.startsWith(TAG_CLOSE, i))
+      return i + TAG_CLOSE.length;
+
+    i++;
+  }
+
+  return -1;
+}
+
+// find the end of the tag ignoring quotes (used when a tag has unbalanced quotes)
+const scanTagUnquoted = (content, start) => {
+  let depth = 0;
+  let i = start;
+
+  while(i < content.length) {
+    if(content.startsWith(TAG_OPEN, i)) {
+      depth++;
+      i += TAG_OPEN.length;
+    }
+    else if(content.startsWith(TAG_CLOSE, i)) {
+      depth--;
+      i += TAG_CLOSE.length;
+      if(depth === 0) return i;
+    }
+    else
+      i++;
+  }
+
+  return -1;
+}
+
+// @content = the string to tokenize
+// @options.file   = path of the file the content came from
+// @options.line   = line the content starts on (default= 1)
+// @options.column = column the content starts on (default= 1)
+// @options.warn   = called with (code, message, position) for malformed tags,
+//          where position also has the start of the tag as its snippet
+// @options.error  = called with (code, message, position) for a tag that is
+//          never closed (default= options.warn)
+// @options.htmlState = the html state the content starts in (see html-escape.mjs)
+//
+// returns a list of { type: 'text' | 'tag', value, file, line, column }, where
+// tags also have the html context they are in (text, tag, attribute...)
+export const tokenize = (content, { file = '', line = 1, column = 1, warn = () => {}, error = warn, htmlState = 'text' } = {}) => {
+  const tokens = [];
+  let position = { line, column };
+  let state = htmlState;
+  let cursor = 0;
+
+  const push = (type, value) => {
+    if(value === '') return;
+    tokens.push({ type, value, file, ...position, ...(type === 'tag' ? { context : htmlContext(state) } : {}) });
+    position = advancePosition(position, value);
+    if(type === 'text') state = advanceHtmlState(state, value);
+  }
+
+  while(cursor < content.length) {
+    const start = content.indexOf(TAG_OPEN, cursor);
+    if(start === -1) break;
+
+    push('text', content.slice(cursor, start));
+
+    let end = scanTag(content, start);
+    if(end === -1) {
+      end = scanTagUnquoted(content, start);
+      if(end !== -1)
+        warn('unclosed-quote', 'tag has an unclosed attribute quote', { ...position, snippet : content.slice(start, end) });
+    }
+
+    if(end === -1) {
+      error('unclosed-tag', `tag is never closed with '${TAG_CLOSE}'`, { ...position, snippet : content.slice(start) });
+      break;
+    }
+
+    push('tag', content.slice(start, end));
+    cursor = end;
+  }
+
+  push('text', content.slice(cursor));
+
+  return tokens;
+}
@@ -0,0 +1,137 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { withTimeout } from './raw-json.mjs';
+
+// remembering the results of rawJson (and the plugin calls made from it) for
+// a build, so the same data is only loaded once
+//
+//   results   - rawJson attributes with the same code give the same data, so
+//               each is run once per build
+//   plugins   - wraps the rawJsonPlugins so no more than `concurrency` calls
+//               run at a time, and (when cached) calls with the same plugin
+//               and arguments are made once per build
+//   memo      - plugins.memo(key, fn) runs fn once per build for each key,
+//               with no more than `concurrency` of them running at a time
+//
+// with a cacheDir, the results of plugin and memo calls are saved to disk and
+// read back by later builds
+
+// a string for a key (keys can be anything JSON.stringify can handle)
+const keyString = key => (typeof(key) === 'string') ? key : JSON.stringify(key)
+
+// runs tasks (functions returning promises), no more than limit at a time.
+// each fails if it takes longer than timeout ms once it has started (0 is no
+// limit), so one that never ends can't hold its place forever
+const createLimiter = (limit, timeout, what) => {
+  const waiting = [];
+  let running = 0;
+
+  const next = () => {
+    if(running >= limit || waiting.length === 0) return;
+    const { task, resolve, reject } = waiting.shift();
+    running++;
+    withTimeout(Promise.resolve().then(task), timeout, what)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  }
+
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// where a key is saved in the cache directory
+const cacheFile = (cacheDir, key) =>
+  path.join(cacheDir, crypto.createHash('sha1').update(key).digest('hex') + '.json')
+
+const readCacheFile = async (file, key) => {
+  try {
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    return (saved.key === key) ? saved : void(0);
+  }
+  catch(e) {
+    return void(0);
+  }
+}
+
+// a result that can't be saved is still used, so this only calls onError
+const writeCacheFile = async (cacheDir, file, key, value, onError) => {
+  try {
+    await fs.mkdir(cacheDir, { recursive : true });
+    await fs.writeFile(file, JSON.stringify({ key, value }), 'utf8');
+  }
+  catch(e) {
+    onError(`could not save '${key}' to the rawJson cache: ${e.message}`);
+  }
+}
+
+// @options.concurrency = the most memo calls that run at a time (default= 6)
+// @options.cacheDir    = (optional) directory memo results are saved in
+// @options.timeout     = ms each plugin and memo call may take once it has
+//                        started (0 is no limit)
+//
+// returns { results, memo, plugins, clear }
+export const createMemo = ({ concurrency = 6, cacheDir, timeout = 0 } = {}) => {
+  const results = new Map();
+  const memoized = new Map();
+  // separate limits, so a memo fn waiting on a plugin call can't hold up the
+  // plugin call it waits on
+  const limitMemo = createLimiter(Math.max(1, concurrency), timeout, 'memo');
+  const limitPlugins = createLimiter(Math.max(1, concurrency), timeout, 'a plugin call');
+
+  const load = async (key, fn, onError) => {
+    const file = cacheDir && cacheFile(cacheDir, key);
+    const saved = file && await readCacheFile(file, key);
+    if(saved) return saved.value;
+
+    const value = await fn();
+    if(file) await writeCacheFile(cacheDir, file, key, value, onError);
+    return value;
+  }
+
+  // calls with the same key share the promise of the first one
+  const remember = (key, fn, onError) => {
+    const k = keyString(key);
+    if(!memoized.has(k))
+      memoized.set(k, load(k, fn, onError));
+    return memoized.get(k);
+  }
+
+  // @key     = what fn loads (a url, or [ 'posts', page ]...)
+  // @fn      = loads the data (it may return a promise)
+  // @onError = (optional) called with a message if the result can't be saved
+  //
+  // returns a promise for what fn returns. calls with the same key share it
+  const memo = (key, fn, onError = () => {}) => remember(key, () => limitMemo(fn), onError)
+
+  // @rawJsonPlugins = the functions rawJson can call, by name
+  // @cache          = share calls with the same plugin and arguments (compared
+  //                   as json) for the rest of the build
+  // @onError        = (optional) called with a message if a result can't be saved
+  //
+  // returns the plugins, each returning a promise
+  const plugins = (rawJsonPlugins = {}, cache = true, onError = () => {}) =>
+    Object.keys(rawJsonPlugins).reduce((acc, name) => {
+      const plugin = rawJsonPlugins[name];
+      const call = args => limitPlugins(() => plugin(...args));
+      return {
+        ...acc,
+        [name] : (typeof(plugin) !== 'function') ? plugin
+          : cache ? (...args) => remember({ plugin : name, args }, () => call(args), onError)
+          : (...args) => call(args),
+      };
+    }, {})
+
+  // forgets everything, except what is saved on disk
+  const clear = () => {
+    results.clear();
+    memoized.clear();
+  }
+
+  return { results, memo, plugins, clear };
+}
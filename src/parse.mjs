@@ -1,39 +1,85 @@
-import 'babel-polyfill';
-import {
-  jsonPathAttribute,
-  filePathAttribute,
-  insertFiles,
-  wrapFiles,
-  options,
-  devOptions,
-  insertPattern,
-  rawJsonPlugins,
-} from './config.mjs';
+import { tokenize } from './lexer.mjs';
+import { evaluateExpression } from './expression.mjs';
+import { findJsonPathData, parseJsonPath } from './json-path.mjs';
+import { escapeHtml } from './html-escape.mjs';
+import { parseFilters, splitJsonPathFilters, applyFilters } from './filters.mjs';
+import { evaluateRawJson, parseRawJsonData } from './raw-json.mjs';
+import { createDiagnostic } from './diagnostics.mjs';
+import { parsePropDeclarations, checkProps } from './props.mjs';
 
 // shape of our AST nodes
 const getDefaultNode = () => ({
   type            : '',
   file            : {},
+  line            : 1,  // where the node starts in its file
+  column          : 1,
+  context         : 'text', // where in the html the tag is (see html-escape.mjs)
+  config          : {}, // the includer's options and file registry (see createConfig)
   originalContent : '',
   content         : '',
   parent          : {},
 	innerScope      : null,
+  loop            : null, // loop variables (@index, @first...) of the enclosing #each
+  variables       : {}, // variables bound by the #set tags before this one, by name
+  outerScopes     : [], // { innerScope, loop } of the scopes around this one, innermost first
   children        : [], // list of sequential nodes wrapped in tag (or at topNode)
   nestedNodes     : [], // nested tags - these need to be resolved before this tag is resolved
   attributes      : {}, // attributes on tag
 })
 
+// record a problem with a node, pointing at where it is in its file, and pass
+// it on to the reporter (see diagnostics.mjs)
+const report = (node, severity, code, message) => {
+  const diagnostic = createDiagnostic({
+    code,
+    severity,
+    message,
+    file    : node.file.path,
+    line    : node.line,
+    column  : node.column,
+    snippet : node.originalContent,
+  });
+  node.config.diagnostics.push(diagnostic);
+  node.config.reporter(diagnostic);
+}
+
+// report a problem with a node
+const warn = (node, code, message) => report(node, 'warning', code, message)
+
+// report an error that fails the build. errors are collected rather than
+// thrown, so a build can report all of them together (see core.mjs)
+const reportError = (node, code, message) => report(node, 'error', code, message)
+
+// a problem that fails the build in strict mode, and is only a warning otherwise
+const reportProblem = (node, code, message) =>
+  report(node, node.config.strict ? 'error' : 'warning', code, message)
+
+// report a jsonPath that points at nothing, as the missingData option says:
+// 'render' the tag without data, 'warn' (the default) or 'fail' the build
+const reportMissingData = (node, message) => {
+  const policy = node.config.missingData;
+  if(policy === 'fail')
+    reportError(node, 'missing-data', message);
+  else if(policy !== 'render')
+    warn(node, 'missing-data', message);
+}
+
 // entry point for processing files
-export const processFile = async (file, json, parent, innerScope) => {
+export const processFile = async (file, json, config, parent, innerScope) => {
   // convert string into object
   const topNode = {
     ...getDefaultNode(),
     type    : 'topNode',
     file,
+    config,
+    line    : file.line || 1,
+    column  : file.column || 1,
     originalContent : file.content,
     content : file.content,
     ...(parent     ? { parent }     : {}),
-    ...(innerScope ? { innerScope } : {}),
+    ...(innerScope !== void(0) ? { innerScope } : {}),
+    // the inserting (or wrapping) tag's scope is one level out
+    outerScopes : parent ? [ scopeFrame(parent, json), ...parent.outerScopes ] : [],
   };
 
   // don't do work if there are no tags in the file
@@ -51,37 +97,156 @@ const processNode = async (node, json) => {
   if(node.type === 'textContent') return node;
 
   // the contents of a node may contain more nested nodes
-  // break these up into an array of mixed textContent nodes and tags
-  const contentArr = splitContent(node.content).filter(c => c !== '');
-
-  // convert array of strings to nodes
-  node.nestedNodes = buildNodes(node, contentArr, json);
+  // break these up into an array of mixed text and tag tokens
+  const tokens = tokenize(node.content, {
+    file   : node.file.path,
+    line   : node.line,
+    // the content of a tag starts after its leading '<' (see buildNodes)
+    column : node.type === 'topNode' ? node.column : node.column + 1,
+    warn   : (code, message, { line, column, snippet }) => warn({ ...node, line, column, originalContent : snippet }, code, message),
+    error  : (code, message, { line, column, snippet }) => reportProblem({ ...node, line, column, originalContent : snippet }, code, message),
+    // tags inside a tag are part of its attributes
+    htmlState : node.type === 'topNode' ? 'text' : 'includer',
+  });
+
+  // convert array of tokens to nodes
+  node.nestedNodes = buildNodes(node, tokens, json);
 
   node = await resolveNode(node, json);
 
   return node;
 }
 
-//
-const buildNodes = (parent, contentArr, json, closeTag) => {
+// tags that have children, and the tag that closes them
+const blockCloseTags = {
+  wrap   : '<!--#endwrap',
+  fill   : '<!--#endfill',
+  block  : '<!--#endblock',
+  each   : '<!--#endeach',
+  if     : '<!--#endif',
+  insert : '<!--#endinsert', // only when one follows it (see findBlockInserts)
+}
+
+// the type of block a close tag belongs to (if it is one)
+const findCloseType = content =>
+  Object.keys(blockCloseTags).find(t => startsWithPattern(blockCloseTags[t], content))
+
+// the file an #insert inserts, if its path can be found before it is resolved
+const findInsertFile = node => {
+  const { config, content } = node;
+  const attr = config.filePathAttribute;
+  const path = hasTagAttribute(attr, content)
+    ? getTagAttribute(attr, content)
+    : getPatternValue(config.insertPattern.slice(1), content);
+  return (path && path.indexOf('<!--#') === -1)
+    ? config.insertFiles[buildPathFromRelativePath(node.file.path, path)]
+    : void(0);
+}
+
+const takesBody = file =>
+  !!file && /<!--#(middle|slot)(\s|-->)/.test(file.content)
+
+// a file that can't be found yet (a missing file, or a path made from data)
+// may take a body
+const mayTakeBody = file =>
+  !file || takesBody(file)
+
+// the #insert tokens in tokens that have a body. each #endinsert closes one:
+// the innermost open #insert that may take a body (its file has a #middle or
+// #slot tag, or isn't known until it is processed), or the innermost open
+// #insert when none of them may (so its body is dropped rather than printed,
+// see insert). an #insert that isn't closed has no body
+const findBlockInserts = (tokens, node) => {
+  const blocks = new Set();
+  const open = [];
+
+  for(const token of tokens) {
+    if(token.type !== 'tag') continue;
+
+    const closeType = findCloseType(token.value);
+    if(!closeType) {
+      const type = findNodeType(token.value, node.config);
+      if(type === 'insert')
+        open.push({ type, token, body : mayTakeBody(findInsertFile({ ...node, content : token.value.slice(1) })) });
+      else if(blockCloseTags[type])
+        open.push({ type });
+      continue;
+    }
+
+    // the blocks opened after the one this closes were never closed
+    const closed = (closeType === 'insert') ? findClosedInsert(open) : findLastOpen(open, closeType);
+    if(closed === -1) continue;
+    if(closeType === 'insert') blocks.add(open[closed].token);
+    open.length = closed;
+  }
+  return blocks;
+}
+
+// the index of the innermost open block of type, or -1
+const findLastOpen = (open, type) => {
+  for(let i = open.length - 1; i >= 0; i--)
+    if(open[i].type === type) return i;
+  return -1;
+}
+
+// the index of the open #insert an #endinsert closes, or -1. it is one of the
+// innermost #insert tags with no other block opened between them
+const findClosedInsert = open => {
+  for(let end = open.length - 1; end >= 0; end--) {
+    if(open[end].type !== 'insert') continue;
+
+    let start = end;
+    while(start > 0 && open[start - 1].type === 'insert') start--;
+
+    for(let i = end; i >= start; i--)
+      if(open[i].body) return i;
+    return end;
+  }
+  return -1;
+}
+
+// @openBlocks = the block nodes enclosing parent, innermost last
+// @blockInserts = the #insert tokens with a body (see findBlockInserts)
+const buildNodes = (parent, tokens, json, closeTag, openBlocks = [], blockInserts = findBlockInserts(tokens, parent)) => {
   const nodes = [];
 
-  while(contentArr.length > 0) {
-    const content = contentArr.shift();
+  while(tokens.length > 0) {
+    const token = tokens.shift();
+    const content = token.value;
+    const closeType = (token.type === 'tag') ? findCloseType(content) : void(0);
+
+    if(closeType) {
+      // if we find the close tag, then we are done with our search
+      if(closeTag && closeType === parent.type)
+        return nodes;
 
-    // if we find the close tag, then we are done with our search
-    if(closeTag && content.indexOf(closeTag) === 0)
-      return nodes;
+      // this closes a block further out, so this block was never closed.
+      // leave the tag for that block to find
+      if(openBlocks.some(b => b.type === closeType)) {
+        tokens.unshift(token);
+        break;
+      }
+
+      warn({ ...parent, line : token.line, column : token.column, originalContent : content }, 'unopened-close-tag', `'${blockCloseTags[closeType]} -->' tag has no opening '<!--#${closeType}' tag`);
+      continue;
+    }
 
     // lookup type of the tag
-    const type = findNodeType(content);
+    const type = (token.type === 'tag') ? findNodeType(content, parent.config) : 'textContent';
 
     const node = {
       ...getDefaultNode(),
       type,
       parent,
       file            : parent.file,
+      config          : parent.config,
+      line            : token.line,
+      column          : token.column,
+      context         : token.context || 'text',
       innerScope      : parent.innerScope,
+      loop            : parent.loop,
+      variables       : parent.variables,
+      outerScopes     : parent.outerScopes,
       originalContent : content,
       content,
     };
@@ -99,31 +264,40 @@ const buildNodes = (parent, contentArr, json, closeTag) => {
 
     // if this is a node that has children build them up, removing them
     // from the split up array
-    node.children = (
-        type === 'wrap' ? buildNodes(node, contentArr, json, '<!--#endwrap')
-      : type === 'each' ? buildNodes(node, contentArr, json, '<!--#endeach')
-      : type === 'if'   ? buildNodes(node, contentArr, json, '<!--#endif')
-      : []
-    );
+    // each block tracks the blocks around it, so a close tag matches the
+    // innermost open block of its type
+    const isBlock = (type === 'insert') ? blockInserts.has(token) : !!blockCloseTags[type];
+    node.children = isBlock
+      ? buildNodes(node, tokens, json, blockCloseTags[type], (closeTag ? [ ...openBlocks, parent ] : openBlocks), blockInserts)
+      : [];
 
     nodes.push(node);
   }
 
   // We should never get here while looking for a closing tag
   if(closeTag)
-    console.warn(`WARNING while processing file '${parent.file.path}': there is a missing tag`);
+    reportProblem(parent, 'missing-close-tag', `there is a missing '${closeTag} -->' tag`);
 
   return nodes;
 }
 
 //
 const resolveNode = async (node, json) => {
+  // a file that extends another is only its blocks, which the file it extends
+  // places (see extends)
+  const extendsNode = (node.type === 'topNode')
+    ? node.nestedNodes.find(n => n.type === 'extends')
+    : void(0);
+  if(extendsNode) {
+    await processNode(extendsNode, json);
+    node.content = extendsNode.content;
+    return node;
+  }
+
   // resolve nested tags
   if(node.nestedNodes.length > 0) {
-    const promises = node.nestedNodes.map(async (node) => await processNode(node, json));
-    await Promise.all(promises).then(() => {
-      node.content = joinContent(node.nestedNodes);
-    })
+    node.nestedNodes = await processNodes(node.nestedNodes, json);
+    node.content = joinContent(node.nestedNodes);
   }
 
   // process node so that content is resolved
@@ -131,7 +305,7 @@ const resolveNode = async (node, json) => {
 
   // There is a problem if we found no processor
   if(!processor) {
-    console.warn(`WARNING while processing file '${node.file.path}': there is no processor for type '${node.type}'`);
+    warn(node, 'unknown-tag', `there is no processor for type '${node.type}'`);
     return node;
   }
 
@@ -143,31 +317,310 @@ const resolveNode = async (node, json) => {
 
 // loads values for tags into node object
 const loadNodeAttributes = async (node, json) => {
+  const { config } = node;
   const attrs = nodeAttributes[node.type] || [];
   const attributes = await attrs.reduce(async (acc, attr) => {
     acc = await acc;
-    if(hasTagAttribute(attr, node.content)) {
-      const value = getTagAttribute(attr, node.content);
-      acc[attr] = (attr === 'rawJson') ? (await processRawJson(value, json)) : value;
+    const tagAttr = tagAttributeName(attr, config);
+    if(hasTagAttribute(tagAttr, node.content)) {
+      const value = getTagAttribute(tagAttr, node.content);
+      acc[attr] = (attr === 'rawJson') ? (await processRawJson(value, json, node)) : value;
     }
     return acc;
   }, {})
 
+  // an insertPattern like 'include virtual' ends in the attribute holding the path
+  if(node.type === 'insert' && !attributes.path) {
+    const path = getPatternValue(config.insertPattern.slice(1), node.content);
+    if(path !== void(0)) attributes.path = path;
+  }
+
   return attributes;
 }
 
+// the attribute names used by the processors may be renamed in the tags
+const tagAttributeName = (attr, config) => (
+    attr === 'path'     ? config.filePathAttribute
+  : attr === 'jsonPath' ? config.jsonPathAttribute
+  : attr
+)
+
+// the text that opens each type of tag (insert can be configured for ssi)
+const getTagPatterns = config => ({
+  insert     : config.insertPattern,
+  data       : '<!--#data',
+  rawData    : '<!--#rawData',
+  jsonInsert : '<!--#jsonInsert',
+  wrap       : '<!--#wrap',
+  middle     : '<!--#middle',
+  slot       : '<!--#slot',
+  fill       : '<!--#fill',
+  extends    : '<!--#extends',
+  props      : '<!--#props',
+  set        : '<!--#set',
+  block      : '<!--#block',
+  parent     : '<!--#parent',
+  each       : '<!--#each',
+  if         : '<!--#if',
+  elseif     : '<!--#elseif',
+  else       : '<!--#else',
+})
+
+// does content open with the pattern? (so '<!--#if' doesn't match '<!--#ifx')
+const startsWithPattern = (pattern, content) =>
+  content.indexOf(pattern) === 0 && /^(\s|=|-->|$)/.test(content.slice(pattern.length))
+
 // check for tag and return node type
-const findNodeType = content => (
-  content.indexOf('<!--#insert')     === 0 ? 'insert'
-: content.indexOf('<!--#data')       === 0 ? 'data'
-: content.indexOf('<!--#jsonInsert') === 0 ? 'jsonInsert'
-: content.indexOf('<!--#wrap')       === 0 ? 'wrap'
-: content.indexOf('<!--#middle')     === 0 ? 'middle'
-: content.indexOf('<!--#each')       === 0 ? 'each'
-: content.indexOf('<!--#if')         === 0 ? 'if'
-: 'textContent'
+const findNodeType = (content, config) => {
+  const patterns = getTagPatterns(config);
+  const type = Object.keys(patterns).find(t => startsWithPattern(patterns[t], content));
+  return type || 'textContent';
+}
+
+// get the value directly following a pattern (pattern="value")
+const getPatternValue = (pattern, content) => (
+  (content.indexOf(pattern + '="') === 0)
+? content.slice(pattern.length + 2, content.indexOf('"', pattern.length + 2))
+: void(0)
 )
 
+// copy a node and the nodes below it so a block can be rendered more than once
+// (processing a node overwrites its content). A new innerScope, loop,
+// variables or outerScopes is passed down to every node in the block
+const cloneNode = (node, overrides = {}) => {
+  const clone = { ...node, ...overrides, nestedNodes : [] };
+  const scope = [ 'innerScope', 'loop', 'variables', 'outerScopes' ].reduce((acc, key) => (
+    (key in overrides) ? { ...acc, [key] : overrides[key] } : acc
+  ), {});
+  clone.children = node.children.map(c => cloneNode(c, { ...scope, parent : clone }));
+  return clone;
+}
+
+// the files that have been inserted or wrapped to reach node, from the page
+// in, with the scope each was given
+const includeChain = node => {
+  const chain = [];
+  for(let n = node; n && n.type; n = n.parent)
+    if(n.type === 'topNode')
+      chain.unshift({ path : n.file.path, innerScope : n.innerScope });
+  return chain;
+}
+
+// sorts the keys of plain objects, so json for the same data is the same
+const sortKeys = (key, value) =>
+  (value && typeof(value) === 'object' && !Array.isArray(value))
+    ? Object.keys(value).sort().reduce((acc, k) => ({ ...acc, [k] : value[k] }), {})
+    : value
+
+// what to compare the data a file is included with by. props and rawJson give
+// a new object every time, so it's json (or the data itself if it can't be)
+const scopeKeys = new WeakMap();
+const scopeKey = value => {
+  if(value === null || value === void(0)) return 'null';
+  if(typeof(value) !== 'object') return JSON.stringify(value);
+
+  if(!scopeKeys.has(value)) {
+    try {
+      scopeKeys.set(value, JSON.stringify(value, sortKeys));
+    }
+    catch(e) {
+      scopeKeys.set(value, value);
+    }
+  }
+  return scopeKeys.get(value);
+}
+
+// can node insert (or wrap) filename, with innerScope, without looping forever?
+// a file can include itself with different data (a tree of comments, say),
+// but including it again with the same data would never end
+const canInclude = (node, filename, innerScope) => {
+  const chain = includeChain(node);
+  const paths = [ ...chain.map(c => c.path), filename ].join(' -> ');
+  const key = scopeKey(innerScope);
+
+  if(chain.some(c => c.path === filename && scopeKey(c.innerScope) === key)) {
+    reportError(node, 'include-cycle', `${node.type} cycle: ${paths}`);
+    return false;
+  }
+
+  if(chain.length > node.config.maxIncludeDepth) {
+    reportError(node, 'include-depth', `${node.type} files are nested more than ${node.config.maxIncludeDepth} deep: ${paths}`);
+    return false;
+  }
+
+  return true;
+}
+
+// the tags that pass a body to the file they bring in
+const takesBodyTag = node => node.type === 'wrap' || node.type === 'insert'
+
+// the #wrap or #insert whose body node is in (in the same file), for #fill
+const findFilling = node => {
+  for(let n = node.parent; n && n.type && n.type !== 'topNode'; n = n.parent)
+    if(takesBodyTag(n)) return n;
+  return void(0);
+}
+
+// the #insert, #wrap or #extends tag that brought in node's file (if any)
+const findIncludingTag = node => {
+  let n = node;
+  while(n.parent && n.type !== 'topNode') n = n.parent;
+  return (n.parent && n.parent.type) ? n.parent : void(0);
+}
+
+// the #wrap or #insert tag whose body node's file gets, for #middle and #slot
+const findWrapping = node => {
+  const tag = findIncludingTag(node);
+  return (tag && takesBodyTag(tag)) ? tag : void(0);
+}
+
+// process the body of a #wrap or #insert before its file is brought in, so
+// #middle and #slot can place it. returns the nodes of the body
+const processBody = async (node, json) => {
+  // the #fill blocks in the body, by slot name (see fill and slot)
+  node.fills = {};
+  node.usedSlots = new Set();
+
+  const children = await processNodes(node.children.map(child => cloneNode(child)), json);
+  node.content = joinContent(children);
+  return children;
+}
+
+// warn about #fill blocks with no #slot for them in filename
+const warnUnusedFills = (node, filename) =>
+  Object.keys(node.fills)
+    .filter(name => !node.usedSlots.has(name))
+    .forEach(name => warn(node, 'unused-fill', `${node.type} file '${filename}' has no slot named '${name}'`))
+
+// the blocks that override those in node's file, by name. each is a list of
+// the blocks with that name in the files extending it, the furthest first
+const findOverrides = node => {
+  const tag = findIncludingTag(node);
+  return (tag && tag.type === 'extends') ? tag.blocks : {};
+}
+
+// the block being rendered that node is in, for #parent
+const findBlock = node => {
+  for(let n = node.parent; n && n.type && n.type !== 'topNode'; n = n.parent)
+    if(n.type === 'block' && n.parentBlocks) return n;
+  return void(0);
+}
+
+// render the first of a list of blocks with the same name. a #parent tag in it
+// renders the rest of the list
+const renderBlock = async ([ block, ...parentBlocks ], json) => {
+  const clone = cloneNode(block, { parentBlocks });
+  const children = await processNodes(clone.children.map(child => cloneNode(child)), json);
+  return joinContent(children);
+}
+
+// in the order they are in the file
+const sortByPosition = list =>
+  [ ...list ].sort((a, b) => a.line - b.line || a.column - b.column)
+
+// the attributes of an #insert that aren't its own, which are props of the
+// inserted file (the attribute ending an insertPattern like 'include virtual'
+// is its own)
+const getProps = node => {
+  const { config } = node;
+  const own = [
+    config.filePathAttribute,
+    config.jsonPathAttribute,
+    'rawJson',
+    ...config.insertPattern.split(/\s+/).slice(1),
+  ];
+  const attributes = getTagAttributes(node.content);
+  return Object.keys(attributes)
+    .filter(name => !own.includes(name))
+    .reduce((acc, name) => ({ ...acc, [name] : attributes[name] }), {});
+}
+
+// the props each insert file declares in its #props tag (if it has one)
+const propDeclarations = new WeakMap();
+const findPropDeclarations = file => {
+  if(!propDeclarations.has(file)) {
+    const tag = tokenize(file.content)
+      .find(token => token.type === 'tag' && startsWithPattern('<!--#props', token.value));
+    // problems with the declarations are reported by the #props tag
+    propDeclarations.set(file, tag ? parsePropDeclarations(getTagAttributes(tag.value)) : void(0));
+  }
+  return propDeclarations.get(file);
+}
+
+// the scope of an inserted file: the scope from jsonPath or rawJson, with the
+// props of the #insert added, and checked against the props file declares
+const applyProps = (node, file, scope) => {
+  const props = getProps(node);
+  const attributes = Object.keys(props);
+  const declarations = findPropDeclarations(file);
+  if(attributes.length === 0 && !declarations)
+    return scope;
+
+  if(scope !== void(0) && !isPlainObject(scope)) {
+    warn(node, 'props-scope', `props can't be added to a scope that isn't an object`);
+    return scope;
+  }
+
+  const values = { ...scope, ...props };
+  return declarations
+    ? checkProps(values, declarations, attributes, (code, message) =>
+        (code === 'unknown-prop' ? warn : reportProblem)(node, code, message))
+    : values;
+}
+
+// process a list of sibling nodes. each #set is resolved before the nodes
+// after it, which (with the nodes inside them) can read its variable
+const processNodes = async (nodes, json) => {
+  const processed = [];
+  let variables;
+
+  for(const sibling of nodes) {
+    const node = variables ? cloneNode(sibling, { variables }) : sibling;
+    if(node.type !== 'set') {
+      processed.push(processNode(node, json));
+      continue;
+    }
+
+    await processNode(node, json);
+    if(node.variable)
+      variables = { ...node.variables, [node.variable.name] : node.variable.value };
+    processed.push(node);
+  }
+
+  return Promise.all(processed);
+}
+
+// does a jsonPath start with a variable bound by #set?
+const isVariablePath = (jsonPath, node) => {
+  if(/^this($|[.[])/.test(jsonPath)) return false;
+  try {
+    const [ root ] = parseJsonPath(jsonPath);
+    return !!root && ('key' in root) && Object.prototype.hasOwnProperty.call(node.variables || {}, root.key);
+  }
+  catch(e) {
+    return false;
+  }
+}
+
+// the variables that aren't hidden by data with the same name. the data of an
+// #each wins over the variables set outside of it (a #set inside it wins over
+// the data, and an inserted file has its own variables)
+const hideVariables = (variables, data) => {
+  const hidden = (data !== null && typeof(data) === 'object')
+    ? Object.keys(variables).filter(name => Object.prototype.hasOwnProperty.call(data, name))
+    : [];
+  return (hidden.length === 0)
+    ? variables
+    : Object.keys(variables).reduce((acc, name) => (
+        hidden.includes(name) ? acc : { ...acc, [name] : variables[name] }
+      ), {});
+}
+
+// names a variable can have (not 'this', and not starting with '$' or '@' like
+// '$root' and '@index')
+const isVariableName = name =>
+  /^[A-Za-z_][\w-]*$/.test(name) && name !== 'this'
+
 //
 const joinContent = nodeList => nodeList.map(c => c.content).join('')
 
@@ -181,15 +634,16 @@ const nodeProcessors = {
   },
   //
   textContent : (node, json) => {
-    console.warn('WARNING: Why are we processing a textContent?');
+    warn(node, 'internal', 'Why are we processing a textContent?');
     return node;
   },
   //
   insert : async (node, json) => {
-    const { file, innerScope } = node;
+    const { file, innerScope, config } = node;
+    const { insertFiles } = config;
     const { path, jsonPath, rawJson } = node.attributes;
     if(!path) {
-      console.warn(`WARNING while processing file '${file.path}': insert tag with no path attribute`);
+      warn(node, 'missing-path', 'insert tag with no path attribute');
       node.content = '';
       return node;
     }
@@ -199,7 +653,7 @@ const nodeProcessors = {
 
     // see if file we are loading exists
     if(!insertFiles[filename]) {
-      console.warn(`WARNING while processing file '${file.path}': insert file '${filename}' does not exist`);
+      reportProblem(node, 'missing-file', `insert file '${filename}' does not exist`);
       node.content = '';
       return node;
     }
@@ -207,16 +661,30 @@ const nodeProcessors = {
     // load contents from file
     const insertFile = { ...insertFiles[filename] };
 
-    // set scope for inserted file
-    const newInnerScope = (
-        rawJson    && jsonPath ? getDataFromJsonPath(jsonPath, rawJson)
-      : innerScope && jsonPath ? getDataFromJsonPath(jsonPath, innerScope)
+    // set scope for inserted file, with the props from the other attributes
+    const newInnerScope = applyProps(node, insertFiles[filename], (
+        jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json)
       : rawJson  ? rawJson
-      : jsonPath ? getDataFromJsonPath(jsonPath, json)
       : void(0)
-    );
+    ));
+
+    if(!canInclude(node, filename, newInnerScope)) {
+      node.content = '';
+      return node;
+    }
+
+    // a file with no #middle or #slot tag has nowhere to put a body
+    if(node.children.length > 0 && !takesBody(insertFile)) {
+      warn(node, 'unused-body', `insert file '${filename}' has no middle or slot tag for the body`);
+      node.children = [];
+    }
 
-    const insertNode = await processFile(insertFile, json, node, newInnerScope);
+    // the body of a block insert is processed before we bring in the file
+    node.children = await processBody(node, json);
+
+    const insertNode = await processFile(insertFile, json, config, node, newInnerScope);
+
+    warnUnusedFills(node, filename);
 
     // process contents to get children
     node.content = insertNode.content;
@@ -224,10 +692,11 @@ const nodeProcessors = {
   },
   //
   wrap : async (node, json) => {
-    const { file, innerScope } = node;
+    const { file, innerScope, config } = node;
+    const { wrapFiles } = config;
     const { path, jsonPath, rawJson } = node.attributes;
     if(!path) {
-      console.warn(`WARNING while processing file '${node.file.path}': wrap tag with no path attribute`);
+      warn(node, 'missing-path', 'wrap tag with no path attribute');
       node.content = '';
       return node;
     }
@@ -237,31 +706,32 @@ const nodeProcessors = {
 
     // see if file we are loading exists
     if(!wrapFiles[filename]) {
-      console.warn(`WARNING while processing file '${node.file.path}': wrap file '${filename}' does not exist`);
+      reportProblem(node, 'missing-file', `wrap file '${filename}' does not exist`);
       node.content = '';
       return node;
     }
 
-    // we need to process the children before we bring in the file
+    // set scope for wrapping file
+    const newInnerScope = (
+        jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json)
+      : rawJson  ? rawJson
+      : void(0)
+    );
 
-    // handle children content
-    const promises = node.children.map(async (childNode) => await processNode(childNode, json))
-    node.children = await Promise.all(promises).then(children => children);
-    node.content = joinContent(node.children);
+    if(!canInclude(node, filename, newInnerScope)) {
+      node.content = '';
+      return node;
+    }
+
+    // we need to process the children before we bring in the file
+    node.children = await processBody(node, json);
 
     // load contents from file
     const wrapFile = { ...wrapFiles[filename] };
 
-    // set scope for inserted file
-    const newInnerScope = (
-        rawJson    && jsonPath ? getDataFromJsonPath(jsonPath, rawJson)
-      : innerScope && jsonPath ? getDataFromJsonPath(jsonPath, innerScope)
-      : rawJson  ? rawJson
-      : jsonPath ? getDataFromJsonPath(jsonPath, json)
-      : void(0)
-    );
+    const wrapNode = await processFile(wrapFile, json, config, node, newInnerScope);
 
-    const wrapNode = await processFile(wrapFile, json, node, newInnerScope);
+    warnUnusedFills(node, filename);
 
     // process contents to get children
     node.content = wrapNode.content;
@@ -269,85 +739,286 @@ const nodeProcessors = {
   },
   //
   middle : (node, json) => {
-    node.content = node.parent.parent.content
+    const wrap = findWrapping(node);
+    node.content = wrap ? wrap.content : '';
+    return node;
+  },
+  // the content of the #fill blocks for this slot, or its default
+  slot : (node, json) => {
+    const { name } = node.attributes;
+    const wrap = findWrapping(node);
+    if(!name) {
+      warn(node, 'missing-name', 'slot tag with no name attribute');
+      node.content = '';
+      return node;
+    }
+
+    const fills = (wrap && wrap.fills[name]) || [];
+    if(wrap) wrap.usedSlots.add(name);
+
+    node.content = (fills.length > 0)
+      ? sortByPosition(fills).map(fill => fill.content).join('')
+      : (node.attributes.default || '');
+    return node;
+  },
+  // the props an inserted file takes (see props.mjs). these are read when the
+  // file is inserted, so here only problems with them are reported
+  props : (node, json) => {
+    parsePropDeclarations(getTagAttributes(node.content), (name, e) =>
+      warn(node, 'bad-props', `prop '${name}': ${e.message}`));
+    node.content = '';
+    return node;
+  },
+  // the file this file extends, with the blocks in this file (and the files
+  // extending it) in place of its blocks with the same names
+  extends : async (node, json) => {
+    const { file, innerScope, config } = node;
+    const { wrapFiles } = config;
+    const { path, jsonPath, rawJson } = node.attributes;
+    if(!path) {
+      warn(node, 'missing-path', 'extends tag with no path attribute');
+      node.content = '';
+      return node;
+    }
+
+    // get filename for extended file
+    const filename = buildPathFromRelativePath(file.path, path);
+
+    // see if file we are loading exists
+    if(!wrapFiles[filename]) {
+      reportProblem(node, 'missing-file', `extends file '${filename}' does not exist`);
+      node.content = '';
+      return node;
+    }
+
+    // set scope for extended file
+    const newInnerScope = (
+        jsonPath ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json)
+      : rawJson  ? rawJson
+      : void(0)
+    );
+
+    if(!canInclude(node, filename, newInnerScope)) {
+      node.content = '';
+      return node;
+    }
+
+    // only the blocks of this file are used
+    const siblings = node.parent.nestedNodes;
+    siblings
+      .filter(n => n.type !== 'textContent' && n.type !== 'block' && n !== node)
+      .forEach(n => warn(n, 'outside-block', `${n.type} tag outside of a block in a file that extends another is ignored`));
+
+    // blocks from further out come first, so they win over the ones in this file
+    node.blocks = siblings
+      .filter(n => n.type === 'block' && hasTagAttribute('name', n.content))
+      .reduce((acc, block) => {
+        const name = getTagAttribute('name', block.content);
+        return { ...acc, [name] : [ ...(acc[name] || []), block ] };
+      }, { ...findOverrides(node) });
+
+    const extendedNode = await processFile({ ...wrapFiles[filename] }, json, config, node, newInnerScope);
+
+    node.content = extendedNode.content;
+    return node;
+  },
+  // the block from the file furthest out that overrides it, or its own content
+  block : async (node, json) => {
+    const { name } = node.attributes;
+    if(!name)
+      warn(node, 'missing-name', 'block tag with no name attribute');
+
+    const overrides = (name && findOverrides(node)[name]) || [];
+    node.content = await renderBlock([ ...overrides, node ], json);
+    return node;
+  },
+  // the content of the block this block overrides
+  parent : async (node, json) => {
+    const block = findBlock(node);
+    if(!block) {
+      warn(node, 'stray-parent', 'parent tag is not inside a block');
+      node.content = '';
+      return node;
+    }
+
+    node.content = (block.parentBlocks.length > 0)
+      ? await renderBlock(block.parentBlocks, json)
+      : '';
+    return node;
+  },
+  // renders nothing where it is, its content goes to the slot of the same name
+  // in the wrap file (fills with the same name are joined in order)
+  fill : async (node, json) => {
+    const { name } = node.attributes;
+    const wrap = findFilling(node);
+    node.content = '';
+
+    if(!name) {
+      warn(node, 'missing-name', 'fill tag with no name attribute');
+      return node;
+    }
+
+    if(!wrap) {
+      warn(node, 'stray-fill', `fill '${name}' is not inside a wrap or insert tag`);
+      return node;
+    }
+
+    const children = await processNodes(node.children.map(child => cloneNode(child)), json);
+    wrap.fills[name] = [
+      ...(wrap.fills[name] || []),
+      { line : node.line, column : node.column, content : joinContent(children) },
+    ];
     return node;
   },
   //
   data : (node, json) => {
-    const { innerScope, file } = node;
-    const { jsonPath, rawJson } = node.attributes;
+    const { innerScope } = node;
+    const { rawJson } = node.attributes;
+    const { jsonPath, filters } = getDataFilters(node);
     const defaultVal = node.attributes.default;
 
-    if(!jsonPath || (!rawJson && !innerScope && !defaultVal)) {
-      console.warn(`WARNING while processing file '${file.path}': data tag with no data to look up for content '${node.originalContent}'`);
+    // loop variables are numbers and booleans
+    if(jsonPath && isLoopVariable(stripOuterScopes(jsonPath))) {
+      const value = resolveNodePath(jsonPath, void(0), node, json);
+      node.content = renderData(node, value, defaultVal, filters);
+      return node;
+    }
+
+    const hasScope = !(innerScope === null || innerScope === void(0));
+    if(!jsonPath || (!rawJson && !hasScope && defaultVal === void(0) && !isOuterPath(jsonPath) && !isVariablePath(jsonPath, node))) {
+      warn(node, 'no-data', 'data tag with no data to look up');
       node.content = '';
       return node;
     }
-    const values = rawJson || innerScope;
-    const data = getDataFromJsonPath(jsonPath, values);
-    node.content = data || defaultVal || '';
+    const values = rawJson || (hasScope ? innerScope : void(0));
+    const data = resolveNodePath(jsonPath, values, node, json, defaultVal === void(0));
+    node.content = renderData(node, data, defaultVal, filters);
+    return node;
+  },
+  // binds a variable for the tags after it in the same file or block, from a
+  // literal value or the data at a jsonPath (see processNodes)
+  set : (node, json) => {
+    const { innerScope } = node;
+    const { name, value, rawJson } = node.attributes;
+    const { jsonPath, filters } = getDataFilters(node);
+    const defaultVal = node.attributes.default;
+    node.content = '';
+
+    if(!name) {
+      warn(node, 'missing-name', 'set tag with no name attribute');
+      return node;
+    }
+
+    if(!isVariableName(name)) {
+      warn(node, 'bad-variable', `'${name}' can't be the name of a variable`);
+      return node;
+    }
+
+    if(value === void(0) && !jsonPath && rawJson === void(0)) {
+      warn(node, 'no-data', `set tag for '${name}' with no value, jsonPath or rawJson attribute`);
+      return node;
+    }
+
+    const data = (
+        value !== void(0) ? value
+      : jsonPath          ? resolveNodePath(jsonPath, currentScope(rawJson, innerScope, json), node, json, defaultVal === void(0))
+      : rawJson
+    );
+
+    node.variable = {
+      name,
+      value : (data === void(0) || data === null) && defaultVal !== void(0)
+        ? defaultVal
+        : filterData(node, data, filters),
+    };
     return node;
   },
+  // data that is trusted html, so it isn't escaped
+  rawData : (node, json) => nodeProcessors.data(node, json),
   //
   jsonInsert : (node, json) => {
-    const { jsonPath } = node.attributes;
+    const { jsonPath, filters } = getDataFilters(node);
     const defaultVal = node.attributes.default;
     if(!jsonPath) {
       node.content = '';
       return node;
     }
-    const data = getDataFromJsonPath(jsonPath, json);
-    node.content = data || defaultVal || '';
+    const data = lookupJsonPath(jsonPath, json, node, defaultVal === void(0));
+    node.content = renderData(node, data, defaultVal, filters);
     return node;
   },
   //
   each : async (node, json) => {
-    const { file, innerScope } = node;
-    const { count, jsonPath, rawJson } = node.attributes;
+    const { innerScope } = node;
+    const { count, jsonPath, rawJson, sortKeys } = node.attributes;
     if(!count && !jsonPath && !Array.isArray(rawJson) && !Array.isArray(innerScope)) {
-      console.warn(`WARNING while processing file '${file.path}': each tag with attribute problems: count, jsonPath and rawJson and innerScope are not arrays`);
+      warn(node, 'each-attributes', 'each tag with attribute problems: count, jsonPath and rawJson and innerScope are not arrays');
       node.content = '';
       return node;
     }
 
     // determine what data we are using
-    const values = rawJson || node.innerScope || json;
-    const jsonData = jsonPath ? getDataFromJsonPath(jsonPath, values) : void(0);
+    // (an array is looped over itself, so its jsonPath isn't looked up unless
+    // it starts from an outer scope or a variable)
+    const values = currentScope(rawJson, node.innerScope, json);
+    const fromElsewhere = !!jsonPath && (isOuterPath(jsonPath) || isVariablePath(jsonPath, node));
+    const jsonData = (jsonPath && (fromElsewhere || !Array.isArray(values)))
+      ? resolveNodePath(jsonPath, values, node, json)
+      : void(0);
+
+    // objects are looped over by key (in the order the keys were added, or sorted)
+    const keys = isPlainObject(jsonData)
+      ? sortObjectKeys(Object.keys(jsonData), sortKeys)
+      : void(0);
+
     // prefer local data to data in passed in jsonObject
-    const data = (
-        Array.isArray(values)   ? values
+    const allData = (
+        (Array.isArray(values) && !fromElsewhere) ? values
       : Array.isArray(jsonData) ? jsonData
+      : keys                    ? keys.map(key => jsonData[key])
       : void(0)
     );
 
+    // filter, sort and slice the data (keeping each value with its key)
+    const items = allData
+      ? shapeLoopItems(allData.map((value, i) => ({ value, key : keys && keys[i] })), node, json)
+      : void(0);
+    const data = items && items.map(item => item.value);
+
     // if there is nothing to loop on, then content is empty
     if(!data && !count) {
       node.content = '';
       return node;
     }
 
+    // number of times we will loop
+    const length = (
+        data && count ? Math.min(Number(count), data.length)
+      : data          ? data.length
+      : Number(count)
+    );
+
     // build up nodes and bind the correct data
     const tmpContent = [];
-    for(
-      let i = 0;
-         (!count || (count && i < count))
-      && (!data  || (data  && i < data.length));
-      i++)
+    for(let i = 0; i < length; i++)
     {
+      const loop = {
+        '@index'  : i,
+        '@number' : i + 1,
+        '@first'  : i === 0,
+        '@last'   : i === length - 1,
+        '@length' : length,
+        ...(keys ? { '@key' : items[i].key } : {}),
+      };
+
       // clone children
-      let tmpChildren = node.children.map(c => ({
-        ...c,
-        ...(c.nestedNodes ? { nestedNodes : c.nestedNodes} : { }),
-        ...(c.children    ? { children : c.children } : { }),
-        ...(data
-              // ? { innerScope : (typeof(data[i]) === 'object') ? { ...data[i] } : data[i] }
-              ? { innerScope : data[i] }
-              : { }
-           ),
+      let tmpChildren = node.children.map(c => cloneNode(c, {
+        ...(data ? { innerScope : data[i], variables : hideVariables(node.variables, data[i]) } : {}),
+        loop,
+        outerScopes : [ scopeFrame(node, json), ...node.outerScopes ],
       }))
       // handle children content
-      const promises = tmpChildren.map(async (childNode) => await processNode(childNode, json))
-      tmpChildren = await Promise.all(promises).then(children => children);
+      tmpChildren = await processNodes(tmpChildren, json);
       tmpContent.push(joinContent(tmpChildren));
     }
 
@@ -356,86 +1027,359 @@ const nodeProcessors = {
   },
   //
   if : async (node, json) => {
-    const { innerScope } = node;
-    const { jsonPath, rawJson } = node.attributes;
-    if(!jsonPath) {
-      node.content = '';
-      return node;
+    // the if tag and each elseif/else tag inside it start a branch
+    const branches = node.children.reduce((acc, child) => {
+      if(child.type !== 'elseif' && child.type !== 'else') {
+        acc[acc.length - 1].children.push(child);
+        return acc;
+      }
+
+      if(acc[acc.length - 1].tag.type === 'else')
+        warn(child, 'unreachable-branch', `${child.type} tag after an else tag will never be used`);
+
+      acc.push({ tag : child, children : [] });
+      return acc;
+    }, [ { tag : node, children : [] } ]);
+
+    // render the first branch whose test passes
+    let branch;
+    for(const b of branches) {
+      // elseif tags need their attributes loaded with the if's scope
+      const tag = (b.tag === node)
+        ? node
+        : await processNode(cloneNode(b.tag, { innerScope : node.innerScope }), json);
+
+      if(tag.type === 'else' || testCondition(tag, json)) {
+        branch = b;
+        break;
+      }
     }
 
-    const values = rawJson || innerScope || json;
-    const jsonData = getDataFromJsonPath(jsonPath, values);
-    if(!jsonData) {
+    if(!branch) {
       node.content = '';
       return node;
     }
-    const promises = node.children.map(async (childNode) =>
-      await processNode({
-        ...childNode,
-        innerScope : { ...node.innerScope }
-      }, json)
-    )
-    node.children = await Promise.all(promises).then(children => children);
+
+    node.children = await processNodes(branch.children.map(childNode =>
+      cloneNode(childNode, { innerScope : node.innerScope })
+    ), json);
     node.content = joinContent(node.children);
     return node;
   },
+  // elseif and else only mark where a branch of an if starts (see if)
+  elseif : (node, json) => {
+    if(node.parent.type !== 'if')
+      warn(node, 'stray-branch', 'elseif tag is not inside an if tag');
+    node.content = '';
+    return node;
+  },
+  //
+  else : (node, json) => {
+    if(node.parent.type !== 'if')
+      warn(node, 'stray-branch', 'else tag is not inside an if tag');
+    node.content = '';
+    return node;
+  },
+}
+
+// does an if or elseif tag pass? either its test expression is truthy, or the
+// data its jsonPath points at exists (and is truthy)
+const testCondition = (node, json) => {
+  const { innerScope } = node;
+  const { jsonPath, rawJson, test } = node.attributes;
+
+  if(test !== void(0)) {
+    try {
+      return !!evaluateExpression(test, resolveFromScopes([ rawJson, innerScope, json ], node, json));
+    }
+    catch(e) {
+      warn(node, 'bad-expression', `could not evaluate test "${test}": ${e.message}`);
+      return false;
+    }
+  }
+
+  if(!jsonPath) return false;
+
+  const values = currentScope(rawJson, innerScope, json);
+  return !!resolveNodePath(jsonPath, values, node, json, false);
 }
 
 // the legal attributes for each element
 const nodeAttributes = {
   insert      : [ 'path', 'jsonPath', 'rawJson' ],
-  data        : [ 'jsonPath', 'rawJson', 'default' ],
-  jsonInsert  : [ 'jsonPath', 'default' ],
+  data        : [ 'jsonPath', 'rawJson', 'default', 'raw', 'filters' ],
+  rawData     : [ 'jsonPath', 'rawJson', 'default', 'filters' ],
+  jsonInsert  : [ 'jsonPath', 'default', 'raw', 'filters' ],
   wrap        : [ 'path', 'jsonPath', 'rawJson' ],
   middle      : [  ],
-  each        : [ 'count', 'jsonPath', 'rawJson' ],
-  if          : [ 'jsonPath', 'rawJson' ],
+  slot        : [ 'name', 'default' ],
+  fill        : [ 'name' ],
+  extends     : [ 'path', 'jsonPath', 'rawJson' ],
+  props       : [  ],
+  set         : [ 'name', 'value', 'jsonPath', 'rawJson', 'default', 'filters' ],
+  block       : [ 'name' ],
+  parent      : [  ],
+  each        : [ 'count', 'jsonPath', 'rawJson', 'sortKeys', 'where', 'sort', 'offset', 'limit' ],
+  if          : [ 'jsonPath', 'rawJson', 'test' ],
+  elseif      : [ 'jsonPath', 'rawJson', 'test' ],
+  else        : [  ],
   textContent : [  ],
 }
 
-const getTagPositions = (tag, content, lndx = 0, ndx = content.indexOf(tag)) => (
-  (ndx === -1)
-? []
-: [ ndx + lndx, ...getTagPositions(tag, content.slice(ndx + 1), lndx + ndx + 1) ]
+// given a jsonObject and a path, return the data pointed at (objects aren't stringified)
+// problems with the path are reported for node, if there is one. warnMissing=false
+// is for tests and tags with a default, where data being missing is expected
+const lookupJsonPath = (jsonPath, json, node, warnMissing = true) => {
+  try {
+    parseJsonPath(jsonPath);
+  }
+  catch(e) {
+    if(node) warn(node, 'bad-json-path', `can't read jsonPath '${jsonPath}': ${e.message}`);
+    return void(0);
+  }
+
+  return findJsonPathData(jsonPath, json, (missing, whole) => {
+    if(!node || !warnMissing) return;
+    reportMissingData(node,
+        (missing === 'this') ? `there is no data to look up jsonPath '${jsonPath}' in`
+      : whole                ? `there is no data at jsonPath '${jsonPath}'`
+      : `there is no data at '${missing}', so jsonPath '${jsonPath}' can't be followed`);
+  });
+}
+
+// the jsonPath of a #data or #jsonInsert tag, and the filters it is printed
+// with: those piped after the jsonPath, then those in the filters attribute
+const getDataFilters = node => {
+  const { jsonPath, filters } = node.attributes;
+  if(!jsonPath) return { jsonPath, filters };
+
+  try {
+    const split = splitJsonPathFilters(jsonPath);
+    return {
+      jsonPath : split.path,
+      filters  : [ split.filters, filters ].filter(f => f).join('|') || void(0),
+    };
+  }
+  catch(e) {
+    warn(node, 'bad-json-path', `can't read jsonPath '${jsonPath}': ${e.message}`);
+    return { jsonPath, filters };
+  }
+}
+
+// run data through a chain of filters (missing data isn't filtered, so the
+// default is printed as it is)
+const filterData = (node, data, filters) => {
+  if(!filters || data === void(0) || data === null) return data;
+
+  try {
+    return applyFilters(data, parseFilters(filters), node.config.filters, (code, message) => warn(node, code, message));
+  }
+  catch(e) {
+    warn(node, 'bad-filters', `can't read filters '${filters}': ${e.message}`);
+    return data;
+  }
+}
+
+// what a #data or #jsonInsert tag prints: its data filtered, printed and escaped
+const renderData = (node, data, defaultVal, filters) =>
+  escapeData(node, printData(filterData(node, data, filters), defaultVal))
+
+// escape what a #data or #jsonInsert tag prints for where it is in the html,
+// unless it is trusted (#rawData, raw="true" or the autoEscape option is off)
+const escapeData = (node, text) =>
+  (node.type === 'rawData' || node.attributes.raw === 'true' || !node.config.autoEscape)
+    ? text
+    : escapeHtml(text, node.context)
+
+// the text a #data or #jsonInsert tag renders for a value. missing data and
+// null render the default (or nothing), while 0, false and '' are printed
+const printData = (data, defaultVal) => (
+    (data === void(0) || data === null) ? (defaultVal === void(0) ? '' : defaultVal)
+  : (typeof(data) === 'object' && !Array.isArray(data)) ? toSafeJsonString(data)
+  : String(data)
 )
 
-const buildTagPairs = (open, close) => (
-    (open.length === 0) ? []
-  : (open.length === 1 || open[1] > close[0]) ? [[open.slice(0, 1)[0], close.slice(0, 1)[0]], ...buildTagPairs(open.slice(1), close.slice(1))]
-  : [ ...buildTagPairs([...open.slice(0,1), ...open.slice(2)], close.slice(1)) ]
+// the scope an each, insert or wrap tag looks its jsonPath up in, as seen
+// from the scope it creates (rawJson when it has both, otherwise its own scope)
+const scopeFrame = (node, json) => {
+  const { jsonPath, rawJson } = node.attributes;
+  return {
+    innerScope : (jsonPath && rawJson) ? rawJson
+      : (node.innerScope === null || node.innerScope === void(0)) ? json
+      : node.innerScope,
+    loop       : node.loop,
+  };
+}
+
+// the data a tag reads from: its rawJson, the scope it is in (which may be 0,
+// false or '' inside an each) or the json input
+const currentScope = (rawJson, innerScope, json) =>
+  rawJson || ((innerScope === null || innerScope === void(0)) ? json : innerScope)
+
+// does a jsonPath start from an outer scope? ('../name' or '$root.name')
+const isOuterPath = jsonPath =>
+  /^(\.\.(\/|$)|\$root(\.|\[|$))/.test(jsonPath)
+
+// 'name' from '../../name'
+const stripOuterScopes = jsonPath => jsonPath.replace(/^(\.\.\/)+/, '')
+
+// jsonPaths can start from an outer scope. each '../' steps out to the scope
+// around the closest #each, #insert or #wrap ('..' alone is that scope), and
+// '$root' is the json input. returns the data (and loop variables) to look the
+// rest of the path up in, or undefined for an ordinary path
+const findPathScope = (jsonPath, node, json) => {
+  if(/^\$root(\.|\[|$)/.test(jsonPath))
+    return { values : json, loop : null, path : jsonPath.slice(5).replace(/^\./, '') || 'this' };
+
+  const path = stripOuterScopes(jsonPath);
+  const depth = (jsonPath.length - path.length) / 3 + (path === '..' ? 1 : 0);
+  if(depth === 0) return void(0);
+
+  const frame = node.outerScopes[depth - 1];
+  if(!frame) {
+    warn(node, 'bad-json-path', `'${jsonPath}' steps out of more scopes than there are`);
+    return { values : void(0), loop : null, path };
+  }
+
+  return { values : frame.innerScope, loop : frame.loop, path : (path === '..') ? 'this' : path };
+}
+
+// look up a jsonPath for a node, where values is the data the tag reads from
+// by default. the path may start from an outer scope or name a loop variable
+const resolveNodePath = (jsonPath, values, node, json, warnMissing = true) => {
+  const scoped = findPathScope(jsonPath, node, json);
+  const { path, loop } = scoped || { path : jsonPath, loop : node.loop };
+
+  if(isLoopVariable(path))
+    return getLoopVariable(path, { ...node, loop });
+
+  // variables win over data with the same name, unless an #each around the
+  // node hides them (see hideVariables). outer scopes have none
+  if(!scoped && isVariablePath(path, node))
+    return lookupJsonPath(path, node.variables, node, warnMissing);
+
+  return lookupJsonPath(path, scoped ? scoped.values : values, node, warnMissing);
+}
+
+// is this an object we can loop over by key? (not an array)
+const isPlainObject = value =>
+  value !== null && typeof(value) === 'object' && !Array.isArray(value)
+
+// sortKeys="true" (or "asc") sorts the keys of an object in an each, "desc" reverses them
+const sortObjectKeys = (keys, sortKeys) => (
+    (!sortKeys || sortKeys === 'false') ? keys
+  : (sortKeys === 'desc')              ? [ ...keys ].sort().reverse()
+  : [ ...keys ].sort()
 )
 
-const divideContent = (content, [start, end], pairs, cursor = 0) => (
-  (start === void(0))
-? [ content.slice(cursor) ]
-: [
-    content.slice(cursor, start),
-    content.slice(start, end+3),
-    ...divideContent(content, pairs.shift() || [], pairs, end+3),
-  ]
+// applies the where, sort, offset and limit attributes of an each (in that
+// order) to a list of { value, key } items
+const shapeLoopItems = (items, node, json) => {
+  const { where, sort, offset, limit } = node.attributes;
+
+  if(where) {
+    try {
+      items = items.filter(item =>
+        evaluateExpression(where, resolveFromScopes([ item.value, node.innerScope, json ], itemLoop(node, item), json)))
+    }
+    catch(e) {
+      warn(node, 'bad-expression', `could not evaluate where "${where}": ${e.message}`);
+      items = [];
+    }
+  }
+
+  if(sort) {
+    const fields = parseSortFields(sort);
+    items = [ ...items ].sort((a, b) => {
+      for(const { path, direction } of fields) {
+        const result = compareValues(sortValue(path, a), sortValue(path, b));
+        if(result !== 0) return result * direction;
+      }
+      return 0;
+    });
+  }
+
+  const start = offset ? Number(offset) : 0;
+  const end   = limit  ? start + Number(limit) : void(0);
+
+  return items.slice(start, end);
+}
+
+// the node with @key set, so where="@key != 'draft'" can test object keys
+const itemLoop = (node, item) =>
+  (item.key === void(0)) ? node : { ...node, loop : { ...node.loop, '@key' : item.key } }
+
+// sort="date desc, title" -> [ { path : 'date', direction : -1 }, { path : 'title', direction : 1 } ]
+const parseSortFields = sort =>
+  sort.split(',')
+  .map(field => field.trim().split(/\s+/))
+  .filter(([ path ]) => path)
+  .map(([ path, direction = 'asc' ]) => ({ path, direction : (direction.toLowerCase() === 'desc') ? -1 : 1 }))
+
+// the value an item is sorted by: 'this' is the item, '@key' its key
+const sortValue = (path, item) => (
+    path === 'this' ? item.value
+  : path === '@key' ? item.key
+  : lookupJsonPath(path, item.value)
 )
 
-const splitContent = content => {
-  const openTags  = getTagPositions('<!--#', content);
-  const closeTags = getTagPositions('-->', content);
+// numbers compare as numbers, everything else as strings. missing values go last
+const compareValues = (a, b) => {
+  const aMissing = (a === void(0) || a === null || a === '');
+  const bMissing = (b === void(0) || b === null || b === '');
+  if(aMissing || bMissing) return aMissing - bMissing;
+
+  if(typeof(a) === 'number' && typeof(b) === 'number') return a - b;
 
-  if(openTags.length < closeTags.length) closeTags.pop();
+  a = String(a);
+  b = String(b);
+  return (a < b) ? -1 : (a > b) ? 1 : 0;
+}
 
-  const pairs = buildTagPairs(openTags, closeTags);
+// loop variables are names starting with '@' (@index, @number, @first, @last, @length, @key)
+const isLoopVariable = jsonPath => !!jsonPath && jsonPath[0] === '@'
 
-  return divideContent(content, pairs.shift() || [], pairs).filter(c => c !== '');
+// the value of a loop variable from the closest #each around a node
+const getLoopVariable = (name, node) => {
+  if(!node.loop) {
+    warn(node, 'loop-variable', `loop variable '${name}' used outside of an each tag`);
+    return void(0);
+  }
+  return node.loop[name];
 }
 
-// given a jsonObject and a path, return the data pointed at
-const getDataFromJsonPath = (jsonPath, json) => {
-  if(jsonPath === 'this') return json;
+// builds a resolver for expressions: a path is looked up in the first scope
+// that has its first key, in the order given. 'this' is the first scope, and
+// loop variables come from the node's enclosing #each
+const resolveFromScopes = (scopes, node, json) => {
+  scopes = scopes.filter(scope => scope !== null && scope !== void(0));
 
-  let result = jsonPath.split('.').reduce((acc, cur) => acc ? acc[cur] : '', json)
+  return path => {
+    if(isOuterPath(path))
+      return resolveNodePath(path, void(0), node, json, false);
 
-  if(!Array.isArray(result) && typeof(result) === 'object')
-    result = toSafeJsonString(result);
+    if(isLoopVariable(path))
+      return getLoopVariable(path, node);
 
-  return result;
+    if(/^this($|[.[])/.test(path))
+      return lookupJsonPath(path, scopes[0], node, false);
+
+    let root;
+    try {
+      root = parseJsonPath(path)[0];
+    }
+    catch(e) {
+      warn(node, 'bad-json-path', `can't read path '${path}': ${e.message}`);
+      return void(0);
+    }
+
+    if(isVariablePath(path, node))
+      return lookupJsonPath(path, node.variables, node, false);
+
+    const key = ('index' in root) ? root.index : root.key;
+    const scope = scopes.find(scope => typeof(scope) === 'object' && key in scope);
+    return scope ? lookupJsonPath(path, scope, node, false) : void(0);
+  }
 }
 
 // are we on windows?
@@ -467,44 +1411,85 @@ const buildPathFromRelativePath = (cdir, fdir) => {
 const toSafeJsonString = jsonObj =>
   JSON.stringify(jsonObj).replace(/\'/g, "\\'").replace(/"/g, "'")
 
-//
-const processRawJson = async (jsonString, json) => {
+// run a rawJson attribute, as the rawJsonMode option says (see raw-json.mjs)
+const processRawJson = async (jsonString, json, node) => {
+  const { rawJsonPlugins, rawJsonMode, rawJsonTimeout, rawJsonCache, rawJsonMemo } = node.config;
+
   if(typeof(jsonString) === 'object')
     jsonString = toSafeJsonString(jsonString);
 
+  // the tag is used as if it had no rawJson
+  if(rawJsonMode === 'off') {
+    warn(node, 'rawjson-off', `rawJson isn't used, because rawJsonMode is 'off'`);
+    return void(0);
+  }
+
+  // plain data is used as it is, without running anything
+  const data = parseRawJsonData(jsonString);
+  if(data !== void(0))
+    return data;
+
+  if(rawJsonMode === 'data-only') {
+    warn(node, 'rawjson-off', `rawJson that isn't plain data isn't run, because rawJsonMode is 'data-only'`);
+    return void(0);
+  }
+
+  // results that can't be saved to rawJsonCacheDir are still used
+  const cacheWarning = message => warn(node, 'rawjson-cache', message);
+  const run = () => evaluateRawJson(jsonString, {
+    json,
+    plugins : {
+      ...rawJsonMemo.plugins(rawJsonPlugins, rawJsonCache, cacheWarning),
+      memo : (key, fn) => rawJsonMemo.memo(key, fn, cacheWarning),
+    },
+    mode    : rawJsonMode,
+    timeout : rawJsonTimeout,
+  });
+
+  // the same code gives the same data, so it only runs once a build
+  const { results } = rawJsonMemo;
+  if(rawJsonCache && !results.has(jsonString))
+    results.set(jsonString, run());
+
   let jsonData = {};
-  const plugins = rawJsonPlugins;
   try {
-    jsonData = await eval(`(async () => await ${ jsonString })()`);
+    jsonData = await (rawJsonCache ? results.get(jsonString) : run());
   }
   catch(e) {
-    console.error(`ERROR: Poorly formatted rawJson string:
-      ${jsonString}
-      - This must be valid JavaScript.
-      - Or perhaps there was an error in a function used for rawJson?
-      Stack trace:
-    `);
-    console.error(e);
+    // it must be valid javascript, and functions it uses mustn't throw or run out of time
+    reportProblem(node, 'rawjson-failed', `rawJson failed: ${e.message}`);
   }
 
   return jsonData;
 }
 
+// matches an attribute name at the start of the tag content or after whitespace
+const attributeRegExp = attr =>
+  new RegExp('(^|\\s)' + attr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '="')
+
 // does a tag have an attribute? (attributeName="value")
-const hasTagAttribute = (attr, content) => content.indexOf(attr + '="') > -1
+const hasTagAttribute = (attr, content) => attributeRegExp(attr).test(content)
+
+// get every attribute of a tag, by name
+const getTagAttributes = content => {
+  const attributes = {};
+  const pattern = /(^|\s)([^\s="]+)="([^"]*)"/g;
+  let match;
+  while((match = pattern.exec(content)) !== null)
+    attributes[match[2]] = match[3];
+  return attributes;
+}
 
 // get the value of an attribute (attributeName="value")
 const getTagAttribute = (attr, content) => {
   let fndx = -1,
       lndx = -1;
 
-  fndx = content.indexOf(attr + '="');
-  if(fndx === -1) {
-    console.warn("Warning: no tag of name `" + attr + "` found in the following content: `" + content + "`")
-    return '';
-  }
+  const match = attributeRegExp(attr).exec(content);
+  if(!match) return '';
+  fndx = match.index + match[0].length;
 
-  content = content.slice(fndx + attr.length + 2);
+  content = content.slice(fndx);
   lndx = content.indexOf('"');
   content = content.slice(0, lndx);
   return content;
@@ -0,0 +1,124 @@
+import { parseRawJsonData } from './raw-json.mjs';
+
+// props are the attributes of an #insert that aren't its own, which become the
+// scope of the inserted file
+//
+//   <!--#insert path="./-button.html" label="Buy" href="/cart" -->
+//
+// an inserted file can declare the props it takes, each with a type and
+// optionally the word required or a default
+//
+//   <!--#props label="string required" href="string" variant="string default:primary" -->
+//
+// attribute values are strings, so they are converted to the declared type.
+// defaults are read the same way, and can be single quoted ('Buy now')
+
+const types = {
+  string  : value => typeof(value) === 'string',
+  number  : value => typeof(value) === 'number' && !isNaN(value),
+  boolean : value => typeof(value) === 'boolean',
+  array   : value => Array.isArray(value),
+  object  : value => value !== null && typeof(value) === 'object' && !Array.isArray(value),
+  any     : value => true,
+}
+
+// 'array' -> 'an array'
+const describeType = type => (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type
+
+// the words of a declaration, keeping single quoted text together
+const splitWords = source =>
+  source.match(/(?:[^\s']+|'(?:\\.|[^'\\])*')+/g) || []
+
+// "'Buy now'" -> 'Buy now'
+const unquote = text =>
+  /^'.*'$/s.test(text) ? text.slice(1, -1).replace(/\\(.)/g, '$1') : text
+
+// convert a string attribute to type, or throw an Error if it can't be
+const convertProp = (text, type) => {
+  const value = (
+      type === 'number'  ? (text.trim() === '' ? NaN : Number(text))
+    : type === 'boolean' ? (text === 'true' ? true : text === 'false' ? false : text)
+    : type === 'array' || type === 'object' ? parseRawJsonData(text)
+    : text
+  );
+
+  if(!types[type](value))
+    throw new Error(`'${text}' isn't ${describeType(type)}`);
+
+  return value;
+}
+
+// 'string default:primary' -> { type : 'string', required : false, default : 'primary' }
+// throws an Error if there is a problem with the declaration
+export const parsePropDeclaration = source => {
+  const declaration = { type : 'any', required : false };
+
+  splitWords(source).forEach(word => {
+    if(types[word])
+      declaration.type = word;
+    else if(word === 'required')
+      declaration.required = true;
+    else if(word.indexOf('default:') === 0)
+      declaration.default = unquote(word.slice('default:'.length));
+    else
+      throw new Error(`unknown word '${word}' in '${source}'`);
+  });
+
+  if(declaration.default !== void(0))
+    declaration.default = convertProp(declaration.default, declaration.type);
+
+  return declaration;
+}
+
+// @attributes = the attributes of a #props tag, by name
+// @onError    = called with (name, error) for declarations that can't be read
+//
+// returns the declarations that can be read, by name
+export const parsePropDeclarations = (attributes, onError = () => {}) =>
+  Object.keys(attributes).reduce((acc, name) => {
+    try {
+      return { ...acc, [name] : parsePropDeclaration(attributes[name]) };
+    }
+    catch(e) {
+      onError(name, e);
+      return acc;
+    }
+  }, {})
+
+// @values       = the scope of the inserted file, with the props added
+// @declarations = the props the inserted file declares (see parsePropDeclarations)
+// @attributes   = the names of the props that came from attributes (and are strings)
+// @report       = called with (code, message) for props that are misused
+//
+// returns values with the props converted to their types and defaults added
+export const checkProps = (values, declarations, attributes, report) => {
+  const checked = { ...values };
+
+  attributes
+    .filter(name => !declarations[name])
+    .forEach(name => report('unknown-prop', `prop '${name}' isn't declared`));
+
+  Object.keys(declarations).forEach(name => {
+    const { type, required } = declarations[name];
+
+    if(checked[name] === void(0)) {
+      if(required)
+        report('missing-prop', `prop '${name}' is required`);
+      else if(declarations[name].default !== void(0))
+        checked[name] = declarations[name].default;
+      return;
+    }
+
+    try {
+      if(attributes.includes(name))
+        checked[name] = convertProp(checked[name], type);
+      else if(!types[type](checked[name]))
+        throw new Error(`${JSON.stringify(checked[name])} isn't ${describeType(type)}`);
+    }
+    catch(e) {
+      report('prop-type', `prop '${name}': ${e.message}`);
+    }
+  });
+
+  return checked;
+}
@@ -0,0 +1,296 @@
+import vm from 'vm';
+import JSON5 from 'json5';
+
+// reading the data in rawJson attributes, and running the javascript in them
+//
+// rawJson that is plain data ({ name: 'Tom' }, [1, 2, 3]) is read as JSON5
+// without running anything. rawJsonMode decides how (or whether) anything
+// else runs:
+//   sandbox   - in a new vm context that holds only copies of json and
+//               plugins made inside it (see sandboxSetup)
+//   eval      - with eval, like older versions (it can reach anything)
+//   data-only - not at all, only plain data can be used
+//   off       - not at all, and plain data isn't used either
+//
+// the sandbox keeps node out of reach of the code itself, but plugins run
+// outside of it, so only pass in plugins you would trust templates with
+
+// returns the data in source, or undefined if it isn't plain data (JSON5 has
+// no undefined, so data is never mistaken for code)
+export const parseRawJsonData = source => {
+  try {
+    return JSON5.parse(source);
+  }
+  catch(e) {
+    return void(0);
+  }
+}
+
+// the code every mode runs, so rawJson can always be async
+const wrapSource = source => `(async () => await ${ source })()`
+
+// rejects when a promise hasn't settled after timeout ms (0 is no timeout)
+export const withTimeout = (promise, timeout, what = 'rawJson') => {
+  if(!timeout) return promise;
+
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} took longer than ${timeout}ms`)), timeout);
+  });
+
+  return Promise.race([ promise, expired ]).finally(() => clearTimeout(timer));
+}
+
+// like withTimeout, but the clock stops while the code is waiting on plugins
+// (which can be queued behind other pages' calls, and have timeouts of their
+// own once they start, see memo.mjs). run is called with wait, which the
+// plugin calls are passed through, and returns the promise to time
+const withRunningTimeout = (run, timeout) => {
+  if(!timeout) return run(promise => promise);
+
+  let timer, expire, started;
+  let remaining = timeout;
+  let waiting = 0;
+  let done = false;
+  const expired = new Promise((resolve, reject) => expire = reject);
+
+  const resume = () => {
+    if(done) return;
+    started = Date.now();
+    timer = setTimeout(() => expire(new Error(`rawJson took longer than ${timeout}ms`)), remaining);
+  }
+  const pause = () => {
+    clearTimeout(timer);
+    remaining -= Date.now() - started;
+  }
+  const wait = promise => {
+    if(waiting++ === 0) pause();
+    return promise.finally(() => {
+      if(--waiting === 0) resume();
+    });
+  }
+
+  resume();
+  return Promise.race([ run(wait), expired ]).finally(() => {
+    done = true;
+    clearTimeout(timer);
+  });
+}
+
+// each plugin returns a promise that is passed through wait
+const waitForPlugins = (plugins = {}, wait) =>
+  Object.keys(plugins).reduce((acc, name) => ({
+    ...acc,
+    [name] : (typeof(plugins[name]) !== 'function') ? plugins[name]
+      : (...args) => wait(new Promise(resolve => resolve(plugins[name](...args)))),
+  }), {})
+
+// json and plugins are the only names eval can see besides the globals
+const evalRawJson = (source, json, plugins) => eval(wrapSource(source))
+
+// runs in the sandbox before rawJson does. no object from outside of it can
+// get in (any of them would lead back to node through its constructor), so
+// the functions it is given stay in this closure, and only json strings pass
+// between the two:
+//   callHost(text)  - sends a message out: a plugin call, a memo call, a memo
+//                     loaded or the result of the rawJson
+//   nextReply()     - the next reply from outside, or undefined. replies are
+//                     read by __rawJsonReply(), which is run after one is
+//                     queued, so what they set off is under the timeout too
+const sandboxSetup = `'use strict';
+(jsonText, pluginNames, hostCall, hostReply) => {
+  const { parse, stringify } = JSON;
+
+  // an error thrown by a function from outside (a stack overflow inside it,
+  // say) would be an object from outside, so it is swapped for one made here
+  const guard = fn => text => {
+    try { return fn(text) }
+    catch(e) { throw new Error('rawJson could not reach outside of its sandbox') }
+  };
+  const callHost = guard(hostCall);
+  const nextReply = guard(hostReply);
+  const waiting = new Map();
+  const loaders = new Map();
+  let lastId = 0;
+
+  const message = e => String((e instanceof Error) ? e.message : e);
+  const send = (type, id, promise) => promise.then(
+    value => {
+      let text;
+      try { text = stringify({ type, id, value }) }
+      catch(e) { text = stringify({ type, id, error : message(e) }) }
+      callHost(text);
+    },
+    e => callHost(stringify({ type, id, error : message(e) }))
+  );
+
+  const ask = (request, loader) => new Promise((resolve, reject) => {
+    const id = ++lastId;
+    waiting.set(id, { resolve, reject });
+    if(loader) loaders.set(id, loader);
+    callHost(stringify({ ...request, id }));
+  });
+
+  const plugins = {};
+  parse(pluginNames).forEach(name => {
+    plugins[name] = (...args) => ask({ type : 'call', name, args });
+  });
+  plugins.memo = (key, fn) => ask({ type : 'memo', key }, fn);
+
+  const reply = () => {
+    for(let text = nextReply(); text !== undefined; text = nextReply()) {
+      const { type, id, value, error } = parse(text);
+      if(type === 'load')
+        send('loaded', id, new Promise(resolve => resolve(loaders.get(id)())));
+      else if(waiting.has(id)) {
+        const { resolve, reject } = waiting.get(id);
+        waiting.delete(id);
+        loaders.delete(id);
+        (error !== undefined) ? reject(new Error(error)) : resolve(value);
+      }
+    }
+  };
+
+  let started = false;
+  const start = run => {
+    if(started) return;
+    started = true;
+    send('done', 0, new Promise(resolve => resolve(run())));
+  };
+
+  const define = (name, value) => Object.defineProperty(globalThis, name, { value });
+  define('json', parse(jsonText));
+  define('plugins', plugins);
+  define('__rawJsonReply', reply);
+  define('__rawJsonStart', start);
+}`
+
+const errorMessage = e => (e && e.message !== void(0)) ? String(e.message) : String(e)
+
+const sandboxRawJson = (source, json, plugins, timeout) => new Promise((resolve, reject) => {
+  // strings can't be turned into code inside the context (no eval or Function),
+  // and promise callbacks run while the code it was given does (so the vm
+  // timeout stops code that loops after an await too). its global object is
+  // made inside another context with no prototype, so nothing from outside
+  // can be reached through it (this.constructor...)
+  const context = vm.createContext(vm.runInNewContext('Object.create(null)'), {
+    codeGeneration : { strings : false, wasm : false },
+    microtaskMode  : 'afterEvaluate',
+  });
+  const options = { filename : 'rawJson', ...(timeout ? { timeout } : {}) };
+  const replies = [];
+  const loading = new Map();
+  let settled = false;
+
+  const fail = e => {
+    settled = true;
+    reject(e instanceof Error ? e : new Error(errorMessage(e)));
+  }
+
+  const run = code => {
+    if(settled) return;
+    try {
+      vm.runInContext(code, context, options);
+    }
+    catch(e) {
+      fail(e);
+    }
+  }
+
+  // queue a reply (values that aren't json become errors) and read it
+  const reply = message => {
+    let text;
+    try {
+      text = JSON.stringify(message);
+    }
+    catch(e) {
+      text = JSON.stringify({ ...message, value : void(0), error : e.message });
+    }
+    replies.push(text);
+    run('__rawJsonReply()');
+  }
+
+  // answers a plugin or memo call with what its promise gives
+  const answer = (id, promise) => promise.then(
+    value => reply({ type : 'reply', id, value }),
+    e     => reply({ type : 'reply', id, error : errorMessage(e) })
+  );
+
+  const messages = {
+    done   : ({ value, error }) => {
+      settled = true;
+      (error !== void(0)) ? reject(new Error(error)) : resolve(value);
+    },
+    call   : ({ id, name, args }) => answer(id, Promise.resolve().then(() => {
+      if(typeof(plugins[name]) !== 'function')
+        throw new Error(`'${name}' isn't a plugin`);
+      return plugins[name](...args);
+    })),
+    memo   : ({ id, key }) => answer(id, Promise.resolve().then(() =>
+      plugins.memo(key, () => new Promise((resolve, reject) => {
+        loading.set(id, { resolve, reject });
+        reply({ type : 'load', id });
+      }))
+    )),
+    loaded : ({ id, value, error }) => {
+      const { resolve, reject } = loading.get(id) || {};
+      loading.delete(id);
+      if(!resolve) return;
+      (error !== void(0)) ? reject(new Error(error)) : resolve(value);
+    },
+  }
+
+  // called from inside the sandbox, so it must never throw (an error from
+  // outside would be an object from outside)
+  const callHost = text => {
+    try {
+      const message = JSON.parse(text);
+      messages[message.type](message);
+    }
+    catch(e) {
+      fail(new Error(`rawJson sent a message that couldn't be read`));
+    }
+  }
+
+  try {
+    const names = Object.keys(plugins || {}).filter(name => name !== 'memo');
+    vm.runInContext(sandboxSetup, context, options)(
+      JSON.stringify(json === void(0) ? null : json),
+      JSON.stringify(names),
+      callHost,
+      () => replies.shift()
+    );
+  }
+  catch(e) {
+    fail(e);
+  }
+
+  run(`__rawJsonStart(() => ${ wrapSource(source) })`);
+});
+
+// @source          = the javascript in the rawJson attribute
+// @options.json    = the json input
+// @options.plugins = the rawJsonPlugins
+// @options.mode    = 'sandbox' (default) or 'eval' (see above)
+// @options.timeout = ms the code may run for, before it fails (0 is no limit).
+//          time spent waiting on plugins isn't counted
+//
+// returns a promise for the data the code produces. it rejects if the code
+// fails, runs out of time or the mode doesn't run code
+export const evaluateRawJson = (source, { json, plugins, mode = 'sandbox', timeout = 0 } = {}) => {
+  try {
+    if(mode === 'off' || mode === 'data-only')
+      throw new Error(`rawJson code isn't run when rawJsonMode is '${mode}'`);
+
+    if(mode !== 'sandbox' && mode !== 'eval')
+      throw new Error(`unknown rawJsonMode '${mode}'`);
+
+    return withRunningTimeout(wait => (mode === 'sandbox')
+      ? sandboxRawJson(source, json, waitForPlugins(plugins, wait), timeout)
+      : evalRawJson(source, json, waitForPlugins(plugins, wait)),
+    timeout);
+  }
+  catch(e) {
+    return Promise.reject(e);
+  }
+}
@@ -0,0 +1,41 @@
+import assert from 'assert';
+import { createMemo } from '../src/memo.mjs';
+import { evaluateRawJson } from '../src/raw-json.mjs';
+
+const wait = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+// the plugins a page sees, as parse.mjs builds them
+const pagePlugins = (rawJsonMemo, rawJsonPlugins) => ({
+  ...rawJsonMemo.plugins(rawJsonPlugins, false),
+  memo : (key, fn) => rawJsonMemo.memo(key, fn),
+})
+
+describe('rawJson plugins behind the concurrency limit', () => {
+  it(`don't count time spent queued against rawJsonTimeout`, async () => {
+    const rawJsonMemo = createMemo({ concurrency : 2, timeout : 300 });
+    const plugins = pagePlugins(rawJsonMemo, { slow : n => wait(100, n) });
+
+    const pages = Array.from({ length : 20 }, (_, n) =>
+      evaluateRawJson(`(async () => ({ n : await plugins.slow(${n}) }))()`, { plugins, timeout : 300 }));
+
+    const data = await Promise.all(pages);
+    assert.deepStrictEqual(data.map(({ n }) => n), Array.from({ length : 20 }, (_, n) => n));
+  });
+
+  it('fail a plugin call that never ends', async () => {
+    const rawJsonMemo = createMemo({ concurrency : 2, timeout : 200 });
+    const plugins = pagePlugins(rawJsonMemo, { stuck : () => new Promise(() => {}) });
+
+    await assert.rejects(
+      evaluateRawJson(`plugins.stuck()`, { plugins, timeout : 200 }),
+      /plugin call took longer than 200ms/);
+  });
+
+  it('still time the code between plugin calls', async () => {
+    const rawJsonMemo = createMemo({ concurrency : 2, timeout : 1000 });
+    const plugins = pagePlugins(rawJsonMemo, { quick : n => wait(10, n) });
+    const source = `(async () => { await plugins.quick(1); await new Promise(resolve => setTimeout(resolve, 500)); })()`;
+
+    await assert.rejects(evaluateRawJson(source, { plugins, mode : 'eval', timeout : 200 }), /rawJson took longer than 200ms/);
+  });
+});
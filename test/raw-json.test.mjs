@@ -0,0 +1,57 @@
+import assert from 'assert';
+import { evaluateRawJson } from '../src/raw-json.mjs';
+
+// rawJson that tries to reach node from inside the sandbox. each gives node's
+// version if it gets out
+const escapes = {
+  'the global object'       : `this.constructor.constructor('return process')().version`,
+  'globalThis'              : `globalThis.constructor.constructor('return process')().version`,
+  'a plugin'                : `plugins.get.constructor.constructor('return process')().version`,
+  'plugins.memo'            : `plugins.memo.constructor.constructor('return process')().version`,
+  'json'                    : `json.constructor.constructor('return process')().version`,
+  'what a plugin gives'     : `(async () => (await plugins.get()).constructor.constructor('return process')().version)()`,
+  'an error from a plugin'  : `(async () => { try { await plugins.fail() } catch(e) { return e.constructor.constructor('return process')().version } })()`,
+  'a thenable result'       : `({ then : resolve => resolve.constructor.constructor('return process')().version })`,
+  'an error near the stack limit' : `(async () => {
+    const reach = e => { try { return e.constructor.constructor('return process')().version } catch(x) {} };
+    const depth = n => { try { return depth(n + 1) } catch(e) { return n } };
+    const at = (n, k) => (n < k) ? at(n + 1, k) : plugins.get();
+    const max = depth(0);
+    const found = [];
+    for(let k = max - 300; k < max; k++) {
+      try { at(0, k).catch(e => found.push(reach(e))) }
+      catch(e) { found.push(reach(e)) }
+    }
+    await null;
+    return found.find(version => version);
+  })()`,
+}
+
+const plugins = {
+  get  : async () => ({ title : 'plugin data' }),
+  fail : async () => { throw new Error('the api is down') },
+  memo : (key, fn) => Promise.resolve(fn()),
+}
+
+const run = (source, options = {}) =>
+  evaluateRawJson(source, { json : { heading : 'hello' }, plugins, timeout : 1000, ...options })
+
+describe('rawJson sandbox', () => {
+  Object.keys(escapes).forEach(name => {
+    it(`can't reach node through ${name}`, async () => {
+      const version = await run(escapes[name]).catch(() => void(0));
+      assert.notStrictEqual(version, process.version);
+    });
+  });
+
+  it('can read json and call plugins', async () => {
+    const data = await run(`(async () => ({ heading : json.heading, title : (await plugins.get()).title }))()`);
+    assert.deepStrictEqual(data, { heading : 'hello', title : 'plugin data' });
+  });
+
+  it('stops code that loops after an await', async () => {
+    const start = Date.now();
+    await assert.rejects(run(`(async () => { await null; while(true){} })()`, { timeout : 200 }));
+    assert.ok(Date.now() - start < 1000);
+  });
+});